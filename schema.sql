@@ -12,6 +12,11 @@ CREATE TABLE IF NOT EXISTS prophecy_feeds (
   domain TEXT,
   source TEXT DEFAULT 'manual',
   method TEXT,
+  author TEXT,
+  published_at TIMESTAMP,
+  section TEXT,
+  keywords TEXT[],
+  canonical_url TEXT,
   scraped_at TIMESTAMP NOT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -26,6 +31,7 @@ CREATE INDEX IF NOT EXISTS idx_prophecy_feeds_score ON prophecy_feeds(score DESC
 CREATE INDEX IF NOT EXISTS idx_prophecy_feeds_domain ON prophecy_feeds(domain);
 CREATE INDEX IF NOT EXISTS idx_prophecy_feeds_scraped_at ON prophecy_feeds(scraped_at DESC);
 CREATE INDEX IF NOT EXISTS idx_prophecy_feeds_source ON prophecy_feeds(source);
+CREATE INDEX IF NOT EXISTS idx_prophecy_feeds_published_at ON prophecy_feeds(published_at DESC);
 
 -- Table for RSS feed configurations
 CREATE TABLE IF NOT EXISTS rss_feed_config (
@@ -71,7 +77,7 @@ CREATE TABLE IF NOT EXISTS scrape_jobs (
   depth INTEGER DEFAULT 1,
   source TEXT DEFAULT 'manual',
   priority INTEGER DEFAULT 5,
-  status TEXT DEFAULT 'pending', -- pending, processing, completed, failed
+  status TEXT DEFAULT 'pending', -- pending, running, succeeded, failed, cancelled
   attempts INTEGER DEFAULT 0,
   max_attempts INTEGER DEFAULT 3,
   error TEXT,
@@ -3,11 +3,15 @@
  * Main entrypoint with routing and request handling
  */
 
-import { handleCrawl } from './modules/crawler.js';
+import { handleCrawl, processCrawlPage } from './modules/crawler.js';
 import { handleRSS, checkRSSFeeds } from './modules/rss_handler.js';
 import { handleSummary } from './modules/summarizer.js';
 import { handleAdmin } from './modules/admin.js';
+import { handleWatch, checkWatchlists } from './modules/watchlist.js';
+import { handleWarc } from './modules/warc_archive.js';
+import { handleJobs, finishJob, retryJob, hasHigherPriorityWork } from './modules/jobs.js';
 import { RateLimiter } from './utils/rate_limiter.js';
+import { classifyError } from './utils/helpers.js';
 import CONFIG from '../config.json';
 
 /**
@@ -24,7 +28,7 @@ export default {
     // CORS headers
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type',
     };
 
@@ -60,9 +64,15 @@ export default {
           version: '1.0.0',
           service: 'Cloudflare Scraping Agent',
           endpoints: [
-            'POST /api/crawl - Manual crawl mode',
+            'POST /api/crawl - Crawl URLs (manual, auto or sitemap mode)',
+            'GET /api/jobs - List crawl jobs (filter by status, source, mode, url, since, until)',
+            'GET /api/jobs/:job_id - View a crawl job\'s status and stored results',
+            'DELETE /api/jobs/:job_id - Cancel a pending job or stop a running crawl',
             'POST /api/rss - RSS feed check',
             'POST /api/summary - Summarize URL',
+            'POST /api/watch - Create a page watchlist',
+            'GET /api/watch/:id/changes - View detected page changes',
+            'GET /api/warc/:job_id - Download a crawl\'s WARC (/cdxj for its index)',
             'GET /api/admin/jobs - View jobs',
             'GET /api/admin/stats - View statistics'
           ]
@@ -71,12 +81,14 @@ export default {
         });
       }
 
-      // Manual crawl endpoint
+      // Manual crawl endpoint (async: true queues the crawl and answers 202 Accepted;
+      // a crawl that can't be resumed answers with the status_code it carries)
       if (path === '/api/crawl' && request.method === 'POST') {
         const body = await request.json();
         const result = await handleCrawl(body, env, ctx);
 
         return new Response(JSON.stringify(result), {
+          status: result.status_code || (body.async && result.success ? 202 : 200),
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
         });
       }
@@ -101,6 +113,40 @@ export default {
         });
       }
 
+      // Watchlist endpoints (invalid requests answer with the status_code they carry)
+      if (path === '/api/watch' || path.startsWith('/api/watch/')) {
+        const result = await handleWatch(path, request, env, ctx);
+
+        return new Response(JSON.stringify(result), {
+          status: result.status_code || 200,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+
+      // Job status endpoints (unknown jobs and invalid requests answer with the status_code they carry)
+      if (path === '/api/jobs' || path.startsWith('/api/jobs/')) {
+        const result = await handleJobs(path, request, env);
+
+        return new Response(JSON.stringify(result), {
+          status: result.status_code || 200,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+
+      // WARC downloads
+      if (path.startsWith('/api/warc/')) {
+        const result = await handleWarc(path, request, env);
+        if (result instanceof Response) {
+          return new Response(result.body, {
+            headers: { ...corsHeaders, ...Object.fromEntries(result.headers) }
+          });
+        }
+
+        return new Response(JSON.stringify(result), {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+
       // Admin endpoints
       if (path.startsWith('/api/admin/')) {
         const result = await handleAdmin(path, request, env, ctx);
@@ -139,53 +185,138 @@ export default {
   async scheduled(event, env, ctx) {
     console.log('Cron trigger fired:', event.cron);
 
-    try {
-      // Check all RSS feeds and auto-trigger high-scoring scrapes
-      const result = await checkRSSFeeds(env, ctx);
+    // RSS feeds are checked on the 6-hourly trigger only
+    if (event.cron === '0 */6 * * *') {
+      try {
+        // Check all RSS feeds and auto-trigger high-scoring scrapes
+        const result = await checkRSSFeeds(env, ctx);
 
-      console.log('RSS check completed:', {
-        feeds_checked: result.feeds_checked,
-        high_score_items: result.high_score_items,
-        scrapes_triggered: result.scrapes_triggered
-      });
+        console.log('RSS check completed:', {
+          feeds_checked: result.feeds_checked,
+          high_score_items: result.high_score_items,
+          scrapes_triggered: result.scrapes_triggered
+        });
 
-    } catch (error) {
-      console.error('Scheduled task error:', error);
+      } catch (error) {
+        console.error('Scheduled task error:', error);
+      }
+    }
+
+    // Watched pages are checked on the 15-minute trigger only
+    if (event.cron === '*/15 * * * *') {
+      try {
+        // Re-check watched pages whose interval has elapsed
+        const result = await checkWatchlists(env, ctx);
+
+        console.log('Watchlist check completed:', result);
+
+      } catch (error) {
+        console.error('Watchlist check error:', error);
+      }
     }
   },
 
   /**
    * Handle queue messages (async scraping jobs)
    */
-  async queue(batch, env) {
+  async queue(batch, env, ctx) {
     console.log(`Processing batch of ${batch.messages.length} scrape jobs`);
 
-    for (const message of batch.messages) {
+    // Queues deliver in arrival order, so each batch is worked through by priority
+    const messages = [...batch.messages].sort((a, b) => messagePriority(b) - messagePriority(a));
+
+    for (const message of messages) {
       try {
         const job = message.body;
+
+        // Lower-priority work waits while higher-priority jobs are pending
+        if (await deferMessage(message, env)) {
+          continue;
+        }
+
+        // Page of a distributed crawl: scrape it and expand its links into the frontier
+        if (job.type === 'crawl_page') {
+          const result = await processCrawlPage(job, env, ctx);
+          console.log(`Crawl ${job.job_id} page ${job.url}:`, result.status);
+          message.ack();
+          continue;
+        }
+
         console.log('Processing job:', job.id);
 
-        // Process the scraping job
-        const result = await handleCrawl({
+        // Process the scraping job (handleCrawl tracks it under the id it was queued with);
+        // jobs submitted with async: true carry their request params
+        const result = await handleCrawl(job.params || {
           url: job.url,
           mode: job.mode || 'auto',
           depth: job.depth || 2,
           source: job.source || 'queue'
-        }, env);
+        }, env, ctx, { job_id: job.id });
 
         // Store result
         if (result.success) {
           console.log('Job completed successfully:', job.id);
           message.ack();
+        } else if (result.error_kind === 'retryable' && (!env.DB || await retryJob(env.DB, job.id, result.error))) {
+          console.error('Job failed, retrying:', job.id, result.error);
+          retryMessage(message, result.retry_after_ms);
         } else {
-          console.error('Job failed:', job.id, result.error);
-          message.retry();
+          // Permanent (4xx, invalid request) and content errors won't succeed on retry;
+          // a request rejected before the crawl started leaves the job to fail here
+          console.error(`Job failed (${result.error_kind || 'permanent'}):`, job.id, result.error);
+          if (env.DB) {
+            await finishJob(env.DB, job.id, 'failed', { error: result.error });
+          }
+          message.ack();
         }
 
       } catch (error) {
-        console.error('Queue processing error:', error);
-        message.retry();
+        const kind = classifyError(error);
+        console.error(`Queue processing error (${kind}):`, error);
+
+        if (kind === 'retryable') {
+          retryMessage(message, error.retry_after_ms);
+        } else {
+          message.ack();
+        }
       }
     }
   }
 };
+
+/**
+ * Priority a queued message was sent with (older messages have none)
+ */
+function messagePriority(message) {
+  return message.body.priority ?? CONFIG.jobs.default_priority;
+}
+
+/**
+ * Put a message back behind pending higher-priority jobs
+ * It is re-sent with a delay rather than retried, so waiting doesn't use up its retries;
+ * after jobs.max_deferrals it runs regardless.
+ * @returns {Promise<boolean>} Whether the message was deferred
+ */
+async function deferMessage(message, env) {
+  const deferrals = message.body.deferrals || 0;
+  if (!env.DB || deferrals >= CONFIG.jobs.max_deferrals) return false;
+  if (!await hasHigherPriorityWork(env.DB, messagePriority(message))) return false;
+
+  await env.SCRAPE_QUEUE.send({ ...message.body, deferrals: deferrals + 1 }, {
+    delaySeconds: CONFIG.jobs.defer_seconds
+  });
+  message.ack();
+  return true;
+}
+
+/**
+ * Return a message to the queue, delayed by the origin's Retry-After when it sent one
+ */
+function retryMessage(message, retryAfterMs = 0) {
+  if (retryAfterMs > 0) {
+    // Queues accept delays of up to 12 hours
+    message.retry({ delaySeconds: Math.min(Math.ceil(retryAfterMs / 1000), 43200) });
+  } else {
+    message.retry();
+  }
+}
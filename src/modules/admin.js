@@ -4,6 +4,8 @@
  */
 
 import { getScrapingHistory, getStatistics, exportToCSV } from './storage.js';
+import { listRecipes, saveRecipe, deleteRecipe } from './extraction_recipes.js';
+import { getDuplicateClusters } from './duplicates.js';
 
 /**
  * Handle admin requests
@@ -55,6 +57,26 @@ export async function handleAdmin(path, request, env, ctx) {
       };
     }
 
+    // GET /api/admin/duplicates - Near-duplicate clusters (original plus linked pages)
+    if (path === '/api/admin/duplicates' && method === 'GET') {
+      const url = new URL(request.url);
+      const limit = parseInt(url.searchParams.get('limit') || '50');
+      const offset = parseInt(url.searchParams.get('offset') || '0');
+
+      const result = await getDuplicateClusters(env, { limit, offset });
+
+      return {
+        success: true,
+        clusters: result.clusters,
+        count: result.count,
+        pagination: {
+          limit,
+          offset,
+          has_more: result.count === limit
+        }
+      };
+    }
+
     // GET /api/admin/export - Export data as CSV
     if (path === '/api/admin/export' && method === 'GET') {
       const history = await getScrapingHistory(env, { limit: 10000 });
@@ -124,6 +146,11 @@ export async function handleAdmin(path, request, env, ctx) {
       };
     }
 
+    // Extraction recipes stored in D1 (config.json recipes are read-only)
+    if (path === '/api/admin/recipes' || path.startsWith('/api/admin/recipes/')) {
+      return await handleRecipes(path, request, env);
+    }
+
     // DELETE /api/admin/jobs/:id - Delete a specific job
     if (path.match(/^\/api\/admin\/jobs\/\d+$/) && method === 'DELETE') {
       const jobId = path.split('/').pop();
@@ -158,3 +185,58 @@ export async function handleAdmin(path, request, env, ctx) {
     };
   }
 }
+
+/**
+ * GET /api/admin/recipes, PUT and DELETE /api/admin/recipes/:name
+ */
+async function handleRecipes(path, request, env) {
+  if (!env.DB) {
+    return {
+      success: false,
+      error: 'Database not available'
+    };
+  }
+
+  const name = path === '/api/admin/recipes' ? null : decodeURIComponent(path.split('/').pop());
+
+  // GET /api/admin/recipes - List stored recipes
+  if (!name && request.method === 'GET') {
+    return {
+      success: true,
+      recipes: await listRecipes(env)
+    };
+  }
+
+  // PUT /api/admin/recipes/:name - Create or replace a recipe
+  if (name && request.method === 'PUT') {
+    const body = await request.json();
+
+    try {
+      await saveRecipe({ ...body, name }, env);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
+    return {
+      success: true,
+      message: `Recipe ${name} saved`
+    };
+  }
+
+  // DELETE /api/admin/recipes/:name - Delete a recipe
+  if (name && request.method === 'DELETE') {
+    const deleted = await deleteRecipe(name, env);
+
+    return deleted
+      ? { success: true, message: `Recipe ${name} deleted` }
+      : { success: false, error: 'Recipe not found' };
+  }
+
+  return {
+    error: 'Not Found',
+    message: 'Unknown admin endpoint'
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * Assets Module
+ * Finds a page's images, media and linked PDFs and downloads them within a size
+ * budget, so they can be archived to R2 next to the scrape
+ */
+
+import { findAll, resolveUrl } from '../utils/html_parser.js';
+import { fetchWithProfile } from './request_profiles.js';
+import { sha256Hex } from '../utils/helpers.js';
+import CONFIG from '../../config.json';
+
+const ASSET_TYPES = ['image', 'media', 'document'];
+
+// Candidates kept per page; downloads are further limited by assets.max_assets
+const MAX_CANDIDATES = 100;
+
+// Content types each asset type accepts, and the file extension they are stored with
+const CONTENT_TYPES = {
+  image: /^image\//,
+  media: /^(?:video|audio)\//,
+  document: /^application\/pdf$/
+};
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/ogg': 'ogg',
+  'application/pdf': 'pdf'
+};
+
+/**
+ * Validate the assets option of a crawl request
+ * @param {boolean|object} assets - true, or { types, max_assets, max_total_bytes }
+ *   types: any of image, media (video/audio sources), document (linked PDFs)
+ *   max_assets and max_total_bytes are capped by scraper.assets in config.json
+ * @throws {Error} When an option is invalid
+ */
+export function normalizeAssetOptions(assets = {}) {
+  const options = assets === true ? {} : assets;
+  const limits = CONFIG.scraper.assets;
+  const types = options.types || ASSET_TYPES;
+
+  if (!Array.isArray(types) || types.length === 0) {
+    throw new Error('Asset types must be a non-empty array');
+  }
+
+  for (const type of types) {
+    if (!ASSET_TYPES.includes(type)) {
+      throw new Error(`Unknown asset type: ${type} (expected one of ${ASSET_TYPES.join(', ')})`);
+    }
+  }
+
+  const cap = (value, limit) => Math.min(Math.max(parseInt(value) || limit, 1), limit);
+
+  return {
+    types,
+    max_assets: cap(options.max_assets, limits.max_assets),
+    max_total_bytes: cap(options.max_total_bytes, limits.max_total_bytes)
+  };
+}
+
+/**
+ * Collect asset URLs from a parsed page: og:image, <img>, <source> and links to PDFs
+ * Data URIs and 1x1 tracking pixels are skipped; each URL is listed once.
+ * @param {string|null} ogImage - og:image (or other metadata image), already resolved
+ * @returns {Array<{url: string, type: string, source: string, alt?: string}>} In page order,
+ *   og:image first
+ */
+export function collectAssets(document, baseUrl, ogImage = null) {
+  const assets = [];
+  const seen = new Set();
+
+  const add = (href, type, source, alt) => {
+    const url = resolveUrl(href, baseUrl);
+    if (!url || seen.has(url) || assets.length >= MAX_CANDIDATES) return;
+
+    seen.add(url);
+    assets.push({ url, type, source, ...(alt && { alt }) });
+  };
+
+  if (ogImage) add(ogImage, 'image', 'og:image');
+
+  for (const element of findAll(document, el => ['img', 'source', 'video', 'audio', 'a'].includes(el.tagName))) {
+    const attrs = element.attrs;
+
+    if (element.tagName === 'img') {
+      if (attrs.width === '1' || attrs.height === '1' || attrs.width === '0' || attrs.height === '0') continue;
+      add(attrs.src || attrs['data-src'] || largestFromSrcset(attrs.srcset), 'image', 'img', attrs.alt && attrs.alt.trim());
+    } else if (element.tagName === 'source') {
+      // <source> in <picture> carries srcset; in <video>/<audio> it carries src
+      const media = element.parent && ['video', 'audio'].includes(element.parent.tagName);
+      add(attrs.src || largestFromSrcset(attrs.srcset), media ? 'media' : 'image', 'source');
+    } else if (element.tagName === 'a') {
+      if (isPdfLink(element, baseUrl)) add(attrs.href, 'document', 'link');
+    } else if (attrs.src) {
+      add(attrs.src, 'media', element.tagName);
+    }
+  }
+
+  return assets;
+}
+
+/**
+ * Download a page's assets within the size budget
+ * Assets go through the per-host scheduler with the host's request profile. Ones that
+ * fail, come back with an unexpected content type, or would break the budget are skipped.
+ * @param {object[]} candidates - Assets from collectAssets()
+ * @param {object} options - Normalized asset options
+ * @returns {Promise<Array<object>>} Candidates with { body, content_type, bytes, sha256, extension }
+ *   when downloaded, or { skipped } with the reason
+ */
+export async function downloadAssets(candidates, env, options) {
+  const limits = CONFIG.scraper.assets;
+  const results = [];
+  let downloaded = 0;
+  let totalBytes = 0;
+
+  for (const candidate of candidates.filter(asset => options.types.includes(asset.type))) {
+    if (downloaded >= options.max_assets) {
+      results.push({ ...candidate, skipped: 'max_assets reached' });
+      continue;
+    }
+
+    const budget = Math.min(limits.max_asset_bytes, options.max_total_bytes - totalBytes);
+    if (budget <= 0) {
+      results.push({ ...candidate, skipped: 'max_total_bytes reached' });
+      continue;
+    }
+
+    try {
+      const file = await downloadAsset(candidate, env, budget);
+      if (file.skipped) {
+        results.push({ ...candidate, skipped: file.skipped });
+        continue;
+      }
+
+      downloaded++;
+      totalBytes += file.bytes;
+      results.push({ ...candidate, ...file });
+    } catch (error) {
+      console.error(`Asset download failed for ${candidate.url}:`, error.message);
+      results.push({ ...candidate, skipped: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Download one asset, reading no more than `budget` bytes
+ */
+async function downloadAsset(candidate, env, budget) {
+  const response = await fetchWithProfile(candidate.url, {
+    signal: AbortSignal.timeout(CONFIG.scraper.assets.timeout_ms)
+  }, env);
+
+  if (!response.ok) {
+    await response.body?.cancel();
+    return { skipped: `HTTP ${response.status}` };
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!CONTENT_TYPES[candidate.type].test(contentType)) {
+    await response.body?.cancel();
+    return { skipped: `Unexpected content type: ${contentType || 'none'}` };
+  }
+
+  const declared = parseInt(response.headers.get('content-length'));
+  if (declared > budget) {
+    await response.body?.cancel();
+    return { skipped: `Too large (${declared} bytes)` };
+  }
+
+  const body = await readLimited(response, budget);
+  if (!body) {
+    return { skipped: `Too large (over ${budget} bytes)` };
+  }
+
+  return {
+    body,
+    content_type: contentType,
+    bytes: body.byteLength,
+    sha256: await sha256Hex(body),
+    extension: EXTENSIONS[contentType] || urlExtension(candidate.url) || 'bin'
+  };
+}
+
+/**
+ * Read a response body, giving up once it exceeds `limit` bytes
+ * @returns {Promise<Uint8Array|null>} Body, or null when it is too large
+ */
+async function readLimited(response, limit) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    length += value.byteLength;
+    if (length > limit) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  const body = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return body;
+}
+
+/**
+ * Largest candidate of a srcset (by width or density descriptor)
+ */
+function largestFromSrcset(srcset) {
+  if (!srcset) return null;
+
+  let best = null;
+  let bestSize = -1;
+  for (const entry of srcset.split(',')) {
+    const [url, descriptor = '1x'] = entry.trim().split(/\s+/);
+    const size = parseFloat(descriptor) || 1;
+    if (url && size > bestSize) {
+      best = url;
+      bestSize = size;
+    }
+  }
+  return best;
+}
+
+/**
+ * Whether a link points at a PDF (by its type attribute or path)
+ */
+function isPdfLink(element, baseUrl) {
+  if ((element.attrs.type || '').toLowerCase() === 'application/pdf') return true;
+
+  const url = resolveUrl(element.attrs.href, baseUrl);
+  return !!url && /\.pdf$/i.test(new URL(url).pathname);
+}
+
+/**
+ * Lowercase extension of a URL's path, if it has a short one
+ */
+function urlExtension(url) {
+  const match = new URL(url).pathname.match(/\.([a-z0-9]{1,5})$/i);
+  return match ? match[1].toLowerCase() : null;
+}
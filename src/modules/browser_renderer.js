@@ -0,0 +1,206 @@
+/**
+ * Browser Renderer Module
+ * Renders JavaScript-heavy pages in a headless browser behind pluggable backends:
+ * the Cloudflare Browser Rendering binding or any Chrome DevTools Protocol endpoint
+ */
+
+import puppeteer from '@cloudflare/puppeteer';
+import CONFIG from '../../config.json';
+
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+const RESOURCE_TYPES = ['image', 'font', 'media', 'stylesheet'];
+
+// Backends in 'auto' preference order
+const BACKENDS = {
+  // Cloudflare Browser Rendering: [browser] binding = "BROWSER" in wrangler.toml
+  binding: {
+    available: env => !!env.BROWSER,
+    open: async env => {
+      const browser = await puppeteer.launch(env.BROWSER);
+      return { browser, close: () => browser.close() };
+    }
+  },
+  // Any CDP endpoint, e.g. a local `chrome --remote-debugging-port=9222` or a browserless container
+  cdp: {
+    available: env => !!env.BROWSER_CDP_URL,
+    open: async env => {
+      const browser = await puppeteer.connect({
+        browserWSEndpoint: await resolveCdpEndpoint(env.BROWSER_CDP_URL)
+      });
+      // The browser is shared, so only drop the connection
+      return { browser, close: () => browser.disconnect() };
+    }
+  }
+};
+
+/**
+ * Pick the rendering backend for this environment
+ * @returns {string|null} 'binding', 'cdp' or null when none is configured
+ */
+export function getRenderBackend(env) {
+  const preferred = env.BROWSER_BACKEND || CONFIG.scraper.browser.backend;
+
+  if (preferred !== 'auto') {
+    if (!BACKENDS[preferred]) {
+      throw new Error(`Unknown browser backend: ${preferred}`);
+    }
+    return BACKENDS[preferred].available(env) ? preferred : null;
+  }
+
+  return Object.keys(BACKENDS).find(name => BACKENDS[name].available(env)) || null;
+}
+
+/**
+ * Validate render options from a request and fill in config defaults
+ * @param {boolean|object} render - true, or { wait_until, wait_for_selector, scroll,
+ *   block_resources, screenshot, timeout_ms }
+ * @throws {Error} When an option is invalid
+ */
+export function normalizeRenderOptions(render = {}) {
+  const options = render === true ? {} : render;
+  const defaults = CONFIG.scraper.browser;
+
+  const waitUntil = options.wait_until || defaults.wait_until;
+  if (!WAIT_UNTIL.includes(waitUntil)) {
+    throw new Error(`Unknown wait_until: ${waitUntil} (expected one of ${WAIT_UNTIL.join(', ')})`);
+  }
+
+  const blockResources = options.block_resources || defaults.block_resources;
+  const unknown = blockResources.filter(type => !RESOURCE_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown resource types: ${unknown.join(', ')} (expected ${RESOURCE_TYPES.join(', ')})`);
+  }
+
+  // scroll: true scrolls up to max_scroll_steps viewports, a number sets the step count
+  const scrollSteps = options.scroll === true
+    ? defaults.max_scroll_steps
+    : Math.min(Math.max(parseInt(options.scroll) || 0, 0), defaults.max_scroll_steps);
+
+  return {
+    wait_until: waitUntil,
+    wait_for_selector: options.wait_for_selector || null,
+    scroll_steps: scrollSteps,
+    block_resources: blockResources,
+    screenshot: !!options.screenshot,
+    timeout_ms: Math.min(parseInt(options.timeout_ms) || defaults.timeout_ms, defaults.timeout_ms)
+  };
+}
+
+/**
+ * Render a page and return its final HTML
+ * @param {object} options - Normalized render options
+ * @param {object} request - { user_agent, headers, cookies } from the domain's request profile
+ * @returns {Promise<{html: string, final_url: string, status: number, backend: string, screenshot: Uint8Array|null}>}
+ */
+export async function renderPage(url, env, options = normalizeRenderOptions(), request = {}) {
+  const backend = getRenderBackend(env);
+  if (!backend) {
+    throw new Error('Browser rendering not configured');
+  }
+
+  const session = await BACKENDS[backend].open(env);
+
+  try {
+    const page = await session.browser.newPage();
+
+    try {
+      page.setDefaultTimeout(options.timeout_ms);
+      await page.setViewport(CONFIG.scraper.browser.viewport);
+      await page.setUserAgent(request.user_agent || CONFIG.scraper.user_agents[0]);
+
+      if (request.headers && Object.keys(request.headers).length > 0) {
+        await page.setExtraHTTPHeaders(request.headers);
+      }
+
+      const cookies = Object.entries(request.cookies || {});
+      if (cookies.length > 0) {
+        await page.setCookie(...cookies.map(([name, value]) => ({ name, value, url })));
+      }
+
+      if (options.block_resources.length > 0) {
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+          if (options.block_resources.includes(request.resourceType())) {
+            request.abort().catch(() => {});
+          } else {
+            request.continue().catch(() => {});
+          }
+        });
+      }
+
+      const response = await page.goto(url, {
+        waitUntil: options.wait_until,
+        timeout: options.timeout_ms
+      });
+
+      if (options.wait_for_selector) {
+        await page.waitForSelector(options.wait_for_selector, { timeout: options.timeout_ms });
+      }
+
+      if (options.scroll_steps > 0) {
+        await scrollToLoad(page, options.scroll_steps, CONFIG.scraper.browser.scroll_delay_ms);
+      }
+
+      const screenshot = options.screenshot
+        ? new Uint8Array(await page.screenshot({ fullPage: true, type: 'png' }))
+        : null;
+
+      return {
+        html: await page.content(),
+        final_url: page.url(),
+        status: response ? response.status() : 0,
+        backend,
+        screenshot
+      };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  } finally {
+    await session.close().catch(error => console.error('Browser close error:', error));
+  }
+}
+
+/**
+ * Scroll one viewport at a time so lazy-loaded content is fetched,
+ * stopping early once the page stops growing
+ */
+async function scrollToLoad(page, steps, delayMs) {
+  await page.evaluate(async (maxSteps, delay) => {
+    let lastHeight = 0;
+
+    for (let step = 0; step < maxSteps; step++) {
+      window.scrollBy(0, window.innerHeight);
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      const height = document.documentElement.scrollHeight;
+      const atBottom = window.scrollY + window.innerHeight >= height;
+      if (atBottom && height === lastHeight) break;
+      lastHeight = height;
+    }
+
+    window.scrollTo(0, 0);
+  }, steps, delayMs);
+}
+
+/**
+ * Turn a CDP endpoint into a browser WebSocket URL
+ * ws:// URLs are used as-is; http:// URLs are resolved through /json/version
+ */
+async function resolveCdpEndpoint(endpoint) {
+  if (/^wss?:/i.test(endpoint)) return endpoint;
+
+  const response = await fetch(new URL('/json/version', endpoint), {
+    signal: AbortSignal.timeout(CONFIG.scraper.timeout_ms)
+  });
+
+  if (!response.ok) {
+    throw new Error(`CDP endpoint ${endpoint} returned HTTP ${response.status}`);
+  }
+
+  const version = await response.json();
+  if (!version.webSocketDebuggerUrl) {
+    throw new Error(`CDP endpoint ${endpoint} did not report a webSocketDebuggerUrl`);
+  }
+
+  return version.webSocketDebuggerUrl;
+}
@@ -0,0 +1,309 @@
+/**
+ * Content Extractor Module
+ * Readability-style main-content extraction scored by text and link density
+ */
+
+import { findAll, findFirst, textContent, innerText, resolveUrl, walk, BLOCK_ELEMENTS } from '../utils/html_parser.js';
+import { generateSummary } from './markdown_converter.js';
+
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_ARTICLE_LENGTH = 250;
+const EXCERPT_LENGTH = 300;
+
+// Class/id patterns used to weight or skip blocks
+const UNLIKELY_CANDIDATES = /-ad-|ad-break|agegate|banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|nav|newsletter|pager|pagination|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|widget/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow|story|post/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|story|text|blog/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+const BYLINE = /byline|author|dateline|writtenby|p-author/i;
+
+// Elements that never hold article text
+const SKIPPED_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'form', 'button',
+  'input', 'select', 'textarea', 'nav', 'aside', 'footer', 'iframe', 'head'
+]);
+
+// Elements whose own text is scored as a paragraph
+const SCORABLE_ELEMENTS = new Set(['p', 'pre', 'td', 'blockquote', 'section', 'h2', 'h3']);
+
+/**
+ * Extract the main article from a parsed document
+ * @returns {{content: string, byline: string|null, published_at: string|null, lead_image: string|null, excerpt: string, extracted: boolean}}
+ */
+export function extractMainContent(document, pageUrl) {
+  const body = findFirst(document, element => element.tagName === 'body') || document;
+  const article = findArticleNodes(body);
+
+  let content = article.map(node => innerText(node)).filter(Boolean).join('\n\n');
+  const extracted = content.length >= MIN_ARTICLE_LENGTH;
+
+  // Too little text to trust the scoring: fall back to the whole page
+  if (!extracted) {
+    content = innerText(body);
+  }
+
+  return {
+    content,
+    byline: findByline(document),
+    published_at: findPublishedAt(document),
+    lead_image: findLeadImage(document, article, pageUrl),
+    excerpt: findExcerpt(document, content),
+    extracted
+  };
+}
+
+/**
+ * Score candidate blocks and return the best one plus qualifying siblings
+ */
+function findArticleNodes(body) {
+  const scores = new Map();
+  const candidates = [];
+
+  const initialize = (node) => {
+    if (!scores.has(node)) {
+      scores.set(node, tagWeight(node) + classWeight(node));
+      candidates.push(node);
+    }
+  };
+
+  walk(body, element => {
+    if (SKIPPED_ELEMENTS.has(element.tagName)) return false;
+
+    const matchString = `${element.attrs.class || ''} ${element.attrs.id || ''}`;
+    if (element.tagName !== 'body' && element.tagName !== 'article' && element.tagName !== 'main' &&
+        UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString)) {
+      return false;
+    }
+
+    // Treat a <div> without block children as a paragraph
+    const isParagraph = SCORABLE_ELEMENTS.has(element.tagName) ||
+      (element.tagName === 'div' && !hasBlockChildren(element));
+    if (!isParagraph) return;
+
+    const text = textContent(element);
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const parent = element.parent;
+    if (!parent || parent.type !== 'element') return;
+
+    const score = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+
+    initialize(parent);
+    scores.set(parent, scores.get(parent) + score);
+
+    const grandparent = parent.parent;
+    if (grandparent && grandparent.type === 'element') {
+      initialize(grandparent);
+      scores.set(grandparent, scores.get(grandparent) + score / 2);
+    }
+  });
+
+  if (candidates.length === 0) {
+    return [body];
+  }
+
+  // Scale by link density so navigation-heavy blocks lose
+  let top = null;
+  let topScore = -Infinity;
+
+  for (const candidate of candidates) {
+    const finalScore = scores.get(candidate) * (1 - linkDensity(candidate));
+    scores.set(candidate, finalScore);
+
+    if (finalScore > topScore) {
+      top = candidate;
+      topScore = finalScore;
+    }
+  }
+
+  const parent = top.parent;
+  if (!parent || parent.type !== 'element') {
+    return [top];
+  }
+
+  // Pull in siblings that look like part of the same article
+  const threshold = Math.max(10, topScore * 0.2);
+  const nodes = [];
+
+  for (const sibling of parent.children) {
+    if (sibling.type !== 'element' || SKIPPED_ELEMENTS.has(sibling.tagName)) continue;
+
+    if (sibling === top) {
+      nodes.push(sibling);
+      continue;
+    }
+
+    const bonus = classWeight(sibling) > 0 && classWeight(sibling) === classWeight(top) ? topScore * 0.2 : 0;
+    if (scores.has(sibling) && scores.get(sibling) + bonus >= threshold) {
+      nodes.push(sibling);
+      continue;
+    }
+
+    if (sibling.tagName === 'p') {
+      const text = textContent(sibling);
+      const density = linkDensity(sibling);
+
+      if ((text.length > 80 && density < 0.25) ||
+          (text.length > 0 && density === 0 && /\.( |$)/.test(text))) {
+        nodes.push(sibling);
+      }
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Share of a node's text that sits inside links
+ */
+function linkDensity(node) {
+  const length = textContent(node).length;
+  if (length === 0) return 0;
+
+  const linkLength = findAll(node, element => element.tagName === 'a')
+    .reduce((sum, link) => sum + textContent(link).length, 0);
+
+  return linkLength / length;
+}
+
+/**
+ * Whether an element directly contains block-level elements
+ */
+function hasBlockChildren(element) {
+  return element.children.some(child => child.type === 'element' && BLOCK_ELEMENTS.has(child.tagName) && child.tagName !== 'br');
+}
+
+/**
+ * Starting score for a candidate by tag
+ */
+function tagWeight(node) {
+  switch (node.tagName) {
+    case 'article':
+      return 10;
+    case 'div':
+    case 'main':
+      return 5;
+    case 'pre':
+    case 'td':
+    case 'blockquote':
+      return 3;
+    case 'address':
+    case 'ol':
+    case 'ul':
+    case 'dl':
+    case 'dd':
+    case 'dt':
+    case 'li':
+    case 'form':
+      return -3;
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+    case 'th':
+      return -5;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Score adjustment from class and id names
+ */
+function classWeight(node) {
+  let weight = 0;
+
+  for (const value of [node.attrs.class, node.attrs.id]) {
+    if (!value) continue;
+    if (NEGATIVE.test(value)) weight -= 25;
+    if (POSITIVE.test(value)) weight += 25;
+  }
+
+  return weight;
+}
+
+/**
+ * Find the article author from meta tags, rel=author or byline blocks
+ */
+function findByline(document) {
+  const meta = findMeta(document, ['author', 'article:author', 'byl', 'dc.creator']);
+  if (meta && !/^https?:\/\//.test(meta)) return meta;
+
+  const element = findFirst(document, el => {
+    if (el.attrs.rel === 'author' || el.attrs.itemprop === 'author') return true;
+    const matchString = `${el.attrs.class || ''} ${el.attrs.id || ''}`;
+    return BYLINE.test(matchString) && textContent(el).length > 0 && textContent(el).length < 100;
+  });
+
+  return element ? textContent(element).replace(/^by\s+/i, '') || null : null;
+}
+
+/**
+ * Find the publication date from meta tags or <time datetime>
+ */
+function findPublishedAt(document) {
+  const itemprop = findFirst(document, el => el.attrs.itemprop === 'datePublished');
+  const time = findFirst(document, el => el.tagName === 'time' && el.attrs.datetime);
+
+  const candidates = [
+    findMeta(document, ['article:published_time', 'og:published_time', 'datepublished', 'pubdate', 'publish-date', 'publish_date', 'dc.date', 'dc.date.issued', 'date', 'sailthru.date']),
+    itemprop && (itemprop.attrs.datetime || itemprop.attrs.content),
+    time && time.attrs.datetime
+  ];
+
+  for (const candidate of candidates) {
+    const date = candidate ? new Date(candidate) : null;
+    if (date && !isNaN(date.getTime())) {
+      return date.toISOString();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the lead image from og:image or the first image in the article
+ */
+function findLeadImage(document, article, pageUrl) {
+  const meta = findMeta(document, ['og:image', 'og:image:url', 'twitter:image', 'twitter:image:src']);
+  if (meta) return resolveUrl(meta, pageUrl);
+
+  for (const node of article) {
+    const image = node.tagName === 'img' ? node : findFirst(node, el => el.tagName === 'img');
+    const src = image && (image.attrs.src || image.attrs['data-src']);
+    if (src) return resolveUrl(src, pageUrl);
+  }
+
+  return null;
+}
+
+/**
+ * Use the page description, or the opening of the article, as an excerpt
+ */
+function findExcerpt(document, content) {
+  const meta = findMeta(document, ['description', 'og:description', 'twitter:description']);
+  if (meta) return meta;
+
+  const firstParagraph = content.split('\n\n').find(paragraph => paragraph.length >= MIN_PARAGRAPH_LENGTH) || content;
+  return generateSummary(firstParagraph, EXCERPT_LENGTH) || '';
+}
+
+/**
+ * Content of the first <meta> whose name or property matches, in priority order
+ */
+function findMeta(document, names) {
+  const metas = findAll(document, element => element.tagName === 'meta' && element.attrs.content);
+
+  for (const name of names) {
+    const match = metas.find(meta =>
+      (meta.attrs.name || meta.attrs.property || meta.attrs.itemprop || '').toLowerCase() === name
+    );
+    if (match && match.attrs.content.trim()) {
+      return match.attrs.content.trim();
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,300 @@
+/**
+ * Crawl Frontier Module
+ * D1 persistence for distributed crawls: the crawl's scrape_jobs row (see jobs.js) and
+ * one crawl_frontier row per discovered URL (the frontier and visited set)
+ */
+
+import { canonicalizeUrl } from '../utils/url_normalizer.js';
+import { ensureColumns } from './storage.js';
+
+// pending: discovered, not yet on the queue; queued/processing: in flight;
+// done/duplicate/blocked/failed/skipped: finished; listing: a paginated listing page read for links;
+// cancelled: dropped when the job was cancelled
+const IN_FLIGHT = ['queued', 'processing'];
+
+// The job and frontier tables are created and migrated once per isolate
+let tablesReady = false;
+
+/**
+ * Create the job and frontier tables if they don't exist (once per isolate)
+ */
+export async function ensureFrontierTables(db) {
+  if (tablesReady) return;
+
+  await db.batch([
+    db.prepare(`
+      CREATE TABLE IF NOT EXISTS scrape_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL UNIQUE,
+        url TEXT NOT NULL,
+        mode TEXT DEFAULT 'manual',
+        depth INTEGER DEFAULT 1,
+        source TEXT DEFAULT 'manual',
+        priority INTEGER DEFAULT 5,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 3,
+        error TEXT,
+        scope TEXT,
+        options TEXT,
+        pages_crawled INTEGER DEFAULT 0,
+        max_pages INTEGER,
+        params TEXT,
+        result TEXT,
+        warc_claimed_at TEXT,
+        created_at TEXT NOT NULL,
+        started_at TEXT,
+        completed_at TEXT
+      )
+    `),
+    db.prepare(`
+      CREATE TABLE IF NOT EXISTS crawl_frontier (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        canonical_url TEXT NOT NULL,
+        depth INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        error TEXT,
+        page_canonical_url TEXT,
+        discovered_at TEXT NOT NULL,
+        updated_at TEXT,
+        UNIQUE (job_id, canonical_url)
+      )
+    `),
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_scrape_jobs_status ON scrape_jobs(status)'),
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_scrape_jobs_created_at ON scrape_jobs(created_at)'),
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_crawl_frontier_job_status ON crawl_frontier(job_id, status, depth)')
+  ]);
+
+  // Tables created before job tracking lack these columns
+  await ensureColumns(db, 'scrape_jobs', {
+    params: 'TEXT',
+    result: 'TEXT',
+    warc_claimed_at: 'TEXT'
+  });
+
+  tablesReady = true;
+}
+
+/**
+ * Turn a started job (see startJob in jobs.js) into a distributed crawl: store its scope,
+ * crawl options and page budget
+ */
+export async function initCrawlJob(db, job) {
+  await db.prepare(`
+    UPDATE scrape_jobs SET mode = ?, depth = ?, scope = ?, options = ?, max_pages = ?
+    WHERE job_id = ?
+  `).bind(
+    job.mode,
+    job.scope.max_depth,
+    JSON.stringify(job.scope),
+    JSON.stringify(job.options || {}),
+    job.scope.max_pages,
+    job.job_id
+  ).run();
+}
+
+/**
+ * Load a crawl job with its scope and options parsed
+ */
+export async function getCrawlJob(db, jobId) {
+  const job = await db.prepare('SELECT * FROM scrape_jobs WHERE job_id = ?').bind(jobId).first();
+  if (!job) return null;
+
+  return {
+    ...job,
+    scope: JSON.parse(job.scope || '{}'),
+    options: JSON.parse(job.options || '{}')
+  };
+}
+
+/**
+ * Add discovered URLs to the frontier; URLs already seen by the crawl are ignored
+ * Nothing is added once the job has stopped running, so pages still being scraped when
+ * a crawl is cancelled don't grow its frontier.
+ * @param {Array<{url: string, depth: number}>} entries
+ * @returns {Promise<number>} Number of new frontier entries
+ */
+export async function addToFrontier(db, jobId, entries) {
+  if (entries.length === 0) return 0;
+
+  const now = new Date().toISOString();
+  const results = await db.batch(entries.map(entry =>
+    db.prepare(`
+      INSERT OR IGNORE INTO crawl_frontier (job_id, url, canonical_url, depth, discovered_at)
+      SELECT ?, ?, ?, ?, ?
+      WHERE EXISTS (SELECT 1 FROM scrape_jobs WHERE job_id = ? AND status = 'running')
+    `).bind(jobId, entry.url, canonicalizeUrl(entry.url), entry.depth, now, jobId)
+  ));
+
+  return results.reduce((sum, result) => sum + (result.meta?.changes || 0), 0);
+}
+
+/**
+ * Move pending URLs onto the queue while the page budget has room
+ * The job's status is read here rather than trusted from `job`: a crawl cancelled since
+ * it was loaded releases nothing.
+ * @returns {Promise<Array<{url: string, depth: number}>>} URLs to enqueue
+ */
+export async function releaseFrontierBatch(db, job) {
+  const current = await db.prepare(
+    'SELECT status, pages_crawled FROM scrape_jobs WHERE job_id = ?'
+  ).bind(job.job_id).first();
+
+  if (current?.status !== 'running') return [];
+
+  const inFlight = await db.prepare(`
+    SELECT COUNT(*) AS count FROM crawl_frontier
+    WHERE job_id = ? AND status IN ('queued', 'processing')
+  `).bind(job.job_id).first();
+
+  const slots = job.max_pages - (current?.pages_crawled || 0) - (inFlight?.count || 0);
+  if (slots <= 0) return [];
+
+  // Shallowest URLs first keeps the crawl breadth-first; the status is checked again in the
+  // same statement in case the crawl was cancelled in between
+  const released = await db.prepare(`
+    UPDATE crawl_frontier SET status = 'queued', updated_at = ?
+    WHERE id IN (
+      SELECT id FROM crawl_frontier
+      WHERE job_id = ? AND status = 'pending'
+      ORDER BY depth ASC, id ASC
+      LIMIT ?
+    )
+    AND EXISTS (SELECT 1 FROM scrape_jobs WHERE job_id = ? AND status = 'running')
+    RETURNING url, depth
+  `).bind(new Date().toISOString(), job.job_id, slots, job.job_id).all();
+
+  return released.results;
+}
+
+/**
+ * Claim a queued URL for processing
+ * @returns {Promise<object|null>} The frontier row, or null if it was already handled
+ */
+export async function claimFrontierUrl(db, jobId, url) {
+  return await db.prepare(`
+    UPDATE crawl_frontier SET status = 'processing', attempts = attempts + 1, updated_at = ?
+    WHERE job_id = ? AND canonical_url = ? AND status IN ('queued', 'processing')
+    RETURNING *
+  `).bind(new Date().toISOString(), jobId, canonicalizeUrl(url)).first();
+}
+
+/**
+ * Mark a frontier URL as finished
+ * @param {object} details - { error, page_canonical_url }
+ */
+export async function finishFrontierUrl(db, jobId, url, status, details = {}) {
+  await db.prepare(`
+    UPDATE crawl_frontier SET status = ?, error = ?, page_canonical_url = ?, updated_at = ?
+    WHERE job_id = ? AND canonical_url = ?
+  `).bind(
+    status,
+    details.error || null,
+    details.page_canonical_url || null,
+    new Date().toISOString(),
+    jobId,
+    canonicalizeUrl(url)
+  ).run();
+}
+
+/**
+ * Whether another frontier URL already stored a page with this canonical URL
+ */
+export async function isCrawled(db, jobId, pageCanonicalUrl, exceptId) {
+  const row = await db.prepare(`
+    SELECT 1 FROM crawl_frontier
+    WHERE job_id = ? AND status = 'done' AND id != ?
+      AND (page_canonical_url = ? OR canonical_url = ?)
+  `).bind(jobId, exceptId, pageCanonicalUrl, pageCanonicalUrl).first();
+
+  return !!row;
+}
+
+/**
+ * Count a stored page against the budget
+ * @returns {Promise<boolean>} False when the budget was already used up
+ */
+export async function recordCrawledPage(db, jobId) {
+  const result = await db.prepare(`
+    UPDATE scrape_jobs SET pages_crawled = pages_crawled + 1
+    WHERE job_id = ? AND pages_crawled < max_pages
+  `).bind(jobId).run();
+
+  return (result.meta?.changes || 0) > 0;
+}
+
+/**
+ * Complete the crawl once nothing is in flight and the frontier or budget is exhausted
+ * @returns {Promise<boolean>} Whether this call completed the crawl
+ */
+export async function finalizeCrawlJob(db, jobId) {
+  const counts = await frontierCounts(db, jobId);
+  const job = await db.prepare(
+    'SELECT pages_crawled, max_pages FROM scrape_jobs WHERE job_id = ?'
+  ).bind(jobId).first();
+
+  const inFlight = IN_FLIGHT.reduce((sum, status) => sum + (counts[status] || 0), 0);
+  const exhausted = !counts.pending || job.pages_crawled >= job.max_pages;
+  if (inFlight > 0 || !exhausted) return false;
+
+  const result = await db.prepare(`
+    UPDATE scrape_jobs SET status = 'succeeded', completed_at = ?
+    WHERE job_id = ? AND status = 'running'
+  `).bind(new Date().toISOString(), jobId).run();
+
+  // Only the call that flips the status reports completion, so follow-up work runs once
+  return (result.meta?.changes || 0) > 0;
+}
+
+/**
+ * Drop the URLs of a cancelled crawl that haven't been scraped yet
+ * Queued messages for them are ignored once the job is no longer running.
+ */
+export async function cancelFrontier(db, jobId) {
+  await db.prepare(`
+    UPDATE crawl_frontier SET status = 'cancelled', updated_at = ?
+    WHERE job_id = ? AND status IN ('pending', 'queued')
+  `).bind(new Date().toISOString(), jobId).run();
+}
+
+// Finished statuses a distributed crawl can be resumed from (see JOB_STATUSES in jobs.js)
+export const RESUMABLE_STATUSES = ['failed', 'cancelled'];
+
+/**
+ * Return in-flight URLs of an interrupted (or cancelled) crawl to the frontier
+ * The job is moved back to running only when it has a frontier and stopped in one of
+ * RESUMABLE_STATUSES, in the same statement, so finished jobs are never reopened.
+ * @returns {Promise<boolean>} Whether the job was resumed
+ */
+export async function resetFrontier(db, jobId) {
+  const placeholders = RESUMABLE_STATUSES.map(() => '?').join(', ');
+  const claim = await db.prepare(`
+    UPDATE scrape_jobs SET status = 'running', completed_at = NULL
+    WHERE job_id = ? AND max_pages IS NOT NULL AND status IN (${placeholders})
+  `).bind(jobId, ...RESUMABLE_STATUSES).run();
+
+  if (claim.meta.changes !== 1) {
+    return false;
+  }
+
+  await db.prepare(`
+    UPDATE crawl_frontier SET status = 'pending', updated_at = ?
+    WHERE job_id = ? AND status IN ('queued', 'processing', 'cancelled')
+  `).bind(new Date().toISOString(), jobId).run();
+
+  return true;
+}
+
+/**
+ * Number of frontier URLs per status
+ */
+export async function frontierCounts(db, jobId) {
+  const result = await db.prepare(`
+    SELECT status, COUNT(*) AS count FROM crawl_frontier WHERE job_id = ? GROUP BY status
+  `).bind(jobId).all();
+
+  return Object.fromEntries(result.results.map(row => [row.status, row.count]));
+}
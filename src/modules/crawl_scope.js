@@ -0,0 +1,167 @@
+/**
+ * Crawl Scope Module
+ * Per-request rules deciding which discovered links a crawl may follow
+ */
+
+import CONFIG from '../../config.json';
+
+const SUBDOMAIN_POLICIES = ['none', 'all'];
+
+/**
+ * Build the scope for a crawl from request params
+ * @param {object} params - { include, exclude, subdomains, max_pages, max_depth, exclude_extensions }
+ *   include/exclude: globs matched against the path and query (`*` within a segment, `**` across
+ *   segments) or regexes written as `/pattern/flags` matched against the full URL
+ *   subdomains: 'none' (start host only), 'all' (any subdomain of the site) or a list of
+ *   hostnames / subdomain labels such as ['news', 'www']
+ * @throws {Error} When a pattern or policy is invalid
+ */
+export function createCrawlScope(startUrl, params = {}, env = {}) {
+  const {
+    include = [],
+    exclude = [],
+    subdomains = 'none',
+    max_pages = CONFIG.scraper.max_pages_per_domain,
+    max_depth = 1,
+    exclude_extensions = CONFIG.scraper.excluded_extensions
+  } = params;
+
+  if (!Array.isArray(subdomains) && !SUBDOMAIN_POLICIES.includes(subdomains)) {
+    throw new Error(`Unknown subdomain policy: ${subdomains}`);
+  }
+
+  const startHost = new URL(startUrl).hostname.toLowerCase();
+  const siteHost = startHost.replace(/^www\./, '');
+  const depthLimit = parseInt(env.MAX_CRAWL_DEPTH || CONFIG.scraper.max_crawl_depth);
+
+  return {
+    include: toList(include).map(compilePattern),
+    exclude: toList(exclude).map(compilePattern),
+    subdomains,
+    allowed_hosts: Array.isArray(subdomains)
+      ? [startHost, ...subdomains.map(entry => expandHost(entry, siteHost))]
+      : [startHost],
+    site_host: siteHost,
+    max_pages: clamp(max_pages, 1, CONFIG.scraper.max_pages_per_domain),
+    max_depth: clamp(max_depth, 0, depthLimit),
+    exclude_extensions: toList(exclude_extensions).map(ext => ext.toLowerCase().replace(/^\./, ''))
+  };
+}
+
+/**
+ * Check a URL against a crawl scope
+ * @returns {{allowed: boolean, reason: string|null}}
+ */
+export function checkScope(scope, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { allowed: false, reason: 'invalid_url' };
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { allowed: false, reason: 'protocol' };
+  }
+
+  if (!hostAllowed(scope, parsed.hostname.toLowerCase())) {
+    return { allowed: false, reason: 'host' };
+  }
+
+  const extension = parsed.pathname.match(/\.([a-z0-9]+)$/i);
+  if (extension && scope.exclude_extensions.includes(extension[1].toLowerCase())) {
+    return { allowed: false, reason: 'extension' };
+  }
+
+  const target = parsed.pathname + parsed.search;
+
+  if (scope.exclude.some(pattern => pattern.test(target, parsed.href))) {
+    return { allowed: false, reason: 'excluded' };
+  }
+
+  if (scope.include.length > 0 && !scope.include.some(pattern => pattern.test(target, parsed.href))) {
+    return { allowed: false, reason: 'not_included' };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Serializable summary of a scope for crawl results
+ */
+export function describeScope(scope) {
+  return {
+    include: scope.include.map(pattern => pattern.source),
+    exclude: scope.exclude.map(pattern => pattern.source),
+    subdomains: scope.subdomains,
+    max_pages: scope.max_pages,
+    max_depth: scope.max_depth,
+    exclude_extensions: scope.exclude_extensions
+  };
+}
+
+/**
+ * Whether a hostname falls under the scope's subdomain policy
+ */
+function hostAllowed(scope, hostname) {
+  if (scope.subdomains === 'all') {
+    return hostname === scope.site_host || hostname.endsWith(`.${scope.site_host}`);
+  }
+
+  return scope.allowed_hosts.includes(hostname);
+}
+
+/**
+ * Turn a subdomain label ('news') into a hostname on the site ('news.example.com')
+ */
+function expandHost(entry, siteHost) {
+  const host = String(entry).toLowerCase().replace(/\.$/, '');
+  return host.includes('.') ? host : `${host}.${siteHost}`;
+}
+
+/**
+ * Compile a glob or `/regex/flags` string into a matcher
+ * Globs are tested against the path and query, regexes against the full URL: test(pathAndQuery, href)
+ */
+export function compilePattern(source) {
+  // Only RegExp flag letters make a regex, so globs such as `/*/print` stay globs
+  const regexMatch = source.match(/^\/(.+)\/([dgimsuvy]*)$/);
+
+  if (regexMatch) {
+    let regex;
+    try {
+      // g and y make test() resume from lastIndex, so a reused matcher would skip matches
+      regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+    } catch (error) {
+      throw new Error(`Invalid pattern ${source}: ${error.message}`);
+    }
+
+    return { source, test: (target, href) => regex.test(href) };
+  }
+
+  // Globs match the path (and query); a trailing `/*` covers everything below it
+  const glob = /[^*]\/\*$/.test(source) ? `${source}*` : source;
+  const regex = new RegExp('^' + glob
+    .split('**')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*'))
+    .join('.*') + '$');
+
+  return { source, test: target => regex.test(target) || regex.test(target.split('?')[0]) };
+}
+
+/**
+ * Normalize a string-or-array option to an array of strings
+ */
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).map(String).filter(Boolean);
+}
+
+/**
+ * Parse an integer option and clamp it to a range
+ */
+function clamp(value, min, max) {
+  const number = parseInt(value);
+  if (isNaN(number)) return max;
+  return Math.min(Math.max(number, min), max);
+}
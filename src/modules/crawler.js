@@ -5,20 +5,120 @@
 
 import { storeResult } from './storage.js';
 import { convertToMarkdown } from './markdown_converter.js';
-import { extractDomain, isValidUrl, sleep, retry, generateJobId } from '../utils/helpers.js';
+import { extractMainContent } from './content_extractor.js';
+import { extractMetadata } from './metadata_extractor.js';
+import { calculateProphecyScore } from './scoring.js';
+import { checkRobots } from './robots.js';
+import { withHostSlot } from './politeness.js';
+import { fetchWithProfile, buildRequestHeaders } from './request_profiles.js';
+import { renderPage, normalizeRenderOptions, getRenderBackend } from './browser_renderer.js';
+import { fetchViaScrapingApi, isScrapingApiConfigured } from './scraping_api.js';
+import { collectSitemapUrls, validateSitemapFilters } from './sitemap.js';
+import { createCrawlScope, checkScope, describeScope } from './crawl_scope.js';
+import { detectDocumentType, extractDocument, DOCUMENT_EXTENSIONS } from './document_extractors.js';
+import { findRecipe, applyRecipe } from './extraction_recipes.js';
+import { normalizePaginateOptions, findNextPage, stitchArticlePages } from './pagination.js';
+import { normalizeAssetOptions, collectAssets, downloadAssets } from './assets.js';
+import { writeWarcSegment, bundleWarc } from './warc_archive.js';
+import { createJob, startJob, finishJob, normalizePriority, cancellationCheck } from './jobs.js';
+import {
+  ensureFrontierTables,
+  initCrawlJob,
+  getCrawlJob,
+  addToFrontier,
+  releaseFrontierBatch,
+  claimFrontierUrl,
+  finishFrontierUrl,
+  isCrawled,
+  recordCrawledPage,
+  finalizeCrawlJob,
+  resetFrontier,
+  frontierCounts,
+  RESUMABLE_STATUSES
+} from './crawl_frontier.js';
+import {
+  CACHE_MODES,
+  readCachedScrape,
+  writeCachedScrape,
+  refreshCachedScrape,
+  isFresh,
+  conditionalHeaders,
+  parseCacheHeaders
+} from './scrape_cache.js';
+import {
+  isValidUrl,
+  retry,
+  generateJobId,
+  runWithConcurrency,
+  findDomainMatch,
+  httpError,
+  contentError,
+  classifyError,
+  parseRetryAfter
+} from '../utils/helpers.js';
+import { canonicalizeUrl, resolveCanonicalUrl } from '../utils/url_normalizer.js';
+import { decodeBody } from '../utils/charset.js';
+import { parseDocument, findFirst, findAll, textContent, innerText, resolveUrl } from '../utils/html_parser.js';
 import CONFIG from '../../config.json';
 
+const MAX_LINKS_PER_PAGE = 200;
+const MAX_CONTENT_LENGTH = 50000;
+const CRAWL_MODES = ['manual', 'auto', 'sitemap'];
+
+// Scraping strategies by name; scraper.strategies orders them globally and per domain
+const STRATEGIES = new Map();
+
+registerStrategy('fetch', scrapeWithFetch);
+registerStrategy('puppeteer', scrapeWithBrowser, { available: env => !!getRenderBackend(env) });
+registerStrategy('api', scrapeWithAPI, { available: isScrapingApiConfigured });
+
+/**
+ * Register a scraping strategy under a name usable in scraper.strategies
+ * @param {Function} fn - (url, env, { validators, render, recipe, warc }) => parsed page or { not_modified }
+ * @param {object} options - { available: env => boolean } skips the strategy when it isn't configured
+ */
+export function registerStrategy(name, fn, options = {}) {
+  STRATEGIES.set(name, { name, fn, available: options.available || (() => true) });
+}
+
 /**
  * Main crawl handler
+ * Each crawl is tracked as a job in D1 (see jobs.js) when the DB binding is available.
+ * With `async: true` the crawl is only validated and queued; the queue consumer runs it.
+ * @param {object} options - { job_id } runs a job recorded ahead of time (by the queue consumer)
  */
-export async function handleCrawl(params, env, ctx) {
+export async function handleCrawl(params, env, ctx, options = {}) {
   const {
     url,
     mode = 'manual',
     depth = 1,
-    source = 'manual'
+    source = 'manual',
+    sitemap_url = null,
+    lastmod_since = null,
+    lastmod_until = null,
+    url_pattern = null,
+    cache = 'revalidate',
+    include = [],
+    exclude = [],
+    subdomains = 'none',
+    max_pages = CONFIG.scraper.max_pages_per_domain,
+    max_depth = depth,
+    exclude_extensions = CONFIG.scraper.excluded_extensions,
+    concurrency = 1,
+    distributed = true,
+    resume_job_id = null,
+    render = null,
+    paginate = null,
+    assets = null,
+    warc = false,
+    async: submitAsync = false,
+    priority = null
   } = params;
 
+  if (resume_job_id) {
+    return await resumeCrawl(resume_job_id, env);
+  }
+
   // Validate URL
   if (!url || !isValidUrl(url)) {
     return {
@@ -27,31 +127,196 @@ export async function handleCrawl(params, env, ctx) {
     };
   }
 
-  const jobId = generateJobId();
-  console.log(`Starting crawl job ${jobId}:`, { url, mode, depth });
+  // Checked before a job is recorded for the crawl
+  if (!CRAWL_MODES.includes(mode)) {
+    return {
+      success: false,
+      error: `Unknown mode: ${mode}`
+    };
+  }
+
+  if (!CACHE_MODES.includes(cache)) {
+    return {
+      success: false,
+      error: `Unknown cache mode: ${cache}`
+    };
+  }
 
+  let scope;
+  let renderOptions = null;
+  let paginateOptions = null;
+  let assetOptions = null;
+  let jobPriority;
   try {
-    let result;
+    // Rendering, pagination, asset and sitemap options are validated up front, like the scope
+    jobPriority = normalizePriority(priority);
+    validateSitemapFilters({ lastmod_since, lastmod_until, url_pattern });
+    renderOptions = render ? normalizeRenderOptions(render) : null;
+    paginateOptions = paginate ? normalizePaginateOptions(paginate) : null;
+    assetOptions = assets ? normalizeAssetOptions(assets) : null;
+    scope = createCrawlScope(url, {
+      include,
+      exclude,
+      subdomains,
+      max_pages,
+      max_depth,
+      exclude_extensions
+    }, env);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      status_code: 400
+    };
+  }
 
-    if (mode === 'manual') {
-      // Single URL scrape
-      result = await scrapeSingleUrl(url, env);
-    } else if (mode === 'auto') {
-      // Recursive crawl
-      result = await crawlRecursive(url, depth, env);
-    } else {
+  // Assets are archived per stored page, and in-request crawls store one combined result
+  const distributedCrawl = mode === 'auto' && distributed && !!env.DB && !!env.SCRAPE_QUEUE;
+  if (assetOptions && mode !== 'manual' && !distributedCrawl) {
+    return {
+      success: false,
+      error: 'assets are only archived for manual scrapes and distributed crawls'
+    };
+  }
+
+  if (warc && !env.CRAWL_BUCKET) {
+    return {
+      success: false,
+      error: 'WARC output requires the CRAWL_BUCKET binding'
+    };
+  }
+
+  // Parallel fetches per crawl, bounded by config
+  const workers = Math.min(Math.max(parseInt(concurrency) || 1, 1), CONFIG.scraper.max_concurrency);
+
+  if (submitAsync) {
+    return await submitCrawlJob(params, { url, mode, depth: scope.max_depth, source, priority: jobPriority }, env);
+  }
+
+  const jobId = options.job_id || generateJobId();
+  console.log(`Starting crawl job ${jobId}:`, { url, mode, depth: scope.max_depth });
+
+  if (env.DB) {
+    const job = await startJob(env.DB, {
+      job_id: jobId,
+      url,
+      mode,
+      depth: scope.max_depth,
+      source,
+      priority: jobPriority,
+      params
+    });
+    if (!job) {
+      // A redelivered message for a job that already finished or was cancelled
       return {
         success: false,
-        error: `Unknown mode: ${mode}`
+        job_id: jobId,
+        error: `Job ${jobId} is no longer pending`,
+        error_kind: 'permanent'
       };
     }
+  }
 
-    // Store results
-    if (result.success) {
-      const storageResult = await storeResult(result.data, env, ctx);
+  try {
+    let result;
+
+    let original = null;
+    let screenshot = null;
+    let assetFiles = null;
+    let pageFiles = null;
+    let exchanges = [];
+
+    // WARC output records every fetch of the crawl under its job id
+    const warcJobId = warc ? jobId : null;
+
+    // In-request crawls stop before their next page once the job is cancelled
+    const cancelled = env.DB ? cancellationCheck(env.DB, jobId) : null;
+
+    if (mode === 'manual' && paginateOptions?.type === 'listing') {
+      // A paginated listing only yields links
+      ({ exchanges, ...result } = await scrapeListing(url, env, {
+        cache,
+        render: renderOptions,
+        paginate: paginateOptions,
+        warc: !!warc
+      }));
+    } else if (mode === 'manual') {
+      // Single URL scrape; documents and screenshots are archived beside the JSON, not returned
+      ({ original, screenshot, exchanges, ...result } = await scrapeSingleUrl(url, env, {
+        cache,
+        render: renderOptions,
+        paginate: paginateOptions,
+        warc: !!warc
+      }));
+
+      if (assetOptions && result.success) {
+        assetFiles = await downloadAssets(result.data.assets || [], env, assetOptions);
+      }
+    } else if (distributedCrawl) {
+      // Fan the crawl out over the queue, one message per page
+      result = await startDistributedCrawl(jobId, url, scope, {
+        cache,
+        render: renderOptions,
+        paginate: paginateOptions,
+        assets: assetOptions,
+        warc: warcJobId
+      }, env);
+    } else if (mode === 'auto') {
+      // Recursive crawl within this invocation; each page's document and screenshot
+      // are archived beside the combined result
+      ({ files: pageFiles, ...result } = await crawlRecursive(url, scope.max_depth, env, {
+        cache,
+        scope,
+        concurrency: workers,
+        render: renderOptions,
+        paginate: paginateOptions,
+        warc: warcJobId,
+        cancelled
+      }));
+    } else {
+      // Crawl the URLs listed in the site's sitemaps (pages' files archived as above)
+      ({ files: pageFiles, ...result } = await crawlSitemap(url, {
+        sitemap_url,
+        lastmod_since,
+        lastmod_until,
+        url_pattern,
+        cache,
+        scope,
+        concurrency: workers,
+        render: renderOptions,
+        paginate: paginateOptions,
+        warc: warcJobId,
+        cancelled
+      }, env));
+    }
+
+    // Store results (distributed crawls store each page as it is processed)
+    if (result.success && !result.queued) {
+      const storageResult = await storeResult({ ...result.data, job_id: jobId }, env, ctx, {
+        original,
+        screenshot,
+        pages: pageFiles,
+        assets: assetFiles
+      });
       result.storage = storageResult;
     }
 
+    // In-request crawls are bundled now; distributed crawls when their last page finishes
+    if (warcJobId) {
+      await writeWarcSegment(jobId, exchanges, env);
+      result.warc = {
+        ...(!result.queued && await bundleWarc(jobId, env)),
+        download_url: `/api/warc/${jobId}`,
+        cdxj_url: `/api/warc/${jobId}/cdxj`
+      };
+    }
+
+    // In-request crawls end here; distributed crawls when their frontier is exhausted
+    if (env.DB && !result.queued) {
+      const error = crawlFailure(result);
+      await finishJob(env.DB, jobId, error ? 'failed' : 'succeeded', { error, result: jobOutput(result) });
+    }
+
     return {
       success: true,
       job_id: jobId,
@@ -62,296 +327,1147 @@ export async function handleCrawl(params, env, ctx) {
 
   } catch (error) {
     console.error('Crawl error:', error);
+    if (env.DB) {
+      await finishJob(env.DB, jobId, 'failed', { error: error.message });
+    }
+
     return {
       success: false,
       job_id: jobId,
-      error: error.message
+      error: error.message,
+      error_kind: classifyError(error),
+      ...(error.status && { origin_status: error.status }),
+      ...(error.retry_after_ms && { retry_after_ms: error.retry_after_ms }),
+      ...(error.attempts && { attempts: error.attempts })
+    };
+  }
+}
+
+/**
+ * Record a crawl as a pending job and put it on the queue (handleCrawl with async: true)
+ * @param {object} job - { url, mode, depth, source, priority } from the validated params
+ * @returns {Promise<object>} The job id and where to follow its status
+ */
+async function submitCrawlJob(params, job, env) {
+  if (!env.DB || !env.SCRAPE_QUEUE) {
+    return {
+      success: false,
+      error: 'Asynchronous crawls require the DB and SCRAPE_QUEUE bindings'
     };
   }
+
+  const jobId = generateJobId();
+  const jobParams = { ...params, priority: job.priority };
+  delete jobParams.async;
+
+  await createJob(env.DB, { ...job, job_id: jobId, params: jobParams });
+  await env.SCRAPE_QUEUE.send({
+    id: jobId,
+    params: jobParams,
+    priority: job.priority,
+    timestamp: new Date().toISOString()
+  });
+
+  console.log(`Queued crawl job ${jobId}:`, { url: job.url, mode: job.mode, priority: job.priority });
+
+  return {
+    success: true,
+    job_id: jobId,
+    status: 'pending',
+    mode: job.mode,
+    source: job.source,
+    priority: job.priority,
+    status_url: `/api/jobs/${jobId}`
+  };
+}
+
+/**
+ * Why an in-request crawl failed: the scrape (e.g. blocked by robots.txt) or its storage
+ * @returns {string|null}
+ */
+function crawlFailure(result) {
+  if (!result.success) return result.error || result.status || 'Crawl failed';
+  if (result.storage && !result.storage.success) return `Storage failed: ${result.storage.error}`;
+  return null;
+}
+
+/**
+ * Links to what an in-request crawl stored, kept with its job
+ */
+function jobOutput(result) {
+  const storage = result.storage?.storage;
+  const duplicate = result.storage?.duplicate_of;
+
+  return {
+    ...(storage?.r2 && { json_key: storage.r2.json_key, markdown_key: storage.r2.markdown_key }),
+    ...(storage?.metadata && { metadata_id: storage.metadata.inserted_id }),
+    ...(storage?.assets && { assets: storage.assets.length }),
+    ...(duplicate && { duplicate_of: { url: duplicate.url, json_key: duplicate.json_key } }),
+    ...(result.warc && { warc: result.warc })
+  };
 }
 
 /**
  * Scrape a single URL with adaptive strategy
+ * @param {object} options - { cache: 'bypass' | 'revalidate' | 'prefer', render, paginate }
+ *   bypass: ignore the cache; revalidate: serve fresh entries, revalidate stale ones
+ *   with a conditional request; prefer: serve any cached entry
+ *   render: normalized browser options; the page is rendered before plain fetch is tried
+ *   paginate: normalized pagination options; article pages are followed and stitched together
+ *   warc: record each plain fetch for WARC output (skips the cache); the records come back as
+ *   `exchanges`, beside the data
+ */
+export async function scrapeSingleUrl(url, env, options = {}) {
+  const { exchange, ...first } = await scrapePage(url, env, options);
+  const exchanges = exchange ? [exchange] : [];
+
+  if (!first.success || options.paginate?.type !== 'article' || !first.data.next_page) {
+    return { ...first, exchanges };
+  }
+
+  const { pages, stopped, exchanges: followed } = await followNextPages(url, first.data, env, options);
+  exchanges.push(...followed);
+  if (pages.length === 1) {
+    return { ...first, exchanges };
+  }
+
+  const data = await stitchArticlePages(pages);
+  if (stopped) data.pagination.stopped = stopped;
+
+  return { ...first, data, exchanges };
+}
+
+/**
+ * Follow a paginated listing from its first page and collect the links of every page
+ * Listing pages are link sources only, so their content is not kept.
+ * @param {object} options - { cache, render, paginate, warc }
  */
-export async function scrapeSingleUrl(url, env) {
+async function scrapeListing(url, env, options = {}) {
+  const pageOptions = { cache: options.cache, render: options.render, warc: options.warc };
+  const { exchange, ...first } = await scrapePage(url, env, pageOptions);
+
+  if (!first.success) {
+    return { ...first, exchanges: exchange ? [exchange] : [] };
+  }
+
+  const { pages, stopped, exchanges } = await followNextPages(url, first.data, env, {
+    ...pageOptions,
+    paginate: options.paginate
+  });
+
+  const links = [...new Set(pages.flatMap(page => page.links || []))];
+
+  return {
+    success: true,
+    data: {
+      url,
+      canonical_url: first.data.canonical_url,
+      title: first.data.title,
+      type: 'listing',
+      links,
+      pagination: {
+        type: 'listing',
+        page_count: pages.length,
+        pages: pages.map(page => page.url),
+        ...(stopped && { stopped })
+      },
+      scraped_at: new Date().toISOString()
+    },
+    exchanges: exchange ? [exchange, ...exchanges] : exchanges
+  };
+}
+
+/**
+ * Scrape the pages after `firstPage` by their next links, up to paginate.max_pages
+ * Pages already fetched so far are kept when one fails.
+ * @returns {Promise<{pages: object[], stopped: string|null, exchanges: object[]}>} Page data in
+ *   order, why pagination ended early (robots.txt block or error), if it did, and the fetches
+ *   recorded for WARC output
+ */
+async function followNextPages(url, firstPage, env, options) {
+  const pages = [firstPage];
+  const exchanges = [];
+  const seen = new Set([canonicalizeUrl(url), firstPage.canonical_url]);
+  let next = firstPage.next_page;
+
+  while (next && pages.length < options.paginate.max_pages && !seen.has(canonicalizeUrl(next))) {
+    seen.add(canonicalizeUrl(next));
+
+    try {
+      const page = await scrapePage(next, env, options);
+      if (page.exchange) exchanges.push(page.exchange);
+      if (!page.success) {
+        return { pages, stopped: page.status, exchanges };
+      }
+
+      pages.push(page.data);
+      next = page.data.next_page;
+    } catch (error) {
+      console.error(`Pagination stopped at ${next}:`, error.message);
+      return { pages, stopped: error.message, exchanges };
+    }
+  }
+
+  return { pages, stopped: null, exchanges };
+}
+
+/**
+ * Scrape one page: cache, robots.txt, then each strategy in order
+ */
+async function scrapePage(url, env, options = {}) {
+  const { cache = 'revalidate', render = null, warc = false } = options;
   console.log('Scraping URL:', url);
 
-  // Check cache first
-  const cached = await checkCache(url, env.CACHE);
-  if (cached) {
+  // Check cache first (a requested screenshot needs a fresh render, WARC records a real fetch)
+  const skipCache = cache === 'bypass' || (render && render.screenshot) || warc;
+  const entry = skipCache ? null : await readCachedScrape(url, env.CACHE);
+  if (entry && (cache === 'prefer' || isFresh(entry))) {
     console.log('Cache hit for:', url);
     return {
       success: true,
       cached: true,
-      data: cached
+      cache_status: 'hit',
+      data: entry.data
     };
   }
 
-  // Try scraping strategies in order
-  const strategies = [
-    { name: 'fetch', fn: scrapeWithFetch },
-    { name: 'puppeteer', fn: scrapeWithBrowser },
-    { name: 'api', fn: scrapeWithAPI }
-  ];
+  // Honor robots.txt before any strategy touches the site
+  const robots = await checkRobots(url, env);
+  if (!robots.allowed) {
+    console.log(`Blocked by robots.txt (${robots.rule}):`, url);
+    return {
+      success: false,
+      status: 'blocked_by_robots',
+      url,
+      rule: robots.rule
+    };
+  }
+
+  // A site recipe (see extraction_recipes.js) replaces generic extraction of HTML pages
+  const recipe = await findRecipe(url, env);
 
-  let lastError;
+  // Try scraping strategies in order; pages that come back empty fall through to the next one.
+  // Every attempt is recorded with its outcome: success, not_modified, empty, unavailable or error
+  const attempts = [];
+  const failures = [];
+  let refused = null;
+
+  for (const name of strategyOrder(url, render)) {
+    const attempt = { strategy: name, outcome: 'error', error: null, error_kind: null, duration_ms: 0 };
+    const started = Date.now();
+    attempts.push(attempt);
 
-  for (const strategy of strategies) {
     try {
-      console.log(`Attempting strategy: ${strategy.name}`);
-      const result = await strategy.fn(url, env);
+      const strategy = STRATEGIES.get(name);
+      if (!strategy) {
+        throw new Error(`Unknown strategy: ${name}`);
+      }
+
+      if (!strategy.available(env)) {
+        attempt.outcome = 'unavailable';
+        continue;
+      }
+
+      console.log(`Attempting strategy: ${name}`);
+      const result = await strategy.fn(url, env, { validators: entry, render, recipe, warc });
+      attempt.duration_ms = Date.now() - started;
+
+      // The origin confirmed the cached copy is still current
+      if (result && result.not_modified && entry) {
+        console.log('Revalidated cached copy for:', url);
+        attempt.outcome = 'not_modified';
+        return {
+          success: true,
+          cached: true,
+          cache_status: 'revalidated',
+          data: await refreshCachedScrape(url, entry, result.headers, env.CACHE),
+          attempts
+        };
+      }
 
       if (result && result.content) {
+        attempt.outcome = 'success';
+
         // Convert to markdown
-        const markdown = await convertToMarkdown(result);
+        const markdown = await convertToMarkdown({ ...result, url });
 
         const data = {
           url,
+          canonical_url: resolveCanonicalUrl(url, result.metadata?.canonical_url),
           title: result.title,
           content: result.content,
+          full_text: result.full_text || result.content,
+          byline: result.byline || null,
+          published_at: result.published_at || null,
+          lead_image: result.lead_image || null,
+          excerpt: result.excerpt || null,
           content_md: markdown,
           links: result.links || [],
+          anchors: result.anchors || [],
+          assets: result.assets || [],
+          next_page: result.next_page || null,
           metadata: result.metadata || {},
+          score: calculateProphecyScore({
+            title: result.title || '',
+            description: result.content,
+            metadata: result.metadata
+          }),
           scraped_at: new Date().toISOString(),
-          method: strategy.name
+          method: name
         };
 
-        // Cache the result
-        await cacheResult(url, data, env.CACHE);
+        // Cache the result with the origin's validators
+        await writeCachedScrape(url, data, result.validators, env.CACHE);
 
+        // The original document, screenshot and WARC exchange travel beside the data so they stay out of the cache
         return {
           success: true,
-          data
+          cache_status: cache === 'bypass' ? 'bypass' : 'miss',
+          data,
+          original: result.original || null,
+          screenshot: result.screenshot || null,
+          exchange: result.exchange || null,
+          attempts
         };
       }
+
+      attempt.outcome = 'empty';
     } catch (error) {
-      console.error(`Strategy ${strategy.name} failed:`, error.message);
-      lastError = error;
+      console.error(`Strategy ${name} failed:`, error.message);
+      attempt.duration_ms = Date.now() - started;
+      attempt.error = error.message;
+      attempt.error_kind = classifyError(error);
+      failures.push(error);
+
+      // The origin said the page is gone (scraper.strategies.stop_statuses); a browser or
+      // scraping API would only be paid to get the same answer. Other 4xx such as 403 are
+      // often bot protection, which later strategies exist to get past.
+      if (isStopStatus(error.origin_status)) {
+        refused = error;
+        break;
+      }
     }
   }
 
-  throw new Error(`All scraping strategies failed. Last error: ${lastError?.message}`);
+  const summary = attempts.map(attempt => `${attempt.strategy}: ${attempt.error || attempt.outcome}`).join('; ');
+
+  // Serve a stale copy rather than nothing when the page couldn't be fetched (not when the
+  // origin answered that it is gone)
+  if (entry && !refused) {
+    console.warn(`Serving stale cached copy for ${url}:`, summary);
+    return {
+      success: true,
+      cached: true,
+      cache_status: 'stale',
+      data: entry.data,
+      attempts
+    };
+  }
+
+  if (refused) {
+    const error = new Error(`Origin refused the page (${summary})`);
+    error.attempts = attempts;
+    error.kind = 'permanent';
+    error.status = refused.origin_status;
+    throw error;
+  }
+
+  // Worth retrying later if any strategy failed transiently; otherwise content or permanent
+  const kinds = failures.map(classifyError);
+  const error = new Error(`All scraping strategies failed (${summary})`);
+  error.attempts = attempts;
+  error.kind = ['retryable', 'content'].find(kind => kinds.includes(kind)) ||
+    (attempts.some(attempt => attempt.outcome === 'empty') ? 'content' : 'permanent');
+  error.retry_after_ms = Math.max(0, ...failures.map(failure => failure.retry_after_ms || 0));
+  throw error;
+}
+
+/**
+ * HTTP error for a status the origin itself returned (not a scraping service's own status)
+ */
+function originError(status, message, retryAfterMs) {
+  const error = httpError(status, message, retryAfterMs);
+  error.origin_status = status;
+  return error;
+}
+
+/**
+ * Whether an origin status means the page is gone and no other strategy should be tried
+ */
+function isStopStatus(status) {
+  return !!status && (CONFIG.scraper.strategies.stop_statuses || [404, 410]).includes(status);
 }
 
 /**
- * Strategy 1: Basic fetch with HTML parsing
+ * Strategy names to try for a URL: the most specific scraper.strategies.domains
+ * entry matching its host (see findDomainMatch), else the default order;
+ * rendering puts the browser first
  */
-async function scrapeWithFetch(url, env) {
-  const userAgent = CONFIG.scraper.user_agents[0];
+function strategyOrder(url, render) {
+  const { default: defaults, domains = {} } = CONFIG.scraper.strategies;
+  const domain = findDomainMatch(new URL(url).hostname, Object.keys(domains));
+  const order = domain ? domains[domain] : defaults;
+  return render ? ['puppeteer', ...order.filter(name => name !== 'puppeteer')] : order;
+}
+
+/**
+ * Strategy 1: Basic fetch with HTML parsing (documents go to the document extractors)
+ * Sends a conditional request when a cached entry's validators are given; with `warc`,
+ * the request and response are returned as `exchange` for WARC output
+ */
+async function scrapeWithFetch(url, env, options = {}) {
+  let requestHeaders = [];
+  let fetchedAt = null;
+  let started = 0;
 
+  // Each attempt picks its user agent from the domain's request profile
   const response = await retry(async () => {
-    const res = await fetch(url, {
+    fetchedAt = new Date();
+    started = Date.now();
+
+    const res = await fetchWithProfile(url, {
       headers: {
-        'User-Agent': userAgent,
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        ...conditionalHeaders(options.validators)
       },
       signal: AbortSignal.timeout(CONFIG.scraper.timeout_ms)
+    }, env, {
+      onRequest: (requestUrl, headers) => {
+        requestHeaders = [...headers];
+      }
     });
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    if (!res.ok && res.status !== 304) {
+      throw originError(res.status, `HTTP ${res.status}: ${res.statusText}`, parseRetryAfter(res.headers.get('retry-after')));
     }
 
     return res;
   }, {
-    maxRetries: CONFIG.scraper.max_retries
+    maxRetries: CONFIG.scraper.max_retries,
+    initialDelay: CONFIG.scraper.retry.initial_delay_ms,
+    maxDelay: CONFIG.scraper.retry.max_delay_ms,
+    jitter: CONFIG.scraper.retry.jitter,
+    maxElapsed: CONFIG.scraper.retry.max_elapsed_ms
   });
 
-  const html = await response.text();
+  if (response.status === 304) {
+    return { not_modified: true, headers: response.headers };
+  }
+
   const contentType = response.headers.get('content-type') || '';
+  const body = new Uint8Array(await response.arrayBuffer());
+
+  const exchange = options.warc ? {
+    url,
+    final_url: response.url || url,
+    fetched_at: fetchedAt.toISOString(),
+    request: { method: 'GET', headers: requestHeaders },
+    response: { status: response.status, status_text: response.statusText, headers: [...response.headers] },
+    body,
+    metadata: { fetchTimeMs: Date.now() - started }
+  } : null;
+
+  // PDFs, DOCX, plain text, XML and JSON go through the document extractors
+  if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+    const documentType = detectDocumentType(contentType, body, url);
+
+    if (!documentType) {
+      throw contentError(`Unexpected content type: ${contentType}`);
+    }
+
+    let document;
+    try {
+      document = await extractDocument(body, documentType, url, contentType);
+    } catch (error) {
+      throw contentError(`Could not extract ${documentType}: ${error.message}`);
+    }
 
-  if (!contentType.includes('text/html')) {
-    throw new Error(`Unexpected content type: ${contentType}`);
+    return {
+      ...document,
+      metadata: {
+        contentType,
+        contentLength: body.byteLength,
+        ...document.metadata
+      },
+      validators: parseCacheHeaders(response.headers),
+      original: {
+        body,
+        content_type: contentType,
+        extension: DOCUMENT_EXTENSIONS[documentType]
+      },
+      exchange: exchange && { ...exchange, metadata: { ...exchange.metadata, document_type: documentType, outlink: document.links || [] } }
+    };
   }
 
-  // Parse HTML (simplified - in production, use cheerio or similar)
-  const parsed = parseHTML(html);
+  // Pages are decoded by their BOM, Content-Type charset or in-document declaration
+  const { text: html, encoding, source: encodingSource } = decodeBody(body, contentType);
+  const parsed = parseHTML(html, url, options.recipe);
+  const contentLanguage = response.headers.get('content-language');
+
+  if (exchange) {
+    exchange.metadata = { ...exchange.metadata, charset: encoding, outlink: parsed.links };
+  }
 
   return {
     title: parsed.title,
     content: parsed.content,
+    full_text: parsed.full_text,
+    byline: parsed.byline,
+    published_at: parsed.published_at,
+    lead_image: parsed.lead_image,
+    excerpt: parsed.excerpt,
     links: parsed.links,
+    anchors: parsed.anchors,
+    assets: parsed.assets,
+    next_page: parsed.next_page,
     metadata: {
       contentType,
-      contentLength: html.length
-    }
+      contentLength: html.length,
+      encoding,
+      encoding_source: encodingSource,
+      ...parsed.metadata,
+      // <html lang> and in-page declarations first, then the Content-Language header
+      language: parsed.metadata.language || (contentLanguage && contentLanguage.split(',')[0].trim()) || null
+    },
+    validators: parseCacheHeaders(response.headers),
+    exchange
   };
 }
 
 /**
- * Strategy 2: Browser rendering (Puppeteer/Browserless)
- * This would require Cloudflare Browser Rendering API or external service
+ * Strategy 2: Browser rendering (Cloudflare Browser Rendering binding or a CDP endpoint)
+ * Renders JavaScript-driven pages, optionally with a full-page screenshot
  */
-async function scrapeWithBrowser(url, env) {
-  // Note: This requires Cloudflare Browser Rendering API
-  // Or an external Puppeteer service
-  // For now, we'll throw to move to next strategy
+async function scrapeWithBrowser(url, env, options = {}) {
+  const render = options.render || normalizeRenderOptions();
 
-  throw new Error('Browser rendering not configured');
+  // The domain's request profile supplies the user agent, extra headers and cookies
+  const { headers, cookies } = await buildRequestHeaders(url, env);
+  const request = {
+    user_agent: headers.get('User-Agent'),
+    headers: Object.fromEntries([...headers].filter(([name]) => name !== 'user-agent' && name !== 'cookie')),
+    cookies
+  };
 
-  // Example implementation with Browser Rendering API:
-  /*
-  const browser = await puppeteer.launch(env.MYBROWSER);
-  const page = await browser.newPage();
-  await page.goto(url, { waitUntil: 'networkidle0' });
+  // The render counts as a request to the host for the politeness scheduler
+  const rendered = await withHostSlot(url, env, () => renderPage(url, env, render, request), page => ({
+    status: page.status
+  }));
 
-  const content = await page.evaluate(() => {
-    return {
-      title: document.title,
-      content: document.body.innerText,
-      html: document.body.innerHTML
-    };
-  });
+  if (rendered.status >= 400) {
+    throw originError(rendered.status, `HTTP ${rendered.status} (rendered)`);
+  }
 
-  await browser.close();
-  return content;
-  */
+  const parsed = parseHTML(rendered.html, url, options.recipe);
+
+  return {
+    title: parsed.title,
+    content: parsed.content,
+    full_text: parsed.full_text,
+    byline: parsed.byline,
+    published_at: parsed.published_at,
+    lead_image: parsed.lead_image,
+    excerpt: parsed.excerpt,
+    links: parsed.links,
+    anchors: parsed.anchors,
+    assets: parsed.assets,
+    next_page: parsed.next_page,
+    metadata: {
+      contentType: 'text/html',
+      contentLength: rendered.html.length,
+      rendered_with: rendered.backend,
+      final_url: rendered.final_url,
+      ...parsed.metadata
+    },
+    screenshot: rendered.screenshot && {
+      body: rendered.screenshot,
+      content_type: 'image/png'
+    }
+  };
 }
 
 /**
- * Strategy 3: External API fallback
+ * Strategy 3: External scraping API (see scraper.api in config.json)
  */
-async function scrapeWithAPI(url, env) {
-  // Fallback to external scraping API (e.g., ScraperAPI, Apify, etc.)
-  throw new Error('API scraping not configured');
-
-  // Example:
-  /*
-  const apiUrl = `https://api.scraperapi.com?api_key=${env.SCRAPER_API_KEY}&url=${encodeURIComponent(url)}`;
-  const response = await fetch(apiUrl);
-  const html = await response.text();
-  return parseHTML(html);
-  */
+async function scrapeWithAPI(url, env, options = {}) {
+  // The service fetches the page for us, but the request still counts against the host
+  const page = await withHostSlot(url, env, () => fetchViaScrapingApi(url, env), response => ({
+    status: response.status
+  }));
+
+  if (page.status >= 400) {
+    throw originError(page.status, `HTTP ${page.status} (via scraping API)`);
+  }
+
+  const parsed = parseHTML(page.html, url, options.recipe);
+
+  return {
+    title: parsed.title,
+    content: parsed.content,
+    full_text: parsed.full_text,
+    byline: parsed.byline,
+    published_at: parsed.published_at,
+    lead_image: parsed.lead_image,
+    excerpt: parsed.excerpt,
+    links: parsed.links,
+    anchors: parsed.anchors,
+    assets: parsed.assets,
+    next_page: parsed.next_page,
+    metadata: {
+      contentType: 'text/html',
+      contentLength: page.html.length,
+      final_url: page.final_url,
+      ...parsed.metadata
+    }
+  };
 }
 
 /**
- * Recursive crawling with depth limit
+ * Recursive crawling within a crawl scope (hosts, patterns, extensions, page and depth budgets)
+ * Each depth level is fetched by a pool of `concurrency` workers; the per-host
+ * scheduler keeps requests to the same host polite. `options.cancelled` (async () => boolean)
+ * stops the crawl before its next page.
+ * @returns {Promise<object>} { success, data, files } where files holds each crawled page's
+ *   original document and screenshot, aligned with data.pages
  */
-async function crawlRecursive(startUrl, maxDepth, env) {
+async function crawlRecursive(startUrl, maxDepth, env, options = {}) {
+  const scope = options.scope || createCrawlScope(startUrl, { max_depth: maxDepth }, env);
+  const concurrency = options.concurrency || 1;
+
+  // Visited URLs are tracked in canonical form
   const visited = new Set();
+  const queued = new Set([canonicalizeUrl(startUrl)]);
   const results = [];
-  const domain = extractDomain(startUrl);
-  const queue = [{ url: startUrl, depth: 0 }];
+  const files = [];
+  const blocked = [];
+  const outOfScope = {};
+  let level = [{ url: startUrl, depth: 0 }];
+  let nextLevel = [];
+  let inFlight = 0;
+  let stopped = false;
+
+  // Pages in flight count against the budget until they finish
+  const hasBudget = () => !stopped && results.length + inFlight < scope.max_pages;
 
-  console.log(`Starting recursive crawl from ${startUrl} with max depth ${maxDepth}`);
+  // Queue in-scope links found at `depth` for the next level
+  const queueLinks = (links, depth) => {
+    for (const link of links) {
+      const linkCanonical = canonicalizeUrl(link);
+      if (visited.has(linkCanonical) || queued.has(linkCanonical)) continue;
 
-  while (queue.length > 0 && results.length < CONFIG.scraper.max_pages_per_domain) {
-    const { url, depth } = queue.shift();
+      const check = checkScope(scope, link);
+      if (!check.allowed) {
+        outOfScope[check.reason] = (outOfScope[check.reason] || 0) + 1;
+        continue;
+      }
+
+      queued.add(linkCanonical);
+      nextLevel.push({ url: link, depth: depth + 1 });
+    }
+  };
+
+  const crawlPage = async ({ url, depth }) => {
+    const canonical = canonicalizeUrl(url);
 
     // Skip if already visited or depth exceeded
-    if (visited.has(url) || depth > maxDepth) {
-      continue;
+    if (visited.has(canonical) || depth > scope.max_depth) {
+      return;
+    }
+
+    if (options.cancelled && await options.cancelled()) {
+      stopped = true;
+      return;
     }
 
-    visited.add(url);
+    visited.add(canonical);
+    inFlight++;
 
     try {
-      // Scrape the page
-      const result = await scrapeSingleUrl(url, env);
+      // Scrape the page (and the rest of a multi-page article)
+      const result = await scrapeSingleUrl(url, env, {
+        cache: options.cache,
+        render: options.render,
+        paginate: options.paginate,
+        warc: !!options.warc
+      });
+
+      if (options.warc) await writeWarcSegment(options.warc, result.exchanges, env);
+
+      // The page may declare a canonical URL that was already crawled
+      const duplicate = result.success &&
+        result.data.canonical_url !== canonical &&
+        visited.has(result.data.canonical_url);
 
-      if (result.success) {
+      if (result.success && !duplicate) {
+        visited.add(result.data.canonical_url);
         results.push(result.data);
+        files.push({ original: result.original, screenshot: result.screenshot });
 
-        // Add links from this page to queue (only same domain)
-        if (depth < maxDepth && result.data.links) {
-          for (const link of result.data.links) {
-            const linkDomain = extractDomain(link);
-            if (linkDomain === domain && !visited.has(link)) {
-              queue.push({ url: link, depth: depth + 1 });
-            }
-          }
+        // Later pages of a stitched article are part of this result
+        for (const pageUrl of result.data.pagination?.pages || []) {
+          visited.add(canonicalizeUrl(pageUrl));
         }
-      }
 
-      // Rate limiting delay
-      await sleep(CONFIG.scraper.delay_between_requests_ms);
+        // Queue in-scope links from this page for the next level
+        if (depth < scope.max_depth && result.data.links) {
+          queueLinks(result.data.links, depth);
+        }
+      } else if (result.status === 'blocked_by_robots') {
+        blocked.push({ url, rule: result.rule });
+      }
 
     } catch (error) {
       console.error(`Error crawling ${url}:`, error.message);
+    } finally {
+      inFlight--;
+    }
+  };
+
+  console.log(`Starting recursive crawl from ${startUrl} with max depth ${scope.max_depth} (concurrency ${concurrency})`);
+
+  // A paginated listing start page is a link source only: its pages seed depth 1
+  let listing = null;
+  if (options.paginate?.type === 'listing') {
+    const result = await scrapeListing(startUrl, env, { ...options, warc: !!options.warc });
+    if (options.warc) await writeWarcSegment(options.warc, result.exchanges, env);
+
+    if (result.success) {
+      listing = result.data.pagination;
+      for (const pageUrl of listing.pages) {
+        visited.add(canonicalizeUrl(pageUrl));
+      }
+      visited.add(result.data.canonical_url);
+
+      level = [];
+      if (scope.max_depth > 0) queueLinks(result.data.links, 0);
+    } else if (result.status === 'blocked_by_robots') {
+      blocked.push({ url: startUrl, rule: result.rule });
+      level = [];
     }
   }
 
+  // Finish each depth level before starting the next, so pages are crawled breadth-first
+  while (results.length < scope.max_pages && !stopped) {
+    if (level.length === 0) {
+      if (nextLevel.length === 0) break;
+      level = nextLevel;
+      nextLevel = [];
+    }
+
+    await runWithConcurrency(level, concurrency, crawlPage, hasBudget);
+  }
+
   return {
     success: true,
     data: {
       start_url: startUrl,
       pages_crawled: results.length,
       pages: results,
-      max_depth: maxDepth
+      blocked_by_robots: blocked,
+      skipped_out_of_scope: outOfScope,
+      ...(listing && { listing }),
+      ...(stopped && { cancelled: true }),
+      max_depth: scope.max_depth,
+      concurrency,
+      scope: describeScope(scope)
+    },
+    files
+  };
+}
+
+/**
+ * Start a distributed crawl: persist the job and frontier in D1 and enqueue the start URL
+ */
+async function startDistributedCrawl(jobId, startUrl, scope, options, env) {
+  // A paginated listing is read here; its pages are link sources, so only their links are queued
+  const listing = options.paginate?.type === 'listing'
+    ? await scrapeListing(startUrl, env, { ...options, warc: !!options.warc })
+    : null;
+
+  if (listing && options.warc) await writeWarcSegment(options.warc, listing.exchanges, env);
+
+  if (listing && !listing.success) {
+    return listing;
+  }
+
+  await ensureFrontierTables(env.DB);
+
+  await initCrawlJob(env.DB, {
+    job_id: jobId,
+    mode: 'auto',
+    scope: describeScope(scope),
+    options: {
+      cache: options.cache,
+      render: options.render,
+      paginate: options.paginate,
+      assets: options.assets,
+      warc: !!options.warc
+    }
+  });
+
+  if (listing) {
+    const pages = listing.data.pagination.pages;
+    await addToFrontier(env.DB, jobId, pages.map(url => ({ url, depth: 0 })));
+    for (const url of pages) {
+      await finishFrontierUrl(env.DB, jobId, url, 'listing');
+    }
+
+    const links = scope.max_depth > 0
+      ? listing.data.links.filter(link => checkScope(scope, link).allowed).map(link => ({ url: link, depth: 1 }))
+      : [];
+    await addToFrontier(env.DB, jobId, links);
+  } else {
+    await addToFrontier(env.DB, jobId, [{ url: startUrl, depth: 0 }]);
+  }
+
+  const enqueued = await enqueueFrontier(await getCrawlJob(env.DB, jobId), env);
+
+  return {
+    success: true,
+    queued: true,
+    data: {
+      job_id: jobId,
+      start_url: startUrl,
+      status: 'running',
+      urls_enqueued: enqueued,
+      ...(listing && { listing: listing.data.pagination }),
+      max_depth: scope.max_depth,
+      scope: describeScope(scope)
     }
   };
 }
 
 /**
- * Simple HTML parser (extract title, content, links)
+ * Resume an interrupted distributed crawl from its persisted frontier
+ * Jobs without a frontier, still running or already succeeded are refused with a 409.
  */
-function parseHTML(html) {
-  // Extract title
-  const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-  const title = titleMatch ? titleMatch[1].trim() : 'Untitled';
-
-  // Remove script and style tags
-  let cleanHtml = html
-    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-    .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '');
-
-  // Extract text content
-  const content = cleanHtml
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+async function resumeCrawl(jobId, env) {
+  if (!env.DB || !env.SCRAPE_QUEUE) {
+    return {
+      success: false,
+      error: 'Distributed crawling requires the DB and SCRAPE_QUEUE bindings'
+    };
+  }
 
-  // Extract links
-  const linkMatches = html.matchAll(/<a[^>]+href=["']([^"']+)["']/gi);
-  const links = [...linkMatches]
-    .map(match => match[1])
-    .filter(link => isValidUrl(link))
-    .slice(0, 50); // Limit to 50 links
+  await ensureFrontierTables(env.DB);
+
+  const job = await getCrawlJob(env.DB, jobId);
+  if (!job) {
+    return {
+      success: false,
+      error: `Crawl job ${jobId} not found`
+    };
+  }
+
+  if (!await resetFrontier(env.DB, jobId)) {
+    return {
+      success: false,
+      error: job.max_pages === null
+        ? `Job ${jobId} has no crawl frontier to resume`
+        : `Job ${jobId} is ${job.status}; only ${RESUMABLE_STATUSES.join(', ')} crawls can be resumed`,
+      status_code: 409
+    };
+  }
+
+  const enqueued = await enqueueFrontier(job, env);
+  const completed = enqueued === 0 && await completeCrawl(job, env);
 
   return {
-    title,
-    content: content.substring(0, 50000), // Limit content size
-    links
+    success: true,
+    job_id: jobId,
+    mode: job.mode,
+    source: job.source,
+    result: {
+      success: true,
+      queued: true,
+      data: {
+        job_id: jobId,
+        start_url: job.url,
+        status: completed ? 'succeeded' : 'running',
+        resumed: true,
+        urls_enqueued: enqueued,
+        pages_crawled: job.pages_crawled,
+        frontier: await frontierCounts(env.DB, jobId)
+      }
+    }
   };
 }
 
 /**
- * Check cache for existing result
+ * Process one page of a distributed crawl (called by the queue consumer)
+ * Throws on retryable failures so the message is redelivered.
+ * @param {object} message - { type: 'crawl_page', job_id, url, depth }
  */
-async function checkCache(url, cache) {
-  if (!cache) return null;
+export async function processCrawlPage(message, env, ctx) {
+  const { job_id: jobId, url, depth } = message;
+
+  await ensureFrontierTables(env.DB);
+
+  const job = await getCrawlJob(env.DB, jobId);
+  if (!job || job.status !== 'running') {
+    return { success: true, status: 'ignored' };
+  }
+
+  // Redelivered messages for finished URLs are dropped
+  const entry = await claimFrontierUrl(env.DB, jobId, url);
+  if (!entry) {
+    return { success: true, status: 'duplicate_message' };
+  }
+
+  const scope = createCrawlScope(job.url, job.scope, env);
+  let status;
+  let pageCanonical = null;
 
   try {
-    const key = `scrape:${url}`;
-    const cached = await cache.get(key, { type: 'json' });
+    const result = await scrapeSingleUrl(url, env, {
+      cache: job.options.cache,
+      render: job.options.render,
+      paginate: job.options.paginate,
+      warc: job.options.warc
+    });
+
+    // Every fetch is archived, including pages that turn out to be duplicates
+    if (job.options.warc) await writeWarcSegment(jobId, result.exchanges, env);
 
-    if (cached) {
-      const age = Date.now() - new Date(cached.scraped_at).getTime();
-      const maxAge = 24 * 60 * 60 * 1000; // 24 hours
+    if (result.status === 'blocked_by_robots') {
+      status = 'blocked';
+    } else if (await isCrawled(env.DB, jobId, result.data.canonical_url, entry.id)) {
+      // The page declares a canonical URL the crawl already stored
+      status = 'duplicate';
+    } else if (!await recordCrawledPage(env.DB, jobId)) {
+      status = 'skipped';
+    } else {
+      const assetFiles = job.options.assets
+        ? await downloadAssets(result.data.assets || [], env, job.options.assets)
+        : null;
 
-      if (age < maxAge) {
-        return cached;
+      await storeResult({ ...result.data, source: job.source, job_id: jobId }, env, ctx, {
+        original: result.original,
+        screenshot: result.screenshot,
+        assets: assetFiles
+      });
+      pageCanonical = result.data.canonical_url;
+      status = 'done';
+
+      // Expand in-scope links into the frontier
+      if (depth < scope.max_depth && result.data.links) {
+        const links = result.data.links
+          .filter(link => checkScope(scope, link).allowed)
+          .map(link => ({ url: link, depth: depth + 1 }));
+
+        await addToFrontier(env.DB, jobId, links);
       }
     }
+
   } catch (error) {
-    console.error('Cache check error:', error);
+    // Transient failures go back to the queue; permanent and content errors fail the page now
+    if (classifyError(error) === 'retryable' && entry.attempts < CONFIG.scraper.max_retries) {
+      throw error;
+    }
+
+    console.error(`Giving up on ${url} after ${entry.attempts} attempts:`, error.message);
+    await finishFrontierUrl(env.DB, jobId, url, 'failed', { error: error.message });
+    await advanceCrawl(jobId, env);
+    return { success: false, status: 'failed', error: error.message };
   }
 
-  return null;
+  await finishFrontierUrl(env.DB, jobId, url, status, { page_canonical_url: pageCanonical });
+  await advanceCrawl(jobId, env);
+
+  return { success: true, status };
 }
 
 /**
- * Cache scraping result
+ * Enqueue more frontier URLs, or complete the crawl when there is nothing left
  */
-async function cacheResult(url, data, cache) {
-  if (!cache) return;
+async function advanceCrawl(jobId, env) {
+  const job = await getCrawlJob(env.DB, jobId);
+  const enqueued = await enqueueFrontier(job, env);
 
-  try {
-    const key = `scrape:${url}`;
-    await cache.put(key, JSON.stringify(data), {
-      expirationTtl: 24 * 60 * 60 // 24 hours
+  if (enqueued === 0) {
+    await completeCrawl(job, env);
+  }
+}
+
+/**
+ * Mark a crawl completed once its frontier is exhausted, and bundle its WARC output
+ * @returns {Promise<boolean>} Whether this call completed the crawl
+ */
+async function completeCrawl(job, env) {
+  const completed = await finalizeCrawlJob(env.DB, job.job_id);
+
+  if (completed && job.options.warc) {
+    await bundleWarc(job.job_id, env);
+  }
+
+  return completed;
+}
+
+/**
+ * Send released frontier URLs to the queue, one message per page
+ * @returns {Promise<number>} Number of messages sent
+ */
+async function enqueueFrontier(job, env) {
+  const batch = await releaseFrontierBatch(env.DB, job);
+
+  // sendBatch accepts at most 100 messages
+  for (let i = 0; i < batch.length; i += 100) {
+    await env.SCRAPE_QUEUE.sendBatch(batch.slice(i, i + 100).map(entry => ({
+      body: {
+        type: 'crawl_page',
+        job_id: job.job_id,
+        url: entry.url,
+        depth: entry.depth,
+        priority: job.priority
+      }
+    })));
+  }
+
+  return batch.length;
+}
+
+/**
+ * Sitemap-driven crawl of the in-scope entries within the page budget
+ * `options.cancelled` stops it before the next page, and pages' files are returned beside
+ * the data, as in crawlRecursive.
+ */
+async function crawlSitemap(startUrl, options, env) {
+  const scope = options.scope || createCrawlScope(startUrl, {}, env);
+  const sitemap = await collectSitemapUrls(startUrl, env, options);
+  const inScope = sitemap.entries.filter(entry => checkScope(scope, entry.url).allowed);
+  const targets = inScope.slice(0, scope.max_pages);
+  const results = [];
+  const files = [];
+  const blocked = [];
+  const failed = [];
+  const visited = new Set();
+  let stopped = false;
+
+  console.log(`Sitemap crawl of ${startUrl}: ${inScope.length} matching URLs, scraping ${targets.length}`);
+
+  await runWithConcurrency([...targets], options.concurrency || 1, async (entry) => {
+    if (options.cancelled && await options.cancelled()) {
+      stopped = true;
+      return;
+    }
+
+    try {
+      const result = await scrapeSingleUrl(entry.url, env, {
+        cache: options.cache,
+        render: options.render,
+        paginate: options.paginate,
+        warc: !!options.warc
+      });
+
+      if (options.warc) await writeWarcSegment(options.warc, result.exchanges, env);
+
+      if (result.success && !visited.has(result.data.canonical_url)) {
+        visited.add(result.data.canonical_url);
+        results.push({ ...result.data, lastmod: entry.lastmod });
+        files.push({ original: result.original, screenshot: result.screenshot });
+      } else if (result.status === 'blocked_by_robots') {
+        blocked.push({ url: entry.url, rule: result.rule });
+      }
+
+    } catch (error) {
+      console.error(`Error crawling ${entry.url}:`, error.message);
+      failed.push({ url: entry.url, error: error.message });
+    }
+  }, () => !stopped);
+
+  return {
+    success: true,
+    data: {
+      start_url: startUrl,
+      sitemaps: sitemap.sitemaps,
+      urls_found: sitemap.total_found,
+      urls_matched: inScope.length,
+      pages_crawled: results.length,
+      pages: results,
+      blocked_by_robots: blocked,
+      failed,
+      ...(stopped && { cancelled: true }),
+      scope: describeScope(scope)
+    },
+    files
+  };
+}
+
+/**
+ * Parse HTML into title, main content, full-page text, links resolved against the page URL,
+ * asset URLs and the next page's URL for paginated content
+ * @param {object|null} recipe - Compiled site recipe; fields it finds replace the generic ones
+ */
+function parseHTML(html, pageUrl, recipe = null) {
+  const document = parseDocument(html);
+
+  // Relative links resolve against <base href> when the page declares one
+  const base = findFirst(document, element => element.tagName === 'base' && element.attrs.href);
+  const baseUrl = (base && resolveUrl(base.attrs.href, pageUrl)) || pageUrl;
+
+  // The recipe drops its `remove` elements from the tree before anything else reads it
+  const extracted = recipe ? applyRecipe(document, recipe, baseUrl) : null;
+
+  // <title> is raw text, so markup nested inside it arrives as literal tags
+  const titleElement = findFirst(document, element => element.tagName === 'title');
+  const headingElement = findFirst(document, element => element.tagName === 'h1');
+  const title = extracted?.title ||
+    (titleElement && cleanTitle(textContent(titleElement))) ||
+    (headingElement && textContent(headingElement)) ||
+    'Untitled';
+
+  const body = findFirst(document, element => element.tagName === 'body') || document;
+  const fullText = innerText(body);
+  const article = extractMainContent(document, baseUrl);
+  const metadata = extractMetadata(document, baseUrl);
+
+  // Keep anchor text and rel, first occurrence of each URL wins
+  const anchors = [];
+  const seen = new Set();
+
+  for (const element of findAll(document, el => (el.tagName === 'a' || el.tagName === 'area') && el.attrs.href)) {
+    const linkUrl = resolveUrl(element.attrs.href, baseUrl);
+    if (!linkUrl || seen.has(linkUrl)) continue;
+
+    seen.add(linkUrl);
+    anchors.push({
+      url: linkUrl,
+      text: textContent(element),
+      rel: (element.attrs.rel || '').toLowerCase().split(/\s+/).filter(Boolean)
     });
-  } catch (error) {
-    console.error('Cache write error:', error);
   }
+
+  const limitedAnchors = anchors.slice(0, MAX_LINKS_PER_PAGE);
+
+  // Recipe fields its selectors missed fall back to generic extraction and are listed for upkeep
+  const recipeMetadata = extracted && {
+    ...extracted.fields,
+    recipe: recipe.name,
+    ...(extracted.missing.length > 0 && { recipe_missing: extracted.missing })
+  };
+
+  return {
+    title,
+    content: (extracted?.content || article.content).substring(0, MAX_CONTENT_LENGTH),
+    full_text: fullText.substring(0, MAX_CONTENT_LENGTH),
+    byline: extracted?.author || metadata.author || article.byline,
+    published_at: extracted?.published_at || metadata.published_at || article.published_at,
+    lead_image: metadata.image || article.lead_image,
+    excerpt: metadata.description || article.excerpt,
+    links: limitedAnchors.map(anchor => anchor.url),
+    anchors: limitedAnchors,
+    assets: collectAssets(document, baseUrl, metadata.image),
+    next_page: findNextPage(document, pageUrl, baseUrl, extracted?.next_page),
+    metadata: { ...metadata, ...recipeMetadata }
+  };
+}
+
+/**
+ * Strip tags left inside <title> text and collapse whitespace
+ */
+function cleanTitle(text) {
+  return text
+    .replace(/<\/?[a-zA-Z][^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
 }
@@ -0,0 +1,324 @@
+/**
+ * Document Extractors Module
+ * Turns non-HTML responses (PDF, DOCX, plain text, XML, JSON) into the same
+ * { title, content, links, metadata } shape as parsed HTML pages
+ */
+
+import { extractPdfText } from '../utils/pdf_parser.js';
+import { openZip } from '../utils/zip_reader.js';
+import { decodeEntities } from '../utils/html_parser.js';
+import { decodeBody } from '../utils/charset.js';
+
+const MAX_LINKS_PER_DOCUMENT = 200;
+const MAX_CONTENT_LENGTH = 50000;
+const MAX_TITLE_LENGTH = 200;
+
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// File extension used when archiving the original document
+export const DOCUMENT_EXTENSIONS = {
+  pdf: 'pdf',
+  docx: 'docx',
+  text: 'txt',
+  xml: 'xml',
+  json: 'json'
+};
+
+/**
+ * Work out which extractor handles a response
+ * Falls back to sniffing the body and URL for generic or missing content types.
+ * @returns {string|null} 'pdf', 'docx', 'text', 'xml', 'json' or null when unsupported
+ */
+export function detectDocumentType(contentType, bytes, url) {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType === DOCX_CONTENT_TYPE) return 'docx';
+  if (mimeType === 'text/plain') return 'text';
+  if (mimeType === 'application/json' || mimeType.endsWith('+json')) return 'json';
+  if (mimeType === 'text/xml' || mimeType === 'application/xml' ||
+      (mimeType.endsWith('+xml') && mimeType !== 'application/xhtml+xml')) return 'xml';
+
+  if (mimeType && mimeType !== 'application/octet-stream' && mimeType !== 'binary/octet-stream') {
+    return null;
+  }
+
+  // Servers often label downloads as octet-stream
+  if (startsWith(bytes, '%PDF-')) return 'pdf';
+
+  if (startsWith(bytes, 'PK') && isWordPackage(bytes)) return 'docx';
+
+  const extension = new URL(url).pathname.match(/\.([a-z0-9]+)$/i)?.[1].toLowerCase();
+  if (extension === 'txt') return 'text';
+  if (extension === 'json') return 'json';
+  if (extension === 'xml') return 'xml';
+
+  return null;
+}
+
+/**
+ * Extract a document's text, title, links and metadata
+ * @param {Uint8Array} bytes - Response body
+ * @param {string} type - Document type from detectDocumentType
+ * @param {string} url - Document URL
+ * @param {string} contentType - Response Content-Type (for the text charset)
+ */
+export async function extractDocument(bytes, type, url, contentType = '') {
+  switch (type) {
+    case 'pdf':
+      return await extractPdf(bytes, url);
+    case 'docx':
+      return await extractDocx(bytes, url);
+    case 'text':
+      return withEncoding(extractPlainText, bytes, url, contentType);
+    case 'xml':
+      return withEncoding(extractXml, bytes, url, contentType);
+    case 'json':
+      return withEncoding(extractJson, bytes, url, contentType);
+    default:
+      throw new Error(`Unsupported document type: ${type}`);
+  }
+}
+
+/**
+ * Decode a text document and run its extractor, recording the detected encoding
+ */
+function withEncoding(extract, bytes, url, contentType) {
+  const { text, encoding, source } = decodeBody(bytes, contentType);
+  const document = extract(text, url);
+
+  document.metadata.encoding = encoding;
+  document.metadata.encoding_source = source;
+  return document;
+}
+
+/**
+ * PDF: page text with [Page N] markers, document info and link annotations
+ */
+async function extractPdf(bytes, url) {
+  const pdf = await extractPdfText(bytes);
+
+  const text = pdf.pages
+    .map((page, index) => `[Page ${index + 1}]\n\n${page.trim()}`)
+    .join('\n\n');
+
+  const info = pdf.info;
+  const keywords = info.keywords
+    ? info.keywords.split(/[,;]/).map(keyword => keyword.trim()).filter(Boolean)
+    : [];
+
+  return buildDocument({
+    url,
+    title: info.title || firstLine(pdf.pages.join('\n')),
+    text,
+    links: [...pdf.links, ...findUrls(text)],
+    metadata: {
+      document_type: 'pdf',
+      page_count: pdf.pages.length,
+      author: info.author || null,
+      description: info.subject || null,
+      keywords,
+      creator: info.creator || null,
+      published_at: info.created_at || null,
+      modified_at: info.modified_at || null
+    }
+  });
+}
+
+/**
+ * DOCX: paragraphs from word/document.xml, hyperlinks from its relationships
+ * and core properties from docProps/core.xml
+ */
+async function extractDocx(bytes, url) {
+  const zip = openZip(bytes);
+  const documentXml = await zip.readText('word/document.xml');
+
+  if (!documentXml) {
+    throw new Error('Not a Word document: word/document.xml missing');
+  }
+
+  // Hyperlink targets live in the relationships part, keyed by r:id
+  const relsXml = await zip.readText('word/_rels/document.xml.rels') || '';
+  const targets = new Map();
+  for (const match of relsXml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const id = readAttribute(match[1], 'Id');
+    const target = readAttribute(match[1], 'Target');
+    if (id && target && /TargetMode="External"/.test(match[1])) {
+      targets.set(id, decodeEntities(target));
+    }
+  }
+
+  const paragraphs = [];
+  for (const match of documentXml.matchAll(/<w:p[ >][\s\S]*?<\/w:p>/g)) {
+    let paragraph = '';
+    for (const run of match[0].matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|br|cr)\b[^>]*\/>/g)) {
+      if (run[2] === 'tab') paragraph += '\t';
+      else if (run[2]) paragraph += '\n';
+      else paragraph += decodeEntities(run[1]);
+    }
+    if (paragraph.trim()) paragraphs.push(paragraph.trim());
+  }
+
+  const links = [];
+  for (const match of documentXml.matchAll(/<w:hyperlink\b[^>]*\br:id="([^"]+)"/g)) {
+    if (targets.has(match[1])) links.push(targets.get(match[1]));
+  }
+
+  const coreXml = await zip.readText('docProps/core.xml') || '';
+  const core = name => {
+    const match = coreXml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([^<]*)</${name}>`));
+    return match ? decodeEntities(match[1]).trim() || null : null;
+  };
+
+  const text = paragraphs.join('\n\n');
+  const keywords = core('cp:keywords');
+
+  return buildDocument({
+    url,
+    title: core('dc:title') || firstLine(text),
+    text,
+    links: [...links, ...findUrls(text)],
+    metadata: {
+      document_type: 'docx',
+      author: core('dc:creator'),
+      description: core('dc:description') || core('dc:subject'),
+      keywords: keywords ? keywords.split(/[,;]/).map(keyword => keyword.trim()).filter(Boolean) : [],
+      language: core('dc:language'),
+      published_at: core('dcterms:created'),
+      modified_at: core('dcterms:modified')
+    }
+  });
+}
+
+/**
+ * Plain text: the body as-is, titled by its first line
+ */
+function extractPlainText(text, url) {
+  return buildDocument({
+    url,
+    title: firstLine(text),
+    text,
+    links: findUrls(text),
+    metadata: { document_type: 'text' }
+  });
+}
+
+/**
+ * XML passthrough: the document is kept verbatim, the title comes from its first <title>
+ */
+function extractXml(text, url) {
+  const title = text.match(/<title(?:\s[^>]*)?>(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?<\/title>/i);
+
+  return buildDocument({
+    url,
+    title: title ? decodeEntities(title[1]).trim() : null,
+    text,
+    links: findUrls(text.replace(/xmlns(?::\w+)?="[^"]*"/g, '')),
+    metadata: { document_type: 'xml' }
+  });
+}
+
+/**
+ * JSON passthrough: pretty-printed, titled by a top-level title/name/headline field
+ */
+function extractJson(text, url) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON document: ${error.message}`);
+  }
+
+  const title = value && typeof value === 'object' && !Array.isArray(value)
+    ? [value.title, value.name, value.headline].find(field => typeof field === 'string')
+    : null;
+  const pretty = JSON.stringify(value, null, 2);
+
+  return buildDocument({
+    url,
+    title,
+    text: pretty,
+    links: findUrls(pretty),
+    metadata: { document_type: 'json' }
+  });
+}
+
+/**
+ * Assemble the parsed-page shape shared with parseHTML
+ */
+function buildDocument({ url, title, text, links, metadata }) {
+  const content = text.trim().substring(0, MAX_CONTENT_LENGTH);
+
+  // First occurrence of each http(s) URL wins
+  const seen = new Set();
+  const anchors = [];
+  for (const link of links) {
+    let resolved;
+    try {
+      resolved = new URL(link, url).href;
+    } catch {
+      continue;
+    }
+    if (!/^https?:/.test(resolved) || seen.has(resolved)) continue;
+
+    seen.add(resolved);
+    anchors.push({ url: resolved, text: '', rel: [] });
+  }
+
+  const limitedAnchors = anchors.slice(0, MAX_LINKS_PER_DOCUMENT);
+
+  return {
+    title: (title || '').trim().substring(0, MAX_TITLE_LENGTH) || 'Untitled',
+    content,
+    full_text: content,
+    byline: metadata.author || null,
+    published_at: metadata.published_at || null,
+    lead_image: null,
+    excerpt: metadata.description || null,
+    links: limitedAnchors.map(anchor => anchor.url),
+    anchors: limitedAnchors,
+    metadata
+  };
+}
+
+/**
+ * First non-empty line of a text, used as a fallback title
+ */
+function firstLine(text) {
+  return text.split('\n').map(line => line.trim()).find(Boolean) || null;
+}
+
+/**
+ * Bare http(s) URLs mentioned in a text
+ */
+function findUrls(text) {
+  return [...text.matchAll(/https?:\/\/[^\s<>"'`)\]}\u2018-\u201f]+/g)]
+    .map(match => match[0].replace(/[.,;:!?]+$/, ''));
+}
+
+/**
+ * Read an XML attribute value from an attribute string
+ */
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether a ZIP archive is a Word document package
+ */
+function isWordPackage(bytes) {
+  try {
+    return openZip(bytes).names.includes('word/document.xml');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether the bytes begin with an ASCII signature
+ */
+function startsWith(bytes, signature) {
+  if (bytes.length < signature.length) return false;
+  return [...signature].every((char, index) => bytes[index] === char.charCodeAt(0));
+}
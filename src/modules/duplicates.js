@@ -0,0 +1,251 @@
+/**
+ * Duplicates Module
+ * Content fingerprints of stored pages, indexed in D1, so a near-duplicate of a page
+ * stored under another URL (a syndicated wire story, a mirror) is linked to the
+ * original instead of being stored again
+ */
+
+import { simhash, hammingDistance, simhashBands, MAX_BANDED_DISTANCE } from '../utils/simhash.js';
+import { calculateSimilarity } from '../utils/helpers.js';
+import CONFIG from '../../config.json';
+
+// Candidates sharing a band with a new fingerprint that are compared in full
+const MAX_CANDIDATES = 50;
+
+// The fingerprint table is created once per isolate
+let tableReady = false;
+
+/**
+ * Create the fingerprint table and its band indexes if they don't exist (once per isolate)
+ * Originals have duplicate_of NULL; duplicates point at their original's id.
+ */
+export async function ensureFingerprintTable(db) {
+  if (tableReady) return;
+
+  await db.batch([
+    db.prepare(`
+      CREATE TABLE IF NOT EXISTS content_fingerprints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        canonical_url TEXT,
+        title TEXT,
+        simhash TEXT NOT NULL,
+        band0 INTEGER NOT NULL,
+        band1 INTEGER NOT NULL,
+        band2 INTEGER NOT NULL,
+        band3 INTEGER NOT NULL,
+        content_length INTEGER,
+        metadata_id INTEGER,
+        json_key TEXT,
+        duplicate_of INTEGER,
+        distance INTEGER,
+        similarity REAL,
+        created_at TEXT NOT NULL
+      )
+    `),
+    ...['band0', 'band1', 'band2', 'band3', 'duplicate_of'].map(column => db.prepare(
+      `CREATE INDEX IF NOT EXISTS idx_content_fingerprints_${column} ON content_fingerprints (${column})`
+    ))
+  ]);
+
+  tableReady = true;
+}
+
+/**
+ * Fingerprint a page's content
+ * @returns {string|null} SimHash, or null when dedupe is off or the content is too short
+ *   to fingerprint reliably
+ */
+export function fingerprintContent(data) {
+  const settings = CONFIG.storage.dedupe;
+  if (!settings.enabled) return null;
+  if (typeof data.content !== 'string' || data.content.length < settings.min_content_length) return null;
+
+  return simhash(data.content);
+}
+
+/**
+ * Find a stored original that a page nearly duplicates
+ * Candidates share a SimHash band and are within storage.dedupe.max_distance bits (at most
+ * MAX_BANDED_DISTANCE, beyond which the band index would miss matches); the
+ * closest one is confirmed by word overlap with its stored JSON when that can be read
+ * from R2. Earlier versions of the same URL don't count (watchlists and re-crawls
+ * store those on purpose).
+ * @returns {Promise<object|null>} Original's fingerprint row, with distance and similarity
+ */
+export async function findNearDuplicate(fingerprint, data, env) {
+  const settings = CONFIG.storage.dedupe;
+  const bands = simhashBands(fingerprint);
+  const ownUrl = data.canonical_url || data.url || '';
+  const maxDistance = Math.min(settings.max_distance, MAX_BANDED_DISTANCE);
+
+  await ensureFingerprintTable(env.DB);
+  const result = await env.DB.prepare(`
+    SELECT id, url, canonical_url, title, simhash, json_key, created_at
+    FROM content_fingerprints
+    WHERE duplicate_of IS NULL
+      AND (band0 = ? OR band1 = ? OR band2 = ? OR band3 = ?)
+      AND COALESCE(canonical_url, url) != ?
+    ORDER BY id
+    LIMIT ?
+  `).bind(...bands, ownUrl, MAX_CANDIDATES).all();
+
+  const candidates = result.results
+    .map(row => ({ ...row, distance: hammingDistance(fingerprint, row.simhash) }))
+    .filter(row => row.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance);
+
+  for (const candidate of candidates) {
+    const similarity = await contentSimilarity(data.content, candidate.json_key, env);
+    if (similarity === null || similarity >= settings.min_similarity) {
+      return { ...candidate, similarity };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Index the fingerprint of a newly stored page
+ * @param {object} storage - storeResult's results ({ r2, metadata })
+ * @returns {Promise<number>} Fingerprint id
+ */
+export async function recordFingerprint(fingerprint, data, storage, db) {
+  await ensureFingerprintTable(db);
+  const result = await insertFingerprint(db, fingerprint, data, {
+    metadata_id: storage.metadata?.inserted_id || null,
+    json_key: storage.r2?.json_key || null
+  });
+
+  return result.meta.last_row_id;
+}
+
+/**
+ * Record a page as a near-duplicate of a stored original
+ * @param {object} original - Row returned by findNearDuplicate
+ * @returns {Promise<object>} Link as reported by storeResult
+ */
+export async function linkDuplicate(fingerprint, data, original, db) {
+  const result = await insertFingerprint(db, fingerprint, data, {
+    duplicate_of: original.id,
+    distance: original.distance,
+    similarity: original.similarity
+  });
+
+  return {
+    id: result.meta.last_row_id,
+    original_id: original.id,
+    url: original.url,
+    title: original.title,
+    json_key: original.json_key,
+    distance: original.distance,
+    similarity: original.similarity
+  };
+}
+
+/**
+ * Duplicate clusters: originals with the pages linked to them, largest clusters first
+ * @param {object} options - { limit, offset }
+ */
+export async function getDuplicateClusters(env, options = {}) {
+  const { limit = 50, offset = 0 } = options;
+
+  if (!env.DB) {
+    throw new Error('Database not available');
+  }
+
+  await ensureFingerprintTable(env.DB);
+  const originals = await env.DB.prepare(`
+    SELECT o.id, o.url, o.canonical_url, o.title, o.json_key, o.metadata_id, o.created_at,
+      COUNT(d.id) AS duplicate_count, MAX(d.created_at) AS last_seen_at
+    FROM content_fingerprints o
+    JOIN content_fingerprints d ON d.duplicate_of = o.id
+    WHERE o.duplicate_of IS NULL
+    GROUP BY o.id
+    ORDER BY duplicate_count DESC, last_seen_at DESC
+    LIMIT ? OFFSET ?
+  `).bind(limit, offset).all();
+
+  const ids = originals.results.map(row => row.id);
+  const duplicates = ids.length === 0 ? { results: [] } : await env.DB.prepare(`
+    SELECT id, duplicate_of, url, canonical_url, title, distance, similarity, created_at
+    FROM content_fingerprints
+    WHERE duplicate_of IN (${ids.map(() => '?').join(', ')})
+    ORDER BY created_at
+  `).bind(...ids).all();
+
+  return {
+    clusters: originals.results.map(original => ({
+      original,
+      duplicates: duplicates.results.filter(row => row.duplicate_of === original.id)
+    })),
+    count: originals.results.length
+  };
+}
+
+/**
+ * Counts of originals that have duplicates and of pages linked instead of stored
+ */
+export async function getDuplicateStatistics(db) {
+  await ensureFingerprintTable(db);
+
+  const result = await db.prepare(`
+    SELECT COUNT(*) AS duplicates, COUNT(DISTINCT duplicate_of) AS clusters
+    FROM content_fingerprints
+    WHERE duplicate_of IS NOT NULL
+  `).first();
+
+  return {
+    duplicates_linked: result.duplicates,
+    duplicate_clusters: result.clusters
+  };
+}
+
+/**
+ * Insert a fingerprint row
+ */
+async function insertFingerprint(db, fingerprint, data, fields) {
+  const [band0, band1, band2, band3] = simhashBands(fingerprint);
+
+  return db.prepare(`
+    INSERT INTO content_fingerprints (
+      url, canonical_url, title, simhash, band0, band1, band2, band3, content_length,
+      metadata_id, json_key, duplicate_of, distance, similarity, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    data.url || '',
+    data.canonical_url || null,
+    data.title || null,
+    fingerprint,
+    band0,
+    band1,
+    band2,
+    band3,
+    data.content.length,
+    fields.metadata_id ?? null,
+    fields.json_key ?? null,
+    fields.duplicate_of ?? null,
+    fields.distance ?? null,
+    fields.similarity ?? null,
+    new Date().toISOString()
+  ).run();
+}
+
+/**
+ * Word overlap between new content and an original's stored JSON
+ * @returns {Promise<number|null>} Jaccard similarity, or null when the original can't be read
+ */
+async function contentSimilarity(content, jsonKey, env) {
+  if (!jsonKey || !env.CRAWL_BUCKET) return null;
+
+  try {
+    const object = await env.CRAWL_BUCKET.get(jsonKey);
+    if (!object) return null;
+
+    const original = await object.json();
+    return typeof original.content === 'string' ? calculateSimilarity(content, original.content) : null;
+  } catch (error) {
+    console.error(`Could not read ${jsonKey} to confirm a duplicate:`, error.message);
+    return null;
+  }
+}
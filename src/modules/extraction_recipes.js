@@ -0,0 +1,329 @@
+/**
+ * Extraction Recipes Module
+ * Per-site CSS selector recipes that replace the generic extractor for known layouts.
+ * Recipes come from scraper.recipes in config.json and the extraction_recipes D1 table.
+ */
+
+import { compileSelector, querySelectorAll } from '../utils/css_selector.js';
+import { textContent, innerText, resolveUrl } from '../utils/html_parser.js';
+import { compilePattern } from './crawl_scope.js';
+import { findDomainMatch } from '../utils/helpers.js';
+import CONFIG from '../../config.json';
+
+const STANDARD_FIELDS = ['title', 'content', 'author', 'published_at', 'next_page'];
+const URL_ATTRIBUTES = ['href', 'src', 'poster', 'data-src'];
+
+// Stored recipes are re-read from D1 at most this often per isolate
+const STORED_RECIPES_TTL_MS = 60000;
+
+let configRecipes = null;
+let storedRecipes = { loaded_at: 0, recipes: [] };
+
+/**
+ * Create the extraction recipes table if it doesn't exist (idempotent)
+ */
+export async function ensureRecipeTable(db) {
+  await db.prepare(`
+    CREATE TABLE IF NOT EXISTS extraction_recipes (
+      name TEXT PRIMARY KEY,
+      domain TEXT NOT NULL,
+      definition TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `).run();
+}
+
+/**
+ * Validate a recipe definition and compile its selectors
+ * @param {object} definition - { name, domain, pattern, title, content, author, published_at, next_page, remove, fields }
+ *   domain: host the recipe applies to (subdomains included, `*` globs allowed)
+ *   pattern: optional path glob or `/regex/flags`, as in crawl scopes
+ *   title/content/author/published_at and each entry of fields: a selector, `selector@attribute`,
+ *   or { selector, attribute, all }; remove: selectors of elements dropped before extraction
+ * @throws {Error} When a field is missing or a selector is invalid
+ */
+export function compileRecipe(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Recipe must be an object');
+  }
+
+  const { name, domain } = definition;
+  if (!name || typeof name !== 'string') throw new Error('Recipe name is required');
+  if (!domain || typeof domain !== 'string') throw new Error(`Recipe ${name}: domain is required`);
+
+  const prefix = `Recipe ${name}`;
+  const wrap = (label, compile) => {
+    try {
+      return compile();
+    } catch (error) {
+      throw new Error(`${prefix}: ${label}: ${error.message}`);
+    }
+  };
+
+  const selectors = {};
+  for (const field of STANDARD_FIELDS) {
+    if (definition[field]) selectors[field] = wrap(field, () => compileField(definition[field]));
+  }
+
+  const fields = {};
+  for (const [field, spec] of Object.entries(definition.fields || {})) {
+    if (STANDARD_FIELDS.includes(field)) {
+      throw new Error(`${prefix}: custom field ${field} shadows a standard field`);
+    }
+    fields[field] = wrap(`fields.${field}`, () => compileField(spec));
+  }
+
+  const remove = toList(definition.remove).map(selector => wrap('remove', () => compileSelector(selector)));
+
+  if (Object.keys(selectors).length === 0 && Object.keys(fields).length === 0) {
+    throw new Error(`${prefix}: no selectors defined`);
+  }
+
+  return {
+    name,
+    domain: domain.toLowerCase(),
+    pattern: definition.pattern ? wrap('pattern', () => compilePattern(definition.pattern)) : null,
+    selectors,
+    fields,
+    remove,
+    definition
+  };
+}
+
+/**
+ * Find the recipe for a URL
+ * The most specific domain wins, then recipes with a pattern over those without;
+ * stored recipes override config recipes of the same name.
+ * @returns {Promise<object|null>} Compiled recipe
+ */
+export async function findRecipe(url, env) {
+  const parsed = new URL(url);
+  const target = parsed.pathname + parsed.search;
+
+  const stored = await loadStoredRecipes(env);
+  const storedNames = new Set(stored.map(recipe => recipe.name));
+  const recipes = [...stored, ...loadConfigRecipes().filter(recipe => !storedNames.has(recipe.name))];
+
+  const matching = recipes.filter(recipe =>
+    findDomainMatch(parsed.hostname, [recipe.domain]) &&
+    (!recipe.pattern || recipe.pattern.test(target, parsed.href))
+  );
+
+  matching.sort((a, b) => b.domain.length - a.domain.length || !!b.pattern - !!a.pattern);
+  return matching[0] || null;
+}
+
+/**
+ * Apply a recipe to a parsed document
+ * Elements matching `remove` are detached from the tree first, so later generic
+ * extraction of the same document doesn't see them either.
+ * @returns {{title: string|null, content: string|null, author: string|null, published_at: string|null,
+ *   next_page: string|null, fields: object, missing: string[]}} Standard fields are null when their
+ *   selector matched nothing
+ */
+export function applyRecipe(document, recipe, baseUrl) {
+  for (const selector of recipe.remove) {
+    for (const element of querySelectorAll(document, selector)) {
+      const siblings = element.parent.children;
+      const index = siblings.indexOf(element);
+      if (index !== -1) siblings.splice(index, 1);
+    }
+  }
+
+  const missing = [];
+  const read = (field, spec, overrides = {}) => {
+    const value = readField(document, { ...spec, ...overrides }, baseUrl);
+    if (value === null || (Array.isArray(value) && value.length === 0)) missing.push(field);
+    return value;
+  };
+
+  const { title, content, author, published_at, next_page } = recipe.selectors;
+  const fields = {};
+  for (const [field, spec] of Object.entries(recipe.fields)) {
+    fields[field] = read(field, spec);
+  }
+
+  // Content keeps every match, with block structure, as one text
+  const contentParts = content ? read('content', content, { all: true, block: !content.attribute }) : null;
+  const published = published_at ? read('published_at', published_at) : null;
+
+  return {
+    title: title ? read('title', title) : null,
+    content: contentParts && contentParts.length > 0 ? contentParts.join('\n\n') : null,
+    author: author ? read('author', author) : null,
+    published_at: published ? normalizeDate(published) : null,
+    // The last page has no next link, so a miss here isn't reported; links default to their href
+    next_page: next_page ? readField(document, { ...next_page, attribute: next_page.attribute || 'href' }, baseUrl) : null,
+    fields,
+    missing
+  };
+}
+
+/**
+ * Recipes stored in D1, as saved (uncompiled)
+ */
+export async function listRecipes(env) {
+  await ensureRecipeTable(env.DB);
+
+  const result = await env.DB.prepare(
+    'SELECT name, definition, created_at, updated_at FROM extraction_recipes ORDER BY name'
+  ).all();
+
+  return result.results.map(row => ({
+    ...JSON.parse(row.definition),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  }));
+}
+
+/**
+ * Create or replace a recipe in D1
+ * @throws {Error} When the recipe is invalid
+ */
+export async function saveRecipe(definition, env) {
+  const recipe = compileRecipe(definition);
+  const now = new Date().toISOString();
+
+  await ensureRecipeTable(env.DB);
+  await env.DB.prepare(`
+    INSERT INTO extraction_recipes (name, domain, definition, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET
+      domain = excluded.domain,
+      definition = excluded.definition,
+      updated_at = excluded.updated_at
+  `).bind(recipe.name, recipe.domain, JSON.stringify(definition), now, now).run();
+
+  storedRecipes = { loaded_at: 0, recipes: [] };
+  return recipe;
+}
+
+/**
+ * Delete a recipe from D1
+ * @returns {Promise<boolean>} Whether a recipe was deleted
+ */
+export async function deleteRecipe(name, env) {
+  await ensureRecipeTable(env.DB);
+  const result = await env.DB.prepare('DELETE FROM extraction_recipes WHERE name = ?').bind(name).run();
+
+  storedRecipes = { loaded_at: 0, recipes: [] };
+  return result.meta.changes > 0;
+}
+
+/**
+ * Compile a field spec: 'selector', 'selector@attribute' or { selector, attribute, all }
+ */
+function compileField(spec) {
+  const options = typeof spec === 'string' ? splitAttribute(spec) : { ...spec };
+
+  if (!options.selector || typeof options.selector !== 'string') {
+    throw new Error('selector is required');
+  }
+
+  return {
+    selector: compileSelector(options.selector),
+    attribute: options.attribute ? String(options.attribute).toLowerCase() : null,
+    all: !!options.all
+  };
+}
+
+/**
+ * Read a compiled field from a document
+ * @returns {string|string[]|null} Text or attribute value; a list when `all` is set
+ */
+function readField(document, field, baseUrl) {
+  const values = [];
+
+  for (const element of querySelectorAll(document, field.selector)) {
+    let value;
+    if (field.attribute) {
+      value = element.attrs[field.attribute];
+      if (value && URL_ATTRIBUTES.includes(field.attribute)) value = resolveUrl(value, baseUrl) || value;
+    } else {
+      value = field.block ? innerText(element) : textContent(element);
+    }
+
+    value = value && value.trim();
+    if (!value) continue;
+
+    if (!field.all) return value;
+    values.push(value);
+  }
+
+  return field.all ? values : null;
+}
+
+/**
+ * Split 'selector@attribute' shorthand
+ */
+function splitAttribute(spec) {
+  const at = spec.lastIndexOf('@');
+  if (at === -1 || /[\])"']/.test(spec.slice(at))) {
+    return { selector: spec };
+  }
+  return { selector: spec.slice(0, at).trim(), attribute: spec.slice(at + 1).trim() };
+}
+
+/**
+ * Compiled scraper.recipes from config.json (invalid recipes are skipped and logged)
+ */
+function loadConfigRecipes() {
+  if (!configRecipes) {
+    configRecipes = compileAll(CONFIG.scraper.recipes || [], 'config');
+  }
+  return configRecipes;
+}
+
+/**
+ * Compiled recipes from D1, cached per isolate for STORED_RECIPES_TTL_MS
+ */
+async function loadStoredRecipes(env) {
+  if (!env.DB) return [];
+  if (Date.now() - storedRecipes.loaded_at < STORED_RECIPES_TTL_MS) return storedRecipes.recipes;
+
+  let recipes = [];
+  try {
+    await ensureRecipeTable(env.DB);
+    const result = await env.DB.prepare('SELECT definition FROM extraction_recipes').all();
+    recipes = compileAll(result.results.map(row => JSON.parse(row.definition)), 'D1');
+  } catch (error) {
+    console.error('Recipe load error:', error);
+  }
+
+  storedRecipes = { loaded_at: Date.now(), recipes };
+  return recipes;
+}
+
+/**
+ * Compile a list of recipe definitions, dropping the invalid ones
+ */
+function compileAll(definitions, source) {
+  const recipes = [];
+
+  for (const definition of definitions) {
+    try {
+      recipes.push(compileRecipe(definition));
+    } catch (error) {
+      console.error(`Skipping invalid recipe from ${source}:`, error.message);
+    }
+  }
+
+  return recipes;
+}
+
+/**
+ * ISO date for a parseable date string; other values are kept as found
+ */
+function normalizeDate(value) {
+  const timestamp = Date.parse(value);
+  return isNaN(timestamp) ? value : new Date(timestamp).toISOString();
+}
+
+/**
+ * Normalize a string-or-array option to an array of strings
+ */
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).map(String).filter(Boolean);
+}
@@ -0,0 +1,423 @@
+/**
+ * Jobs Module
+ * Lifecycle of every crawl in D1 (scrape_jobs): pending until a worker picks it up,
+ * running, then succeeded, failed or cancelled, with attempts, timings, the error and
+ * links to what was stored. Served to API clients by GET and DELETE /api/jobs.
+ */
+
+import { ensureFrontierTables, frontierCounts, cancelFrontier } from './crawl_frontier.js';
+import CONFIG from '../../config.json';
+
+export const JOB_STATUSES = ['pending', 'running', 'succeeded', 'failed', 'cancelled'];
+
+// Priorities run from 1 (bulk) to 10 (urgent); higher priorities are processed first
+const MIN_PRIORITY = 1;
+const MAX_PRIORITY = 10;
+
+// Statuses a job can still be started (or restarted after a lost worker) from
+const STARTABLE = ['pending', 'running'];
+
+// Stored pages listed with a job
+const MAX_JOB_RESULTS = 100;
+
+// A WARC bundling claim left by a worker that died is taken over after this long
+const WARC_CLAIM_MS = 15 * 60 * 1000;
+
+/**
+ * Validate a job priority
+ * @returns {number} Priority from 1 to 10, jobs.default_priority when not given
+ * @throws {Error} When the priority is out of range
+ */
+export function normalizePriority(priority) {
+  if (priority === undefined || priority === null) return CONFIG.jobs.default_priority;
+
+  const value = Number(priority);
+  if (!Number.isInteger(value) || value < MIN_PRIORITY || value > MAX_PRIORITY) {
+    throw new Error(`Priority must be an integer from ${MIN_PRIORITY} to ${MAX_PRIORITY}`);
+  }
+  return value;
+}
+
+/**
+ * Priority of a scrape queued by the RSS check: jobs.rss_priority at the score threshold,
+ * one more for each further multiple of it
+ */
+export function rssPriority(score, threshold) {
+  const multiple = threshold > 0 ? Math.floor(score / threshold) : 1;
+  return Math.min(CONFIG.jobs.rss_priority + Math.max(multiple - 1, 0), MAX_PRIORITY);
+}
+
+/**
+ * Record a job that will run later (queued by the RSS check or submitted with async: true)
+ * @param {object} job - { job_id, url, mode, depth, source, priority, params }
+ */
+export async function createJob(db, job) {
+  await ensureFrontierTables(db);
+
+  await db.prepare(`
+    INSERT OR IGNORE INTO scrape_jobs (job_id, url, mode, depth, source, priority, status, params, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+  `).bind(
+    job.job_id,
+    job.url,
+    job.mode || 'manual',
+    job.depth || 1,
+    job.source || 'manual',
+    job.priority ?? CONFIG.jobs.default_priority,
+    JSON.stringify(job.params || {}),
+    new Date().toISOString()
+  ).run();
+}
+
+/**
+ * Mark a job running and count the attempt, recording it first if it wasn't created
+ * ahead of time (a crawl run straight from the API)
+ * @param {object} job - { job_id, url, mode, depth, source, priority, params }
+ * @returns {Promise<object|null>} The job row, or null when the job already finished
+ *   or was cancelled
+ */
+export async function startJob(db, job) {
+  await ensureFrontierTables(db);
+  const now = new Date().toISOString();
+
+  return await db.prepare(`
+    INSERT INTO scrape_jobs (
+      job_id, url, mode, depth, source, priority, status, attempts, params, created_at, started_at
+    ) VALUES (?, ?, ?, ?, ?, ?, 'running', 1, ?, ?, ?)
+    ON CONFLICT (job_id) DO UPDATE SET
+      status = 'running',
+      attempts = scrape_jobs.attempts + 1,
+      error = NULL,
+      started_at = COALESCE(scrape_jobs.started_at, excluded.started_at)
+    WHERE scrape_jobs.status IN (${STARTABLE.map(() => '?').join(', ')})
+    RETURNING *
+  `).bind(
+    job.job_id,
+    job.url,
+    job.mode || 'manual',
+    job.depth || 1,
+    job.source || 'manual',
+    job.priority ?? CONFIG.jobs.default_priority,
+    JSON.stringify(job.params || {}),
+    now,
+    now,
+    ...STARTABLE
+  ).first();
+}
+
+/**
+ * Record how a job ended; jobs that already finished or were cancelled are left alone
+ * @param {string} status - succeeded or failed
+ * @param {object} details - { error, result } where result links to the stored output
+ */
+export async function finishJob(db, jobId, status, details = {}) {
+  await db.prepare(`
+    UPDATE scrape_jobs SET status = ?, error = ?, result = ?, completed_at = ?
+    WHERE job_id = ? AND status IN (${STARTABLE.map(() => '?').join(', ')})
+  `).bind(
+    status,
+    details.error || null,
+    details.result ? JSON.stringify(details.result) : null,
+    new Date().toISOString(),
+    jobId,
+    ...STARTABLE
+  ).run();
+}
+
+/**
+ * Return a failed job to pending so its queue message can be retried
+ * @returns {Promise<boolean>} False when the job has used up max_attempts (it stays failed)
+ */
+export async function retryJob(db, jobId, error) {
+  const result = await db.prepare(`
+    UPDATE scrape_jobs SET status = 'pending', error = ?, completed_at = NULL
+    WHERE job_id = ? AND status = 'failed' AND attempts < max_attempts
+  `).bind(error || null, jobId).run();
+
+  return (result.meta?.changes || 0) > 0;
+}
+
+/**
+ * Cancel a pending or running job
+ * A pending job is dropped when its queue message arrives. A distributed crawl stops
+ * queueing pages (pages already being scraped finish); an in-request crawl stops before
+ * its next page (see cancellationCheck).
+ * @returns {Promise<object>} { cancelled: true, previous_status }, or { cancelled: false,
+ *   status } when the job had already finished (status null when there is no such job)
+ */
+export async function cancelJob(db, jobId) {
+  await ensureFrontierTables(db);
+
+  const job = await db.prepare('SELECT status FROM scrape_jobs WHERE job_id = ?').bind(jobId).first();
+  if (!job) {
+    return { cancelled: false, status: null };
+  }
+
+  const result = await db.prepare(`
+    UPDATE scrape_jobs SET status = 'cancelled', completed_at = ?
+    WHERE job_id = ? AND status IN (${STARTABLE.map(() => '?').join(', ')})
+  `).bind(new Date().toISOString(), jobId, ...STARTABLE).run();
+
+  if ((result.meta?.changes || 0) === 0) {
+    // Finished before (or while) it was cancelled
+    const current = await db.prepare('SELECT status FROM scrape_jobs WHERE job_id = ?').bind(jobId).first();
+    return { cancelled: false, status: current.status };
+  }
+
+  await cancelFrontier(db, jobId);
+  return { cancelled: true, previous_status: job.status };
+}
+
+/**
+ * Claim the right to bundle a job's WARC segments
+ * The crawl's last page and a download can both start bundling; only the caller whose
+ * update lands goes ahead. The claim lapses after WARC_CLAIM_MS.
+ * @returns {Promise<boolean>} False when the job is unknown or another bundler holds it
+ */
+export async function claimWarcBundle(db, jobId) {
+  await ensureFrontierTables(db);
+  const now = Date.now();
+
+  const result = await db.prepare(`
+    UPDATE scrape_jobs SET warc_claimed_at = ?
+    WHERE job_id = ? AND (warc_claimed_at IS NULL OR warc_claimed_at < ?)
+  `).bind(new Date(now).toISOString(), jobId, new Date(now - WARC_CLAIM_MS).toISOString()).run();
+
+  return (result.meta?.changes || 0) === 1;
+}
+
+/**
+ * Release a claim taken by claimWarcBundle
+ */
+export async function releaseWarcBundle(db, jobId) {
+  await db.prepare('UPDATE scrape_jobs SET warc_claimed_at = NULL WHERE job_id = ?').bind(jobId).run();
+}
+
+/**
+ * Cancellation check for an in-request crawl, called before each page
+ * The job's status is read at most every jobs.cancel_check_ms.
+ * @returns {Function} async () => boolean
+ */
+export function cancellationCheck(db, jobId) {
+  let checkedAt = 0;
+  let cancelled = false;
+
+  return async () => {
+    if (!cancelled && Date.now() - checkedAt >= CONFIG.jobs.cancel_check_ms) {
+      checkedAt = Date.now();
+      const job = await db.prepare('SELECT status FROM scrape_jobs WHERE job_id = ?').bind(jobId).first();
+      cancelled = job?.status === 'cancelled';
+    }
+    return cancelled;
+  };
+}
+
+/**
+ * Whether jobs of a higher priority are waiting to start
+ * The queue consumer defers lower-priority messages while they are.
+ */
+export async function hasHigherPriorityWork(db, priority) {
+  await ensureFrontierTables(db);
+
+  const row = await db.prepare(`
+    SELECT 1 FROM scrape_jobs WHERE status = 'pending' AND priority > ? LIMIT 1
+  `).bind(priority).first();
+
+  return !!row;
+}
+
+/**
+ * Load a job as served by the API, with the pages it stored
+ * Distributed crawls also report their frontier by status.
+ * @returns {Promise<object|null>}
+ */
+export async function getJob(db, jobId) {
+  await ensureFrontierTables(db);
+
+  const row = await db.prepare('SELECT * FROM scrape_jobs WHERE job_id = ?').bind(jobId).first();
+  if (!row) return null;
+
+  const job = formatJob(row);
+
+  // Pages are linked to their job when stored (scrape_metadata.job_id); the table
+  // doesn't exist until something has been stored
+  const pages = await db.prepare(`
+    SELECT id, url, title, score, scraped_at FROM scrape_metadata
+    WHERE job_id = ? ORDER BY id LIMIT ?
+  `).bind(jobId, MAX_JOB_RESULTS).all().catch(() => ({ results: [] }));
+  job.pages = pages.results;
+
+  if (row.max_pages !== null) {
+    job.frontier = await frontierCounts(db, jobId);
+  }
+
+  return job;
+}
+
+/**
+ * List jobs, newest first
+ * @param {object} filters - { status, source, mode, url, since, until, limit, offset }
+ *   since/until bound created_at (ISO 8601)
+ * @throws {Error} When status is not a job status
+ */
+export async function listJobs(db, filters = {}) {
+  const { status = null, source = null, mode = null, url = null, since = null, until = null, limit = 50, offset = 0 } = filters;
+
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw new Error(`Unknown job status: ${status} (expected one of ${JOB_STATUSES.join(', ')})`);
+  }
+
+  await ensureFrontierTables(db);
+
+  let query = 'SELECT * FROM scrape_jobs WHERE 1=1';
+  const params = [];
+
+  for (const [column, value] of [['status', status], ['source', source], ['mode', mode], ['url', url]]) {
+    if (value) {
+      query += ` AND ${column} = ?`;
+      params.push(value);
+    }
+  }
+
+  if (since) {
+    query += ' AND created_at >= ?';
+    params.push(since);
+  }
+
+  if (until) {
+    query += ' AND created_at < ?';
+    params.push(until);
+  }
+
+  query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+  params.push(limit, offset);
+
+  const result = await db.prepare(query).bind(...params).all();
+
+  return {
+    jobs: result.results.map(formatJob),
+    count: result.results.length
+  };
+}
+
+/**
+ * GET /api/jobs (filterable list), GET /api/jobs/:job_id and DELETE /api/jobs/:job_id
+ */
+export async function handleJobs(path, request, env) {
+  if (!env.DB) {
+    return {
+      success: false,
+      error: 'Database not available'
+    };
+  }
+
+  const method = request.method;
+
+  // GET /api/jobs - List jobs
+  if (path === '/api/jobs' && method === 'GET') {
+    const url = new URL(request.url);
+    const requestedLimit = Number(url.searchParams.get('limit') ?? 50);
+    const offset = Number(url.searchParams.get('offset') ?? 0);
+
+    if (!Number.isInteger(requestedLimit) || requestedLimit < 1 || !Number.isInteger(offset) || offset < 0) {
+      return {
+        success: false,
+        error: 'limit must be a positive integer and offset a non-negative integer',
+        status_code: 400
+      };
+    }
+
+    const limit = Math.min(requestedLimit, 500);
+
+    try {
+      const result = await listJobs(env.DB, {
+        status: url.searchParams.get('status'),
+        source: url.searchParams.get('source'),
+        mode: url.searchParams.get('mode'),
+        url: url.searchParams.get('url'),
+        since: url.searchParams.get('since'),
+        until: url.searchParams.get('until'),
+        limit,
+        offset
+      });
+
+      return {
+        success: true,
+        jobs: result.jobs,
+        count: result.count,
+        pagination: {
+          limit,
+          offset,
+          has_more: result.count === limit
+        }
+      };
+    } catch (error) {
+      // listJobs only throws for an unknown status filter
+      return {
+        success: false,
+        error: error.message,
+        status_code: 400
+      };
+    }
+  }
+
+  const match = path.match(/^\/api\/jobs\/([\w-]+)$/);
+
+  // GET /api/jobs/:job_id - One job with its stored pages
+  if (match && method === 'GET') {
+    const job = await getJob(env.DB, match[1]);
+
+    return job
+      ? { success: true, job }
+      : { success: false, error: `Job ${match[1]} not found`, status_code: 404 };
+  }
+
+  // DELETE /api/jobs/:job_id - Cancel pending work or stop a running crawl
+  if (match && method === 'DELETE') {
+    const jobId = match[1];
+    const result = await cancelJob(env.DB, jobId);
+
+    if (!result.cancelled) {
+      return result.status
+        ? { success: false, error: `Job ${jobId} already ${result.status}`, status_code: 409 }
+        : { success: false, error: `Job ${jobId} not found`, status_code: 404 };
+    }
+
+    return {
+      success: true,
+      job_id: jobId,
+      status: 'cancelled',
+      previous_status: result.previous_status
+    };
+  }
+
+  return {
+    error: 'Not Found',
+    message: 'Unknown jobs endpoint',
+    status_code: 404
+  };
+}
+
+/**
+ * A scrape_jobs row as served by the API: JSON columns parsed, internal id dropped
+ */
+function formatJob(row) {
+  const { id, scope, options, params, result, warc_claimed_at, ...job } = row;
+  const started = Date.parse(row.started_at);
+  const completed = Date.parse(row.completed_at);
+
+  return {
+    ...job,
+    duration_ms: started && completed ? completed - started : null,
+    params: parseJson(params),
+    result: parseJson(result),
+    ...(scope && { scope: parseJson(scope), options: parseJson(options) })
+  };
+}
+
+/**
+ * Parse a JSON column, null when empty
+ */
+function parseJson(value) {
+  return value ? JSON.parse(value) : null;
+}
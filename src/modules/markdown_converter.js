@@ -3,11 +3,25 @@
  * Converts HTML/scraped content to structured Markdown
  */
 
+// Scalar metadata fields written to the frontmatter, in order
+const FRONTMATTER_FIELDS = [
+  'author',
+  'published_at',
+  'modified_at',
+  'section',
+  'site_name',
+  'publisher',
+  'language',
+  'canonical_url',
+  'description'
+];
+
 /**
  * Convert scraped content to Markdown format
+ * Multi-page articles pass `pages` ([{ url, content }]) to keep a section per page.
  */
 export async function convertToMarkdown(scrapedData) {
-  const { title, content, url, links, metadata, scraped_at } = scrapedData;
+  const { title, content, url, links, metadata, scraped_at, pages = [] } = scrapedData;
 
   let markdown = '';
 
@@ -22,6 +36,18 @@ export async function convertToMarkdown(scrapedData) {
     if (metadata.contentType) {
       markdown += `content_type: "${metadata.contentType}"\n`;
     }
+
+    // Structured metadata from JSON-LD / OpenGraph / meta tags
+    for (const field of FRONTMATTER_FIELDS) {
+      if (metadata[field]) {
+        markdown += `${field}: "${escapeYaml(String(metadata[field]))}"\n`;
+      }
+    }
+
+    if (metadata.keywords && metadata.keywords.length > 0) {
+      const keywords = metadata.keywords.map(keyword => `"${escapeYaml(keyword)}"`);
+      markdown += `keywords: [${keywords.join(', ')}]\n`;
+    }
   }
 
   markdown += '---\n\n';
@@ -45,8 +71,15 @@ export async function convertToMarkdown(scrapedData) {
   // Add separator
   markdown += '---\n\n';
 
-  // Add main content
-  if (content) {
+  // Add main content, one section per page of a multi-page article
+  if (pages.length > 1) {
+    markdown += '## Content\n\n';
+    pages.forEach((page, index) => {
+      markdown += `### Page ${index + 1} of ${pages.length}\n\n`;
+      markdown += `**Source:** [${page.url}](${page.url})\n\n`;
+      markdown += `${cleanTextContent(page.content || '')}\n\n`;
+    });
+  } else if (content) {
     // Clean and format content
     const cleanContent = cleanTextContent(content);
     markdown += `## Content\n\n${cleanContent}\n\n`;
@@ -80,6 +113,46 @@ export async function convertToMarkdown(scrapedData) {
   return markdown;
 }
 
+/**
+ * Point a page's Markdown at its archived assets
+ * Links to archived files are rewritten to their copies and an Assets section listing
+ * every archived file (with its original URL) goes before the metadata footer.
+ * @param {object[]} assets - Archived assets: { url, type, alt, path }, path relative to the Markdown file
+ */
+export function linkArchivedAssets(markdown, assets) {
+  const archived = assets.filter(asset => asset.path);
+  if (archived.length === 0) {
+    return markdown;
+  }
+
+  let rewritten = markdown;
+  for (const asset of archived) {
+    rewritten = rewritten.split(`](${asset.url})`).join(`](${asset.path})`);
+  }
+
+  let section = '## Assets\n\n';
+  for (const asset of archived) {
+    const name = asset.alt || new URL(asset.url).pathname.split('/').pop() || asset.url;
+    const link = asset.type === 'image'
+      ? `![${escapeLinkText(name)}](${asset.path})`
+      : `[${escapeLinkText(name)}](${asset.path})`;
+    section += `- ${link} (original: <${asset.url}>)\n`;
+  }
+  section += '\n';
+
+  const footer = rewritten.lastIndexOf('---\n\n## Metadata\n');
+  return footer === -1
+    ? `${rewritten}\n${section}`
+    : rewritten.slice(0, footer) + section + rewritten.slice(footer);
+}
+
+/**
+ * Escape brackets in Markdown link text
+ */
+function escapeLinkText(text) {
+  return text.replace(/[[\]]/g, '\\$&').replace(/\n/g, ' ');
+}
+
 /**
  * Clean text content for markdown
  */
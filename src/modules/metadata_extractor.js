@@ -0,0 +1,368 @@
+/**
+ * Metadata Extractor Module
+ * Normalizes JSON-LD, microdata, OpenGraph, Twitter card and <meta> tags into one schema
+ */
+
+import { findAll, findFirst, textContent, resolveUrl, walk } from '../utils/html_parser.js';
+
+// schema.org types treated as the page's main article
+const ARTICLE_TYPES = [
+  'NewsArticle', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'OpinionNewsArticle',
+  'BackgroundNewsArticle', 'Article', 'BlogPosting', 'Report', 'ScholarlyArticle',
+  'TechArticle', 'WebPage'
+];
+
+/**
+ * Extract page metadata in a stable shape; missing fields are null or []
+ * Sources are applied by precedence: JSON-LD, microdata, OpenGraph, Twitter, <meta>
+ */
+export function extractMetadata(document, pageUrl) {
+  const layers = [
+    { name: 'json-ld', data: fromJsonLd(document) },
+    { name: 'microdata', data: fromMicrodata(document) },
+    { name: 'opengraph', data: fromOpenGraph(document) },
+    { name: 'twitter', data: fromTwitter(document) },
+    { name: 'meta', data: fromMetaTags(document) }
+  ];
+
+  const metadata = emptyMetadata();
+  const sources = [];
+
+  for (const layer of layers) {
+    if (!layer.data) continue;
+
+    let used = false;
+    for (const [field, value] of Object.entries(layer.data)) {
+      if (!(field in metadata) || isEmpty(value) || !isEmpty(metadata[field])) continue;
+      metadata[field] = value;
+      used = true;
+    }
+
+    if (used) sources.push(layer.name);
+  }
+
+  // <link rel="canonical"> is the page's own declaration and beats og:url or JSON-LD
+  const canonical = findCanonicalLink(document) || metadata.canonical_url;
+
+  // URLs are always absolute
+  metadata.canonical_url = canonical ? resolveUrl(canonical, pageUrl) : null;
+  metadata.image = metadata.image ? resolveUrl(metadata.image, pageUrl) : null;
+  metadata.published_at = normalizeDate(metadata.published_at);
+  metadata.modified_at = normalizeDate(metadata.modified_at);
+  metadata.keywords = [...new Set(metadata.keywords.map(keyword => keyword.trim()).filter(Boolean))];
+  metadata.authors = [...new Set(metadata.authors.map(author => author.trim()).filter(Boolean))];
+  metadata.author = metadata.authors[0] || null;
+  metadata.sources = sources;
+
+  return metadata;
+}
+
+/**
+ * The normalized metadata schema
+ */
+function emptyMetadata() {
+  return {
+    title: null,
+    description: null,
+    author: null,
+    authors: [],
+    published_at: null,
+    modified_at: null,
+    section: null,
+    keywords: [],
+    canonical_url: null,
+    site_name: null,
+    publisher: null,
+    language: null,
+    image: null,
+    type: null,
+    sources: []
+  };
+}
+
+/**
+ * Read the main article from <script type="application/ld+json"> blocks
+ */
+function fromJsonLd(document) {
+  const scripts = findAll(document, element =>
+    element.tagName === 'script' && (element.attrs.type || '').toLowerCase().includes('ld+json')
+  );
+
+  const items = [];
+  for (const script of scripts) {
+    const raw = script.children.map(child => child.text || '').join('')
+      .replace(/^\s*<!\[CDATA\[/, '')
+      .replace(/\]\]>\s*$/, '')
+      .trim();
+
+    try {
+      collectJsonLdItems(JSON.parse(raw), items);
+    } catch {
+      // Malformed JSON-LD is common; ignore the block
+    }
+  }
+
+  const article = ARTICLE_TYPES
+    .map(type => items.find(item => toArray(item['@type']).includes(type)))
+    .find(Boolean);
+
+  if (!article) return null;
+
+  return {
+    title: asText(article.headline) || asText(article.name),
+    description: asText(article.description),
+    authors: toArray(article.author).map(personName).filter(Boolean),
+    published_at: asText(article.datePublished) || asText(article.dateCreated),
+    modified_at: asText(article.dateModified),
+    section: toArray(article.articleSection).map(asText).filter(Boolean)[0] || null,
+    keywords: splitKeywords(article.keywords),
+    canonical_url: urlOf(article.mainEntityOfPage) || asText(article.url),
+    site_name: personName(article.isPartOf) || null,
+    publisher: personName(article.publisher),
+    language: asText(article.inLanguage),
+    image: urlOf(toArray(article.image)[0]) || urlOf(article.thumbnailUrl),
+    type: toArray(article['@type'])[0]
+  };
+}
+
+/**
+ * Flatten JSON-LD arrays and @graph containers into a list of nodes
+ */
+function collectJsonLdItems(value, items) {
+  if (Array.isArray(value)) {
+    value.forEach(entry => collectJsonLdItems(entry, items));
+    return;
+  }
+
+  if (!value || typeof value !== 'object') return;
+
+  if (value['@type']) items.push(value);
+  if (value['@graph']) collectJsonLdItems(value['@graph'], items);
+}
+
+/**
+ * Read the first Article-typed itemscope
+ */
+function fromMicrodata(document) {
+  const scope = findFirst(document, element =>
+    'itemscope' in element.attrs &&
+    ARTICLE_TYPES.some(type => (element.attrs.itemtype || '').endsWith(`/${type}`))
+  );
+
+  if (!scope) return null;
+
+  const props = {};
+  walk(scope, element => {
+    const names = (element.attrs.itemprop || '').split(/\s+/).filter(Boolean);
+    const nested = 'itemscope' in element.attrs;
+
+    for (const name of names) {
+      const value = nested ? microdataName(element) : microdataValue(element);
+      if (!value) continue;
+      (props[name] = props[name] || []).push(value);
+    }
+
+    // Properties of nested items belong to them, not to the article
+    if (nested) return false;
+  });
+
+  const first = name => (props[name] || [])[0] || null;
+
+  return {
+    title: first('headline') || first('name'),
+    description: first('description'),
+    authors: props.author || props.creator || [],
+    published_at: first('datePublished'),
+    modified_at: first('dateModified'),
+    section: first('articleSection'),
+    keywords: (props.keywords || []).flatMap(splitKeywords),
+    canonical_url: first('mainEntityOfPage') || first('url'),
+    publisher: first('publisher'),
+    language: first('inLanguage'),
+    image: first('image'),
+    type: (scope.attrs.itemtype || '').split('/').pop() || null
+  };
+}
+
+/**
+ * Read OpenGraph and article:* properties
+ */
+function fromOpenGraph(document) {
+  const meta = metaMap(document);
+
+  return {
+    title: meta.get('og:title')?.[0],
+    description: meta.get('og:description')?.[0],
+    authors: (meta.get('article:author') || []).filter(author => !/^https?:\/\//.test(author)),
+    published_at: meta.get('article:published_time')?.[0],
+    modified_at: meta.get('article:modified_time')?.[0] || meta.get('og:updated_time')?.[0],
+    section: meta.get('article:section')?.[0],
+    keywords: meta.get('article:tag') || [],
+    canonical_url: meta.get('og:url')?.[0],
+    site_name: meta.get('og:site_name')?.[0],
+    language: (meta.get('og:locale')?.[0] || '').replace('_', '-') || null,
+    image: meta.get('og:image')?.[0] || meta.get('og:image:url')?.[0],
+    type: meta.get('og:type')?.[0]
+  };
+}
+
+/**
+ * Read Twitter card tags
+ */
+function fromTwitter(document) {
+  const meta = metaMap(document);
+
+  return {
+    title: meta.get('twitter:title')?.[0],
+    description: meta.get('twitter:description')?.[0],
+    authors: meta.get('twitter:creator') || [],
+    image: meta.get('twitter:image')?.[0] || meta.get('twitter:image:src')?.[0]
+  };
+}
+
+/**
+ * Read plain <meta> tags, <link rel="canonical"> and <html lang>
+ */
+function fromMetaTags(document) {
+  const meta = metaMap(document);
+  const html = findFirst(document, element => element.tagName === 'html');
+
+  return {
+    description: meta.get('description')?.[0],
+    authors: meta.get('author') || meta.get('dc.creator') || [],
+    published_at: meta.get('pubdate')?.[0] || meta.get('publish-date')?.[0] || meta.get('dc.date')?.[0] || meta.get('date')?.[0],
+    keywords: [...(meta.get('keywords') || []), ...(meta.get('news_keywords') || [])].flatMap(splitKeywords),
+    canonical_url: findCanonicalLink(document),
+    language: html?.attrs.lang || meta.get('content-language')?.[0]
+  };
+}
+
+/**
+ * href of <link rel="canonical">, or null
+ */
+function findCanonicalLink(document) {
+  const link = findFirst(document, element =>
+    element.tagName === 'link' &&
+    (element.attrs.rel || '').toLowerCase().split(/\s+/).includes('canonical') &&
+    element.attrs.href
+  );
+
+  return link ? link.attrs.href : null;
+}
+
+/**
+ * Map of lowercased meta name/property to all its content values
+ */
+function metaMap(document) {
+  const map = new Map();
+
+  for (const element of findAll(document, el => el.tagName === 'meta' && el.attrs.content)) {
+    const key = (element.attrs.property || element.attrs.name || element.attrs['http-equiv'] || '').toLowerCase();
+    if (!key) continue;
+
+    const content = element.attrs.content.trim();
+    if (!content) continue;
+
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(content);
+  }
+
+  return map;
+}
+
+/**
+ * Value of a microdata property element
+ */
+function microdataValue(element) {
+  switch (element.tagName) {
+    case 'meta':
+      return element.attrs.content || null;
+    case 'a':
+    case 'link':
+    case 'area':
+      return element.attrs.href || null;
+    case 'img':
+    case 'audio':
+    case 'video':
+    case 'source':
+      return element.attrs.src || null;
+    case 'time':
+      return element.attrs.datetime || textContent(element) || null;
+    default:
+      return element.attrs.content || textContent(element) || null;
+  }
+}
+
+/**
+ * Name of a nested microdata item such as a Person or Organization
+ */
+function microdataName(element) {
+  const name = findFirst(element, child => (child.attrs.itemprop || '').split(/\s+/).includes('name'));
+  return name ? microdataValue(name) : textContent(element) || null;
+}
+
+/**
+ * Name of a JSON-LD Person/Organization, or the string itself
+ */
+function personName(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return personName(value[0]);
+  return asText(value.name);
+}
+
+/**
+ * URL from a JSON-LD string, @id or ImageObject
+ */
+function urlOf(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  return asText(value.url) || asText(value['@id']) || asText(value.contentUrl);
+}
+
+/**
+ * Coerce a JSON-LD value to a trimmed string
+ */
+function asText(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') {
+    return Array.isArray(value) ? asText(value[0]) : asText(value['@value'] ?? value.name);
+  }
+  const text = String(value).trim();
+  return text || null;
+}
+
+/**
+ * Keywords may be an array or a comma separated string
+ */
+function splitKeywords(value) {
+  return toArray(value)
+    .flatMap(entry => String(asText(entry) || '').split(','))
+    .map(keyword => keyword.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize a date string to ISO 8601, or null
+ */
+function normalizeDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Wrap a single value in an array
+ */
+function toArray(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Whether a field has no usable value
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
@@ -0,0 +1,185 @@
+/**
+ * Pagination Module
+ * Finds the next page of multi-page articles and paginated listings, and stitches
+ * article pages into a single document
+ */
+
+import { findAll, findFirst, textContent, resolveUrl } from '../utils/html_parser.js';
+import { canonicalizeUrl } from '../utils/url_normalizer.js';
+import { convertToMarkdown } from './markdown_converter.js';
+import { calculateProphecyScore } from './scoring.js';
+import CONFIG from '../../config.json';
+
+const PAGINATION_TYPES = ['article', 'listing'];
+
+// Query parameters that commonly carry a page number
+const PAGE_PARAMS = ['page', 'p', 'pg', 'paged', 'pagenum'];
+
+// Link text of "next page" controls, in the languages of the monitored sources
+const NEXT_TEXT = /^(?:next(?: page)?|older(?: posts| entries)?|suivant(?:e)?|weiter|n[aä]chste(?: seite)?|siguiente|successiv[ao]|pr[oó]xima|volgende|следующая|הבא|التالي)\s*[›»→>]*$|^[›»→]$/i;
+
+// Class, id, aria-label or title of "next" controls and of pagination containers
+const NEXT_ATTRIBUTE = /(?:^|[\s_-])next(?:$|[\s_-])/i;
+const PAGINATION_CONTAINER = /pag(?:e|er|ination|ing)|page-numbers|nav-links/i;
+
+/**
+ * Validate the paginate option of a crawl request
+ * @param {boolean|object} paginate - true, or { type: 'article' | 'listing', max_pages }
+ *   article: follow next links and stitch the pages into one document;
+ *   listing: follow next links from the start URL and use the pages only for their links
+ * @throws {Error} When an option is invalid
+ */
+export function normalizePaginateOptions(paginate = {}) {
+  const options = paginate === true ? {} : paginate;
+  const type = options.type || 'article';
+
+  if (!PAGINATION_TYPES.includes(type)) {
+    throw new Error(`Unknown pagination type: ${type} (expected one of ${PAGINATION_TYPES.join(', ')})`);
+  }
+
+  const limit = CONFIG.scraper.pagination.max_pages;
+
+  return {
+    type,
+    max_pages: Math.min(Math.max(parseInt(options.max_pages) || limit, 1), limit)
+  };
+}
+
+/**
+ * Find the URL of the next page: a recipe-defined link first, then rel="next",
+ * then "next" controls, then a link to the following page number
+ * @param {object} document - Parsed document
+ * @param {string} pageUrl - Page URL
+ * @param {string} baseUrl - URL relative links resolve against (<base href> or the page URL)
+ * @param {string|null} preferred - Next page found by the site recipe
+ * @returns {string|null} Same-host URL of the next page
+ */
+export function findNextPage(document, pageUrl, baseUrl = pageUrl, preferred = null) {
+  const current = new URL(pageUrl);
+  const currentCanonical = canonicalizeUrl(pageUrl);
+
+  const accept = href => {
+    const url = resolveUrl(href, baseUrl);
+    if (!url) return null;
+    if (new URL(url).hostname !== current.hostname) return null;
+    return canonicalizeUrl(url) === currentCanonical ? null : url;
+  };
+
+  if (preferred && accept(preferred)) {
+    return accept(preferred);
+  }
+
+  const relNext = findFirst(document, element =>
+    (element.tagName === 'link' || element.tagName === 'a') &&
+    element.attrs.href &&
+    (element.attrs.rel || '').toLowerCase().split(/\s+/).includes('next') &&
+    !!accept(element.attrs.href)
+  );
+  if (relNext) return accept(relNext.attrs.href);
+
+  const anchors = findAll(document, element => element.tagName === 'a' && element.attrs.href && !!accept(element.attrs.href));
+  const pageUrls = new Set(nextPageCandidates(current).map(url => canonicalizeUrl(url)));
+
+  // "Next" controls count when they sit in a pagination block or point at a page-numbered URL
+  const control = anchors.find(anchor => {
+    const labels = [anchor.attrs.class, anchor.attrs.id, anchor.attrs['aria-label'], anchor.attrs.title].filter(Boolean);
+    const looksNext = NEXT_TEXT.test(textContent(anchor)) || labels.some(label => NEXT_ATTRIBUTE.test(label));
+    if (!looksNext) return false;
+
+    return inPaginationContainer(anchor) || pageUrls.has(canonicalizeUrl(accept(anchor.attrs.href)));
+  });
+  if (control) return accept(control.attrs.href);
+
+  const numbered = anchors.find(anchor => pageUrls.has(canonicalizeUrl(accept(anchor.attrs.href))));
+  return numbered ? accept(numbered.attrs.href) : null;
+}
+
+/**
+ * Stitch the pages of a multi-page article into one document
+ * Content and full text are joined in page order, links and assets are merged and the Markdown
+ * keeps a section per page.
+ * @param {object[]} pages - Scraped page data, first page first
+ */
+export async function stitchArticlePages(pages) {
+  const [first] = pages;
+  const joinText = field => pages.map(page => page[field] || '').filter(Boolean).join('\n\n');
+
+  const anchors = [];
+  const seen = new Set();
+  for (const anchor of pages.flatMap(page => page.anchors || [])) {
+    if (seen.has(anchor.url)) continue;
+    seen.add(anchor.url);
+    anchors.push(anchor);
+  }
+
+  const assets = [];
+  const seenAssets = new Set();
+  for (const asset of pages.flatMap(page => page.assets || [])) {
+    if (seenAssets.has(asset.url)) continue;
+    seenAssets.add(asset.url);
+    assets.push(asset);
+  }
+
+  const data = {
+    ...first,
+    content: joinText('content'),
+    full_text: joinText('full_text'),
+    links: [...new Set(pages.flatMap(page => page.links || []))],
+    anchors,
+    assets,
+    next_page: null,
+    pagination: {
+      type: 'article',
+      page_count: pages.length,
+      pages: pages.map(page => page.url)
+    }
+  };
+
+  data.content_md = await convertToMarkdown({
+    ...data,
+    pages: pages.map(page => ({ url: page.url, content: page.content }))
+  });
+  data.score = calculateProphecyScore({
+    title: data.title || '',
+    description: data.content,
+    metadata: data.metadata
+  });
+
+  return data;
+}
+
+/**
+ * URLs the next page would likely have: the page-number parameter or /page/N/ segment incremented
+ */
+function nextPageCandidates(current) {
+  const candidates = [];
+
+  for (const param of PAGE_PARAMS) {
+    const value = current.searchParams.get(param);
+    if (value !== null && !/^\d+$/.test(value)) continue;
+
+    const next = new URL(current.href);
+    next.searchParams.set(param, String((parseInt(value) || 1) + 1));
+    candidates.push(next.href);
+  }
+
+  const pathPage = current.pathname.match(/^(.*\/page\/)(\d+)(\/?)$/i);
+  const next = new URL(current.href);
+  next.pathname = pathPage
+    ? `${pathPage[1]}${parseInt(pathPage[2]) + 1}${pathPage[3]}`
+    : `${current.pathname.replace(/\/?$/, '/')}page/2/`;
+  candidates.push(next.href);
+
+  return candidates;
+}
+
+/**
+ * Whether an element sits inside a pagination block (by class, id or role)
+ */
+function inPaginationContainer(element) {
+  for (let node = element.parent; node && node.type === 'element'; node = node.parent) {
+    const labels = [node.attrs.class, node.attrs.id, node.attrs.role, node.attrs['aria-label']].filter(Boolean);
+    if (labels.some(label => PAGINATION_CONTAINER.test(label))) return true;
+  }
+  return false;
+}
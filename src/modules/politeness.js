@@ -0,0 +1,213 @@
+/**
+ * Politeness Module
+ * Per-host request scheduling shared across Worker invocations: minimum interval,
+ * maximum concurrency, robots Crawl-delay and adaptive backoff on 429/503
+ */
+
+import { getCrawlDelay } from './robots.js';
+import { sleep, parseRetryAfter } from '../utils/helpers.js';
+import CONFIG from '../../config.json';
+
+const BACKOFF_STATUSES = [429, 503];
+const POLL_INTERVAL_MS = 250;
+
+// Per-isolate state used when no D1 binding is configured
+const localHosts = new Map();
+let tablesReady = false;
+
+/**
+ * Host scheduler backed by a D1 lease row per host
+ * (falls back to per-isolate state without a database)
+ */
+export class HostScheduler {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Wait until a request to the host may start
+   * @param {string} host - Hostname
+   * @param {object} options - { interval, max_concurrency, max_wait_ms }
+   * @throws {Error} When the host stays unavailable for longer than max_wait_ms
+   */
+  async acquire(host, options = {}) {
+    const {
+      interval = CONFIG.scraper.delay_between_requests_ms,
+      max_concurrency = CONFIG.scraper.politeness.max_concurrency_per_host,
+      max_wait_ms = CONFIG.scraper.politeness.max_wait_ms
+    } = options;
+
+    const deadline = Date.now() + max_wait_ms;
+
+    while (true) {
+      const now = Date.now();
+      let wait;
+
+      try {
+        wait = this.db
+          ? await this.tryAcquireD1(host, interval, max_concurrency, now)
+          : this.tryAcquireLocal(host, interval, max_concurrency, now);
+      } catch (error) {
+        console.error('Host scheduler error:', error);
+        // Fail open on errors
+        return;
+      }
+
+      if (wait === 0) return;
+
+      if (now + wait > deadline) {
+        throw new Error(`Host ${host} unavailable for ${max_wait_ms}ms (politeness limit)`);
+      }
+
+      await sleep(Math.max(wait, POLL_INTERVAL_MS));
+    }
+  }
+
+  /**
+   * Release a request slot and adapt the host's backoff to the response
+   * @param {string} host - Hostname
+   * @param {object} outcome - { status, retry_after_ms }
+   */
+  async release(host, outcome = {}) {
+    const { status = 0, retry_after_ms = 0 } = outcome;
+    const { backoff_base_ms, backoff_max_ms } = CONFIG.scraper.politeness;
+    const throttled = BACKOFF_STATUSES.includes(status);
+    const now = Date.now();
+
+    try {
+      if (!this.db) {
+        const state = localHosts.get(host);
+        if (!state) return;
+
+        state.active = Math.max(state.active - 1, 0);
+        if (throttled) {
+          state.backoff_ms = Math.min(Math.max(state.backoff_ms * 2, backoff_base_ms), backoff_max_ms);
+          const pause = Math.max(state.backoff_ms, Math.min(retry_after_ms, backoff_max_ms));
+          state.next_allowed_at = Math.max(state.next_allowed_at, now + pause);
+        } else {
+          state.backoff_ms = state.backoff_ms / 2 < backoff_base_ms ? 0 : Math.floor(state.backoff_ms / 2);
+        }
+        return;
+      }
+
+      if (throttled) {
+        await this.db.prepare(`
+          UPDATE host_politeness SET
+            active = MAX(active - 1, 0),
+            next_allowed_at = MAX(next_allowed_at, ?1 + MAX(MIN(MAX(backoff_ms * 2, ?2), ?3), ?4)),
+            backoff_ms = MIN(MAX(backoff_ms * 2, ?2), ?3)
+          WHERE host = ?5
+        `).bind(now, backoff_base_ms, backoff_max_ms, Math.min(retry_after_ms, backoff_max_ms), host).run();
+      } else {
+        await this.db.prepare(`
+          UPDATE host_politeness SET
+            active = MAX(active - 1, 0),
+            backoff_ms = CASE WHEN backoff_ms / 2 < ?1 THEN 0 ELSE backoff_ms / 2 END
+          WHERE host = ?2
+        `).bind(backoff_base_ms, host).run();
+      }
+    } catch (error) {
+      console.error('Host scheduler release error:', error);
+    }
+  }
+
+  /**
+   * Take a slot in one atomic upsert
+   * @returns {Promise<number>} 0 when acquired, otherwise milliseconds to wait
+   */
+  async tryAcquireD1(host, interval, maxConcurrency, now) {
+    await this.ensureTable();
+
+    // Leases expire so a crashed invocation cannot hold a slot forever
+    const acquired = await this.db.prepare(`
+      INSERT INTO host_politeness (host, next_allowed_at, active, lease_expires_at, backoff_ms)
+      VALUES (?1, ?2 + ?3, 1, ?2 + ?5, 0)
+      ON CONFLICT(host) DO UPDATE SET
+        active = CASE WHEN lease_expires_at <= ?2 THEN 1 ELSE active + 1 END,
+        next_allowed_at = ?2 + MAX(?3, backoff_ms),
+        lease_expires_at = ?2 + ?5
+      WHERE next_allowed_at <= ?2 AND (active < ?4 OR lease_expires_at <= ?2)
+      RETURNING host
+    `).bind(host, now, interval, maxConcurrency, CONFIG.scraper.politeness.lease_ms).first();
+
+    if (acquired) return 0;
+
+    const state = await this.db.prepare(
+      'SELECT next_allowed_at FROM host_politeness WHERE host = ?'
+    ).bind(host).first();
+
+    return Math.max((state?.next_allowed_at || 0) - now, 0) || POLL_INTERVAL_MS;
+  }
+
+  /**
+   * Per-isolate equivalent of tryAcquireD1
+   */
+  tryAcquireLocal(host, interval, maxConcurrency, now) {
+    const state = localHosts.get(host) || { next_allowed_at: 0, active: 0, lease_expires_at: 0, backoff_ms: 0 };
+    localHosts.set(host, state);
+
+    const leaseExpired = state.lease_expires_at <= now;
+    if (state.next_allowed_at > now) return state.next_allowed_at - now;
+    if (state.active >= maxConcurrency && !leaseExpired) return POLL_INTERVAL_MS;
+
+    state.active = leaseExpired ? 1 : state.active + 1;
+    state.next_allowed_at = now + Math.max(interval, state.backoff_ms);
+    state.lease_expires_at = now + CONFIG.scraper.politeness.lease_ms;
+    return 0;
+  }
+
+  /**
+   * Create the host_politeness table if it doesn't exist (once per isolate)
+   */
+  async ensureTable() {
+    if (tablesReady) return;
+
+    await this.db.prepare(`
+      CREATE TABLE IF NOT EXISTS host_politeness (
+        host TEXT PRIMARY KEY,
+        next_allowed_at INTEGER NOT NULL,
+        active INTEGER NOT NULL DEFAULT 0,
+        lease_expires_at INTEGER NOT NULL,
+        backoff_ms INTEGER NOT NULL DEFAULT 0
+      )
+    `).run();
+
+    tablesReady = true;
+  }
+}
+
+/**
+ * fetch() through the per-host scheduler
+ * Waits for the host's interval (at least its robots Crawl-delay) and a free
+ * concurrency slot, then feeds the response status back into the backoff.
+ */
+export async function politeFetch(url, init = {}, env = {}) {
+  return await withHostSlot(url, env, () => fetch(url, init), response => ({
+    status: response.status,
+    retry_after_ms: parseRetryAfter(response.headers.get('retry-after'))
+  }));
+}
+
+/**
+ * Run a request to the URL's host inside a scheduler slot
+ * @param {Function} fn - Performs the request
+ * @param {Function} describe - Maps fn's result to { status, retry_after_ms } for the backoff
+ */
+export async function withHostSlot(url, env, fn, describe = () => ({})) {
+  const host = new URL(url).hostname.toLowerCase();
+  const scheduler = new HostScheduler(env.DB);
+  const crawlDelay = await getCrawlDelay(url, env);
+
+  await scheduler.acquire(host, {
+    interval: Math.max(CONFIG.scraper.delay_between_requests_ms, crawlDelay)
+  });
+
+  let outcome = {};
+  try {
+    const result = await fn();
+    outcome = describe(result);
+    return result;
+  } finally {
+    await scheduler.release(host, outcome);
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * Request Profiles Module
+ * Per-domain request settings (user-agent rotation, extra headers, static cookies)
+ * and a per-host cookie jar persisted in KV
+ */
+
+import { politeFetch } from './politeness.js';
+import { findDomainMatch } from '../utils/helpers.js';
+import CONFIG from '../../config.json';
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 10;
+
+/**
+ * Resolve the request profile for a URL: the default profile merged with the
+ * most specific scraper.request_profiles.domains entry matching its host
+ * Header and cookie values may reference secrets as `{env:NAME}`.
+ */
+export function getRequestProfile(url, env = {}) {
+  const { default: defaults = {}, domains = {} } = CONFIG.scraper.request_profiles;
+  const domain = findDomainMatch(new URL(url).hostname, Object.keys(domains));
+  const profile = domain ? domains[domain] : {};
+
+  const userAgents = [profile.user_agents, defaults.user_agents, CONFIG.scraper.user_agents]
+    .find(list => list && list.length > 0);
+
+  return {
+    name: domain || 'default',
+    user_agents: userAgents,
+    rotation: profile.rotation || defaults.rotation || 'random',
+    headers: resolveSecrets({ ...defaults.headers, ...profile.headers }, env),
+    cookies: resolveSecrets({ ...defaults.cookies, ...profile.cookies }, env),
+    cookie_jar: profile.cookie_jar ?? defaults.cookie_jar ?? false
+  };
+}
+
+/**
+ * Pick a user agent from a profile
+ * rotation: 'random' per request, 'per_host' (stable for a host) or 'first'
+ */
+export function pickUserAgent(profile, hostname) {
+  const agents = profile.user_agents;
+
+  if (profile.rotation === 'first') return agents[0];
+  if (profile.rotation === 'per_host') return agents[hashString(hostname) % agents.length];
+
+  return agents[Math.floor(Math.random() * agents.length)];
+}
+
+/**
+ * Build request headers for a URL from its profile
+ * The profile's headers override `baseHeaders`; static cookies override cookies from the jar.
+ * @returns {Promise<{headers: Headers, cookies: object, profile: object}>}
+ */
+export async function buildRequestHeaders(url, env = {}, baseHeaders = {}) {
+  const profile = getRequestProfile(url, env);
+  const parsed = new URL(url);
+  const headers = new Headers(baseHeaders);
+
+  if (!headers.has('User-Agent')) {
+    headers.set('User-Agent', pickUserAgent(profile, parsed.hostname));
+  }
+
+  for (const [name, value] of Object.entries(profile.headers)) {
+    headers.set(name, value);
+  }
+
+  const jar = profile.cookie_jar ? await readCookieJar(parsed, env) : {};
+  const cookies = { ...jar, ...profile.cookies };
+
+  if (Object.keys(cookies).length > 0) {
+    headers.set('Cookie', Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; '));
+  }
+
+  return { headers, cookies, profile };
+}
+
+/**
+ * politeFetch() with the URL's request profile applied
+ * With the cookie jar enabled, redirects are followed here so cookies set on
+ * every hop (e.g. by a consent wall) are stored and sent on.
+ * @param {object} hooks - { onRequest(url, headers) } sees the headers actually sent on each hop
+ */
+export async function fetchWithProfile(url, init = {}, env = {}, hooks = {}) {
+  const { headers, profile } = await buildRequestHeaders(url, env, init.headers);
+
+  if (!profile.cookie_jar) {
+    hooks.onRequest?.(url, headers);
+    return await politeFetch(url, { ...init, headers }, env);
+  }
+
+  // Keep the chosen user agent across hops
+  const baseHeaders = { ...init.headers, 'User-Agent': headers.get('User-Agent') };
+  let current = url;
+  let hopHeaders = headers;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    hooks.onRequest?.(current, hopHeaders);
+    const response = await politeFetch(current, { ...init, headers: hopHeaders, redirect: 'manual' }, env);
+    await storeResponseCookies(current, response, env);
+
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return response;
+    }
+
+    current = new URL(location, current).href;
+    ({ headers: hopHeaders } = await buildRequestHeaders(current, env, baseHeaders));
+  }
+
+  throw new Error(`Too many redirects: ${url}`);
+}
+
+/**
+ * Cookies from the jar that apply to a URL, as name → value
+ */
+async function readCookieJar(parsedUrl, env) {
+  if (!env.CACHE) return {};
+
+  let jar;
+  try {
+    jar = await env.CACHE.get(`cookies:${parsedUrl.hostname.toLowerCase()}`, { type: 'json' });
+  } catch (error) {
+    console.error('Cookie jar read error:', error);
+    return {};
+  }
+
+  const now = Date.now();
+  const cookies = {};
+
+  // Shorter paths first, so the most specific cookie of a name is applied last
+  for (const cookie of (jar || []).sort((a, b) => a.path.length - b.path.length)) {
+    if (cookie.expires && cookie.expires <= now) continue;
+    if (cookie.secure && parsedUrl.protocol !== 'https:') continue;
+    if (!pathMatches(parsedUrl.pathname, cookie.path)) continue;
+
+    cookies[cookie.name] = cookie.value;
+  }
+
+  return cookies;
+}
+
+/**
+ * Store a response's Set-Cookie headers in the host's jar
+ * Cookies are kept per host; the Domain attribute is not used to share them across subdomains.
+ */
+async function storeResponseCookies(url, response, env) {
+  if (!env.CACHE) return;
+
+  const setCookies = response.headers.getSetCookie ? response.headers.getSetCookie() : [];
+  if (setCookies.length === 0) return;
+
+  const parsed = new URL(url);
+  const key = `cookies:${parsed.hostname.toLowerCase()}`;
+  const now = Date.now();
+
+  try {
+    let jar = await env.CACHE.get(key, { type: 'json' }) || [];
+
+    for (const header of setCookies) {
+      const cookie = parseSetCookie(header, parsed.pathname, now);
+      if (!cookie) continue;
+
+      jar = jar.filter(existing => existing.name !== cookie.name || existing.path !== cookie.path);
+      if (!cookie.expires || cookie.expires > now) {
+        jar.push(cookie);
+      }
+    }
+
+    jar = jar.filter(cookie => !cookie.expires || cookie.expires > now);
+
+    if (jar.length === 0) {
+      await env.CACHE.delete(key);
+    } else {
+      await env.CACHE.put(key, JSON.stringify(jar), {
+        expirationTtl: CONFIG.scraper.request_profiles.cookie_jar_ttl_seconds
+      });
+    }
+  } catch (error) {
+    console.error('Cookie jar write error:', error);
+  }
+}
+
+/**
+ * Parse one Set-Cookie header
+ * @returns {{name: string, value: string, path: string, expires: number|null, secure: boolean}|null}
+ */
+function parseSetCookie(header, requestPath, now) {
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return null;
+
+  // Default path is the request path up to its last slash
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    path: requestPath.slice(0, requestPath.lastIndexOf('/')) || '/',
+    expires: null,
+    secure: false
+  };
+
+  let maxAge = null;
+
+  for (const attribute of attributes) {
+    const [rawName, ...rest] = attribute.split('=');
+    const name = rawName.trim().toLowerCase();
+    const value = rest.join('=').trim();
+
+    if (name === 'path' && value.startsWith('/')) cookie.path = value;
+    else if (name === 'secure') cookie.secure = true;
+    else if (name === 'max-age' && /^-?\d+$/.test(value)) maxAge = parseInt(value);
+    else if (name === 'expires' && !isNaN(Date.parse(value))) cookie.expires = Date.parse(value);
+  }
+
+  // Max-Age takes precedence over Expires
+  if (maxAge !== null) {
+    cookie.expires = now + maxAge * 1000;
+  }
+
+  return cookie;
+}
+
+/**
+ * RFC 6265 path matching
+ */
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+/**
+ * Replace `{env:NAME}` references with environment values; entries whose secret is missing are dropped
+ */
+function resolveSecrets(values, env) {
+  const resolved = {};
+
+  for (const [name, value] of Object.entries(values || {})) {
+    let missing = null;
+    const filled = String(value).replace(/\{env:(\w+)\}/g, (match, variable) => {
+      if (env[variable] === undefined) missing = variable;
+      return env[variable] ?? '';
+    });
+
+    if (missing) {
+      console.warn(`Request profile value for ${name} references unset env var ${missing}; skipping it`);
+      continue;
+    }
+
+    resolved[name] = filled;
+  }
+
+  return resolved;
+}
+
+/**
+ * Small stable string hash (FNV-1a)
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,291 @@
+/**
+ * Robots Module
+ * Fetches, parses and caches robots.txt rules per host (RFC 9309)
+ */
+
+import CONFIG from '../../config.json';
+
+const ROBOTS_CACHE_TTL = 24 * 60 * 60; // 24 hours
+// An unreachable robots.txt disallows everything, so it is retried soon (RFC 9309 2.3.1.3)
+const ROBOTS_ERROR_TTL = 5 * 60; // 5 minutes
+const MAX_ROBOTS_SIZE = 500 * 1024; // 500 KiB, as recommended by RFC 9309
+
+// Parsed rules for hosts already seen by this isolate, kept until the same expiry as in KV
+const memoryCache = new Map();
+
+/**
+ * Check whether a URL may be fetched according to its host's robots.txt
+ * @returns {Promise<{allowed: boolean, rule: string|null, crawl_delay: number|null}>}
+ */
+export async function checkRobots(url, env) {
+  if (!CONFIG.scraper.respect_robots_txt) {
+    return { allowed: true, rule: null, crawl_delay: null };
+  }
+
+  const robots = await getRobotsRules(url, env);
+  const group = selectGroup(robots, getRobotsUserAgent());
+  const match = matchRules(group, url);
+
+  return {
+    allowed: match.allowed,
+    rule: match.rule,
+    crawl_delay: group.crawl_delay
+  };
+}
+
+/**
+ * Get the Crawl-delay (in ms) that applies to a URL's host, or 0
+ */
+export async function getCrawlDelay(url, env) {
+  if (!CONFIG.scraper.respect_robots_txt) return 0;
+
+  const robots = await getRobotsRules(url, env);
+  const group = selectGroup(robots, getRobotsUserAgent());
+
+  return group.crawl_delay ? group.crawl_delay * 1000 : 0;
+}
+
+/**
+ * Get parsed robots.txt rules for a URL's host, fetching at most once per host until
+ * the rules expire
+ */
+export async function getRobotsRules(url, env) {
+  const origin = new URL(url).origin;
+
+  const cached = memoryCache.get(origin);
+  if (cached && cached.expires_at > Date.now()) {
+    return cached;
+  }
+
+  const key = `robots:${origin}`;
+  let robots = null;
+
+  if (env.CACHE) {
+    try {
+      robots = await env.CACHE.get(key, { type: 'json' });
+    } catch (error) {
+      console.error('Robots cache read error:', error);
+    }
+  }
+
+  // Entries stored before expiry was recorded live as long as a successful fetch
+  if (robots && !robots.expires_at) {
+    robots.expires_at = Date.now() + ROBOTS_CACHE_TTL * 1000;
+  }
+
+  if (!robots) {
+    const fetched = await fetchRobotsTxt(origin);
+    robots = { ...fetched.robots, expires_at: Date.now() + fetched.ttl * 1000 };
+
+    if (env.CACHE) {
+      try {
+        await env.CACHE.put(key, JSON.stringify(robots), {
+          expirationTtl: fetched.ttl
+        });
+      } catch (error) {
+        console.error('Robots cache write error:', error);
+      }
+    }
+  }
+
+  memoryCache.set(origin, robots);
+  return robots;
+}
+
+/**
+ * Fetch robots.txt for an origin
+ * 4xx means no restrictions; 5xx or network errors mean full disallow (RFC 9309)
+ */
+async function fetchRobotsTxt(origin) {
+  const robotsUrl = `${origin}/robots.txt`;
+
+  try {
+    const response = await fetch(robotsUrl, {
+      headers: {
+        'User-Agent': CONFIG.scraper.user_agents[0],
+        'Accept': 'text/plain,*/*;q=0.8'
+      },
+      signal: AbortSignal.timeout(CONFIG.scraper.timeout_ms)
+    });
+
+    if (response.ok) {
+      const text = (await response.text()).substring(0, MAX_ROBOTS_SIZE);
+      return { robots: parseRobotsTxt(text), ttl: ROBOTS_CACHE_TTL };
+    }
+
+    if (response.status >= 400 && response.status < 500) {
+      return { robots: allowAll(), ttl: ROBOTS_CACHE_TTL };
+    }
+
+    console.warn(`robots.txt for ${origin} returned HTTP ${response.status}, assuming disallow`);
+  } catch (error) {
+    console.warn(`robots.txt for ${origin} unreachable, assuming disallow:`, error.message);
+  }
+
+  return { robots: disallowAll(), ttl: ROBOTS_ERROR_TTL };
+}
+
+/**
+ * Parse robots.txt text into groups and sitemaps
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawl_delay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) {
+        current.rules.push({ type: field, path: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) {
+        current.crawl_delay = delay;
+      }
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Pick the rules for our user agent, merging groups that name the same agent
+ */
+function selectGroup(robots, userAgent) {
+  const token = userAgent.toLowerCase();
+  let bestAgent = null;
+
+  for (const group of robots.groups) {
+    for (const agent of group.agents) {
+      if (agent !== '*' && token.startsWith(agent) && (!bestAgent || agent.length > bestAgent.length)) {
+        bestAgent = agent;
+      }
+    }
+  }
+
+  const target = bestAgent || '*';
+  const matching = robots.groups.filter(group => group.agents.includes(target));
+  const delays = matching
+    .map(group => group.crawl_delay)
+    .filter(delay => delay !== null);
+
+  return {
+    rules: matching.flatMap(group => group.rules),
+    crawl_delay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * Match a URL against a rule group; the longest pattern wins, Allow wins ties
+ */
+function matchRules(group, url) {
+  const urlObj = new URL(url);
+  const path = urlObj.pathname + urlObj.search;
+
+  if (urlObj.pathname === '/robots.txt') {
+    return { allowed: true, rule: null };
+  }
+
+  let best = null;
+
+  for (const rule of group.rules) {
+    if (!patternMatches(rule.path, path)) continue;
+
+    if (!best ||
+        rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.type === 'allow')) {
+      best = rule;
+    }
+  }
+
+  if (!best) {
+    return { allowed: true, rule: null };
+  }
+
+  return {
+    allowed: best.type === 'allow',
+    rule: `${best.type === 'allow' ? 'Allow' : 'Disallow'}: ${best.path}`
+  };
+}
+
+/**
+ * Match a robots.txt path pattern supporting `*` wildcards and a `$` end anchor
+ */
+export function patternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+
+  const regex = body
+    .split('*')
+    .map(part => normalizePath(part).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(normalizePath(path));
+}
+
+/**
+ * Normalize percent-encoding so encoded and literal paths compare equal
+ */
+function normalizePath(path) {
+  try {
+    return decodeURI(path);
+  } catch {
+    return path;
+  }
+}
+
+/**
+ * Product token matched against robots.txt User-agent lines
+ */
+function getRobotsUserAgent() {
+  return CONFIG.scraper.robots_user_agent || '*';
+}
+
+/**
+ * Rules for a host without a robots.txt
+ */
+function allowAll() {
+  return { groups: [], sitemaps: [] };
+}
+
+/**
+ * Rules for a host whose robots.txt could not be fetched
+ */
+function disallowAll() {
+  return {
+    groups: [{ agents: ['*'], rules: [{ type: 'disallow', path: '/' }], crawl_delay: null }],
+    sitemaps: []
+  };
+}
@@ -5,7 +5,11 @@
 
 import { storeResult } from './storage.js';
 import { handleCrawl } from './crawler.js';
+import { createJob, rssPriority } from './jobs.js';
+import { calculateProphecyScore } from './scoring.js';
+import { fetchWithProfile } from './request_profiles.js';
 import { isValidUrl, generateJobId } from '../utils/helpers.js';
+import { decodeBody } from '../utils/charset.js';
 import CONFIG from '../../config.json';
 
 /**
@@ -65,9 +69,23 @@ export async function checkRSSFeeds(env, ctx) {
       for (const item of feedResult.high_score_items) {
         console.log(`High-score item found (${item.score}): ${item.title}`);
 
-        // Add to scraping queue
+        // Record the job as pending, then add it to the scraping queue ahead of bulk crawls
+        const jobId = generateJobId();
+        const priority = rssPriority(item.score, threshold);
+        if (env.DB) {
+          await createJob(env.DB, {
+            job_id: jobId,
+            url: item.link,
+            mode: 'manual',
+            source: 'rss',
+            priority,
+            params: { url: item.link, mode: 'manual', source: 'rss', priority }
+          });
+        }
+
         await env.SCRAPE_QUEUE.send({
-          id: generateJobId(),
+          id: jobId,
+          priority,
           url: item.link,
           mode: 'manual',
           source: 'rss',
@@ -107,18 +125,21 @@ async function checkSingleFeed(feedUrl, threshold, env, ctx) {
   console.log(`Fetching RSS feed: ${feedUrl}`);
 
   // Fetch the RSS feed
-  const response = await fetch(feedUrl, {
+  const response = await fetchWithProfile(feedUrl, {
     headers: {
-      'User-Agent': CONFIG.scraper.user_agents[0],
       'Accept': 'application/rss+xml, application/xml, text/xml, */*'
     }
-  });
+  }, env);
 
   if (!response.ok) {
     throw new Error(`Failed to fetch feed: HTTP ${response.status}`);
   }
 
-  const xmlText = await response.text();
+  // Feeds in legacy encodings declare them in the XML declaration or Content-Type
+  const { text: xmlText, encoding } = decodeBody(
+    new Uint8Array(await response.arrayBuffer()),
+    response.headers.get('content-type')
+  );
   const feed = parseRSSFeed(xmlText);
 
   console.log(`Parsed ${feed.items.length} items from feed`);
@@ -137,6 +158,7 @@ async function checkSingleFeed(feedUrl, threshold, env, ctx) {
   return {
     feed_url: feedUrl,
     feed_title: feed.title,
+    encoding,
     total_items: feed.items.length,
     high_score_items: highScoreItems,
     threshold,
@@ -198,47 +220,6 @@ function parseRSSFeed(xmlText) {
   };
 }
 
-/**
- * Calculate prophecy score based on keywords
- */
-function calculateProphecyScore(item) {
-  const text = `${item.title} ${item.description}`.toLowerCase();
-  const keywords = CONFIG.scoring.prophecy_keywords;
-  const highPriorityKeywords = CONFIG.scoring.high_priority_keywords;
-
-  let score = 0;
-
-  // Check for keyword matches
-  for (const keyword of keywords) {
-    const keywordLower = keyword.toLowerCase();
-    const regex = new RegExp(`\\b${escapeRegex(keywordLower)}\\b`, 'gi');
-    const matches = text.match(regex);
-
-    if (matches) {
-      const count = matches.length;
-      const isHighPriority = highPriorityKeywords.some(hp =>
-        hp.toLowerCase() === keywordLower
-      );
-
-      const weight = isHighPriority
-        ? CONFIG.scoring.keyword_weights.high
-        : CONFIG.scoring.keyword_weights.medium;
-
-      score += count * weight;
-    }
-  }
-
-  // Bonus for title matches
-  const titleText = item.title.toLowerCase();
-  for (const keyword of highPriorityKeywords) {
-    if (titleText.includes(keyword.toLowerCase())) {
-      score += 1.0;
-    }
-  }
-
-  return parseFloat(score.toFixed(2));
-}
-
 /**
  * Clean text from HTML and XML entities
  */
@@ -254,10 +235,3 @@ function cleanText(text) {
     .replace(/\s+/g, ' ')
     .trim();
 }
-
-/**
- * Escape special regex characters
- */
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
@@ -0,0 +1,70 @@
+/**
+ * Scoring Module
+ * Prophecy keyword scoring shared by RSS items and scraped pages
+ */
+
+import CONFIG from '../../config.json';
+
+/**
+ * Calculate prophecy score based on keywords
+ * @param {object} item - { title, description, metadata? } where metadata follows extractMetadata()
+ */
+export function calculateProphecyScore(item) {
+  const metadata = item.metadata || {};
+  const metadataText = [
+    metadata.description,
+    metadata.section,
+    ...(metadata.keywords || [])
+  ].filter(Boolean).join(' ');
+
+  const text = `${item.title} ${item.description} ${metadataText}`.toLowerCase();
+  const keywords = CONFIG.scoring.prophecy_keywords;
+  const highPriorityKeywords = CONFIG.scoring.high_priority_keywords;
+
+  let score = 0;
+
+  // Check for keyword matches
+  for (const keyword of keywords) {
+    const keywordLower = keyword.toLowerCase();
+    const regex = new RegExp(`\\b${escapeRegex(keywordLower)}\\b`, 'gi');
+    const matches = text.match(regex);
+
+    if (matches) {
+      const count = matches.length;
+      const isHighPriority = highPriorityKeywords.some(hp =>
+        hp.toLowerCase() === keywordLower
+      );
+
+      const weight = isHighPriority
+        ? CONFIG.scoring.keyword_weights.high
+        : CONFIG.scoring.keyword_weights.medium;
+
+      score += count * weight;
+    }
+  }
+
+  // Bonus for title matches
+  const titleText = item.title.toLowerCase();
+  for (const keyword of highPriorityKeywords) {
+    if (titleText.includes(keyword.toLowerCase())) {
+      score += 1.0;
+    }
+  }
+
+  // Bonus for keywords the publisher tagged the page with
+  const taggedKeywords = (metadata.keywords || []).map(keyword => keyword.toLowerCase());
+  for (const keyword of keywords) {
+    if (taggedKeywords.includes(keyword.toLowerCase())) {
+      score += CONFIG.scoring.keyword_weights.low;
+    }
+  }
+
+  return parseFloat(score.toFixed(2));
+}
+
+/**
+ * Escape special regex characters
+ */
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,147 @@
+/**
+ * Scrape Cache Module
+ * KV cache of scrape results with HTTP validators (ETag / Last-Modified / max-age)
+ */
+
+import { canonicalizeUrl } from '../utils/url_normalizer.js';
+import CONFIG from '../../config.json';
+
+export const CACHE_MODES = ['bypass', 'revalidate', 'prefer'];
+
+/**
+ * Read the cache entry for a URL
+ * @returns {Promise<{data: object, etag: string|null, last_modified: string|null, stored_at: number, fresh_until: number}|null>}
+ */
+export async function readCachedScrape(url, cache) {
+  if (!cache) return null;
+
+  try {
+    const entry = await cache.get(cacheKey(url), { type: 'json' });
+    if (!entry) return null;
+
+    // Entries written before validators were stored hold the scrape directly
+    if (!entry.data) {
+      const storedAt = new Date(entry.scraped_at).getTime();
+      return {
+        data: entry,
+        etag: null,
+        last_modified: null,
+        stored_at: storedAt,
+        fresh_until: storedAt + 24 * 60 * 60 * 1000
+      };
+    }
+
+    return entry;
+  } catch (error) {
+    console.error('Cache check error:', error);
+    return null;
+  }
+}
+
+/**
+ * Whether an entry can be served without asking the origin
+ */
+export function isFresh(entry) {
+  return Date.now() < entry.fresh_until;
+}
+
+/**
+ * Conditional request headers for revalidating an entry
+ */
+export function conditionalHeaders(entry) {
+  const headers = {};
+  if (!entry) return headers;
+
+  if (entry.etag) headers['If-None-Match'] = entry.etag;
+  if (entry.last_modified) headers['If-Modified-Since'] = entry.last_modified;
+
+  return headers;
+}
+
+/**
+ * Read validators and freshness lifetime from response headers
+ */
+export function parseCacheHeaders(headers) {
+  const cacheControl = (headers.get('cache-control') || '').toLowerCase();
+  const maxAgeMatch = cacheControl.match(/(?:^|,)\s*max-age=(\d+)/);
+  const lastModified = headers.get('last-modified');
+
+  let maxAge;
+  if (/(?:^|,)\s*no-cache/.test(cacheControl)) {
+    maxAge = 0;
+  } else if (maxAgeMatch) {
+    maxAge = parseInt(maxAgeMatch[1], 10);
+  } else if (lastModified && !isNaN(Date.parse(lastModified))) {
+    // Heuristic freshness: 10% of the time since last modification (RFC 9111 4.2.2)
+    const age = (Date.now() - Date.parse(lastModified)) / 1000;
+    maxAge = Math.min(Math.max(Math.floor(age * 0.1), 0), CONFIG.scraper.cache.default_max_age_seconds);
+  } else {
+    maxAge = CONFIG.scraper.cache.default_max_age_seconds;
+  }
+
+  return {
+    etag: headers.get('etag'),
+    last_modified: lastModified,
+    max_age: maxAge,
+    no_store: /(?:^|,)\s*no-store/.test(cacheControl)
+  };
+}
+
+/**
+ * Store a scrape with its validators under the requested URL
+ * A page's declared canonical URL is only used for dedupe and storage: keying the cache
+ * by it would let any page overwrite the entry of the URL it claims to be.
+ */
+export async function writeCachedScrape(url, data, validators, cache) {
+  if (!cache) return;
+
+  const policy = validators || {
+    etag: null,
+    last_modified: null,
+    max_age: CONFIG.scraper.cache.default_max_age_seconds,
+    no_store: false
+  };
+
+  if (policy.no_store) return;
+
+  const now = Date.now();
+  const entry = {
+    data,
+    etag: policy.etag || null,
+    last_modified: policy.last_modified || null,
+    stored_at: now,
+    fresh_until: now + policy.max_age * 1000
+  };
+
+  try {
+    await cache.put(cacheKey(url), JSON.stringify(entry), {
+      expirationTtl: CONFIG.scraper.cache.retention_seconds
+    });
+  } catch (error) {
+    console.error('Cache write error:', error);
+  }
+}
+
+/**
+ * Extend an entry's freshness after a 304 Not Modified
+ */
+export async function refreshCachedScrape(url, entry, headers, cache) {
+  const validators = parseCacheHeaders(headers);
+
+  const refreshed = {
+    etag: validators.etag || entry.etag,
+    last_modified: validators.last_modified || entry.last_modified,
+    max_age: validators.max_age,
+    no_store: validators.no_store
+  };
+
+  await writeCachedScrape(url, entry.data, refreshed, cache);
+  return entry.data;
+}
+
+/**
+ * KV key for a URL's cache entry
+ */
+function cacheKey(url) {
+  return `scrape:${canonicalizeUrl(url)}`;
+}
@@ -0,0 +1,112 @@
+/**
+ * Scraping API Module
+ * Generic adapter for HTTP scraping services (ScraperAPI, ScrapingBee, Zyte, ...):
+ * a request template, an auth header and a mapping from the service's response to page HTML
+ */
+
+import { httpError, parseRetryAfter } from '../utils/helpers.js';
+import CONFIG from '../../config.json';
+
+/**
+ * Whether a scraping service is configured (template set, API key present when the templates use one)
+ */
+export function isScrapingApiConfigured(env) {
+  const api = CONFIG.scraper.api;
+  if (!api.url_template) return false;
+
+  const templates = [api.url_template, api.auth_header && api.auth_value_template, JSON.stringify(api.body_template)];
+  const needsKey = templates.some(template => template && template.includes('{api_key}'));
+
+  return !needsKey || !!env[api.api_key_env];
+}
+
+/**
+ * Fetch a page through the configured scraping service
+ * Templates may use {url} and {api_key}; values are URI-encoded in url_template only.
+ * @returns {Promise<{html: string, status: number, final_url: string}>}
+ */
+export async function fetchViaScrapingApi(url, env) {
+  const api = CONFIG.scraper.api;
+
+  if (!isScrapingApiConfigured(env)) {
+    throw new Error('API scraping not configured');
+  }
+
+  const values = { url, api_key: env[api.api_key_env] || '' };
+  const headers = {};
+
+  if (api.auth_header) {
+    headers[api.auth_header] = fillTemplate(api.auth_value_template, values);
+  }
+
+  let body;
+  if (api.body_template) {
+    body = typeof api.body_template === 'string'
+      ? fillTemplate(api.body_template, values)
+      : JSON.stringify(fillObject(api.body_template, values));
+    headers['Content-Type'] = typeof api.body_template === 'string' ? 'text/plain' : 'application/json';
+  }
+
+  const response = await fetch(fillTemplate(api.url_template, values, encodeURIComponent), {
+    method: api.method || 'GET',
+    headers,
+    body,
+    signal: AbortSignal.timeout(api.timeout_ms)
+  });
+
+  if (!response.ok) {
+    throw httpError(
+      response.status,
+      `Scraping API returned HTTP ${response.status}`,
+      parseRetryAfter(response.headers.get('retry-after'))
+    );
+  }
+
+  if (api.response_type !== 'json') {
+    return { html: await response.text(), status: 200, final_url: url };
+  }
+
+  // JSON responses are mapped with dotted paths, e.g. "data.content" or "results.0.html"
+  const payload = await response.json();
+  const fields = api.response_fields;
+  const html = getPath(payload, fields.html);
+
+  if (typeof html !== 'string') {
+    throw new Error(`Scraping API response has no HTML at "${fields.html}"`);
+  }
+
+  return {
+    html,
+    status: parseInt(getPath(payload, fields.status)) || 200,
+    final_url: getPath(payload, fields.final_url) || url
+  };
+}
+
+/**
+ * Replace {name} placeholders in a template
+ */
+function fillTemplate(template, values, encode = value => value) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in values ? encode(values[name]) : match
+  );
+}
+
+/**
+ * Fill placeholders in every string of a JSON body template
+ */
+function fillObject(value, values) {
+  if (typeof value === 'string') return fillTemplate(value, values);
+  if (Array.isArray(value)) return value.map(item => fillObject(item, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillObject(item, values)]));
+  }
+  return value;
+}
+
+/**
+ * Read a dotted path from a JSON value
+ */
+function getPath(value, path) {
+  if (!path) return undefined;
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
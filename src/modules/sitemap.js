@@ -0,0 +1,200 @@
+/**
+ * Sitemap Module
+ * Discovers and expands sitemap.xml / sitemap index files (plain or gzipped)
+ */
+
+import { getRobotsRules } from './robots.js';
+import { fetchWithProfile } from './request_profiles.js';
+import { extractDomain } from '../utils/helpers.js';
+import { canonicalizeUrl } from '../utils/url_normalizer.js';
+import { decodeBody } from '../utils/charset.js';
+import CONFIG from '../../config.json';
+
+const MAX_SITEMAP_FETCHES = 50;
+const MAX_INDEX_DEPTH = 3;
+
+/**
+ * Collect page URLs listed in a site's sitemaps
+ * @param {string} startUrl - Any URL on the site, or a sitemap URL itself
+ * @param {object} options - { sitemap_url, lastmod_since, lastmod_until, url_pattern }
+ * @returns {Promise<{sitemaps: string[], entries: Array<{url: string, lastmod: string|null}>, total_found: number}>}
+ */
+export async function collectSitemapUrls(startUrl, env, options = {}) {
+  const {
+    sitemap_url = null,
+    lastmod_since = null,
+    lastmod_until = null,
+    url_pattern = null
+  } = options;
+
+  const roots = sitemap_url ? [sitemap_url] : await discoverSitemaps(startUrl, env);
+  const domain = extractDomain(startUrl);
+
+  const fetched = [];
+  const entries = new Map();
+  const queue = roots.map(url => ({ url, depth: 0 }));
+
+  while (queue.length > 0 && fetched.length < MAX_SITEMAP_FETCHES) {
+    const { url, depth } = queue.shift();
+    if (fetched.includes(url)) continue;
+    fetched.push(url);
+
+    let parsed;
+    try {
+      parsed = parseSitemap(await fetchSitemap(url, env));
+    } catch (error) {
+      console.error(`Error reading sitemap ${url}:`, error.message);
+      continue;
+    }
+
+    if (parsed.type === 'index') {
+      if (depth < MAX_INDEX_DEPTH) {
+        for (const child of parsed.entries) {
+          queue.push({ url: child.url, depth: depth + 1 });
+        }
+      }
+      continue;
+    }
+
+    for (const entry of parsed.entries) {
+      // Sitemaps may only list URLs on their own host
+      const key = canonicalizeUrl(entry.url);
+      if (extractDomain(entry.url) === domain && !entries.has(key)) {
+        entries.set(key, entry);
+      }
+    }
+  }
+
+  const since = lastmod_since ? new Date(lastmod_since).getTime() : null;
+  const until = lastmod_until ? new Date(lastmod_until).getTime() : null;
+  const pattern = url_pattern ? new RegExp(url_pattern) : null;
+
+  const filtered = [...entries.values()]
+    .filter(entry => {
+      if (pattern && !pattern.test(entry.url)) return false;
+      if (since === null && until === null) return true;
+
+      // Entries without a lastmod cannot be placed in the window
+      const lastmod = entry.lastmod ? new Date(entry.lastmod).getTime() : NaN;
+      if (isNaN(lastmod)) return false;
+      if (since !== null && lastmod < since) return false;
+      if (until !== null && lastmod > until) return false;
+      return true;
+    })
+    // Newest first, so the page budget goes to fresh content
+    .sort((a, b) => (b.lastmod || '').localeCompare(a.lastmod || ''));
+
+  return {
+    sitemaps: fetched,
+    entries: filtered,
+    total_found: entries.size
+  };
+}
+
+/**
+ * Validate the sitemap filters of a crawl request
+ * @param {object} filters - { lastmod_since, lastmod_until, url_pattern }
+ * @throws {Error} When a lastmod bound isn't a date or url_pattern isn't a valid regex
+ */
+export function validateSitemapFilters({ lastmod_since = null, lastmod_until = null, url_pattern = null }) {
+  for (const [name, value] of [['lastmod_since', lastmod_since], ['lastmod_until', lastmod_until]]) {
+    if (value !== null && isNaN(new Date(value).getTime())) {
+      throw new Error(`Invalid ${name}: ${value} (expected an ISO 8601 date)`);
+    }
+  }
+
+  if (url_pattern !== null) {
+    try {
+      new RegExp(url_pattern);
+    } catch (error) {
+      throw new Error(`Invalid url_pattern: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Find a site's sitemaps from robots.txt, falling back to /sitemap.xml
+ */
+export async function discoverSitemaps(url, env) {
+  try {
+    const robots = await getRobotsRules(url, env);
+    if (robots.sitemaps.length > 0) {
+      return robots.sitemaps;
+    }
+  } catch (error) {
+    console.error('Sitemap discovery via robots.txt failed:', error.message);
+  }
+
+  return [`${new URL(url).origin}/sitemap.xml`];
+}
+
+/**
+ * Fetch a sitemap and return its XML, gunzipping .xml.gz payloads
+ */
+async function fetchSitemap(url, env) {
+  const response = await fetchWithProfile(url, {
+    headers: {
+      'Accept': 'application/xml, text/xml, application/x-gzip, */*;q=0.8'
+    },
+    signal: AbortSignal.timeout(CONFIG.scraper.timeout_ms)
+  }, env);
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const buffer = await response.arrayBuffer();
+  let bytes = new Uint8Array(buffer);
+
+  // Gzip magic number; Content-Encoding gzip is already decoded by fetch
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    const stream = new Response(buffer).body.pipeThrough(new DecompressionStream('gzip'));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    return decodeBody(bytes).text;
+  }
+
+  return decodeBody(bytes, response.headers.get('content-type')).text;
+}
+
+/**
+ * Parse a <urlset> or <sitemapindex> document
+ */
+export function parseSitemap(xmlText) {
+  const isIndex = /<sitemapindex[\s>]/i.test(xmlText);
+  const entryRegex = isIndex
+    ? /<sitemap[\s>]([\s\S]*?)<\/sitemap>/gi
+    : /<url[\s>]([\s\S]*?)<\/url>/gi;
+
+  const entries = [];
+
+  for (const match of xmlText.matchAll(entryRegex)) {
+    const loc = extractTag(match[1], 'loc');
+    if (!loc) continue;
+
+    entries.push({
+      url: loc,
+      lastmod: extractTag(match[1], 'lastmod')
+    });
+  }
+
+  return {
+    type: isIndex ? 'index' : 'urlset',
+    entries
+  };
+}
+
+/**
+ * Read a simple text element, unwrapping CDATA and XML entities
+ */
+function extractTag(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}[^>]*>(?:<!\\[CDATA\\[)?([\\s\\S]*?)(?:\\]\\]>)?<\\/(?:\\w+:)?${tag}>`, 'i'));
+  if (!match) return null;
+
+  return match[1]
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim() || null;
+}
@@ -4,12 +4,27 @@
  */
 
 import { sanitizeFilename, getTimestamp, extractDomain } from '../utils/helpers.js';
+import { linkArchivedAssets } from './markdown_converter.js';
+import { fingerprintContent, findNearDuplicate, recordFingerprint, linkDuplicate, getDuplicateStatistics } from './duplicates.js';
 import CONFIG from '../../config.json';
 
+// scrape_metadata is created and migrated once per isolate
+let metadataTableReady = false;
+
 /**
  * Store scraping result to configured storage backend(s)
+ * @param {object} options - { original: { body, content_type, extension } } archives the
+ *   fetched document (PDF, DOCX, ...) to R2 next to the JSON;
+ *   { screenshot: { body, content_type } } stores a rendered page's screenshot the same way;
+ *   { pages: [{ original, screenshot }] } does the same for each page of an in-request crawl
+ *   (aligned with data.pages), recording the keys on the page entries;
+ *   { dedupe: false } stores the page even when it nearly duplicates a stored one;
+ *   { assets } (from downloadAssets) archives the page's images, media and PDFs under its
+ *   prefix and points the stored data and Markdown at the copies
+ * @returns {Promise<object>} { success, storage } or, when the content nearly duplicates a page
+ *   stored under another URL, { success, duplicate_of } with nothing stored but the link
  */
-export async function storeResult(data, env, ctx) {
+export async function storeResult(data, env, ctx, options = {}) {
   const results = {
     r2: null,
     postgres: null,
@@ -17,9 +32,28 @@ export async function storeResult(data, env, ctx) {
   };
 
   try {
+    // Near-duplicates of stored pages are linked to the original instead of stored
+    const fingerprint = env.DB && options.dedupe !== false ? fingerprintContent(data) : null;
+    if (fingerprint) {
+      const original = await findNearDuplicate(fingerprint, data, env);
+      if (original) {
+        return {
+          success: true,
+          duplicate_of: await linkDuplicate(fingerprint, data, original, env.DB),
+          storage: results
+        };
+      }
+    }
+
+    // Archived assets are referenced by everything stored below
+    if (options.assets && CONFIG.storage.r2.enabled && env.CRAWL_BUCKET) {
+      data = await storeAssets(data, env.CRAWL_BUCKET, options.assets);
+      results.assets = data.assets.filter(asset => asset.r2_key).map(asset => asset.r2_key);
+    }
+
     // Store to R2 if enabled
     if (CONFIG.storage.r2.enabled && env.CRAWL_BUCKET) {
-      results.r2 = await storeToR2(data, env.CRAWL_BUCKET);
+      results.r2 = await storeToR2(data, env.CRAWL_BUCKET, options);
     }
 
     // Store to Postgres if enabled
@@ -32,6 +66,10 @@ export async function storeResult(data, env, ctx) {
       results.metadata = await storeMetadata(data, env.DB);
     }
 
+    if (fingerprint) {
+      results.fingerprint_id = await recordFingerprint(fingerprint, data, results, env.DB);
+    }
+
     return {
       success: true,
       storage: results
@@ -50,20 +88,42 @@ export async function storeResult(data, env, ctx) {
 /**
  * Store to Cloudflare R2
  */
-async function storeToR2(data, bucket) {
+async function storeToR2(data, bucket, files = {}) {
   const timestamp = getTimestamp();
   const domain = data.url ? sanitizeFilename(extractDomain(data.url)) : 'unknown';
+  const baseKey = `${CONFIG.storage.r2.bucket_prefix}${domain}/${timestamp}`;
+
+  // Store the original document and screenshot under the same name as the JSON
+  const { original_key: originalKey, screenshot_key: screenshotKey } =
+    await storePageFiles(bucket, baseKey, data, files);
+
+  // Pages of an in-request crawl keep theirs beside the combined JSON, numbered in crawl order
+  if (files.pages && data.pages) {
+    const pages = [];
+    for (const [index, page] of data.pages.entries()) {
+      const keys = await storePageFiles(bucket, `${baseKey}-${index + 1}`, page, files.pages[index] || {});
+      pages.push({
+        ...page,
+        ...(keys.original_key && { original_key: keys.original_key }),
+        ...(keys.screenshot_key && { screenshot_key: keys.screenshot_key })
+      });
+    }
+    data = { ...data, pages };
+  }
 
   // Store as JSON
-  const jsonKey = `${CONFIG.storage.r2.bucket_prefix}${domain}/${timestamp}.json`;
+  const jsonKey = `${baseKey}.json`;
   await bucket.put(jsonKey, JSON.stringify(data, null, 2), {
     httpMetadata: {
       contentType: 'application/json'
     },
     customMetadata: {
       url: data.url || '',
+      canonical_url: data.canonical_url || '',
       scraped_at: data.scraped_at || new Date().toISOString(),
-      type: data.type || 'scrape'
+      type: data.type || 'scrape',
+      ...(originalKey && { original_key: originalKey }),
+      ...(screenshotKey && { screenshot_key: screenshotKey })
     }
   });
 
@@ -80,10 +140,89 @@ async function storeToR2(data, bucket) {
   return {
     json_key: jsonKey,
     markdown_key: data.content_md ? `${CONFIG.storage.r2.bucket_prefix}${domain}/${timestamp}.md` : null,
+    original_key: originalKey,
+    screenshot_key: screenshotKey,
     bucket: bucket.name || 'default'
   };
 }
 
+/**
+ * Store a page's original document (`<baseKey>.<ext>`) and screenshot (`<baseKey>.png`)
+ * @returns {Promise<{original_key: string|null, screenshot_key: string|null}>}
+ */
+async function storePageFiles(bucket, baseKey, page, { original = null, screenshot = null }) {
+  const customMetadata = {
+    url: page.url || '',
+    scraped_at: page.scraped_at || new Date().toISOString()
+  };
+
+  const originalKey = original ? `${baseKey}.${original.extension}` : null;
+  if (original) {
+    await bucket.put(originalKey, original.body, {
+      httpMetadata: {
+        contentType: original.content_type || 'application/octet-stream'
+      },
+      customMetadata
+    });
+  }
+
+  const screenshotKey = screenshot ? `${baseKey}.png` : null;
+  if (screenshot) {
+    await bucket.put(screenshotKey, screenshot.body, {
+      httpMetadata: {
+        contentType: screenshot.content_type || 'image/png'
+      },
+      customMetadata
+    });
+  }
+
+  return { original_key: originalKey, screenshot_key: screenshotKey };
+}
+
+/**
+ * Store downloaded assets in R2 under the page's prefix, named by content hash
+ * (`<prefix><domain>/assets/<sha256>.<ext>`), so repeated scrapes share one copy
+ * @returns {Promise<object>} Page data with `assets` updated to the archived keys (or skip
+ *   reasons) and the Markdown rewritten to reference the copies
+ */
+async function storeAssets(data, bucket, assets) {
+  const domainPrefix = `${CONFIG.storage.r2.bucket_prefix}${data.url ? sanitizeFilename(extractDomain(data.url)) : 'unknown'}/`;
+  const archived = [];
+
+  for (const asset of assets) {
+    const { body, extension, ...entry } = asset;
+    if (!body) {
+      archived.push(entry);
+      continue;
+    }
+
+    const key = `${domainPrefix}assets/${asset.sha256}.${extension}`;
+    if (!await bucket.head(key)) {
+      await bucket.put(key, body, {
+        httpMetadata: {
+          contentType: asset.content_type
+        },
+        customMetadata: {
+          url: asset.url,
+          page_url: data.url || ''
+        }
+      });
+    }
+
+    archived.push({ ...entry, r2_key: key, path: key.slice(domainPrefix.length) });
+  }
+
+  // Assets that weren't downloaded (other types, or cached pages) keep their entries
+  const byUrl = new Map(archived.map(asset => [asset.url, asset]));
+  const merged = (data.assets || []).map(asset => byUrl.get(asset.url) || asset);
+
+  return {
+    ...data,
+    assets: merged,
+    content_md: data.content_md ? linkArchivedAssets(data.content_md, archived) : data.content_md
+  };
+}
+
 /**
  * Store to Postgres database
  */
@@ -112,6 +251,11 @@ async function storeToPostgres(data, env) {
     content: data.content,
     content_md: data.content_md,
     score: data.score || 0,
+    author: data.metadata?.author || null,
+    published_at: data.metadata?.published_at || null,
+    section: data.metadata?.section || null,
+    keywords: data.metadata?.keywords || [],
+    canonical_url: data.canonical_url || data.metadata?.canonical_url || null,
     scraped_at: data.scraped_at || new Date().toISOString(),
     metadata: JSON.stringify(data.metadata || {})
   };
@@ -138,29 +282,16 @@ async function storeToPostgres(data, env) {
  */
 async function storeMetadata(data, db) {
   try {
-    // Create table if not exists (idempotent)
-    await db.prepare(`
-      CREATE TABLE IF NOT EXISTS scrape_metadata (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        url TEXT NOT NULL,
-        title TEXT,
-        domain TEXT,
-        score REAL DEFAULT 0,
-        method TEXT,
-        source TEXT,
-        scraped_at TEXT NOT NULL,
-        content_length INTEGER,
-        links_count INTEGER,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )
-    `).run();
+    await ensureMetadataTable(db);
 
     // Insert metadata
     const domain = data.url ? extractDomain(data.url) : null;
+    const metadata = data.metadata || {};
     const result = await db.prepare(`
       INSERT INTO scrape_metadata (
-        url, title, domain, score, method, source, scraped_at, content_length, links_count
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        url, title, domain, score, method, source, scraped_at, content_length, links_count,
+        author, published_at, section, keywords, canonical_url, language, page_metadata, job_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
       data.url || '',
       data.title || '',
@@ -170,7 +301,15 @@ async function storeMetadata(data, db) {
       data.source || 'manual',
       data.scraped_at || new Date().toISOString(),
       data.content?.length || 0,
-      data.links?.length || 0
+      data.links?.length || 0,
+      metadata.author || null,
+      metadata.published_at || null,
+      metadata.section || null,
+      metadata.keywords?.length ? metadata.keywords.join(', ') : null,
+      data.canonical_url || metadata.canonical_url || null,
+      metadata.language || null,
+      JSON.stringify(metadata),
+      data.job_id || null
     ).run();
 
     return {
@@ -184,6 +323,67 @@ async function storeMetadata(data, db) {
   }
 }
 
+/**
+ * Create scrape_metadata if it doesn't exist and add columns older tables lack
+ * (once per isolate)
+ */
+async function ensureMetadataTable(db) {
+  if (metadataTableReady) return;
+
+  await db.prepare(`
+    CREATE TABLE IF NOT EXISTS scrape_metadata (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      title TEXT,
+      domain TEXT,
+      score REAL DEFAULT 0,
+      method TEXT,
+      source TEXT,
+      scraped_at TEXT NOT NULL,
+      content_length INTEGER,
+      links_count INTEGER,
+      author TEXT,
+      published_at TEXT,
+      section TEXT,
+      keywords TEXT,
+      canonical_url TEXT,
+      language TEXT,
+      page_metadata TEXT,
+      job_id TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+
+  // Tables created before structured metadata and job tracking existed lack these columns
+  await ensureColumns(db, 'scrape_metadata', {
+    author: 'TEXT',
+    published_at: 'TEXT',
+    section: 'TEXT',
+    keywords: 'TEXT',
+    canonical_url: 'TEXT',
+    language: 'TEXT',
+    page_metadata: 'TEXT',
+    job_id: 'TEXT'
+  });
+  await db.prepare('CREATE INDEX IF NOT EXISTS idx_scrape_metadata_job_id ON scrape_metadata(job_id)').run();
+
+  metadataTableReady = true;
+}
+
+/**
+ * Add any missing columns to an existing D1 table
+ */
+export async function ensureColumns(db, table, columns) {
+  const info = await db.prepare(`PRAGMA table_info(${table})`).all();
+  const existing = new Set(info.results.map(column => column.name));
+
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      await db.prepare(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`).run();
+    }
+  }
+}
+
 /**
  * Retrieve scraping history from D1
  */
@@ -257,7 +457,9 @@ export async function getStatistics(env) {
   return {
     total_scrapes: totalResult.count,
     top_domains: domainResult.results,
-    high_score_items: highScoreResult.results
+    high_score_items: highScoreResult.results,
+    // Near-duplicates are linked, not stored, so they aren't part of the counts above
+    ...await getDuplicateStatistics(env.DB)
   };
 }
 
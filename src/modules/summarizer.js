@@ -4,6 +4,7 @@
  */
 
 import { scrapeSingleUrl } from './crawler.js';
+import { CACHE_MODES } from './scrape_cache.js';
 import { generateSummary, extractKeyPoints } from './markdown_converter.js';
 import { isValidUrl } from '../utils/helpers.js';
 import CONFIG from '../../config.json';
@@ -12,16 +13,23 @@ import CONFIG from '../../config.json';
  * Handle summary generation request
  */
 export async function handleSummary(params, env, ctx) {
-  const { url, text, mode = 'auto' } = params;
+  const { url, text, mode = 'auto', cache = 'revalidate' } = params;
 
   try {
+    if (!CACHE_MODES.includes(cache)) {
+      throw new Error(`Unknown cache mode: ${cache}`);
+    }
+
     let content;
     let metadata = {};
 
     // Get content either from URL or direct text
     if (url && isValidUrl(url)) {
       // Scrape URL first
-      const scrapeResult = await scrapeSingleUrl(url, env);
+      const scrapeResult = await scrapeSingleUrl(url, env, { cache });
+      if (scrapeResult.status === 'blocked_by_robots') {
+        throw new Error(`URL disallowed by robots.txt (${scrapeResult.rule})`);
+      }
       if (!scrapeResult.success) {
         throw new Error('Failed to scrape URL');
       }
@@ -29,7 +37,8 @@ export async function handleSummary(params, env, ctx) {
       metadata = {
         url,
         title: scrapeResult.data.title,
-        source: 'url'
+        source: 'url',
+        cache_status: scrapeResult.cache_status
       };
     } else if (text) {
       content = text;
@@ -0,0 +1,303 @@
+/**
+ * WARC Archive Module
+ * Stores a crawl's fetches in R2 as WARC segments and bundles them into one
+ * `<job_id>.warc.gz` with a CDXJ index, served by GET /api/warc/:job_id
+ */
+
+import { buildExchangeRecords, buildWarcinfoRecord, formatCdxj, concatBytes } from '../utils/warc.js';
+import { ensureFrontierTables, getCrawlJob } from './crawl_frontier.js';
+import { claimWarcBundle, releaseWarcBundle } from './jobs.js';
+import CONFIG from '../../config.json';
+
+// Size of each multipart upload part; R2 wants every part but the last the same size, 5 MiB or more
+const PART_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Write the records of a page's fetches as one segment of the crawl's WARC
+ * Segments are named by time so bundling keeps the crawl order.
+ * @param {object[]} exchanges - Fetches recorded by scrapeWithFetch
+ * @returns {Promise<string|null>} Segment key, or null when there was nothing to write
+ */
+export async function writeWarcSegment(jobId, exchanges, env) {
+  if (!exchanges || exchanges.length === 0 || !env.CRAWL_BUCKET) return null;
+
+  const parts = [];
+  const index = [];
+  let offset = 0;
+
+  for (const exchange of exchanges) {
+    const records = await buildExchangeRecords(exchange);
+    index.push(...records.index.map(entry => ({ ...entry, offset: entry.offset + offset })));
+    parts.push(records.data);
+    offset += records.data.byteLength;
+  }
+
+  const key = `${warcPrefix(jobId)}/segments/${Date.now()}-${crypto.randomUUID()}`;
+  await env.CRAWL_BUCKET.put(`${key}.warc.gz`, concatBytes(parts), {
+    httpMetadata: { contentType: 'application/gzip' }
+  });
+  await env.CRAWL_BUCKET.put(`${key}.json`, JSON.stringify(index), {
+    httpMetadata: { contentType: 'application/json' }
+  });
+
+  return `${key}.warc.gz`;
+}
+
+/**
+ * Bundle a crawl's segments into its .warc.gz and .cdxj
+ * Records are appended to an existing bundle (a resumed crawl), and bundled segments
+ * are deleted. The bundle is streamed to R2 as a multipart upload, so only one part is
+ * held in memory. With a DB the job row is claimed first (see claimWarcBundle), so a
+ * download and the crawl's last page never bundle at the same time.
+ * @returns {Promise<object|null>} { warc_key, cdxj_key, captures (indexed responses), bytes },
+ *   { bundling: true } while another worker holds the claim, or null when the crawl has
+ *   neither segments nor a bundle
+ */
+export async function bundleWarc(jobId, env) {
+  if (env.DB && !await claimWarcBundle(env.DB, jobId)) {
+    return { bundling: true };
+  }
+
+  try {
+    return await writeBundle(jobId, env.CRAWL_BUCKET);
+  } finally {
+    if (env.DB) await releaseWarcBundle(env.DB, jobId);
+  }
+}
+
+/**
+ * Append a crawl's segments to its bundle (bundleWarc without the claim)
+ */
+async function writeBundle(jobId, bucket) {
+  const prefix = warcPrefix(jobId);
+  const filename = `${jobId}.warc.gz`;
+  const warcKey = `${prefix}.warc.gz`;
+  const cdxjKey = `${prefix}.cdxj`;
+
+  const segments = (await listKeys(bucket, `${prefix}/segments/`)).filter(key => key.endsWith('.warc.gz')).sort();
+  const existing = await bucket.head(warcKey);
+
+  if (segments.length === 0) {
+    return existing ? describeBundle(existing, warcKey, cdxjKey) : null;
+  }
+
+  // Segment indexes are small and read up front: the capture count goes on the upload
+  let lines = [];
+  if (existing) {
+    const cdxj = await bucket.get(cdxjKey);
+    lines = cdxj ? (await cdxj.text()).split('\n').filter(Boolean) : [];
+  }
+
+  const indexes = new Map();
+  for (const key of segments) {
+    const index = await bucket.get(key.replace(/\.warc\.gz$/, '.json'));
+    if (index) indexes.set(key, await index.json());
+  }
+
+  const captures = lines.length + [...indexes.values()].reduce((sum, index) => sum + index.length, 0);
+  const upload = await bucket.createMultipartUpload(warcKey, {
+    httpMetadata: { contentType: 'application/gzip' },
+    customMetadata: { job_id: jobId, captures: String(captures) }
+  });
+  const writer = partWriter(upload);
+  const entries = [];
+
+  try {
+    // The existing bundle is copied first; a new one starts with its warcinfo record
+    if (existing) {
+      await writer.writeStream((await bucket.get(warcKey)).body);
+    } else {
+      await writer.write(await buildWarcinfoRecord(filename, { isPartOf: jobId }));
+    }
+
+    for (const [key, index] of indexes) {
+      const segment = await bucket.get(key);
+      if (!segment) continue;
+
+      const offset = writer.bytes;
+      entries.push(...index.map(entry => ({ ...entry, offset: entry.offset + offset })));
+      await writer.writeStream(segment.body);
+    }
+
+    await writer.complete();
+  } catch (error) {
+    await upload.abort();
+    throw error;
+  }
+
+  lines = [...lines, ...formatCdxj(entries, filename).split('\n').filter(Boolean)].sort();
+  await bucket.put(cdxjKey, lines.join('\n') + '\n', {
+    httpMetadata: { contentType: 'text/plain; charset=utf-8' }
+  });
+
+  // R2 deletes at most 1000 keys per call
+  const bundled = segments.flatMap(key => [key, key.replace(/\.warc\.gz$/, '.json')]);
+  for (let i = 0; i < bundled.length; i += 1000) {
+    await bucket.delete(bundled.slice(i, i + 1000));
+  }
+
+  return {
+    warc_key: warcKey,
+    cdxj_key: cdxjKey,
+    captures: lines.length,
+    bytes: writer.bytes
+  };
+}
+
+/**
+ * GET /api/warc/:job_id (the .warc.gz) and GET /api/warc/:job_id/cdxj (its index)
+ * A finished crawl whose segments weren't bundled yet is bundled on first download
+ * (unless another worker is bundling it).
+ * @returns {Promise<Response|object>} The file, or an error object
+ */
+export async function handleWarc(path, request, env) {
+  const match = path.match(/^\/api\/warc\/([\w-]+)(\/cdxj)?$/);
+  if (!match || request.method !== 'GET') {
+    return {
+      error: 'Not Found',
+      message: 'Unknown WARC endpoint'
+    };
+  }
+
+  if (!env.CRAWL_BUCKET) {
+    return {
+      success: false,
+      error: 'R2 storage not available'
+    };
+  }
+
+  const [, jobId, cdxj] = match;
+  const key = `${warcPrefix(jobId)}${cdxj ? '.cdxj' : '.warc.gz'}`;
+  let object = await env.CRAWL_BUCKET.get(key);
+
+  if (!object) {
+    // Distributed crawls are bundled when their last page finishes
+    if (env.DB) {
+      await ensureFrontierTables(env.DB);
+      const job = await getCrawlJob(env.DB, jobId);
+
+      // With a DB every crawl has a job row
+      if (!job) {
+        return {
+          success: false,
+          error: `No WARC archive for job ${jobId}`
+        };
+      }
+
+      if (job.status === 'running') {
+        return {
+          success: false,
+          error: `Crawl job ${jobId} is still running`
+        };
+      }
+    }
+
+    const bundle = await bundleWarc(jobId, env);
+    if (!bundle) {
+      return {
+        success: false,
+        error: `No WARC archive for job ${jobId}`
+      };
+    }
+
+    if (bundle.bundling) {
+      return {
+        success: false,
+        error: `WARC archive for job ${jobId} is being bundled, try again shortly`
+      };
+    }
+    object = await env.CRAWL_BUCKET.get(key);
+  }
+
+  return new Response(object.body, {
+    headers: {
+      'Content-Type': cdxj ? 'text/plain; charset=utf-8' : 'application/gzip',
+      'Content-Disposition': `attachment; filename="${jobId}${cdxj ? '.cdxj' : '.warc.gz'}"`
+    }
+  });
+}
+
+/**
+ * Feed bytes to a multipart upload in PART_SIZE parts
+ * @returns {object} { write(bytes), writeStream(stream), complete(), bytes } where bytes
+ *   counts everything written so far
+ */
+function partWriter(upload) {
+  const parts = [];
+  let pending = [];
+  let pendingSize = 0;
+
+  const uploadPart = async (bytes) => {
+    parts.push(await upload.uploadPart(parts.length + 1, bytes));
+  };
+
+  const writer = {
+    bytes: 0,
+
+    async write(chunk) {
+      pending.push(chunk);
+      pendingSize += chunk.byteLength;
+      writer.bytes += chunk.byteLength;
+
+      while (pendingSize >= PART_SIZE) {
+        const buffered = concatBytes(pending);
+        await uploadPart(buffered.slice(0, PART_SIZE));
+        pending = [buffered.slice(PART_SIZE)];
+        pendingSize -= PART_SIZE;
+      }
+    },
+
+    async writeStream(stream) {
+      const reader = stream.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        await writer.write(value);
+      }
+    },
+
+    async complete() {
+      if (pendingSize > 0 || parts.length === 0) {
+        await uploadPart(concatBytes(pending));
+      }
+      return await upload.complete(parts);
+    }
+  };
+
+  return writer;
+}
+
+/**
+ * Keys and capture count of an existing bundle
+ */
+function describeBundle(head, warcKey, cdxjKey) {
+  return {
+    warc_key: warcKey,
+    cdxj_key: cdxjKey,
+    captures: parseInt(head.customMetadata?.captures) || 0,
+    bytes: head.size
+  };
+}
+
+/**
+ * All object keys under a prefix
+ */
+async function listKeys(bucket, prefix) {
+  const keys = [];
+  let cursor;
+
+  do {
+    const page = await bucket.list({ prefix, cursor });
+    keys.push(...page.objects.map(object => object.key));
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+
+  return keys;
+}
+
+/**
+ * R2 key prefix of a crawl's WARC files
+ */
+function warcPrefix(jobId) {
+  return `${CONFIG.storage.r2.bucket_prefix}warc/${jobId}`;
+}
@@ -0,0 +1,463 @@
+/**
+ * Watchlist Module
+ * Re-scrapes watched pages on their own intervals and records content changes as diffs
+ */
+
+import { scrapeSingleUrl } from './crawler.js';
+import { storeResult } from './storage.js';
+import { diffText } from '../utils/diff.js';
+import { isValidUrl, sha256Hex } from '../utils/helpers.js';
+import CONFIG from '../../config.json';
+
+// The watchlist tables are created once per isolate
+let tablesReady = false;
+
+/**
+ * Handle watchlist API requests
+ */
+export async function handleWatch(path, request, env, ctx) {
+  const method = request.method;
+
+  if (!env.DB) {
+    return {
+      success: false,
+      error: 'Database not available'
+    };
+  }
+
+  try {
+    await ensureWatchTables(env.DB);
+
+    // POST /api/watch - Create a watchlist
+    if (path === '/api/watch' && method === 'POST') {
+      const body = await request.json();
+      return await createWatchlist(body, env);
+    }
+
+    // GET /api/watch - List watchlists
+    if (path === '/api/watch' && method === 'GET') {
+      const result = await env.DB.prepare(`
+        SELECT w.*, COUNT(u.id) AS url_count
+        FROM watchlists w
+        LEFT JOIN watch_urls u ON u.watchlist_id = w.id
+        GROUP BY w.id
+        ORDER BY w.created_at DESC
+      `).all();
+
+      return {
+        success: true,
+        watchlists: result.results
+      };
+    }
+
+    const match = path.match(/^\/api\/watch\/([^/]+)(?:\/(urls|changes))?$/);
+    if (!match) {
+      return {
+        error: 'Not Found',
+        message: 'Unknown watch endpoint'
+      };
+    }
+
+    const [, watchlistId, resource] = match;
+    const watchlist = await env.DB.prepare(
+      'SELECT * FROM watchlists WHERE id = ?'
+    ).bind(watchlistId).first();
+
+    if (!watchlist) {
+      return {
+        success: false,
+        error: `Watchlist ${watchlistId} not found`
+      };
+    }
+
+    // GET /api/watch/:id - Watchlist with its URLs
+    if (!resource && method === 'GET') {
+      const urls = await env.DB.prepare(`
+        SELECT id, url, check_interval_minutes, last_checked_at, next_check_at, last_changed_at, last_error
+        FROM watch_urls WHERE watchlist_id = ? ORDER BY id
+      `).bind(watchlistId).all();
+
+      return {
+        success: true,
+        watchlist: { ...watchlist, urls: urls.results }
+      };
+    }
+
+    // DELETE /api/watch/:id - Delete a watchlist and its history
+    if (!resource && method === 'DELETE') {
+      await env.DB.batch([
+        env.DB.prepare('DELETE FROM watch_changes WHERE watchlist_id = ?').bind(watchlistId),
+        env.DB.prepare('DELETE FROM watch_urls WHERE watchlist_id = ?').bind(watchlistId),
+        env.DB.prepare('DELETE FROM watchlists WHERE id = ?').bind(watchlistId)
+      ]);
+
+      return {
+        success: true,
+        message: `Watchlist ${watchlistId} deleted`
+      };
+    }
+
+    // POST /api/watch/:id/urls - Add URLs to a watchlist
+    if (resource === 'urls' && method === 'POST') {
+      const body = await request.json();
+      const urls = body.urls || [];
+
+      let intervals;
+      try {
+        intervals = resolveIntervals(urls, body.interval_minutes);
+      } catch (error) {
+        return invalidRequest(error.message);
+      }
+
+      const added = await addWatchUrls(watchlistId, urls, intervals, env.DB);
+
+      return {
+        success: true,
+        added
+      };
+    }
+
+    // GET /api/watch/:id/changes - Change events with diffs
+    if (resource === 'changes' && method === 'GET') {
+      const url = new URL(request.url);
+      const limit = parseInt(url.searchParams.get('limit') || '50');
+      const offset = parseInt(url.searchParams.get('offset') || '0');
+      const pageUrl = url.searchParams.get('url');
+
+      let query = 'SELECT * FROM watch_changes WHERE watchlist_id = ?';
+      const params = [watchlistId];
+
+      if (pageUrl) {
+        query += ' AND url = ?';
+        params.push(pageUrl);
+      }
+
+      query += ' ORDER BY detected_at DESC LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+
+      const result = await env.DB.prepare(query).bind(...params).all();
+
+      return {
+        success: true,
+        watchlist_id: watchlistId,
+        changes: result.results,
+        count: result.results.length,
+        pagination: {
+          limit,
+          offset,
+          has_more: result.results.length === limit
+        }
+      };
+    }
+
+    return {
+      error: 'Not Found',
+      message: 'Unknown watch endpoint'
+    };
+
+  } catch (error) {
+    console.error('Watchlist error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Re-check watched URLs whose interval has elapsed (called by the 15-minute cron)
+ */
+export async function checkWatchlists(env, ctx) {
+  if (!env.DB) {
+    return { checked: 0, changed: 0, errors: [] };
+  }
+
+  await ensureWatchTables(env.DB);
+
+  const now = new Date().toISOString();
+  const due = await env.DB.prepare(`
+    SELECT * FROM watch_urls
+    WHERE next_check_at <= ?
+    ORDER BY next_check_at ASC
+    LIMIT ?
+  `).bind(now, CONFIG.watchlists.max_checks_per_run).all();
+
+  const results = {
+    checked: 0,
+    changed: 0,
+    errors: []
+  };
+
+  for (const watched of due.results) {
+    // Claim the URL by moving its next check forward, so an overlapping run skips it
+    const claim = await env.DB.prepare(`
+      UPDATE watch_urls SET next_check_at = ? WHERE id = ? AND next_check_at <= ?
+    `).bind(nextCheckAt(watched.check_interval_minutes), watched.id, now).run();
+
+    if (claim.meta.changes !== 1) {
+      continue;
+    }
+
+    try {
+      const outcome = await checkWatchedUrl(watched, env, ctx);
+      results.checked++;
+      if (outcome.changed) results.changed++;
+    } catch (error) {
+      console.error(`Error checking watched URL ${watched.url}:`, error);
+      results.errors.push({ url: watched.url, error: error.message });
+
+      await env.DB.prepare(`
+        UPDATE watch_urls SET last_checked_at = ?, next_check_at = ?, last_error = ? WHERE id = ?
+      `).bind(now, nextCheckAt(watched.check_interval_minutes), error.message, watched.id).run();
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Scrape one watched URL and record a change event if its content differs
+ */
+async function checkWatchedUrl(watched, env, ctx) {
+  const checkedAt = new Date().toISOString();
+  const result = await scrapeSingleUrl(watched.url, env, { cache: 'bypass' });
+
+  if (!result.success) {
+    throw new Error(result.status === 'blocked_by_robots'
+      ? `Blocked by robots.txt (${result.rule})`
+      : 'Scrape failed');
+  }
+
+  const content = result.data.content || '';
+  const hash = await sha256Hex(content);
+  const isFirstCheck = !watched.last_hash;
+  const changed = !isFirstCheck && hash !== watched.last_hash;
+
+  let diff = null;
+  if (changed) {
+    diff = diffText(watched.last_content || '', content, {
+      oldLabel: `${watched.url} @ ${watched.last_checked_at}`,
+      newLabel: `${watched.url} @ ${checkedAt}`
+    });
+  }
+
+  // Archive the baseline and every changed version, even when another URL carries the same text
+  let storage = null;
+  if (isFirstCheck || (diff && diff.changed)) {
+    storage = await storeResult({ ...result.data, source: 'watchlist' }, env, ctx, {
+      original: result.original,
+      dedupe: false
+    });
+  }
+
+  if (diff && diff.changed) {
+    await env.DB.prepare(`
+      INSERT INTO watch_changes (
+        watchlist_id, watch_url_id, url, detected_at, previous_hash, current_hash,
+        lines_added, lines_removed, diff, title, r2_key
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      watched.watchlist_id,
+      watched.id,
+      watched.url,
+      checkedAt,
+      watched.last_hash,
+      hash,
+      diff.added,
+      diff.removed,
+      diff.diff,
+      result.data.title || '',
+      storage?.storage?.r2?.json_key || null
+    ).run();
+  }
+
+  await env.DB.prepare(`
+    UPDATE watch_urls
+    SET last_checked_at = ?, next_check_at = ?, last_hash = ?, last_content = ?,
+        last_changed_at = COALESCE(?, last_changed_at), last_error = NULL
+    WHERE id = ?
+  `).bind(
+    checkedAt,
+    nextCheckAt(watched.check_interval_minutes),
+    hash,
+    content,
+    diff && diff.changed ? checkedAt : null,
+    watched.id
+  ).run();
+
+  return { changed: !!(diff && diff.changed) };
+}
+
+/**
+ * Create a watchlist with its URLs
+ */
+async function createWatchlist(body, env) {
+  const { name, urls = [], interval_minutes } = body;
+
+  if (!name) {
+    return invalidRequest('Watchlist name is required');
+  }
+
+  let intervals;
+  try {
+    intervals = resolveIntervals(urls, interval_minutes);
+  } catch (error) {
+    return invalidRequest(error.message);
+  }
+
+  const id = `watch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  await env.DB.prepare(
+    'INSERT INTO watchlists (id, name, created_at) VALUES (?, ?, ?)'
+  ).bind(id, name, new Date().toISOString()).run();
+
+  const added = await addWatchUrls(id, urls, intervals, env.DB);
+
+  return {
+    success: true,
+    watchlist_id: id,
+    name,
+    urls: added
+  };
+}
+
+/**
+ * Add URLs (strings or { url, interval_minutes }) to a watchlist
+ * @param {number[]} intervals - Check interval of each URL (see resolveIntervals)
+ */
+async function addWatchUrls(watchlistId, urls, intervals, db) {
+  const added = [];
+
+  for (const [index, entry] of urls.entries()) {
+    const url = typeof entry === 'string' ? entry : entry.url;
+    if (!url || !isValidUrl(url)) {
+      added.push({ url, error: 'Invalid URL provided' });
+      continue;
+    }
+
+    const interval = intervals[index];
+
+    // New URLs are due immediately so the baseline is captured on the next run
+    const result = await db.prepare(`
+      INSERT OR IGNORE INTO watch_urls (watchlist_id, url, check_interval_minutes, next_check_at)
+      VALUES (?, ?, ?, ?)
+    `).bind(watchlistId, url, interval, new Date().toISOString()).run();
+
+    if (!result.meta.changes) {
+      added.push({ url, error: 'URL is already on this watchlist' });
+      continue;
+    }
+
+    added.push({
+      id: result.meta.last_row_id,
+      url,
+      check_interval_minutes: interval
+    });
+  }
+
+  return added;
+}
+
+/**
+ * Check interval of each URL entry: its own interval_minutes, else the request's, else
+ * watchlists.default_interval_minutes
+ * Validated up front so a bad entry rejects the request before anything is written.
+ * @throws {Error} When urls is not an array, or an interval is not a whole number of
+ *   minutes of at least watchlists.min_interval_minutes
+ */
+function resolveIntervals(urls, defaultInterval) {
+  if (!Array.isArray(urls)) {
+    throw new Error('urls must be an array of URLs or { url, interval_minutes } objects');
+  }
+
+  const fallback = normalizeInterval(defaultInterval);
+
+  return urls.map(entry => typeof entry === 'object' && entry !== null
+    ? normalizeInterval(entry.interval_minutes, fallback)
+    : fallback);
+}
+
+/**
+ * Validate a check interval in minutes
+ * @returns {number} The interval, fallback when not given
+ * @throws {Error} When the interval is out of range
+ */
+function normalizeInterval(minutes, fallback = CONFIG.watchlists.default_interval_minutes) {
+  if (minutes === undefined || minutes === null) return fallback;
+
+  const value = Number(minutes);
+  if (!Number.isInteger(value) || value < CONFIG.watchlists.min_interval_minutes) {
+    throw new Error(`interval_minutes must be a whole number of minutes, at least ${CONFIG.watchlists.min_interval_minutes}`);
+  }
+  return value;
+}
+
+/**
+ * Response for a request that failed validation (served as 400 Bad Request)
+ */
+function invalidRequest(message) {
+  return {
+    success: false,
+    error: message,
+    status_code: 400
+  };
+}
+
+/**
+ * ISO timestamp for the next check of a URL
+ */
+function nextCheckAt(intervalMinutes) {
+  return new Date(Date.now() + intervalMinutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Create watchlist tables if they don't exist (once per isolate)
+ */
+async function ensureWatchTables(db) {
+  if (tablesReady) return;
+
+  await db.batch([
+    db.prepare(`
+      CREATE TABLE IF NOT EXISTS watchlists (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )
+    `),
+    db.prepare(`
+      CREATE TABLE IF NOT EXISTS watch_urls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        watchlist_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        check_interval_minutes INTEGER NOT NULL,
+        next_check_at TEXT NOT NULL,
+        last_checked_at TEXT,
+        last_changed_at TEXT,
+        last_hash TEXT,
+        last_content TEXT,
+        last_error TEXT,
+        UNIQUE (watchlist_id, url)
+      )
+    `),
+    db.prepare(`
+      CREATE TABLE IF NOT EXISTS watch_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        watchlist_id TEXT NOT NULL,
+        watch_url_id INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        detected_at TEXT NOT NULL,
+        previous_hash TEXT,
+        current_hash TEXT,
+        lines_added INTEGER,
+        lines_removed INTEGER,
+        diff TEXT,
+        title TEXT,
+        r2_key TEXT
+      )
+    `),
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_watch_urls_next_check ON watch_urls(next_check_at)'),
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_watch_changes_watchlist ON watch_changes(watchlist_id, detected_at)')
+  ]);
+
+  tablesReady = true;
+}
@@ -0,0 +1,80 @@
+/**
+ * Charset Detection
+ * Works out the character encoding of a response body and decodes it
+ */
+
+// How far into the body <meta charset> and the XML declaration are looked for
+const PRESCAN_BYTES = 4096;
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' }
+];
+
+/**
+ * Detect a body's encoding: byte order mark, then the Content-Type charset,
+ * then <meta charset> / <meta http-equiv="Content-Type">, then the XML declaration
+ * Unknown labels are skipped; the default is UTF-8.
+ * @returns {{encoding: string, source: string}} WHATWG encoding name and where it came from:
+ *   'bom', 'content-type', 'meta', 'xml-declaration' or 'default'
+ */
+export function detectCharset(bytes, contentType = '') {
+  for (const bom of BOMS) {
+    if (bom.bytes.every((byte, index) => bytes[index] === byte)) {
+      return { encoding: bom.encoding, source: 'bom' };
+    }
+  }
+
+  const headerCharset = (contentType || '').match(/charset\s*=\s*["']?([\w.:-]+)/i)?.[1];
+  const fromHeader = resolveEncoding(headerCharset);
+  if (fromHeader) return { encoding: fromHeader, source: 'content-type' };
+
+  // Declarations are ASCII, so a byte-per-character view of the start of the body is enough
+  const head = String.fromCharCode(...bytes.subarray(0, PRESCAN_BYTES));
+
+  let fromMeta = [...head.matchAll(/<meta\b[^>]*?\bcharset\s*=\s*["']?\s*([\w.:-]+)/gi)]
+    .map(match => resolveEncoding(match[1]))
+    .find(Boolean);
+  if (fromMeta) {
+    // A page that parsed as ASCII can't be UTF-16; browsers read such declarations as UTF-8
+    if (fromMeta.startsWith('utf-16')) fromMeta = 'utf-8';
+    return { encoding: fromMeta, source: 'meta' };
+  }
+
+  const xmlCharset = head.match(/^\s*<\?xml\b[^>]*?\bencoding\s*=\s*["']([\w.:-]+)["']/i)?.[1];
+  const fromXml = resolveEncoding(xmlCharset);
+  if (fromXml) return { encoding: fromXml, source: 'xml-declaration' };
+
+  return { encoding: 'utf-8', source: 'default' };
+}
+
+/**
+ * Decode a body with its detected encoding
+ * @param {Uint8Array} bytes - Response body
+ * @param {string} contentType - Response Content-Type
+ * @returns {{text: string, encoding: string, source: string}}
+ */
+export function decodeBody(bytes, contentType = '') {
+  const { encoding, source } = detectCharset(bytes, contentType);
+
+  // The BOM itself is stripped by TextDecoder
+  return {
+    text: new TextDecoder(encoding).decode(bytes),
+    encoding,
+    source
+  };
+}
+
+/**
+ * Canonical WHATWG name for an encoding label, or null when it isn't supported
+ */
+function resolveEncoding(label) {
+  if (!label) return null;
+
+  try {
+    return new TextDecoder(label.trim().toLowerCase()).encoding;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * CSS Selector
+ * Matches CSS selectors against trees built by parseDocument()
+ * Supports type, universal, #id, .class and [attribute] selectors (=, ~=, |=, ^=, $=, *=, with an
+ * optional `i` flag), :first-child, :last-child, :only-child, :nth-child(n|odd|even), :not(...),
+ * the descendant, >, + and ~ combinators, and comma-separated groups.
+ */
+
+import { findAll, findFirst } from './html_parser.js';
+
+const COMBINATORS = new Set(['>', '+', '~']);
+
+/**
+ * Compile a selector into an element predicate
+ * @throws {Error} When the selector is invalid or uses unsupported syntax
+ */
+export function compileSelector(selector) {
+  const groups = splitTopLevel(String(selector), ',').map(group => parseComplex(group.trim(), selector));
+
+  if (groups.length === 0 || groups.some(group => group.length === 0)) {
+    throw new Error(`Invalid selector: ${selector}`);
+  }
+
+  return element => groups.some(group => matchComplex(element, group, group.length - 1));
+}
+
+/**
+ * All elements under a node matching a selector, in document order
+ * @param {string|Function} selector - Selector string or compiled predicate
+ */
+export function querySelectorAll(node, selector) {
+  return findAll(node, typeof selector === 'function' ? selector : compileSelector(selector));
+}
+
+/**
+ * First element under a node matching a selector
+ * @param {string|Function} selector - Selector string or compiled predicate
+ */
+export function querySelector(node, selector) {
+  return findFirst(node, typeof selector === 'function' ? selector : compileSelector(selector));
+}
+
+/**
+ * Split a selector into compounds joined by combinators
+ * @returns {Array<{combinator: string|null, test: Function}>} Left to right; combinator links to the previous part
+ */
+function parseComplex(source, selector) {
+  const parts = [];
+  let compound = '';
+  let combinator = null;
+  let depth = 0;
+  let quote = null;
+
+  const flush = () => {
+    if (!compound) return;
+    parts.push({ combinator: parts.length > 0 ? combinator || ' ' : null, test: parseCompound(compound, selector) });
+    compound = '';
+    combinator = null;
+  };
+
+  for (const char of source) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth--;
+    } else if (depth === 0 && /\s/.test(char)) {
+      flush();
+      if (parts.length > 0 && !combinator) combinator = ' ';
+      continue;
+    } else if (depth === 0 && COMBINATORS.has(char)) {
+      flush();
+      if (parts.length === 0 || (combinator && combinator !== ' ')) {
+        throw new Error(`Invalid selector: ${selector}`);
+      }
+      combinator = char;
+      continue;
+    }
+
+    compound += char;
+  }
+
+  flush();
+
+  if (quote || depth !== 0 || (combinator && combinator !== ' ')) {
+    throw new Error(`Invalid selector: ${selector}`);
+  }
+
+  return parts;
+}
+
+/**
+ * Compile a compound selector (e.g. `div.story[data-id]:first-child`) into a predicate
+ */
+function parseCompound(source, selector) {
+  const tests = [];
+  let rest = source;
+
+  const tag = rest.match(/^(\*|[a-zA-Z][\w-]*)/);
+  if (tag) {
+    const name = tag[1].toLowerCase();
+    if (name !== '*') tests.push(element => element.tagName === name);
+    rest = rest.slice(tag[0].length);
+  }
+
+  while (rest) {
+    let match;
+
+    if ((match = rest.match(/^#([\w-]+)/))) {
+      const id = match[1];
+      tests.push(element => element.attrs.id === id);
+    } else if ((match = rest.match(/^\.([\w-]+)/))) {
+      const name = match[1];
+      tests.push(element => classList(element).includes(name));
+    } else if ((match = rest.match(/^\[\s*([\w:-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*(i)?\s*)?\]/))) {
+      tests.push(attributeTest(match[1].toLowerCase(), match[2], match[3] ?? match[4] ?? match[5], !!match[6]));
+    } else if ((match = rest.match(/^:(first-child|last-child|only-child)/))) {
+      const position = match[1];
+      tests.push(element => {
+        const siblings = elementSiblings(element);
+        if (position === 'first-child') return siblings[0] === element;
+        if (position === 'last-child') return siblings[siblings.length - 1] === element;
+        return siblings.length === 1;
+      });
+    } else if ((match = rest.match(/^:nth-child\(\s*(odd|even|\d+)\s*\)/i))) {
+      const argument = match[1].toLowerCase();
+      tests.push(element => {
+        const position = elementSiblings(element).indexOf(element) + 1;
+        if (argument === 'odd') return position % 2 === 1;
+        if (argument === 'even') return position % 2 === 0;
+        return position === parseInt(argument);
+      });
+    } else if (rest.startsWith(':not(')) {
+      const end = closingParen(rest, 4);
+      if (end === -1) throw new Error(`Invalid selector: ${selector}`);
+      const inner = compileSelector(rest.slice(5, end));
+      tests.push(element => !inner(element));
+      rest = rest.slice(end + 1);
+      continue;
+    } else {
+      throw new Error(`Invalid selector: ${selector} (unsupported near "${rest}")`);
+    }
+
+    rest = rest.slice(match[0].length);
+  }
+
+  if (!tag && tests.length === 0) {
+    throw new Error(`Invalid selector: ${selector}`);
+  }
+
+  return element => tests.every(test => test(element));
+}
+
+/**
+ * Build an attribute predicate for one [name op value] selector
+ */
+function attributeTest(name, operator, expected, ignoreCase) {
+  const normalize = value => (ignoreCase ? value.toLowerCase() : value);
+  const target = expected === undefined ? undefined : normalize(expected);
+
+  return element => {
+    if (!(name in element.attrs)) return false;
+    if (!operator) return true;
+
+    const value = normalize(element.attrs[name]);
+    switch (operator) {
+      case '=': return value === target;
+      case '~=': return value.split(/\s+/).includes(target);
+      case '|=': return value === target || value.startsWith(`${target}-`);
+      case '^=': return target !== '' && value.startsWith(target);
+      case '$=': return target !== '' && value.endsWith(target);
+      case '*=': return target !== '' && value.includes(target);
+      default: return false;
+    }
+  };
+}
+
+/**
+ * Match a complex selector right to left, starting at part `index`
+ */
+function matchComplex(element, parts, index) {
+  const part = parts[index];
+  if (!part.test(element)) return false;
+  if (index === 0) return true;
+
+  switch (part.combinator) {
+    case '>':
+      return isElement(element.parent) && matchComplex(element.parent, parts, index - 1);
+
+    case ' ':
+      for (let ancestor = element.parent; isElement(ancestor); ancestor = ancestor.parent) {
+        if (matchComplex(ancestor, parts, index - 1)) return true;
+      }
+      return false;
+
+    case '+': {
+      const siblings = elementSiblings(element);
+      const previous = siblings[siblings.indexOf(element) - 1];
+      return !!previous && matchComplex(previous, parts, index - 1);
+    }
+
+    case '~': {
+      const siblings = elementSiblings(element);
+      return siblings.slice(0, siblings.indexOf(element)).some(sibling => matchComplex(sibling, parts, index - 1));
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Split on a separator outside brackets, parentheses and quotes
+ */
+function splitTopLevel(source, separator) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+
+  for (const char of source) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Index of the parenthesis closing the one at `open`
+ */
+function closingParen(source, open) {
+  let depth = 0;
+  for (let i = open; i < source.length; i++) {
+    if (source[i] === '(') depth++;
+    if (source[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Class names of an element
+ */
+function classList(element) {
+  return (element.attrs.class || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Element children of an element's parent, including the element itself
+ */
+function elementSiblings(element) {
+  return element.parent ? element.parent.children.filter(isElement) : [element];
+}
+
+/**
+ * Whether a tree node is an element (not text or the document)
+ */
+function isElement(node) {
+  return !!node && node.type === 'element';
+}
@@ -0,0 +1,184 @@
+/**
+ * Text Diff Utility
+ * Line-based unified diffs for change detection
+ */
+
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Produce a unified diff between two texts
+ * @returns {{diff: string, added: number, removed: number, changed: boolean}}
+ */
+export function diffText(oldText, newText, options = {}) {
+  const { context = 2, oldLabel = 'previous', newLabel = 'current' } = options;
+
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const ops = diffLines(oldLines, newLines);
+
+  const added = ops.filter(op => op.type === 'add').length;
+  const removed = ops.filter(op => op.type === 'remove').length;
+
+  if (added === 0 && removed === 0) {
+    return { diff: '', added, removed, changed: false };
+  }
+
+  const header = `--- ${oldLabel}\n+++ ${newLabel}\n`;
+  return {
+    diff: header + formatHunks(ops, context),
+    added,
+    removed,
+    changed: true
+  };
+}
+
+/**
+ * Split text into non-empty, trimmed lines
+ */
+function splitLines(text) {
+  return (text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Line operations from the longest common subsequence of two line arrays
+ */
+function diffLines(a, b) {
+  // Skip the common prefix and suffix to keep the LCS table small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'same', line: a[i], oldIndex: i, newIndex: i });
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    // Too large for a full table: report the whole middle as replaced
+    midA.forEach((line, i) => ops.push({ type: 'remove', line, oldIndex: start + i }));
+    midB.forEach((line, i) => ops.push({ type: 'add', line, newIndex: start + i }));
+  } else {
+    const table = lcsTable(midA, midB);
+    let i = 0;
+    let j = 0;
+
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        ops.push({ type: 'same', line: midA[i], oldIndex: start + i, newIndex: start + j });
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        ops.push({ type: 'remove', line: midA[i], oldIndex: start + i });
+        i++;
+      } else {
+        ops.push({ type: 'add', line: midB[j], newIndex: start + j });
+        j++;
+      }
+    }
+
+    for (; i < midA.length; i++) ops.push({ type: 'remove', line: midA[i], oldIndex: start + i });
+    for (; j < midB.length; j++) ops.push({ type: 'add', line: midB[j], newIndex: start + j });
+  }
+
+  for (let i = endA, j = endB; i < a.length; i++, j++) {
+    ops.push({ type: 'same', line: a[i], oldIndex: i, newIndex: j });
+  }
+
+  return ops;
+}
+
+/**
+ * LCS length table where table[i][j] covers a[i..] and b[j..]
+ */
+function lcsTable(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  return table;
+}
+
+/**
+ * Group operations into unified-diff hunks with surrounding context
+ */
+function formatHunks(ops, context) {
+  const hunks = [];
+  let index = 0;
+
+  while (index < ops.length) {
+    // Find the next change
+    while (index < ops.length && ops[index].type === 'same') index++;
+    if (index >= ops.length) break;
+
+    const hunkStart = Math.max(0, index - context);
+    let hunkEnd = index;
+
+    // Extend while changes are within 2 * context lines of each other
+    while (hunkEnd < ops.length) {
+      if (ops[hunkEnd].type !== 'same') {
+        hunkEnd++;
+        continue;
+      }
+
+      let next = hunkEnd;
+      while (next < ops.length && ops[next].type === 'same') next++;
+      if (next < ops.length && next - hunkEnd <= context * 2) {
+        hunkEnd = next;
+      } else {
+        hunkEnd = Math.min(hunkEnd + context, ops.length);
+        break;
+      }
+    }
+
+    const slice = ops.slice(hunkStart, hunkEnd);
+    const oldCount = slice.filter(op => op.type !== 'add').length;
+    const newCount = slice.filter(op => op.type !== 'remove').length;
+
+    // Empty ranges point at the line before them, per unified diff convention
+    const oldStart = firstIndex(ops, hunkStart, 'oldIndex') + (oldCount > 0 ? 1 : 0);
+    const newStart = firstIndex(ops, hunkStart, 'newIndex') + (newCount > 0 ? 1 : 0);
+
+    const lines = slice.map(op => {
+      const prefix = op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' ';
+      return `${prefix}${op.line}`;
+    });
+
+    hunks.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n${lines.join('\n')}\n`);
+    index = hunkEnd;
+  }
+
+  return hunks.join('');
+}
+
+/**
+ * First old/new line index at or after a position (for hunk headers)
+ */
+function firstIndex(ops, from, key) {
+  for (let i = from; i < ops.length; i++) {
+    if (ops[i][key] !== undefined) return ops[i][key];
+  }
+
+  // Hunk consists only of lines from the other side; anchor after the last known line
+  for (let i = from - 1; i >= 0; i--) {
+    if (ops[i][key] !== undefined) return ops[i][key] + 1;
+  }
+  return 0;
+}
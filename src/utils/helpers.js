@@ -114,33 +114,143 @@ export function createSuccessResponse(data) {
   };
 }
 
+// HTTP statuses worth retrying: request timeout, rate limiting and server errors
+const RETRYABLE_STATUSES = [408, 429];
+
+/**
+ * Build an error for a non-OK HTTP status, carrying the status and Retry-After delay
+ */
+export function httpError(status, message = `HTTP ${status}`, retryAfterMs = 0) {
+  const error = new Error(message);
+  error.status = status;
+  error.retry_after_ms = retryAfterMs;
+  return error;
+}
+
+/**
+ * Mark an error as a content error (unsupported or unparsable response body)
+ */
+export function contentError(message) {
+  const error = new Error(message);
+  error.kind = 'content';
+  return error;
+}
+
+/**
+ * Classify an error for retry decisions
+ * @returns {'retryable'|'permanent'|'content'} retryable: network errors, timeouts, 408, 429 and 5xx;
+ *   permanent: other 4xx; content: the response arrived but could not be used
+ */
+export function classifyError(error) {
+  if (error.kind) return error.kind;
+
+  if (error.status) {
+    return RETRYABLE_STATUSES.includes(error.status) || error.status >= 500 ? 'retryable' : 'permanent';
+  }
+
+  // Network failures, timeouts and anything unrecognized are worth another try
+  return 'retryable';
+}
+
 /**
  * Retry logic with exponential backoff
+ * Only retryable errors (see classifyError) are retried. The delay is jittered, never shorter
+ * than the error's Retry-After, and the whole call gives up once maxElapsed would be exceeded.
  */
 export async function retry(fn, options = {}) {
   const {
     maxRetries = 3,
     initialDelay = 1000,
     maxDelay = 10000,
-    backoffFactor = 2
+    backoffFactor = 2,
+    jitter = 0.25,
+    maxElapsed = Infinity
   } = options;
 
-  let lastError;
+  const started = Date.now();
   let delay = initialDelay;
 
-  for (let i = 0; i < maxRetries; i++) {
+  for (let i = 0; ; i++) {
     try {
       return await fn();
     } catch (error) {
-      lastError = error;
-      console.log(`Retry ${i + 1}/${maxRetries} after ${delay}ms:`, error.message);
+      if (i >= maxRetries - 1 || classifyError(error) !== 'retryable') {
+        throw error;
+      }
 
-      if (i < maxRetries - 1) {
-        await sleep(delay);
-        delay = Math.min(delay * backoffFactor, maxDelay);
+      const jittered = Math.round(delay * (1 + (Math.random() * 2 - 1) * jitter));
+      const wait = Math.max(jittered, error.retry_after_ms || 0);
+
+      if (Date.now() - started + wait > maxElapsed) {
+        console.log(`Retry budget of ${maxElapsed}ms exhausted:`, error.message);
+        throw error;
       }
+
+      console.log(`Retry ${i + 1}/${maxRetries} after ${wait}ms:`, error.message);
+      await sleep(wait);
+      delay = Math.min(delay * backoffFactor, maxDelay);
     }
   }
+}
 
-  throw lastError;
+/**
+ * SHA-256 hex digest of a string or byte buffer
+ */
+export async function sha256Hex(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+
+  return [...new Uint8Array(digest)]
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return 0;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? 0 : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Run an async function over a work list with at most `limit` calls in flight
+ * Items are taken from the front of the array, so it may grow while workers run.
+ * Workers stop picking up items once `canStart()` returns false.
+ */
+export async function runWithConcurrency(items, limit, fn, canStart = () => true) {
+  const worker = async () => {
+    while (items.length > 0 && canStart()) {
+      await fn(items.shift());
+    }
+  };
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+}
+
+/**
+ * Find the config key matching a hostname: the domain itself or any subdomain of it,
+ * or a `*` glob such as `news.*.example.com`; the most specific (longest) key wins
+ */
+export function findDomainMatch(hostname, keys) {
+  const host = hostname.toLowerCase();
+
+  return keys
+    .filter(key => {
+      const domain = key.toLowerCase();
+      if (domain.includes('*')) {
+        const pattern = domain.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^.]+');
+        return new RegExp(`^${pattern}$`).test(host);
+      }
+      return host === domain || host.endsWith(`.${domain}`);
+    })
+    .sort((a, b) => b.length - a.length)[0] || null;
 }
@@ -0,0 +1,450 @@
+/**
+ * HTML Parser
+ * Single-pass tokenizer and lightweight tree builder for scraped pages
+ */
+
+// Elements that never have children
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is not markup
+const RAW_TEXT_ELEMENTS = new Set([
+  'script', 'style', 'xmp', 'iframe', 'noembed', 'noframes'
+]);
+
+// Raw text elements whose content still contains character references
+const RCDATA_ELEMENTS = new Set(['title', 'textarea']);
+
+// Elements that implicitly close an open <p>
+const CLOSES_PARAGRAPH = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3',
+  'h4', 'h5', 'h6', 'header', 'hr', 'main', 'menu', 'nav', 'ol', 'p',
+  'pre', 'section', 'table', 'ul'
+]);
+
+// Elements that implicitly close an open sibling, searching no further than `within`
+const CLOSES_SIBLINGS = {
+  li: { closes: ['li'], within: ['ul', 'ol', 'menu'] },
+  dt: { closes: ['dt', 'dd'], within: ['dl'] },
+  dd: { closes: ['dt', 'dd'], within: ['dl'] },
+  tr: { closes: ['tr'], within: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], within: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], within: ['tr', 'table'] },
+  option: { closes: ['option'], within: ['select', 'datalist'] }
+};
+
+// Elements rendered on their own line by innerText()
+export const BLOCK_ELEMENTS = new Set([
+  ...CLOSES_PARAGRAPH, 'body', 'br', 'dd', 'dt', 'html', 'li', 'tr',
+  'td', 'th', 'caption', 'tbody', 'thead', 'tfoot'
+]);
+
+// Elements whose text is never page content
+const NON_CONTENT_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'head', 'iframe'
+]);
+
+const NAMED_ENTITIES = buildEntityTable();
+
+/**
+ * Tokenize HTML into start tag, end tag and text tokens
+ */
+export function* tokenizeHTML(html) {
+  const length = html.length;
+  let i = 0;
+
+  while (i < length) {
+    const lt = html.indexOf('<', i);
+
+    if (lt === -1) {
+      yield { type: 'text', text: decodeEntities(html.substring(i)) };
+      break;
+    }
+
+    if (lt > i) {
+      yield { type: 'text', text: decodeEntities(html.substring(i, lt)) };
+    }
+
+    i = lt;
+
+    // Comments
+    if (html.startsWith('<!--', i)) {
+      const end = html.indexOf('-->', i + 4);
+      i = end === -1 ? length : end + 3;
+      continue;
+    }
+
+    // CDATA sections (foreign content) are plain text
+    if (html.startsWith('<![CDATA[', i)) {
+      const end = html.indexOf(']]>', i + 9);
+      yield { type: 'text', text: html.substring(i + 9, end === -1 ? length : end) };
+      i = end === -1 ? length : end + 3;
+      continue;
+    }
+
+    // Doctype and processing instructions
+    if (html[i + 1] === '!' || html[i + 1] === '?') {
+      const end = html.indexOf('>', i);
+      i = end === -1 ? length : end + 1;
+      continue;
+    }
+
+    // End tags
+    if (html[i + 1] === '/') {
+      const match = /^<\/([a-zA-Z][^\s/>]*)/.exec(html.substring(i, i + 256));
+      if (match) {
+        yield { type: 'endTag', name: match[1].toLowerCase() };
+      }
+      const end = html.indexOf('>', i);
+      i = end === -1 ? length : end + 1;
+      continue;
+    }
+
+    // Start tags
+    if (/[a-zA-Z]/.test(html[i + 1] || '')) {
+      const tag = readStartTag(html, i);
+      i = tag.end;
+      yield { type: 'startTag', name: tag.name, attrs: tag.attrs, selfClosing: tag.selfClosing };
+
+      if (RAW_TEXT_ELEMENTS.has(tag.name) || RCDATA_ELEMENTS.has(tag.name)) {
+        const close = findClosingTag(html, tag.name, i);
+        const raw = html.substring(i, close.start);
+
+        if (raw) {
+          yield {
+            type: 'text',
+            text: RCDATA_ELEMENTS.has(tag.name) ? decodeEntities(raw) : raw
+          };
+        }
+
+        if (close.start < length) {
+          yield { type: 'endTag', name: tag.name };
+        }
+        i = close.end;
+      }
+      continue;
+    }
+
+    // A stray "<" is text
+    yield { type: 'text', text: '<' };
+    i++;
+  }
+}
+
+/**
+ * Read a start tag and its attributes beginning at `start`
+ */
+function readStartTag(html, start) {
+  const length = html.length;
+  let i = start + 1;
+
+  while (i < length && !/[\s/>]/.test(html[i])) i++;
+  const name = html.substring(start + 1, i).toLowerCase();
+
+  const attrs = {};
+  let selfClosing = false;
+
+  while (i < length) {
+    while (i < length && /\s/.test(html[i])) i++;
+
+    if (html[i] === '>') {
+      i++;
+      break;
+    }
+
+    if (html[i] === '/') {
+      selfClosing = html[i + 1] === '>';
+      i++;
+      continue;
+    }
+
+    const nameStart = i;
+    while (i < length && !/[\s/>=]/.test(html[i])) i++;
+    const attrName = html.substring(nameStart, i).toLowerCase();
+
+    while (i < length && /\s/.test(html[i])) i++;
+
+    let value = '';
+    if (html[i] === '=') {
+      i++;
+      while (i < length && /\s/.test(html[i])) i++;
+
+      const quote = html[i];
+      if (quote === '"' || quote === "'") {
+        const end = html.indexOf(quote, i + 1);
+        value = html.substring(i + 1, end === -1 ? length : end);
+        i = end === -1 ? length : end + 1;
+      } else {
+        const valueStart = i;
+        while (i < length && !/[\s>]/.test(html[i])) i++;
+        value = html.substring(valueStart, i);
+      }
+    }
+
+    // The first occurrence of an attribute wins
+    if (attrName && !(attrName in attrs)) {
+      attrs[attrName] = decodeEntities(value);
+    }
+  }
+
+  return { name, attrs, selfClosing, end: i };
+}
+
+/**
+ * Locate the closing tag of a raw text element
+ */
+function findClosingTag(html, name, from) {
+  const regex = new RegExp(`</${name}[\\s/>]`, 'ig');
+  regex.lastIndex = from;
+  const match = regex.exec(html);
+
+  if (!match) {
+    return { start: html.length, end: html.length };
+  }
+
+  const end = html.indexOf('>', match.index);
+  return { start: match.index, end: end === -1 ? html.length : end + 1 };
+}
+
+/**
+ * Parse HTML into a tree of { type, tagName, attrs, children, parent } nodes
+ */
+export function parseDocument(html) {
+  const document = { type: 'document', tagName: '#document', attrs: {}, children: [], parent: null };
+  const stack = [document];
+
+  const current = () => stack[stack.length - 1];
+  const closeUpTo = (index) => { stack.length = index; };
+  const findOpen = (names, boundary = []) => {
+    for (let j = stack.length - 1; j > 0; j--) {
+      if (names.includes(stack[j].tagName)) return j;
+      if (boundary.includes(stack[j].tagName)) return -1;
+    }
+    return -1;
+  };
+
+  for (const token of tokenizeHTML(html)) {
+    if (token.type === 'text') {
+      const parent = current();
+      const last = parent.children[parent.children.length - 1];
+
+      if (last && last.type === 'text') {
+        last.text += token.text;
+      } else {
+        parent.children.push({ type: 'text', text: token.text, parent });
+      }
+      continue;
+    }
+
+    if (token.type === 'startTag') {
+      if (CLOSES_PARAGRAPH.has(token.name)) {
+        const open = findOpen(['p'], ['div', 'section', 'article', 'td', 'th', 'li', 'blockquote']);
+        if (open !== -1) closeUpTo(open);
+      }
+
+      const siblings = CLOSES_SIBLINGS[token.name];
+      if (siblings) {
+        const open = findOpen(siblings.closes, siblings.within);
+        if (open !== -1) closeUpTo(open);
+      }
+
+      const parent = current();
+      const element = {
+        type: 'element',
+        tagName: token.name,
+        attrs: token.attrs,
+        children: [],
+        parent
+      };
+      parent.children.push(element);
+
+      if (!VOID_ELEMENTS.has(token.name) && !token.selfClosing) {
+        stack.push(element);
+      }
+      continue;
+    }
+
+    if (token.type === 'endTag') {
+      // Unmatched end tags are ignored
+      const open = findOpen([token.name]);
+      if (open !== -1) closeUpTo(open);
+    }
+  }
+
+  return document;
+}
+
+/**
+ * Decode HTML character references
+ */
+export function decodeEntities(text) {
+  if (!text || text.indexOf('&') === -1) return text;
+
+  return text.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z][a-zA-Z0-9]*));/g, (match, dec, hex, name) => {
+    if (name) {
+      return NAMED_ENTITIES[name] ?? match;
+    }
+
+    const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+    if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+      return '\uFFFD';
+    }
+    return String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Depth-first walk over element nodes; return false from the visitor to skip children
+ */
+export function walk(node, visitor) {
+  for (const child of node.children || []) {
+    if (child.type !== 'element') continue;
+    if (visitor(child) === false) continue;
+    walk(child, visitor);
+  }
+}
+
+/**
+ * Find all elements matching a predicate
+ */
+export function findAll(node, predicate) {
+  const found = [];
+  walk(node, element => {
+    if (predicate(element)) found.push(element);
+  });
+  return found;
+}
+
+/**
+ * Find the first element matching a predicate
+ */
+export function findFirst(node, predicate) {
+  let found = null;
+  walk(node, element => {
+    if (found) return false;
+    if (predicate(element)) {
+      found = element;
+      return false;
+    }
+  });
+  return found;
+}
+
+/**
+ * Find elements by tag name
+ */
+export function getElementsByTagName(node, tagName) {
+  return findAll(node, element => element.tagName === tagName);
+}
+
+/**
+ * Concatenated text of a node with whitespace collapsed
+ */
+export function textContent(node) {
+  const parts = [];
+
+  const collect = (current) => {
+    for (const child of current.children || []) {
+      if (child.type === 'text') {
+        parts.push(child.text);
+      } else if (child.type === 'element' && !NON_CONTENT_ELEMENTS.has(child.tagName)) {
+        collect(child);
+      }
+    }
+  };
+
+  if (node.type === 'text') return node.text.replace(/\s+/g, ' ').trim();
+  collect(node);
+
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text of a node with block elements on their own lines, like innerText
+ */
+export function innerText(node) {
+  const lines = [];
+  let line = '';
+
+  const flush = () => {
+    const trimmed = line.replace(/\s+/g, ' ').trim();
+    if (trimmed) lines.push(trimmed);
+    line = '';
+  };
+
+  const collect = (current) => {
+    for (const child of current.children || []) {
+      if (child.type === 'text') {
+        line += child.text;
+      } else if (child.type === 'element' && !NON_CONTENT_ELEMENTS.has(child.tagName)) {
+        const isBlock = BLOCK_ELEMENTS.has(child.tagName);
+        if (isBlock) flush();
+        collect(child);
+        if (isBlock) flush();
+      }
+    }
+  };
+
+  collect(node);
+  flush();
+
+  return lines.join('\n\n');
+}
+
+/**
+ * Resolve an href against a base URL; only http(s) URLs are returned
+ */
+export function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+
+  const trimmed = href.trim();
+  if (!trimmed || trimmed.startsWith('#')) return null;
+
+  try {
+    const resolved = new URL(trimmed, baseUrl);
+    if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') {
+      return null;
+    }
+    return resolved.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the named character reference table (HTML 4 set plus common extras)
+ */
+function buildEntityTable() {
+  const table = {
+    quot: '"', amp: '&', apos: "'", lt: '<', gt: '>',
+    OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š',
+    Yuml: 'Ÿ', fnof: 'ƒ', circ: 'ˆ', tilde: '˜',
+    ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200C',
+    zwj: '\u200D', lrm: '\u200E', rlm: '\u200F', ndash: '\u2013',
+    mdash: '—', lsquo: '‘', rsquo: '’', sbquo: '‚',
+    ldquo: '“', rdquo: '”', bdquo: '„', dagger: '†',
+    Dagger: '‡', bull: '•', hellip: '…', permil: '‰',
+    prime: '′', Prime: '″', lsaquo: '‹', rsaquo: '›',
+    euro: '€', trade: '™', larr: '←', uarr: '↑',
+    rarr: '→', darr: '↓', harr: '↔'
+  };
+
+  // Latin-1 supplement, U+00A0 to U+00FF
+  const latin1 = (
+    'nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr ' +
+    'deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest ' +
+    'Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ' +
+    'ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig ' +
+    'agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml ' +
+    'eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml'
+  ).split(' ');
+
+  latin1.forEach((name, index) => {
+    table[name] = String.fromCharCode(0xA0 + index);
+  });
+
+  return table;
+}
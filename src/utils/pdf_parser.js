@@ -0,0 +1,752 @@
+/**
+ * PDF Parser
+ * Text extraction from PDF files: objects and object streams, Flate-encoded streams,
+ * the page tree, text-showing operators and ToUnicode CMaps
+ */
+
+const MAX_XOBJECT_DEPTH = 3;
+
+/**
+ * Extract per-page text, document info and link annotations from a PDF
+ * @param {Uint8Array} bytes - Raw PDF file
+ * @returns {Promise<{pages: string[], info: object, links: string[]}>}
+ */
+export async function extractPdfText(bytes) {
+  const source = bytesToBinary(bytes);
+
+  if (!source.startsWith('%PDF-')) {
+    throw new Error('Not a PDF file');
+  }
+
+  const objects = await readObjects(bytes, source);
+  const trailer = findTrailer(source, objects);
+
+  if (trailer.Encrypt) {
+    throw new Error('Encrypted PDFs are not supported');
+  }
+
+  const context = { objects, fontCache: new Map() };
+  const pages = collectPages(trailer, objects);
+  const texts = [];
+  const links = new Set();
+
+  for (const page of pages) {
+    // Contents is a stream reference or an array of them
+    const direct = getObject(page.dict.Contents, objects);
+    const contents = direct && direct.stream
+      ? [page.dict.Contents]
+      : asArray(resolve(page.dict.Contents, objects));
+    let stream = '';
+
+    for (const ref of contents) {
+      const object = getObject(ref, objects);
+      if (object && object.stream) {
+        stream += bytesToBinary(await decodeStream(object)) + '\n';
+      }
+    }
+
+    texts.push(await extractText(stream, page.resources, context, 0));
+
+    for (const annot of asArray(resolve(page.dict.Annots, objects))) {
+      const dict = resolve(annot, objects);
+      const action = dict && resolve(dict.A, objects);
+      if (action && action.URI && /^https?:/i.test(decodePdfString(action.URI))) {
+        links.add(decodePdfString(action.URI));
+      }
+    }
+  }
+
+  return {
+    pages: texts,
+    info: readInfo(resolve(trailer.Info, objects), objects),
+    links: [...links]
+  };
+}
+
+/**
+ * Index every `n g obj ... endobj`, expanding object streams
+ */
+async function readObjects(bytes, source) {
+  const objects = new Map();
+  const objectRegex = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+
+  while ((match = objectRegex.exec(source)) !== null) {
+    const id = `${match[1]} ${match[2]}`;
+    let parsed;
+    try {
+      parsed = parseValue(source, skipWhitespace(source, objectRegex.lastIndex));
+    } catch {
+      continue;
+    }
+
+    const object = { value: parsed.value, stream: null };
+    let position = skipWhitespace(source, parsed.end);
+
+    if (source.startsWith('stream', position)) {
+      // Stream data starts after the EOL following the keyword
+      position += 6;
+      if (source[position] === '\r') position++;
+      if (source[position] === '\n') position++;
+
+      const declared = typeof parsed.value?.Length === 'number' ? parsed.value.Length : -1;
+      let end = declared >= 0 ? position + declared : -1;
+      if (end < 0 || !/^\s*endstream/.test(source.substr(end, 20))) {
+        end = source.indexOf('endstream', position);
+      }
+
+      if (end > position) {
+        object.stream = bytes.subarray(position, end);
+        objectRegex.lastIndex = end;
+      }
+    }
+
+    // Later definitions (incremental updates) replace earlier ones
+    objects.set(id, object);
+  }
+
+  for (const [, object] of [...objects]) {
+    if (object.value?.Type === '/ObjStm' && object.stream) {
+      await expandObjectStream(object, objects);
+    }
+  }
+
+  return objects;
+}
+
+/**
+ * Add the objects packed in an /ObjStm stream to the index
+ */
+async function expandObjectStream(object, objects) {
+  const data = bytesToBinary(await decodeStream(object));
+  const count = object.value.N || 0;
+  const first = object.value.First || 0;
+  const header = data.substring(0, first).trim().split(/\s+/).map(Number);
+
+  for (let i = 0; i < count; i++) {
+    const id = `${header[i * 2]} 0`;
+    if (objects.has(id)) continue;
+
+    try {
+      const parsed = parseValue(data, skipWhitespace(data, first + header[i * 2 + 1]));
+      objects.set(id, { value: parsed.value, stream: null });
+    } catch {
+      // Skip objects that fail to parse
+    }
+  }
+}
+
+/**
+ * Merge the file's trailer dictionaries (classic trailers and cross-reference streams)
+ */
+function findTrailer(source, objects) {
+  const trailer = {};
+
+  for (const [, object] of objects) {
+    if (object.value?.Type === '/XRef') {
+      Object.assign(trailer, object.value);
+    }
+  }
+
+  const trailerRegex = /trailer\s*(?=<<)/g;
+  let match;
+  while ((match = trailerRegex.exec(source)) !== null) {
+    try {
+      Object.assign(trailer, parseValue(source, trailerRegex.lastIndex).value);
+    } catch {
+      // Ignore malformed trailers
+    }
+  }
+
+  return trailer;
+}
+
+/**
+ * Pages in document order with inherited resources
+ */
+function collectPages(trailer, objects) {
+  const pages = [];
+  const root = resolve(trailer.Root, objects);
+  const pageTree = root && resolve(root.Pages, objects);
+  const seen = new Set();
+
+  const walk = (node, inheritedResources) => {
+    if (!node || seen.has(node) || pages.length > 10000) return;
+    seen.add(node);
+
+    const resources = resolve(node.Resources, objects) || inheritedResources;
+
+    if (node.Type === '/Page' || (!node.Kids && node.Contents)) {
+      pages.push({ dict: node, resources });
+      return;
+    }
+
+    for (const kid of asArray(resolve(node.Kids, objects))) {
+      walk(resolve(kid, objects), resources);
+    }
+  };
+
+  if (pageTree) {
+    walk(pageTree, null);
+  }
+
+  // Broken page trees: fall back to every page object in file order
+  if (pages.length === 0) {
+    for (const [, object] of objects) {
+      if (object.value?.Type === '/Page') {
+        pages.push({ dict: object.value, resources: resolve(object.value.Resources, objects) });
+      }
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Run a content stream's text operators and return the text it shows
+ */
+async function extractText(stream, resources, context, depth) {
+  const fonts = resolve(resources?.Font, context.objects) || {};
+  const xobjects = resolve(resources?.XObject, context.objects) || {};
+  const lines = [];
+  let line = '';
+  let font = null;
+  let lastY = null;
+  let operands = [];
+
+  const newLine = () => {
+    if (line.trim()) lines.push(line.trim());
+    line = '';
+  };
+
+  const show = value => {
+    if (value && typeof value === 'object' && 'str' in value) {
+      line += decodeShown(value.str, font);
+    }
+  };
+
+  for (const token of tokenizeContent(stream)) {
+    if (token.type !== 'operator') {
+      operands.push(token.value);
+      continue;
+    }
+
+    switch (token.value) {
+      case 'BT':
+        lastY = null;
+        break;
+      case 'Tf':
+        font = await loadFont(fonts[String(operands[0]).slice(1)], context);
+        break;
+      case 'Tj':
+        show(operands[0]);
+        break;
+      case "'":
+        newLine();
+        show(operands[0]);
+        break;
+      case '"':
+        newLine();
+        show(operands[2]);
+        break;
+      case 'TJ':
+        for (const item of asArray(operands[0])) {
+          // Large negative kerning stands in for a word space
+          if (typeof item === 'number') {
+            if (item < -200 && !line.endsWith(' ')) line += ' ';
+          } else {
+            show(item);
+          }
+        }
+        break;
+      case 'Td':
+      case 'TD':
+        if (operands[1] !== 0) {
+          newLine();
+        } else if (operands[0] > 0 && !line.endsWith(' ')) {
+          line += ' ';
+        }
+        break;
+      case 'Tm':
+        if (lastY !== null && operands[5] !== lastY) newLine();
+        lastY = operands[5];
+        break;
+      case 'T*':
+        newLine();
+        break;
+      case 'ET':
+        newLine();
+        break;
+      case 'Do': {
+        // Form XObjects carry their own content stream and resources
+        const xobject = getObject(xobjects[String(operands[0]).slice(1)], context.objects);
+        if (xobject && xobject.stream && xobject.value.Subtype === '/Form' && depth < MAX_XOBJECT_DEPTH) {
+          const formResources = resolve(xobject.value.Resources, context.objects) || resources;
+          const formText = await extractText(bytesToBinary(await decodeStream(xobject)), formResources, context, depth + 1);
+          if (formText) {
+            newLine();
+            lines.push(formText);
+          }
+        }
+        break;
+      }
+    }
+
+    operands = [];
+  }
+
+  newLine();
+  return lines.join('\n');
+}
+
+/**
+ * Load a font's text decoding (ToUnicode CMap and code width)
+ */
+async function loadFont(ref, context) {
+  if (!ref) return null;
+
+  const key = typeof ref === 'object' && ref.ref ? ref.ref : ref;
+  if (context.fontCache.has(key)) return context.fontCache.get(key);
+
+  const dict = resolve(ref, context.objects) || {};
+  const font = {
+    // Type0 (composite) fonts use two-byte codes unless the CMap says otherwise
+    codeLength: dict.Subtype === '/Type0' ? 2 : 1,
+    map: null
+  };
+
+  const toUnicode = getObject(dict.ToUnicode, context.objects);
+  if (toUnicode && toUnicode.stream) {
+    try {
+      const cmap = parseCMap(bytesToBinary(await decodeStream(toUnicode)));
+      font.map = cmap.map;
+      if (cmap.codeLength) font.codeLength = cmap.codeLength;
+    } catch {
+      // Fall back to single-byte decoding
+    }
+  }
+
+  context.fontCache.set(key, font);
+  return font;
+}
+
+/**
+ * Parse bfchar/bfrange mappings from a ToUnicode CMap
+ */
+function parseCMap(data) {
+  const map = new Map();
+  let codeLength = 0;
+
+  const space = data.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  if (space) codeLength = space[1].length / 2;
+
+  for (const block of data.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const pair of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(pair[1], 16), hexToUnicode(pair[2]));
+    }
+  }
+
+  for (const block of data.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const rangeRegex = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+
+    for (const range of block[1].matchAll(rangeRegex)) {
+      const start = parseInt(range[1], 16);
+      const end = Math.min(parseInt(range[2], 16), start + 0xffff);
+
+      if (range[3].startsWith('[')) {
+        const targets = [...range[3].matchAll(/<([0-9a-fA-F]*)>/g)];
+        targets.forEach((target, i) => map.set(start + i, hexToUnicode(target[1])));
+      } else {
+        const base = range[3].slice(1, -1);
+        const prefix = base.slice(0, -4);
+        const last = parseInt(base.slice(-4) || '0', 16);
+        for (let code = start; code <= end; code++) {
+          map.set(code, hexToUnicode(prefix) + String.fromCodePoint(last + code - start));
+        }
+      }
+    }
+  }
+
+  return { map, codeLength };
+}
+
+/**
+ * Decode a shown string through the current font
+ */
+function decodeShown(binary, font) {
+  if (!font || !font.map) {
+    // Composite fonts without a ToUnicode map use glyph IDs that can't be mapped to text
+    if (font && font.codeLength > 1) return '';
+    return windows1252(binary).replace(/[\x00-\x1f\x7f]/g, '');
+  }
+
+  let text = '';
+  for (let i = 0; i < binary.length; i += font.codeLength) {
+    let code = 0;
+    for (let j = 0; j < font.codeLength; j++) {
+      code = (code << 8) | (binary.charCodeAt(i + j) || 0);
+    }
+    text += font.map.get(code) ?? '';
+  }
+  return text;
+}
+
+/**
+ * Tokenize a content stream into operands and operators
+ */
+function* tokenizeContent(data) {
+  let position = 0;
+
+  while (position < data.length) {
+    position = skipWhitespace(data, position);
+    if (position >= data.length) break;
+
+    const char = data[position];
+
+    // Inline images hold binary data up to EI
+    if (data.startsWith('BI', position) && /\s/.test(data[position + 2] || ' ')) {
+      const end = data.indexOf('EI', data.indexOf('ID', position));
+      position = end < 0 ? data.length : end + 2;
+      continue;
+    }
+
+    if (char === '(' || char === '<' || char === '[' || char === '/' || /[\d.+-]/.test(char)) {
+      try {
+        const parsed = parseValue(data, position);
+        position = Math.max(parsed.end, position + 1);
+        yield { type: 'operand', value: parsed.value };
+      } catch {
+        position++;
+      }
+      continue;
+    }
+
+    if (char === ']' || char === '>' || char === ')' || char === '{' || char === '}') {
+      position++;
+      continue;
+    }
+
+    const operator = data.slice(position).match(/^[^\s()<>[\]{}/%]+/);
+    if (operator) {
+      position += operator[0].length;
+      yield { type: 'operator', value: operator[0] };
+    } else {
+      position++;
+    }
+  }
+}
+
+/**
+ * Parse one PDF value at a position
+ * Names are returned as '/Name' strings, strings as { str }, references as { ref }.
+ * @returns {{value: any, end: number}}
+ */
+function parseValue(data, position) {
+  const char = data[position];
+
+  if (data.startsWith('<<', position)) {
+    const dict = {};
+    let cursor = skipWhitespace(data, position + 2);
+
+    while (cursor < data.length && !data.startsWith('>>', cursor)) {
+      const key = parseValue(data, cursor);
+      if (typeof key.value !== 'string' || !key.value.startsWith('/')) {
+        throw new Error('Malformed dictionary');
+      }
+
+      const value = parseValue(data, skipWhitespace(data, key.end));
+      dict[key.value.slice(1)] = value.value;
+      cursor = skipWhitespace(data, value.end);
+    }
+
+    return { value: dict, end: cursor + 2 };
+  }
+
+  if (char === '[') {
+    const array = [];
+    let cursor = skipWhitespace(data, position + 1);
+
+    while (cursor < data.length && data[cursor] !== ']') {
+      const item = parseValue(data, cursor);
+      array.push(item.value);
+      cursor = skipWhitespace(data, item.end);
+    }
+
+    return { value: array, end: cursor + 1 };
+  }
+
+  if (char === '(') {
+    return parseLiteralString(data, position);
+  }
+
+  if (char === '<') {
+    const end = data.indexOf('>', position);
+    const hex = data.slice(position + 1, end).replace(/\s+/g, '');
+    const padded = hex.length % 2 ? `${hex}0` : hex;
+    let str = '';
+    for (let i = 0; i < padded.length; i += 2) {
+      str += String.fromCharCode(parseInt(padded.substr(i, 2), 16));
+    }
+    return { value: { str }, end: end + 1 };
+  }
+
+  if (char === '/') {
+    const name = data.slice(position + 1).match(/^[^\s()<>[\]{}/%]*/)[0];
+    const decoded = name.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return { value: `/${decoded}`, end: position + 1 + name.length };
+  }
+
+  // Indirect reference: "12 0 R"
+  const ref = data.slice(position, position + 32).match(/^(\d+)\s+(\d+)\s+R\b/);
+  if (ref) {
+    return { value: { ref: `${ref[1]} ${ref[2]}` }, end: position + ref[0].length };
+  }
+
+  const number = data.slice(position, position + 32).match(/^[+-]?(\d+\.?\d*|\.\d+)/);
+  if (number) {
+    return { value: parseFloat(number[0]), end: position + number[0].length };
+  }
+
+  const keyword = data.slice(position, position + 8).match(/^(true|false|null)/);
+  if (keyword) {
+    const value = keyword[1] === 'null' ? null : keyword[1] === 'true';
+    return { value, end: position + keyword[1].length };
+  }
+
+  throw new Error(`Unexpected token at ${position}`);
+}
+
+/**
+ * Parse a (literal string) with nested parentheses and escapes
+ */
+function parseLiteralString(data, position) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  let str = '';
+  let depth = 0;
+  let cursor = position;
+
+  while (cursor < data.length) {
+    const char = data[cursor];
+
+    if (char === '\\') {
+      const next = data[cursor + 1];
+      if (escapes[next]) {
+        str += escapes[next];
+        cursor += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = data.slice(cursor + 1, cursor + 4).match(/^[0-7]{1,3}/)[0];
+        str += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        cursor += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        // Line continuation
+        cursor += next === '\r' && data[cursor + 2] === '\n' ? 3 : 2;
+      } else {
+        str += next || '';
+        cursor += 2;
+      }
+      continue;
+    }
+
+    if (char === '(') {
+      if (depth > 0) str += char;
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return { value: { str }, end: cursor + 1 };
+      str += char;
+    } else {
+      str += char;
+    }
+
+    cursor++;
+  }
+
+  return { value: { str }, end: cursor };
+}
+
+/**
+ * Decode a stream's data according to its filters
+ */
+async function decodeStream(object) {
+  const filters = asArray(object.value.Filter);
+  let data = object.stream;
+
+  for (const filter of filters) {
+    if (filter === '/FlateDecode' || filter === '/Fl') {
+      data = await inflate(data);
+    } else if (filter === '/ASCIIHexDecode' || filter === '/AHx') {
+      const hex = bytesToBinary(data).replace(/[^0-9a-fA-F]/g, '');
+      data = Uint8Array.from(hex.match(/../g) || [], pair => parseInt(pair, 16));
+    } else {
+      // Image and other codecs carry no text
+      return new Uint8Array(0);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * zlib inflate, keeping whatever decoded before any trailing garbage
+ */
+async function inflate(bytes) {
+  const reader = new Blob([bytes]).stream()
+    .pipeThrough(new DecompressionStream('deflate'))
+    .getReader();
+
+  const chunks = [];
+  let length = 0;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+  } catch {
+    // Many PDFs pad streams after the zlib end marker
+  }
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+/**
+ * Read the document information dictionary
+ */
+function readInfo(info, objects) {
+  const field = name => {
+    const value = resolve(info?.[name], objects);
+    return value && typeof value === 'object' && 'str' in value
+      ? decodePdfString(value).trim() || null
+      : null;
+  };
+
+  return {
+    title: field('Title'),
+    author: field('Author'),
+    subject: field('Subject'),
+    keywords: field('Keywords'),
+    creator: field('Creator'),
+    created_at: parsePdfDate(field('CreationDate')),
+    modified_at: parsePdfDate(field('ModDate'))
+  };
+}
+
+/**
+ * Decode a text string (UTF-16BE with BOM, otherwise PDFDocEncoding)
+ */
+function decodePdfString(value) {
+  const str = typeof value === 'object' ? value.str : String(value);
+
+  if (str.charCodeAt(0) === 0xfe && str.charCodeAt(1) === 0xff) {
+    let text = '';
+    for (let i = 2; i + 1 < str.length; i += 2) {
+      text += String.fromCharCode((str.charCodeAt(i) << 8) | str.charCodeAt(i + 1));
+    }
+    return text;
+  }
+
+  return windows1252(str);
+}
+
+/**
+ * Convert a PDF date (D:YYYYMMDDHHmmSSOHH'mm') to ISO 8601
+ */
+function parsePdfDate(value) {
+  if (!value) return null;
+
+  const match = value.match(/^D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/);
+  if (!match) return null;
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHour, offsetMinute] = match;
+  const zone = sign && sign.toUpperCase() !== 'Z' && offsetHour
+    ? `${sign}${offsetHour}:${offsetMinute || '00'}`
+    : 'Z';
+
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Follow an indirect reference to its value
+ */
+function resolve(value, objects, depth = 0) {
+  if (value && typeof value === 'object' && value.ref && depth < 10) {
+    const object = objects.get(value.ref);
+    return object ? resolve(object.value, objects, depth + 1) : null;
+  }
+  return value;
+}
+
+/**
+ * Indexed object (value and stream) for a reference
+ */
+function getObject(value, objects) {
+  return value && typeof value === 'object' && value.ref ? objects.get(value.ref) : null;
+}
+
+/**
+ * Map UTF-16BE hex to a string
+ */
+function hexToUnicode(hex) {
+  if (hex.length <= 2) {
+    return hex ? String.fromCharCode(parseInt(hex, 16)) : '';
+  }
+
+  let text = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) {
+    text += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+  }
+  return text;
+}
+
+/**
+ * Decode single-byte text as Windows-1252 (close to PDFDocEncoding for text)
+ */
+function windows1252(binary) {
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0) & 0xff);
+  return new TextDecoder('windows-1252').decode(bytes);
+}
+
+/**
+ * Byte array to a binary string (one char per byte)
+ */
+function bytesToBinary(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return result;
+}
+
+/**
+ * Skip whitespace and comments
+ */
+function skipWhitespace(data, position) {
+  while (position < data.length) {
+    const char = data[position];
+    if (char === '%') {
+      while (position < data.length && data[position] !== '\n' && data[position] !== '\r') position++;
+    } else if (/\s/.test(char) || char === '\0') {
+      position++;
+    } else {
+      break;
+    }
+  }
+  return position;
+}
+
+/**
+ * Wrap a single value in an array
+ */
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
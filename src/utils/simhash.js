@@ -0,0 +1,89 @@
+/**
+ * SimHash
+ * 64-bit locality-sensitive fingerprints of text: near-identical texts get fingerprints
+ * that differ in only a few bits
+ */
+
+// Words per shingle; three-word shingles keep word order without being thrown by small edits
+const SHINGLE_SIZE = 3;
+
+// Largest distance the four bands are guaranteed to find: 4 differing bits can land one
+// in each band
+export const MAX_BANDED_DISTANCE = 3;
+
+/**
+ * Fingerprint a text
+ * Words are lowercased and split on anything that isn't a letter or digit, so markup,
+ * punctuation and whitespace differences don't change the result.
+ * @returns {string|null} 16 hex digits, or null when the text has no words
+ */
+export function simhash(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) return null;
+
+  const weights = new Int32Array(64);
+  const size = Math.min(SHINGLE_SIZE, words.length);
+
+  for (let i = 0; i + size <= words.length; i++) {
+    const shingle = words.slice(i, i + size).join(' ');
+    const halves = [hash32(shingle, 0x811c9dc5), hash32(shingle, 0x050c5d1f)];
+
+    for (let bit = 0; bit < 64; bit++) {
+      const set = (halves[bit >> 5] >>> (bit & 31)) & 1;
+      weights[bit] += set ? 1 : -1;
+    }
+  }
+
+  const halves = [0, 0];
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) halves[bit >> 5] |= 1 << (bit & 31);
+  }
+
+  return halves.map(half => (half >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Number of differing bits between two fingerprints
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+
+  for (let i = 0; i < 16; i += 8) {
+    let bits = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+    while (bits) {
+      bits &= bits - 1;
+      distance++;
+    }
+  }
+
+  return distance;
+}
+
+/**
+ * Split a fingerprint into four 16-bit bands
+ * Fingerprints within 3 bits of each other share at least one band, so an index on the
+ * bands finds every candidate without comparing against all stored fingerprints.
+ */
+export function simhashBands(fingerprint) {
+  return [0, 4, 8, 12].map(start => parseInt(fingerprint.slice(start, start + 4), 16));
+}
+
+/**
+ * FNV-1a over UTF-16 code units with a murmur3 finalizer, from a given offset basis
+ */
+function hash32(text, seed) {
+  let hash = seed;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+
+  return hash >>> 0;
+}
@@ -0,0 +1,74 @@
+/**
+ * URL Normalizer
+ * Canonical form of URLs for dedupe, cache keys and storage
+ */
+
+import CONFIG from '../../config.json';
+
+/**
+ * Canonicalize a URL
+ * - lowercase the host, drop default ports and fragments
+ * - strip tracking params (exact names or `prefix*` patterns) and sort the rest
+ * - optionally upgrade http to https and drop trailing slashes
+ */
+export function canonicalizeUrl(url, options = CONFIG.scraper.canonicalization || {}) {
+  const {
+    tracking_params = [],
+    upgrade_http = true,
+    strip_trailing_slash = true
+  } = options;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  parsed.hostname = parsed.hostname.toLowerCase();
+  parsed.hash = '';
+
+  if (upgrade_http && parsed.protocol === 'http:') {
+    parsed.protocol = 'https:';
+  }
+
+  if ((parsed.protocol === 'https:' && parsed.port === '443') ||
+      (parsed.protocol === 'http:' && parsed.port === '80')) {
+    parsed.port = '';
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !isTrackingParam(key, tracking_params))
+    .sort(([keyA, valueA], [keyB, valueB]) =>
+      keyA === keyB ? valueA.localeCompare(valueB) : keyA.localeCompare(keyB)
+    );
+
+  parsed.search = params.length > 0 ? new URLSearchParams(params).toString() : '';
+
+  if (strip_trailing_slash && parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  }
+
+  return parsed.href;
+}
+
+/**
+ * Canonical URL for a scraped page, preferring its <link rel="canonical">
+ */
+export function resolveCanonicalUrl(requestedUrl, declaredCanonical) {
+  return canonicalizeUrl(declaredCanonical || requestedUrl);
+}
+
+/**
+ * Whether a query parameter is a configured tracking parameter
+ */
+function isTrackingParam(key, patterns) {
+  const name = key.toLowerCase();
+
+  return patterns.some(pattern => {
+    const lower = pattern.toLowerCase();
+    return lower.endsWith('*')
+      ? name.startsWith(lower.slice(0, -1))
+      : name === lower;
+  });
+}
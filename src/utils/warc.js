@@ -0,0 +1,219 @@
+/**
+ * WARC Writer
+ * Builds WARC/1.1 records (gzip-compressed one record per member, so readers can seek to
+ * any record) and CDXJ index lines for them
+ */
+
+const CRLF = '\r\n';
+const encoder = new TextEncoder();
+
+// Headers describing the body as sent, which no longer match the decoded body fetch() hands back
+const DECODED_BODY_HEADERS = ['content-encoding', 'transfer-encoding', 'content-length'];
+
+/**
+ * Build the request, response and metadata records of one fetch
+ * @param {object} exchange - { url, final_url, fetched_at, request: { method, headers }, response:
+ *   { status, status_text, headers }, body, metadata } with headers as [name, value] pairs
+ * @returns {Promise<{data: Uint8Array, index: object[]}>} Gzipped records, and CDXJ entries for
+ *   the response with offsets relative to the start of `data`
+ */
+export async function buildExchangeRecords(exchange) {
+  const date = warcDate(exchange.fetched_at);
+  const targetUri = exchange.final_url || exchange.url;
+  const responseId = recordId();
+
+  // fetch() already decoded the body, so the stored headers describe what's stored;
+  // the original values are kept under X-Archive-Orig-*
+  const responseHeaders = [];
+  for (const [name, value] of exchange.response.headers) {
+    if (DECODED_BODY_HEADERS.includes(name.toLowerCase())) {
+      responseHeaders.push([`X-Archive-Orig-${name}`, value]);
+    } else {
+      responseHeaders.push([name, value]);
+    }
+  }
+  responseHeaders.push(['Content-Length', String(exchange.body.byteLength)]);
+
+  const responseHead = `HTTP/1.1 ${exchange.response.status} ${exchange.response.status_text || ''}`.trim() + CRLF +
+    formatHeaders(responseHeaders) + CRLF;
+  const responseBlock = concatBytes([encoder.encode(responseHead), exchange.body]);
+
+  const request = new URL(exchange.url);
+  const requestBlock = encoder.encode(
+    `${exchange.request.method || 'GET'} ${request.pathname}${request.search} HTTP/1.1${CRLF}` +
+    formatHeaders([['Host', request.host], ...exchange.request.headers.filter(([name]) => name.toLowerCase() !== 'host')]) +
+    CRLF
+  );
+
+  const metadataBlock = encoder.encode(formatHeaders(Object.entries(exchange.metadata || {})
+    .flatMap(([name, value]) => (Array.isArray(value) ? value : [value]).map(item => [name, String(item)]))));
+
+  const payloadDigest = await digest(exchange.body);
+
+  const response = await gzip(await createRecord([
+    ['WARC-Type', 'response'],
+    ['WARC-Record-ID', responseId],
+    ['WARC-Date', date],
+    ['WARC-Target-URI', targetUri],
+    ['WARC-Payload-Digest', `sha1:${payloadDigest}`],
+    ['Content-Type', 'application/http;msgtype=response']
+  ], responseBlock));
+
+  const requestRecord = await gzip(await createRecord([
+    ['WARC-Type', 'request'],
+    ['WARC-Record-ID', recordId()],
+    ['WARC-Date', date],
+    ['WARC-Target-URI', exchange.url],
+    ['WARC-Concurrent-To', responseId],
+    ['Content-Type', 'application/http;msgtype=request']
+  ], requestBlock));
+
+  const metadata = await gzip(await createRecord([
+    ['WARC-Type', 'metadata'],
+    ['WARC-Record-ID', recordId()],
+    ['WARC-Date', date],
+    ['WARC-Target-URI', targetUri],
+    ['WARC-Concurrent-To', responseId],
+    ['Content-Type', 'application/warc-fields']
+  ], metadataBlock));
+
+  const contentType = exchange.response.headers.find(([name]) => name.toLowerCase() === 'content-type')?.[1];
+
+  return {
+    data: concatBytes([response, requestRecord, metadata]),
+    index: [{
+      urlkey: surtKey(targetUri),
+      timestamp: date.replace(/\D/g, '').slice(0, 14),
+      url: targetUri,
+      mime: contentType ? contentType.split(';')[0].trim().toLowerCase() : 'unk',
+      status: String(exchange.response.status),
+      digest: payloadDigest,
+      length: String(response.byteLength),
+      offset: 0
+    }]
+  };
+}
+
+/**
+ * Build the gzipped warcinfo record that opens a WARC file
+ * @param {object} fields - Extra warc-fields (e.g. { isPartOf: jobId })
+ */
+export async function buildWarcinfoRecord(filename, fields = {}) {
+  const block = encoder.encode(formatHeaders([
+    ['software', 'Cloudflare Scraping Agent'],
+    ['format', 'WARC File Format 1.1'],
+    ['conformsTo', 'https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/'],
+    ...Object.entries(fields).map(([name, value]) => [name, String(value)])
+  ]));
+
+  return await gzip(await createRecord([
+    ['WARC-Type', 'warcinfo'],
+    ['WARC-Record-ID', recordId()],
+    ['WARC-Date', warcDate()],
+    ['WARC-Filename', filename],
+    ['Content-Type', 'application/warc-fields']
+  ], block));
+}
+
+/**
+ * Format CDXJ index entries, sorted by URL key and timestamp as replay tools expect
+ */
+export function formatCdxj(entries, filename) {
+  return entries
+    .map(({ urlkey, timestamp, ...fields }) =>
+      `${urlkey} ${timestamp} ${JSON.stringify({ ...fields, offset: String(fields.offset), filename })}`)
+    .sort()
+    .join('\n') + (entries.length > 0 ? '\n' : '');
+}
+
+/**
+ * SURT form of a URL used as the CDXJ key: reversed host without www, lowercased path
+ * and sorted query, e.g. com,example)/news?id=1
+ */
+export function surtKey(url) {
+  const parsed = new URL(url);
+  const host = parsed.hostname.toLowerCase().replace(/^www\d*\./, '').split('.').reverse().join(',');
+  const port = parsed.port ? `:${parsed.port}` : '';
+  const query = parsed.search.slice(1).split('&').filter(Boolean).sort().join('&');
+
+  return `${host}${port})${parsed.pathname}${query ? `?${query}` : ''}`.toLowerCase();
+}
+
+/**
+ * Join byte arrays
+ */
+export function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.byteLength, 0));
+  let offset = 0;
+
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.byteLength;
+  }
+  return result;
+}
+
+/**
+ * Serialize a record: WARC/1.1 header with length and block digest, the block, two CRLFs
+ */
+async function createRecord(fields, block) {
+  const header = 'WARC/1.1' + CRLF + formatHeaders([
+    ...fields,
+    ['WARC-Block-Digest', `sha1:${await digest(block)}`],
+    ['Content-Length', String(block.byteLength)]
+  ]) + CRLF;
+
+  return concatBytes([encoder.encode(header), block, encoder.encode(CRLF + CRLF)]);
+}
+
+/**
+ * Header lines, each ending in CRLF; line breaks inside values are folded to spaces
+ */
+function formatHeaders(headers) {
+  return headers.map(([name, value]) => `${name}: ${String(value).replace(/[\r\n]+/g, ' ')}${CRLF}`).join('');
+}
+
+/**
+ * Compress bytes as a single gzip member
+ */
+async function gzip(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Base32 SHA-1, the digest form used by WARC tools and CDX indexes
+ */
+async function digest(bytes) {
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-1', bytes));
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of hash) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += alphabet[(value << (5 - bits)) & 31];
+
+  return output;
+}
+
+/**
+ * WARC-Date: ISO 8601 UTC to the second
+ */
+function warcDate(date = new Date()) {
+  return new Date(date).toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * New WARC-Record-ID
+ */
+function recordId() {
+  return `<urn:uuid:${crypto.randomUUID()}>`;
+}
@@ -0,0 +1,95 @@
+/**
+ * ZIP Reader
+ * Reads entries from ZIP archives (stored or deflated), e.g. DOCX packages
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Open a ZIP archive
+ * @param {Uint8Array} bytes - Archive contents
+ * @returns {{names: string[], read: (name: string) => Promise<Uint8Array|null>, readText: (name: string) => Promise<string|null>}}
+ */
+export function openZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const entries = readCentralDirectory(bytes, view);
+
+  const read = async name => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+
+    if (view.getUint32(entry.offset, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt ZIP entry: ${name}`);
+    }
+
+    // Local header name/extra lengths can differ from the central directory
+    const dataStart = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return await inflateRaw(data);
+
+    throw new Error(`Unsupported ZIP compression method ${entry.method}: ${name}`);
+  };
+
+  return {
+    names: [...entries.keys()],
+    read,
+    readText: async name => {
+      const data = await read(name);
+      return data ? new TextDecoder().decode(data) : null;
+    }
+  };
+}
+
+/**
+ * Read the central directory into a name → entry map
+ */
+function readCentralDirectory(bytes, view) {
+  // The end record sits in the last 22 bytes plus an optional comment (up to 64KB)
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+
+  if (end < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const entries = new Map();
+  const decoder = new TextDecoder();
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) break;
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.set(name, {
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      offset: view.getUint32(offset + 42, true)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Inflate raw DEFLATE data
+ */
+async function inflateRaw(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
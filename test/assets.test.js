@@ -0,0 +1,190 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { normalizeAssetOptions, collectAssets, downloadAssets } from '../src/modules/assets.js';
+import { handleCrawl } from '../src/modules/crawler.js';
+import { linkArchivedAssets } from '../src/modules/markdown_converter.js';
+import { parseDocument } from '../src/utils/html_parser.js';
+import { sha256Hex } from '../src/utils/helpers.js';
+import CONFIG from '../config.json';
+import { makeKV } from './helpers/kv.js';
+import { makeBucket } from './helpers/r2.js';
+import { restoreConfig } from './helpers/config.js';
+
+const JPEG = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 4]);
+const PDF = new TextEncoder().encode('%PDF-1.7 report');
+
+let files;
+
+beforeEach(() => {
+  CONFIG.scraper.delay_between_requests_ms = 0;
+  CONFIG.scraper.respect_robots_txt = false;
+  files = {
+    '/photo.jpg': [JPEG, 'image/jpeg'],
+    '/report.pdf': [PDF, 'application/pdf'],
+    '/clip.mp4': [new Uint8Array(64), 'video/mp4'],
+    '/fake.jpg': ['<html>login</html>', 'text/html']
+  };
+
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const file = files[new URL(url).pathname];
+    if (!file) return new Response('', { status: 404 });
+    return new Response(file[0], { headers: { 'content-type': file[1] } });
+  }));
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+  restoreConfig();
+});
+
+describe('normalizeAssetOptions', () => {
+  it('defaults to every type and the config limits', () => {
+    expect(normalizeAssetOptions(true)).toEqual({
+      types: ['image', 'media', 'document'],
+      max_assets: 20,
+      max_total_bytes: 26214400
+    });
+    expect(normalizeAssetOptions({ types: ['image'], max_assets: 5, max_total_bytes: 1e12 })).toEqual({
+      types: ['image'],
+      max_assets: 5,
+      max_total_bytes: 26214400
+    });
+  });
+
+  it('rejects unknown or empty types', () => {
+    expect(() => normalizeAssetOptions({ types: ['image', 'font'] }))
+      .toThrow('Unknown asset type: font (expected one of image, media, document)');
+    expect(() => normalizeAssetOptions({ types: [] })).toThrow('Asset types must be a non-empty array');
+    expect(() => normalizeAssetOptions({ types: 'image' })).toThrow('Asset types must be a non-empty array');
+  });
+});
+
+describe('collectAssets', () => {
+  it('lists og:image, images, sources and linked PDFs once each, in page order', () => {
+    const document = parseDocument(`<html><body>
+      <img src="/photo.jpg" alt=" Harbour at dawn ">
+      <img src="/pixel.gif" width="1" height="1">
+      <img data-src="lazy.jpg">
+      <img srcset="/small.jpg 480w, /large.jpg 1200w">
+      <picture><source srcset="/hero.webp 1x, /hero@2x.webp 2x"></picture>
+      <video><source src="/clip.mp4"></video>
+      <audio src="/talk.mp3"></audio>
+      <a href="/report.pdf">Report</a>
+      <a href="/download?id=7" type="application/pdf">Annex</a>
+      <a href="/about">About</a>
+      <img src="/photo.jpg">
+      <img src="data:image/png;base64,AAAA">
+    </body></html>`);
+
+    const assets = collectAssets(document, 'https://example.com/news/', 'https://example.com/og.jpg');
+
+    expect(assets).toEqual([
+      { url: 'https://example.com/og.jpg', type: 'image', source: 'og:image' },
+      { url: 'https://example.com/photo.jpg', type: 'image', source: 'img', alt: 'Harbour at dawn' },
+      { url: 'https://example.com/news/lazy.jpg', type: 'image', source: 'img' },
+      { url: 'https://example.com/large.jpg', type: 'image', source: 'img' },
+      { url: 'https://example.com/hero@2x.webp', type: 'image', source: 'source' },
+      { url: 'https://example.com/clip.mp4', type: 'media', source: 'source' },
+      { url: 'https://example.com/talk.mp3', type: 'media', source: 'audio' },
+      { url: 'https://example.com/report.pdf', type: 'document', source: 'link' },
+      { url: 'https://example.com/download?id=7', type: 'document', source: 'link' }
+    ]);
+  });
+});
+
+describe('downloadAssets', () => {
+  const candidates = [
+    { url: 'https://example.com/photo.jpg', type: 'image', source: 'img' },
+    { url: 'https://example.com/clip.mp4', type: 'media', source: 'source' },
+    { url: 'https://example.com/report.pdf', type: 'document', source: 'link' }
+  ];
+
+  it('downloads the requested types with their hash and extension', async () => {
+    const results = await downloadAssets(candidates, {}, normalizeAssetOptions({ types: ['image', 'document'] }));
+
+    expect(results).toEqual([
+      expect.objectContaining({
+        url: 'https://example.com/photo.jpg',
+        body: JPEG,
+        content_type: 'image/jpeg',
+        bytes: JPEG.byteLength,
+        sha256: await sha256Hex(JPEG),
+        extension: 'jpg'
+      }),
+      expect.objectContaining({ url: 'https://example.com/report.pdf', extension: 'pdf', bytes: PDF.byteLength })
+    ]);
+  });
+
+  it('skips failed downloads and unexpected content types', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const results = await downloadAssets([
+      { url: 'https://example.com/missing.jpg', type: 'image', source: 'img' },
+      { url: 'https://example.com/fake.jpg', type: 'image', source: 'img' }
+    ], {}, normalizeAssetOptions(true));
+
+    expect(results.map(result => result.skipped)).toEqual(['HTTP 404', 'Unexpected content type: text/html']);
+  });
+
+  it('keeps to max_assets and the byte budgets', async () => {
+    const byCount = await downloadAssets(candidates, {}, normalizeAssetOptions({ max_assets: 1 }));
+    expect(byCount.map(result => result.skipped || 'ok')).toEqual(['ok', 'max_assets reached', 'max_assets reached']);
+
+    const byTotal = await downloadAssets(candidates, {}, normalizeAssetOptions({ max_total_bytes: JPEG.byteLength + 10 }));
+    expect(byTotal.map(result => result.skipped || 'ok')).toEqual(['ok', 'Too large (over 10 bytes)', 'Too large (over 10 bytes)']);
+
+    CONFIG.scraper.assets.max_asset_bytes = 4;
+    const [large] = await downloadAssets(candidates.slice(0, 1), {}, normalizeAssetOptions(true));
+    expect(large.skipped).toBe('Too large (over 4 bytes)');
+  });
+});
+
+describe('linkArchivedAssets', () => {
+  it('points links at the archived copies and lists them before the metadata', () => {
+    const markdown = '# Story\n\n![Harbour](https://example.com/photo.jpg)\n\n---\n\n## Metadata\n';
+    const rewritten = linkArchivedAssets(markdown, [
+      { url: 'https://example.com/photo.jpg', type: 'image', alt: 'Harbour', path: 'assets/abc.jpg' },
+      { url: 'https://example.com/report.pdf', type: 'document', path: 'assets/def.pdf' },
+      { url: 'https://example.com/clip.mp4', type: 'media', skipped: 'HTTP 404' }
+    ]);
+
+    expect(rewritten).toBe(
+      '# Story\n\n![Harbour](assets/abc.jpg)\n\n' +
+      '## Assets\n\n' +
+      '- ![Harbour](assets/abc.jpg) (original: <https://example.com/photo.jpg>)\n' +
+      '- [report.pdf](assets/def.pdf) (original: <https://example.com/report.pdf>)\n\n' +
+      '---\n\n## Metadata\n'
+    );
+  });
+});
+
+describe('scrapes with assets', () => {
+  it('archive the page\'s assets in R2 by content hash', async () => {
+    files['/story'] = [
+      '<html><body><article><p>A story with a photo and a report attached to it.</p>' +
+      '<img src="/photo.jpg" alt="Harbour"><a href="/report.pdf">Report</a></article></body></html>',
+      'text/html'
+    ];
+    const env = { CACHE: makeKV(), CRAWL_BUCKET: makeBucket() };
+
+    const result = await handleCrawl({ url: 'https://example.com/story', mode: 'manual', assets: true }, env, {});
+
+    const photoKey = `crawls/example_com/assets/${await sha256Hex(JPEG)}.jpg`;
+    const pdfKey = `crawls/example_com/assets/${await sha256Hex(PDF)}.pdf`;
+    expect(result.result.storage.storage.assets).toEqual([photoKey, pdfKey]);
+
+    const photo = await env.CRAWL_BUCKET.get(photoKey);
+    expect(new Uint8Array(await photo.arrayBuffer())).toEqual(JPEG);
+    expect(photo.customMetadata).toEqual({ url: 'https://example.com/photo.jpg', page_url: 'https://example.com/story' });
+
+    const json = await (await env.CRAWL_BUCKET.get(result.result.storage.storage.r2.json_key)).json();
+    expect(json.assets[0]).toMatchObject({ r2_key: photoKey, path: photoKey.replace('crawls/example_com/', '') });
+    expect(json.content_md).toContain(`(original: <https://example.com/report.pdf>)`);
+  });
+
+  it('reject invalid asset options with 400', async () => {
+    const result = await handleCrawl({ url: 'https://example.com/story', mode: 'manual', assets: { types: ['font'] } }, { CACHE: makeKV() }, {});
+
+    expect(result).toMatchObject({ success: false, status_code: 400 });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getRenderBackend, normalizeRenderOptions, renderPage } from '../src/modules/browser_renderer.js';
+import { handleCrawl } from '../src/modules/crawler.js';
+import CONFIG from '../config.json';
+import { makeKV } from './helpers/kv.js';
+import { makeBucket } from './helpers/r2.js';
+import { restoreConfig } from './helpers/config.js';
+
+const puppeteer = vi.hoisted(() => ({ launch: vi.fn(), connect: vi.fn() }));
+vi.mock('@cloudflare/puppeteer', () => ({ default: puppeteer }));
+
+const RENDERED = '<html><head><title>Rendered</title></head><body><article><p>Content that only exists once the page script has run in a browser.</p></article></body></html>';
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+
+let page;
+let browser;
+
+/**
+ * A puppeteer page that records the calls made on it
+ */
+function makePage({ status = 200 } = {}) {
+  const handlers = {};
+  return {
+    handlers,
+    setDefaultTimeout: vi.fn(),
+    setViewport: vi.fn(async () => {}),
+    setUserAgent: vi.fn(async () => {}),
+    setExtraHTTPHeaders: vi.fn(async () => {}),
+    setCookie: vi.fn(async () => {}),
+    setRequestInterception: vi.fn(async () => {}),
+    on: vi.fn((event, handler) => { handlers[event] = handler; }),
+    goto: vi.fn(async () => ({ status: () => status })),
+    waitForSelector: vi.fn(async () => {}),
+    evaluate: vi.fn(async () => {}),
+    screenshot: vi.fn(async () => PNG),
+    content: vi.fn(async () => RENDERED),
+    url: () => 'https://app.example/final',
+    close: vi.fn(async () => {})
+  };
+}
+
+beforeEach(() => {
+  page = makePage();
+  browser = {
+    newPage: vi.fn(async () => page),
+    close: vi.fn(async () => {}),
+    disconnect: vi.fn(async () => {})
+  };
+  puppeteer.launch.mockReset().mockResolvedValue(browser);
+  puppeteer.connect.mockReset().mockResolvedValue(browser);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  restoreConfig();
+});
+
+describe('getRenderBackend', () => {
+  it('prefers the binding, then a CDP endpoint', () => {
+    expect(getRenderBackend({ BROWSER: {}, BROWSER_CDP_URL: 'ws://localhost:9222' })).toBe('binding');
+    expect(getRenderBackend({ BROWSER_CDP_URL: 'ws://localhost:9222' })).toBe('cdp');
+    expect(getRenderBackend({})).toBeNull();
+  });
+
+  it('uses only the backend that was asked for', () => {
+    expect(getRenderBackend({ BROWSER: {}, BROWSER_CDP_URL: 'ws://localhost:9222', BROWSER_BACKEND: 'cdp' })).toBe('cdp');
+    expect(getRenderBackend({ BROWSER: {}, BROWSER_BACKEND: 'cdp' })).toBeNull();
+    expect(() => getRenderBackend({ BROWSER_BACKEND: 'selenium' })).toThrow('Unknown browser backend: selenium');
+  });
+});
+
+describe('normalizeRenderOptions', () => {
+  it('fills in the config defaults', () => {
+    expect(normalizeRenderOptions(true)).toEqual({
+      wait_until: 'networkidle2',
+      wait_for_selector: null,
+      scroll_steps: 0,
+      block_resources: [],
+      screenshot: false,
+      timeout_ms: 30000
+    });
+  });
+
+  it('clamps scroll steps and the timeout to the config limits', () => {
+    expect(normalizeRenderOptions({ scroll: true }).scroll_steps).toBe(20);
+    expect(normalizeRenderOptions({ scroll: 5 }).scroll_steps).toBe(5);
+    expect(normalizeRenderOptions({ scroll: 500 }).scroll_steps).toBe(20);
+    expect(normalizeRenderOptions({ timeout_ms: 5000 }).timeout_ms).toBe(5000);
+    expect(normalizeRenderOptions({ timeout_ms: 600000 }).timeout_ms).toBe(30000);
+  });
+
+  it('rejects unknown wait strategies and resource types', () => {
+    expect(() => normalizeRenderOptions({ wait_until: 'idle' }))
+      .toThrow('Unknown wait_until: idle (expected one of load, domcontentloaded, networkidle0, networkidle2)');
+    expect(() => normalizeRenderOptions({ block_resources: ['image', 'script'] }))
+      .toThrow('Unknown resource types: script');
+  });
+});
+
+describe('renderPage', () => {
+  it('renders through the binding with the request profile and render options', async () => {
+    const options = normalizeRenderOptions({
+      wait_until: 'load',
+      wait_for_selector: '#app',
+      scroll: 3,
+      block_resources: ['image', 'font'],
+      screenshot: true
+    });
+
+    const rendered = await renderPage('https://app.example/', { BROWSER: {} }, options, {
+      user_agent: 'TestBot/1.0',
+      headers: { 'accept-language': 'de' },
+      cookies: { session: 'abc' }
+    });
+
+    expect(rendered).toEqual({
+      html: RENDERED,
+      final_url: 'https://app.example/final',
+      status: 200,
+      backend: 'binding',
+      screenshot: PNG
+    });
+    expect(page.setUserAgent).toHaveBeenCalledWith('TestBot/1.0');
+    expect(page.setExtraHTTPHeaders).toHaveBeenCalledWith({ 'accept-language': 'de' });
+    expect(page.setCookie).toHaveBeenCalledWith({ name: 'session', value: 'abc', url: 'https://app.example/' });
+    expect(page.goto).toHaveBeenCalledWith('https://app.example/', { waitUntil: 'load', timeout: 30000 });
+    expect(page.waitForSelector).toHaveBeenCalledWith('#app', { timeout: 30000 });
+    expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), 3, CONFIG.scraper.browser.scroll_delay_ms);
+    expect(page.screenshot).toHaveBeenCalledWith({ fullPage: true, type: 'png' });
+    expect(page.close).toHaveBeenCalled();
+    expect(browser.close).toHaveBeenCalled();
+  });
+
+  it('blocks the listed resource types', async () => {
+    await renderPage('https://app.example/', { BROWSER: {} }, normalizeRenderOptions({ block_resources: ['image'] }));
+
+    const request = (type) => ({ resourceType: () => type, abort: vi.fn(async () => {}), continue: vi.fn(async () => {}) });
+    const image = request('image');
+    const script = request('script');
+    page.handlers.request(image);
+    page.handlers.request(script);
+
+    expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+    expect(image.abort).toHaveBeenCalled();
+    expect(script.continue).toHaveBeenCalled();
+  });
+
+  it('skips optional steps that were not asked for', async () => {
+    const rendered = await renderPage('https://app.example/', { BROWSER: {} });
+
+    expect(rendered.screenshot).toBeNull();
+    expect(page.setRequestInterception).not.toHaveBeenCalled();
+    expect(page.waitForSelector).not.toHaveBeenCalled();
+    expect(page.evaluate).not.toHaveBeenCalled();
+    expect(page.setUserAgent).toHaveBeenCalledWith(CONFIG.scraper.user_agents[0]);
+  });
+
+  it('resolves an HTTP CDP endpoint and disconnects from the shared browser', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({
+      webSocketDebuggerUrl: 'ws://localhost:9222/devtools/browser/1'
+    })));
+
+    const rendered = await renderPage('https://app.example/', { BROWSER_CDP_URL: 'http://localhost:9222' });
+
+    expect(rendered.backend).toBe('cdp');
+    expect(String(fetch.mock.calls[0][0])).toBe('http://localhost:9222/json/version');
+    expect(puppeteer.connect).toHaveBeenCalledWith({ browserWSEndpoint: 'ws://localhost:9222/devtools/browser/1' });
+    expect(browser.disconnect).toHaveBeenCalled();
+    expect(browser.close).not.toHaveBeenCalled();
+  });
+
+  it('reports CDP endpoints without a WebSocket URL', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({})));
+
+    await expect(renderPage('https://app.example/', { BROWSER_CDP_URL: 'http://localhost:9222' }))
+      .rejects.toThrow('CDP endpoint http://localhost:9222 did not report a webSocketDebuggerUrl');
+  });
+
+  it('fails without a backend and closes the browser after a failed render', async () => {
+    await expect(renderPage('https://app.example/', {})).rejects.toThrow('Browser rendering not configured');
+
+    page.goto.mockRejectedValue(new Error('Navigation timeout'));
+    await expect(renderPage('https://app.example/', { BROWSER: {} })).rejects.toThrow('Navigation timeout');
+    expect(page.close).toHaveBeenCalled();
+    expect(browser.close).toHaveBeenCalled();
+  });
+});
+
+describe('rendered scrapes', () => {
+  it('store the full-page screenshot in R2 beside the JSON', async () => {
+    CONFIG.scraper.delay_between_requests_ms = 0;
+    CONFIG.scraper.respect_robots_txt = false;
+    const env = { BROWSER: {}, CACHE: makeKV(), CRAWL_BUCKET: makeBucket() };
+
+    const result = await handleCrawl({
+      url: 'https://app.example/',
+      mode: 'manual',
+      render: { screenshot: true }
+    }, env, {});
+
+    const jsonKey = result.result.storage.storage.r2.json_key;
+    const stored = await env.CRAWL_BUCKET.get(jsonKey);
+    const screenshotKey = jsonKey.replace(/\.json$/, '.png');
+    const screenshot = await env.CRAWL_BUCKET.get(screenshotKey);
+
+    expect(result.result.data).toMatchObject({ title: 'Rendered', method: 'puppeteer' });
+    expect(result.result.data.metadata).toMatchObject({ rendered_with: 'binding', final_url: 'https://app.example/final' });
+    expect(stored.customMetadata.screenshot_key).toBe(screenshotKey);
+    expect(new Uint8Array(await screenshot.arrayBuffer())).toEqual(PNG);
+  });
+});
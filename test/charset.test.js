@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { detectCharset, decodeBody } from '../src/utils/charset.js';
+
+const ascii = text => new TextEncoder().encode(text);
+
+// "שלום" in windows-1255
+const HEBREW_1255 = [0xf9, 0xec, 0xe5, 0xed];
+
+describe('detectCharset', () => {
+  it('prefers a byte order mark over every declaration', () => {
+    expect(detectCharset(new Uint8Array([0xef, 0xbb, 0xbf, 0x41]), 'text/html; charset=iso-8859-1'))
+      .toEqual({ encoding: 'utf-8', source: 'bom' });
+    expect(detectCharset(new Uint8Array([0xfe, 0xff, 0x00, 0x41])).encoding).toBe('utf-16be');
+    expect(detectCharset(new Uint8Array([0xff, 0xfe, 0x41, 0x00])).encoding).toBe('utf-16le');
+  });
+
+  it('reads the Content-Type charset and resolves its label', () => {
+    expect(detectCharset(ascii('<meta charset="utf-8">'), 'text/html; Charset="Windows-1255"'))
+      .toEqual({ encoding: 'windows-1255', source: 'content-type' });
+    expect(detectCharset(ascii(''), 'text/html; charset=latin1').encoding).toBe('windows-1252');
+  });
+
+  it('falls back to meta charset and http-equiv declarations', () => {
+    expect(detectCharset(ascii('<html><head><META CHARSET=shift_jis>'), 'text/html'))
+      .toEqual({ encoding: 'shift_jis', source: 'meta' });
+    expect(detectCharset(ascii('<meta http-equiv="Content-Type" content="text/html; charset=windows-1256">')))
+      .toEqual({ encoding: 'windows-1256', source: 'meta' });
+  });
+
+  it('reads a UTF-16 meta declaration as UTF-8', () => {
+    expect(detectCharset(ascii('<meta charset="utf-16">')))
+      .toEqual({ encoding: 'utf-8', source: 'meta' });
+  });
+
+  it('falls back to the XML declaration', () => {
+    expect(detectCharset(ascii('<?xml version="1.0" encoding="ISO-8859-8"?><rss/>')))
+      .toEqual({ encoding: 'iso-8859-8', source: 'xml-declaration' });
+  });
+
+  it('skips unknown labels and defaults to UTF-8', () => {
+    expect(detectCharset(ascii('<meta charset="klingon"><meta charset="koi8-r">'), 'text/html; charset=bogus'))
+      .toEqual({ encoding: 'koi8-r', source: 'meta' });
+    expect(detectCharset(ascii('<p>plain</p>'), 'text/html'))
+      .toEqual({ encoding: 'utf-8', source: 'default' });
+  });
+
+  it('only looks at the start of the body for declarations', () => {
+    const late = ascii(' '.repeat(5000) + '<meta charset="windows-1255">');
+    expect(detectCharset(late).source).toBe('default');
+  });
+});
+
+describe('decodeBody', () => {
+  it('decodes legacy encodings', () => {
+    const page = new Uint8Array([...ascii('<meta charset="windows-1255"><p>'), ...HEBREW_1255]);
+
+    expect(decodeBody(page)).toEqual({
+      text: '<meta charset="windows-1255"><p>שלום',
+      encoding: 'windows-1255',
+      source: 'meta'
+    });
+  });
+
+  it('strips the byte order mark', () => {
+    expect(decodeBody(new Uint8Array([0xef, 0xbb, 0xbf, ...ascii('hi')])).text).toBe('hi');
+    expect(decodeBody(new Uint8Array([0xff, 0xfe, 0x68, 0x00, 0x69, 0x00])).text).toBe('hi');
+  });
+
+  it('replaces bytes that are invalid in the detected encoding', () => {
+    expect(decodeBody(new Uint8Array([0x61, 0xff, 0x62]), 'text/plain; charset=utf-8').text).toBe('a�b');
+  });
+});
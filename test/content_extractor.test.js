@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { extractMainContent } from '../src/modules/content_extractor.js';
+import { parseDocument } from '../src/utils/html_parser.js';
+
+const PARAGRAPHS = [
+  'The city council approved the new transit budget on Tuesday, after a debate that ran past midnight.',
+  'Under the plan, bus routes in the northern districts will run every ten minutes, up from every twenty.',
+  'Opponents argued that the fare increase, the first in six years, would fall hardest on students and pensioners.',
+  'The mayor said the changes would take effect in September, once the new vehicles have been delivered.'
+];
+
+const ARTICLE_PAGE = `
+  <html><head>
+    <meta property="og:image" content="/images/bus.jpg">
+    <meta name="author" content="Noa Cohen">
+    <meta property="article:published_time" content="2026-03-03T09:30:00+02:00">
+  </head><body>
+    <header class="site-header"><a href="/">Home</a> <a href="/news">News</a> <a href="/sport">Sport</a></header>
+    <nav><ul><li><a href="/a">Politics, economy and the world at large</a></li></ul></nav>
+    <div class="cookie-consent">We use cookies to improve your experience on this website, accept them all.</div>
+    <main>
+      <article class="story-body">
+        <h1>Transit budget</h1>
+        ${PARAGRAPHS.map(text => `<p>${text}</p>`).join('\n')}
+      </article>
+      <aside class="related">Related: Five things to know about the new bus routes, and more stories.</aside>
+    </main>
+    <footer>Copyright 2026 The Daily Example. All rights reserved, in every way possible.</footer>
+  </body></html>
+`;
+
+describe('extractMainContent', () => {
+  it('keeps the article and drops navigation, banners and footers', () => {
+    const result = extractMainContent(parseDocument(ARTICLE_PAGE), 'https://daily.example/news/transit');
+
+    expect(result.extracted).toBe(true);
+    expect(result.content.split('\n\n')).toEqual(expect.arrayContaining(PARAGRAPHS));
+    expect(result.content).not.toMatch(/cookies|Copyright|Related:|Politics/);
+  });
+
+  it('reads byline, date and lead image from meta tags', () => {
+    const result = extractMainContent(parseDocument(ARTICLE_PAGE), 'https://daily.example/news/transit');
+
+    expect(result).toMatchObject({
+      byline: 'Noa Cohen',
+      published_at: '2026-03-03T07:30:00.000Z',
+      lead_image: 'https://daily.example/images/bus.jpg'
+    });
+    // Headings shorter than a paragraph are skipped
+    expect(result.excerpt).toBe(PARAGRAPHS[0]);
+  });
+
+  it('falls back to byline blocks, <time> and the first article image', () => {
+    const page = `
+      <html><body><div class="post">
+        <span class="byline">By Amir Haddad</span>
+        <time datetime="2026-02-10">10 February</time>
+        <img src="photo.jpg">
+        ${PARAGRAPHS.map(text => `<p>${text}</p>`).join('')}
+      </div></body></html>
+    `;
+    const result = extractMainContent(parseDocument(page), 'https://daily.example/news/story');
+
+    expect(result).toMatchObject({
+      byline: 'Amir Haddad',
+      published_at: '2026-02-10T00:00:00.000Z',
+      lead_image: 'https://daily.example/news/photo.jpg'
+    });
+  });
+
+  it('prefers the meta description as the excerpt and ignores author URLs', () => {
+    const page = ARTICLE_PAGE
+      .replace('<meta name="author" content="Noa Cohen">', '<meta name="author" content="https://social.example/noa">')
+      .replace('<head>', '<head><meta name="description" content="Buses every ten minutes from September.">');
+    const result = extractMainContent(parseDocument(page), 'https://daily.example/news/transit');
+
+    expect(result.excerpt).toBe('Buses every ten minutes from September.');
+    expect(result.byline).toBeNull();
+  });
+
+  it('returns the whole page when no block has enough text', () => {
+    const result = extractMainContent(parseDocument('<html><body><h1>Gallery</h1><p>Photo one</p></body></html>'), 'https://daily.example/');
+
+    expect(result).toMatchObject({ extracted: false, content: 'Gallery\n\nPhoto one', byline: null, published_at: null, lead_image: null });
+  });
+
+  it('skips invalid dates', () => {
+    const page = '<html><head><meta name="date" content="someday"></head><body><time datetime="2026-01-05T12:00:00Z"></time></body></html>';
+    expect(extractMainContent(parseDocument(page), 'https://daily.example/').published_at).toBe('2026-01-05T12:00:00.000Z');
+  });
+});
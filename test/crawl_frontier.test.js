@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { handleCrawl, processCrawlPage } from '../src/modules/crawler.js';
+import { ensureFrontierTables, frontierCounts } from '../src/modules/crawl_frontier.js';
+import { cancelJob, getJob } from '../src/modules/jobs.js';
+import CONFIG from '../config.json';
+import { makeD1 } from './helpers/d1.js';
+import { makeKV } from './helpers/kv.js';
+import { restoreConfig } from './helpers/config.js';
+
+let d1;
+let env;
+let sent;
+
+beforeAll(async () => {
+  d1 = await makeD1();
+  await ensureFrontierTables(d1.db);
+});
+
+afterAll(() => d1.dispose());
+
+beforeEach(async () => {
+  CONFIG.scraper.delay_between_requests_ms = 0;
+  sent = [];
+  env = {
+    DB: d1.db,
+    CACHE: makeKV(),
+    SCRAPE_QUEUE: {
+      send: async (body) => sent.push(body),
+      sendBatch: async (messages) => sent.push(...messages.map(message => message.body))
+    }
+  };
+
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    if (String(url).endsWith('/robots.txt')) return new Response('', { status: 404 });
+    return new Response('<html><body><p>Start page</p><a href="/a">A</a><a href="/b">B</a></body></html>', {
+      headers: { 'content-type': 'text/html' }
+    });
+  }));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  restoreConfig();
+});
+
+async function startCrawl() {
+  const result = await handleCrawl({ url: 'https://example.com/', mode: 'auto', max_depth: 2, max_pages: 5 }, env, {});
+  expect(result.result.queued).toBe(true);
+  return result.job_id;
+}
+
+describe('resume_job_id', () => {
+  it('resumes a cancelled crawl from its frontier', async () => {
+    const jobId = await startCrawl();
+    await cancelJob(d1.db, jobId);
+    expect((await frontierCounts(d1.db, jobId)).cancelled).toBe(1);
+
+    sent = [];
+    const result = await handleCrawl({ resume_job_id: jobId }, env, {});
+
+    expect(result.success).toBe(true);
+    expect(result.result.data.resumed).toBe(true);
+    expect(sent.map(message => message.url)).toEqual(['https://example.com/']);
+    expect((await getJob(d1.db, jobId)).status).toBe('running');
+  });
+
+  it('refuses a crawl that is still running', async () => {
+    const jobId = await startCrawl();
+    sent = [];
+
+    const result = await handleCrawl({ resume_job_id: jobId }, env, {});
+
+    expect(result).toMatchObject({ success: false, status_code: 409 });
+    expect(sent).toEqual([]);
+  });
+
+  it('leaves finished crawls alone', async () => {
+    const jobId = await startCrawl();
+    await d1.db.prepare(`UPDATE scrape_jobs SET status = 'succeeded' WHERE job_id = ?`).bind(jobId).run();
+
+    const result = await handleCrawl({ resume_job_id: jobId }, env, {});
+
+    expect(result).toMatchObject({
+      status_code: 409,
+      error: `Job ${jobId} is succeeded; only failed, cancelled crawls can be resumed`
+    });
+    expect((await getJob(d1.db, jobId)).status).toBe('succeeded');
+    expect((await frontierCounts(d1.db, jobId)).queued).toBe(1);
+  });
+
+  it('refuses jobs without a frontier', async () => {
+    await d1.db.prepare(`
+      INSERT INTO scrape_jobs (job_id, url, mode, depth, source, status, created_at)
+      VALUES ('job_manual', 'https://example.com/', 'manual', 1, 'manual', 'failed', ?)
+    `).bind(new Date().toISOString()).run();
+
+    const result = await handleCrawl({ resume_job_id: 'job_manual' }, env, {});
+
+    expect(result.status_code).toBe(409);
+    expect(result.error).toMatch(/no crawl frontier/);
+    expect((await getJob(d1.db, 'job_manual')).status).toBe('failed');
+  });
+});
+
+describe('cancelled crawls', () => {
+  it('stop growing the frontier from pages in flight', async () => {
+    const jobId = await startCrawl();
+    const [message] = sent;
+    sent = [];
+
+    // The crawl is cancelled while its start page is being fetched
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      if (String(url).endsWith('/robots.txt')) return new Response('', { status: 404 });
+      await cancelJob(d1.db, jobId);
+      return new Response('<html><body><p>Start page</p><a href="/a">A</a><a href="/b">B</a></body></html>', {
+        headers: { 'content-type': 'text/html' }
+      });
+    }));
+
+    const result = await processCrawlPage(message, env, {});
+
+    expect(result.status).toBe('done');
+    expect(sent).toEqual([]);
+    expect(await frontierCounts(d1.db, jobId)).toEqual({ done: 1 });
+    expect((await getJob(d1.db, jobId)).status).toBe('cancelled');
+  });
+
+  it('mark URLs not yet scraped as cancelled', async () => {
+    const jobId = await startCrawl();
+
+    const result = await cancelJob(d1.db, jobId);
+
+    expect(result).toEqual({ cancelled: true, previous_status: 'running' });
+    expect(await frontierCounts(d1.db, jobId)).toEqual({ cancelled: 1 });
+  });
+});
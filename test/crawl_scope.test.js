@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { createCrawlScope, checkScope, compilePattern, describeScope } from '../src/modules/crawl_scope.js';
+
+describe('compilePattern', () => {
+  it('matches globs against the path and query', () => {
+    const pattern = compilePattern('/articles/*');
+
+    expect(pattern.test('/articles/one')).toBe(true);
+    expect(pattern.test('/articles/one/two')).toBe(true);
+    expect(pattern.test('/about')).toBe(false);
+    expect(compilePattern('/*/print').test('/news/print?page=2')).toBe(true);
+    expect(compilePattern('/**/tag/**').test('/a/b/tag/c')).toBe(true);
+  });
+
+  it('matches regexes against the full URL', () => {
+    const pattern = compilePattern('/\\/author\\//i');
+
+    expect(pattern.test('/AUTHOR/jane', 'https://example.com/AUTHOR/jane')).toBe(true);
+    expect(pattern.test('/about', 'https://example.com/about')).toBe(false);
+  });
+
+  it.each(['g', 'y', 'gi'])('gives the same answer every time with the %s flag', (flags) => {
+    const pattern = compilePattern(`/\\/news\\//${flags}`);
+    const href = 'https://example.com/news/one';
+
+    expect([1, 2, 3].map(() => pattern.test('/news/one', href))).toEqual([true, true, true]);
+  });
+
+  it('rejects invalid regexes', () => {
+    expect(() => compilePattern('/[unclosed/')).toThrow(/Invalid pattern/);
+  });
+});
+
+describe('checkScope', () => {
+  const scope = createCrawlScope('https://www.example.com/', {
+    include: ['/articles/*'],
+    exclude: ['**/tag/**', '/\\/author\\//g'],
+    subdomains: ['news'],
+    max_depth: 9,
+    max_pages: 500
+  }, { MAX_CRAWL_DEPTH: '3' });
+
+  it('clamps budgets to config and the environment', () => {
+    expect(describeScope(scope)).toMatchObject({ max_depth: 3, max_pages: 100 });
+  });
+
+  it.each([
+    ['https://www.example.com/articles/a', true, null],
+    ['https://news.example.com/articles/a?x=1', true, null],
+    ['https://blog.example.com/articles/a', false, 'host'],
+    ['https://www.example.com/articles/tag/x', false, 'excluded'],
+    ['https://www.example.com/articles/author/x', false, 'excluded'],
+    ['https://www.example.com/articles/author/y', false, 'excluded'],
+    ['https://www.example.com/about', false, 'not_included'],
+    ['https://www.example.com/articles/photo.JPG', false, 'extension'],
+    ['mailto:editor@example.com', false, 'protocol']
+  ])('%s', (url, allowed, reason) => {
+    expect(checkScope(scope, url)).toEqual({ allowed, reason });
+  });
+
+  it('follows any subdomain of the site with subdomains: all', () => {
+    const all = createCrawlScope('https://example.com/', { subdomains: 'all' });
+
+    expect(checkScope(all, 'https://deep.news.example.com/').allowed).toBe(true);
+    expect(checkScope(all, 'https://notexample.com/').allowed).toBe(false);
+    expect(() => createCrawlScope('https://example.com/', { subdomains: 'some' })).toThrow(/subdomain policy/);
+  });
+});
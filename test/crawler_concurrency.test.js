@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { handleCrawl } from '../src/modules/crawler.js';
+import CONFIG from '../config.json';
+import { sleep } from '../src/utils/helpers.js';
+import { makeKV } from './helpers/kv.js';
+import { restoreConfig } from './helpers/config.js';
+
+// Each section page links to its articles and back to the others
+const LINKS = {
+  '/': ['/s1', '/s2', '/s3', '/s4'],
+  '/s1': ['/s2', '/a1'],
+  '/s2': ['/s1', '/a2'],
+  '/s3': ['/a3', 'https://news.example.com/'],
+  '/s4': ['/a4']
+};
+
+let fetched;
+let active;
+let peak;
+
+function page(url) {
+  const links = (LINKS[new URL(url).pathname] || []).map(href => `<a href="${href}">${href}</a>`);
+  return `<html><body><p>Page ${url}</p>${links.join('')}</body></html>`;
+}
+
+beforeEach(() => {
+  CONFIG.scraper.delay_between_requests_ms = 0;
+  CONFIG.scraper.respect_robots_txt = false;
+  fetched = [];
+  active = {};
+  peak = {};
+
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const host = new URL(url).hostname;
+    fetched.push(String(url));
+    active[host] = (active[host] || 0) + 1;
+    peak[host] = Math.max(peak[host] || 0, active[host]);
+    peak.all = Math.max(peak.all || 0, Object.values(active).reduce((sum, count) => sum + count, 0));
+
+    await sleep(20);
+    active[host]--;
+    return new Response(page(url), { headers: { 'content-type': 'text/html' } });
+  }));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  restoreConfig();
+});
+
+const crawl = (params) => handleCrawl({ url: 'https://example.com/', mode: 'auto', distributed: false, ...params }, { CACHE: makeKV() }, {});
+
+describe('in-request crawls with concurrency', () => {
+  it('crawl breadth-first and fetch each page once', async () => {
+    CONFIG.scraper.politeness.max_concurrency_per_host = 4;
+    const result = await crawl({ max_depth: 2, concurrency: 4 });
+    const urls = result.result.data.pages.map(page => new URL(page.url).pathname);
+
+    expect(result.result.data.concurrency).toBe(4);
+    expect(urls[0]).toBe('/');
+    expect(urls.slice(1, 5).sort()).toEqual(['/s1', '/s2', '/s3', '/s4']);
+    expect(urls.slice(5).sort()).toEqual(['/a1', '/a2', '/a3', '/a4']);
+    expect(new Set(fetched).size).toBe(fetched.length);
+    expect(peak['example.com']).toBe(4);
+  });
+
+  it('keep to the page budget with pages in flight', async () => {
+    CONFIG.scraper.politeness.max_concurrency_per_host = 4;
+    const result = await crawl({ max_depth: 2, max_pages: 3, concurrency: 4 });
+
+    expect(result.result.data.pages_crawled).toBe(3);
+    expect(fetched).toHaveLength(3);
+  });
+
+  it('keep the per-host concurrency limit while other hosts run alongside', async () => {
+    CONFIG.scraper.politeness.max_concurrency_per_host = 1;
+    const result = await crawl({ max_depth: 2, concurrency: 4, subdomains: 'all' });
+
+    expect(result.result.data.pages_crawled).toBe(10);
+    expect(peak['example.com']).toBe(1);
+    expect(peak['news.example.com']).toBe(1);
+    expect(peak.all).toBe(2);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { handleCrawl } from '../src/modules/crawler.js';
+import CONFIG from '../config.json';
+import { makeKV } from './helpers/kv.js';
+import { makeBucket } from './helpers/r2.js';
+import { restoreConfig } from './helpers/config.js';
+
+const PAGES = {
+  '/': ['<html><body><p>Reports</p><a href="/notes.txt">Notes</a><a href="/data">Data</a></body></html>', 'text/html'],
+  '/notes.txt': ['Quarterly notes\n\nRevenue grew.', 'text/plain; charset=utf-8'],
+  '/data': ['{"headline":"Figures","total":12}', 'application/json'],
+  '/sitemap.xml': [
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>https://example.com/notes.txt</loc></url><url><loc>https://example.com/data</loc></url></urlset>',
+    'application/xml'
+  ]
+};
+
+let env;
+
+beforeEach(() => {
+  CONFIG.scraper.delay_between_requests_ms = 0;
+  env = { CACHE: makeKV(), CRAWL_BUCKET: makeBucket() };
+
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const page = PAGES[new URL(url).pathname];
+    if (!page) return new Response('', { status: 404 });
+    return new Response(page[0], { headers: { 'content-type': page[1] } });
+  }));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  restoreConfig();
+});
+
+/**
+ * The stored combined JSON and the original documents stored beside it
+ */
+async function storedCrawl(result) {
+  const bucket = env.CRAWL_BUCKET;
+  const jsonKey = result.result.storage.storage.r2.json_key;
+  const json = await (await bucket.get(jsonKey)).json();
+  const originals = json.pages.filter(page => page.original_key);
+
+  return {
+    json,
+    originals: await Promise.all(originals.map(async page => ({
+      url: page.url,
+      key: page.original_key,
+      body: await (await bucket.get(page.original_key)).text()
+    })))
+  };
+}
+
+describe('in-request crawls', () => {
+  it('archive each page\'s original document in auto mode', async () => {
+    const result = await handleCrawl({ url: 'https://example.com/', mode: 'auto', max_depth: 1, distributed: false }, env, {});
+    const { json, originals } = await storedCrawl(result);
+
+    expect(json.pages).toHaveLength(3);
+    expect(originals.map(file => [file.url, file.body])).toEqual([
+      ['https://example.com/notes.txt', PAGES['/notes.txt'][0]],
+      ['https://example.com/data', PAGES['/data'][0]]
+    ]);
+    expect(originals[0].key).toMatch(/-2\.txt$/);
+    expect(originals[1].key).toMatch(/-3\.json$/);
+    expect(JSON.stringify(result)).not.toMatch(/"original"/);
+  });
+
+  it('archive each page\'s original document in sitemap mode', async () => {
+    const result = await handleCrawl({ url: 'https://example.com/', mode: 'sitemap' }, env, {});
+    const { originals } = await storedCrawl(result);
+
+    expect(originals.map(file => file.url).sort()).toEqual(['https://example.com/data', 'https://example.com/notes.txt']);
+  });
+});
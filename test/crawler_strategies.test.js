@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { handleCrawl } from '../src/modules/crawler.js';
+import { writeCachedScrape } from '../src/modules/scrape_cache.js';
+import CONFIG from '../config.json';
+import { makeKV } from './helpers/kv.js';
+import { restoreConfig } from './helpers/config.js';
+
+const API_PAGE = '<html><head><title>Via API</title></head><body><p>Fetched through the scraping service.</p></body></html>';
+
+let originStatus;
+let apiStatus;
+let apiCalls;
+
+beforeEach(() => {
+  CONFIG.scraper.delay_between_requests_ms = 0;
+  CONFIG.scraper.retry.initial_delay_ms = 1;
+  CONFIG.scraper.retry.max_delay_ms = 1;
+  CONFIG.scraper.politeness.backoff_base_ms = 1;
+  CONFIG.scraper.politeness.backoff_max_ms = 1;
+  CONFIG.scraper.api.url_template = 'https://api.scraper.test/?url={url}';
+  apiStatus = 200;
+  apiCalls = 0;
+
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const target = String(url);
+    if (target.endsWith('/robots.txt')) return new Response('', { status: 404 });
+    if (target.startsWith('https://api.scraper.test/')) {
+      apiCalls++;
+      return apiStatus === 200
+        ? new Response(API_PAGE, { headers: { 'content-type': 'text/html' } })
+        : new Response('Invalid API key', { status: apiStatus });
+    }
+    if (!originStatus) throw new TypeError('fetch failed');
+    return new Response('Unavailable', { status: originStatus });
+  }));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  restoreConfig();
+});
+
+describe('strategy fallback', () => {
+  it.each([404, 410])('stops at the origin\'s %s without trying other strategies', async (status) => {
+    originStatus = status;
+    const result = await handleCrawl({ url: 'https://example.com/gone', cache: 'bypass' }, { SCRAPER_API_KEY: 'key' }, {});
+
+    expect(result).toMatchObject({ success: false, error_kind: 'permanent', origin_status: status });
+    expect(result.attempts.map(attempt => attempt.strategy)).toEqual(['fetch']);
+    expect(apiCalls).toBe(0);
+  });
+
+  it('stops on the statuses configured in scraper.strategies.stop_statuses', async () => {
+    CONFIG.scraper.strategies.stop_statuses = [451];
+    originStatus = 451;
+    const result = await handleCrawl({ url: 'https://example.com/legal', cache: 'bypass' }, { SCRAPER_API_KEY: 'key' }, {});
+
+    expect(result).toMatchObject({ success: false, origin_status: 451 });
+    expect(apiCalls).toBe(0);
+  });
+
+  it('falls through to the next strategy when the origin is unreachable', async () => {
+    originStatus = null;
+    const result = await handleCrawl({ url: 'https://example.com/busy', cache: 'bypass' }, { SCRAPER_API_KEY: 'key' }, {});
+
+    expect(result.result.data.method).toBe('api');
+    expect(result.result.attempts.map(attempt => [attempt.strategy, attempt.outcome]))
+      .toEqual([['fetch', 'error'], ['puppeteer', 'unavailable'], ['api', 'success']]);
+  });
+
+  it.each([401, 403, 429, 451])('tries the browser and API after an origin %s', async (status) => {
+    originStatus = status;
+    const result = await handleCrawl({ url: `https://protected-${status}.example/`, cache: 'bypass' }, { SCRAPER_API_KEY: 'key' }, {});
+
+    expect(result.result.data.method).toBe('api');
+    expect(result.result.attempts.map(attempt => attempt.strategy)).toEqual(['fetch', 'puppeteer', 'api']);
+  });
+
+  it('serves the stale copy after a 403, and does not report the API\'s own errors as the origin\'s', async () => {
+    const env = { CACHE: makeKV(), SCRAPER_API_KEY: 'key' };
+    const url = 'https://example.com/cached';
+    await writeCachedScrape(url, { url, title: 'Cached', content: 'Cached copy', scraped_at: new Date().toISOString() },
+      { etag: null, last_modified: null, max_age: 0, no_store: false }, env.CACHE);
+    originStatus = 403;
+    apiStatus = 401;
+
+    const result = await handleCrawl({ url }, env, {});
+
+    expect(result.result).toMatchObject({ success: true, cache_status: 'stale', data: { title: 'Cached' } });
+    expect(result.result.attempts.map(attempt => attempt.strategy)).toEqual(['fetch', 'puppeteer', 'api']);
+    expect(apiCalls).toBe(1);
+
+    // Without a cached copy the crawl fails, with no origin refusal
+    const failed = await handleCrawl({ url: 'https://example.com/uncached' }, env, {});
+    expect(failed).toMatchObject({ success: false, error: expect.stringMatching(/^All scraping strategies failed/) });
+    expect(failed).not.toHaveProperty('origin_status');
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { parseDocument, textContent } from '../src/utils/html_parser.js';
+import { compileSelector, querySelector, querySelectorAll } from '../src/utils/css_selector.js';
+
+const document = parseDocument(`
+  <main id="content">
+    <article class="story lead" data-id="1" lang="en-GB">
+      <h2>First</h2>
+      <p class="byline">By A</p>
+      <p>One</p>
+      <p>Two</p>
+    </article>
+    <article class="story" data-id="2" lang="en">
+      <h2>Second</h2>
+      <div><p>Nested</p></div>
+    </article>
+    <aside class="Story promo" data-kind="Sponsored Content" rel="nofollow noopener">
+      <span>Ad</span>
+    </aside>
+  </main>
+`);
+
+/**
+ * Text of every element a selector matches
+ */
+function select(selector) {
+  return querySelectorAll(document, selector).map(textContent);
+}
+
+describe('querySelectorAll', () => {
+  it('matches type, universal, id and class selectors', () => {
+    expect(select('h2')).toEqual(['First', 'Second']);
+    expect(select('H2')).toEqual(['First', 'Second']);
+    expect(select('#content > *')).toHaveLength(3);
+    expect(select('.story h2')).toEqual(['First', 'Second']);
+    expect(select('article.story.lead > h2')).toEqual(['First']);
+    expect(select('p.byline')).toEqual(['By A']);
+  });
+
+  it('matches class names case-sensitively', () => {
+    expect(select('.Story span')).toEqual(['Ad']);
+    expect(select('.story span')).toEqual([]);
+  });
+
+  it('matches every attribute operator', () => {
+    expect(select('[data-id] h2')).toEqual(['First', 'Second']);
+    expect(select('[data-id="2"] h2')).toEqual(['Second']);
+    expect(select("[data-id='1'] h2")).toEqual(['First']);
+    expect(select('[rel~=noopener] span')).toEqual(['Ad']);
+    expect(select('[lang|=en] h2')).toEqual(['First', 'Second']);
+    expect(select('[data-kind^=Spon] span')).toEqual(['Ad']);
+    expect(select('[data-kind$="Content"] span')).toEqual(['Ad']);
+    expect(select('[data-kind*="sored C"] span')).toEqual(['Ad']);
+  });
+
+  it('honours the i flag and never matches an empty substring', () => {
+    expect(select('[data-kind="sponsored content"] span')).toEqual([]);
+    expect(select('[data-kind="sponsored content" i] span')).toEqual(['Ad']);
+    expect(select('[data-kind^=""] span')).toEqual([]);
+    expect(select('[data-kind*=""] span')).toEqual([]);
+  });
+
+  it('matches structural pseudo-classes among element siblings', () => {
+    expect(select('article > :first-child')).toEqual(['First', 'Second']);
+    expect(select('article > p:last-child')).toEqual(['Two']);
+    expect(select('div > p:only-child')).toEqual(['Nested']);
+    expect(select('.lead > :nth-child(3)')).toEqual(['One']);
+    expect(select('.lead > :nth-child(odd)')).toEqual(['First', 'One']);
+    expect(select('.lead > :NTH-CHILD( even )')).toEqual(['By A', 'Two']);
+  });
+
+  it('matches :not, including nested groups', () => {
+    expect(select('.lead > p:not(.byline)')).toEqual(['One', 'Two']);
+    expect(select('article > :not(h2, p)')).toEqual(['Nested']);
+  });
+
+  it('matches the descendant, child, adjacent and general sibling combinators', () => {
+    expect(select('main p')).toEqual(['By A', 'One', 'Two', 'Nested']);
+    expect(select('article > p')).toEqual(['By A', 'One', 'Two']);
+    expect(select('h2 + p')).toEqual(['By A']);
+    expect(select('h2 ~ p')).toEqual(['By A', 'One', 'Two']);
+    expect(select('h2~p+p')).toEqual(['One', 'Two']);
+    expect(select('.byline  ~  p')).toEqual(['One', 'Two']);
+  });
+
+  it('returns comma-separated groups in document order without duplicates', () => {
+    expect(select('span, h2, .lead h2')).toEqual(['First', 'Second', 'Ad']);
+  });
+
+  it('accepts a compiled predicate', () => {
+    const predicate = compileSelector('.byline');
+    expect(textContent(querySelector(document, predicate))).toBe('By A');
+    expect(querySelector(document, 'table')).toBeNull();
+  });
+});
+
+describe('compileSelector', () => {
+  it.each([
+    '',
+    ',',
+    'h2,',
+    '> p',
+    'p >',
+    'p > > span',
+    '[data-id',
+    '[data-id="1]',
+    ':not(p'
+  ])('rejects the malformed selector %j', (selector) => {
+    expect(() => compileSelector(selector)).toThrow(/^Invalid selector/);
+  });
+
+  it.each([
+    ['p::before', '::before'],
+    ['a:hover', ':hover'],
+    ['li:nth-child(2n+1)', ':nth-child(2n+1)'],
+    ['li:nth-of-type(2)', ':nth-of-type(2)'],
+    ['p:has(img)', ':has(img)'],
+    ['ns|p', '|p'],
+    ['[data-id!=1]', '[data-id!=1]']
+  ])('names the unsupported part of %j', (selector, rest) => {
+    expect(() => compileSelector(selector)).toThrow(`Invalid selector: ${selector} (unsupported near "${rest}")`);
+  });
+});
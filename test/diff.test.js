@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { diffText } from '../src/utils/diff.js';
+
+const lines = (...items) => items.join('\n');
+
+describe('diffText', () => {
+  it('reports no change for texts differing only in blank lines and indentation', () => {
+    expect(diffText('a\n\n  b\r\nc', 'a\nb\n\nc  ')).toEqual({ diff: '', added: 0, removed: 0, changed: false });
+  });
+
+  it('writes a unified diff with labels and context', () => {
+    const result = diffText(
+      lines('one', 'two', 'three', 'four', 'five'),
+      lines('one', 'two', 'THREE', 'four', 'five'),
+      { context: 1, oldLabel: 'monday', newLabel: 'tuesday' }
+    );
+
+    expect(result).toEqual({
+      diff: '--- monday\n+++ tuesday\n@@ -2,3 +2,3 @@\n two\n-three\n+THREE\n four\n',
+      added: 1,
+      removed: 1,
+      changed: true
+    });
+  });
+
+  it('splits distant changes into separate hunks', () => {
+    const before = lines('a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j');
+    const after = lines('A', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'J');
+
+    expect(diffText(before, after, { context: 1 }).diff.split('\n').filter(line => line.startsWith('@@')))
+      .toEqual(['@@ -1,2 +1,2 @@', '@@ -9,2 +9,2 @@']);
+  });
+
+  it('merges changes whose context overlaps', () => {
+    const before = lines('a', 'b', 'c', 'd', 'e');
+    const after = lines('A', 'b', 'c', 'D', 'e');
+
+    expect(diffText(before, after, { context: 1 }).diff.split('\n').filter(line => line.startsWith('@@')))
+      .toEqual(['@@ -1,5 +1,5 @@']);
+  });
+
+  it('anchors pure insertions and deletions at the line before them', () => {
+    expect(diffText(lines('a', 'b'), lines('a', 'new', 'b'), { context: 0 }).diff)
+      .toBe('--- previous\n+++ current\n@@ -1,0 +2,1 @@\n+new\n');
+    expect(diffText(lines('a', 'gone', 'b'), lines('a', 'b'), { context: 0 }).diff)
+      .toBe('--- previous\n+++ current\n@@ -2,1 +1,0 @@\n-gone\n');
+    expect(diffText('', 'first').diff).toBe('--- previous\n+++ current\n@@ -0,0 +1,1 @@\n+first\n');
+  });
+
+  it('keeps unchanged lines between edits out of the counts', () => {
+    const result = diffText(lines('x', 'keep', 'y'), lines('keep', 'z'));
+    expect(result).toMatchObject({ added: 1, removed: 2 });
+    expect(result.diff).toContain('\n keep\n');
+  });
+});
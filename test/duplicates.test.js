@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { findNearDuplicate, recordFingerprint, ensureFingerprintTable } from '../src/modules/duplicates.js';
+import { simhashBands } from '../src/utils/simhash.js';
+import CONFIG from '../config.json';
+import { makeD1 } from './helpers/d1.js';
+import { restoreConfig } from './helpers/config.js';
+
+const FINGERPRINT = '0123456789abcdef';
+
+let d1;
+
+beforeAll(async () => {
+  d1 = await makeD1();
+  await ensureFingerprintTable(d1.db);
+});
+
+afterAll(() => d1.dispose());
+
+afterEach(async () => {
+  restoreConfig();
+  await d1.db.prepare('DELETE FROM content_fingerprints').run();
+});
+
+/**
+ * Flip the given bit positions (0 = most significant) of a fingerprint
+ */
+function flipBits(fingerprint, bits) {
+  let value = BigInt(`0x${fingerprint}`);
+  for (const bit of bits) value ^= 1n << BigInt(63 - bit);
+  return value.toString(16).padStart(16, '0');
+}
+
+async function storeFingerprint(url, fingerprint) {
+  await d1.db.prepare(`
+    INSERT INTO content_fingerprints (url, simhash, band0, band1, band2, band3, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(url, fingerprint, ...simhashBands(fingerprint), new Date().toISOString()).run();
+}
+
+describe('findNearDuplicate', () => {
+  const page = { url: 'https://mirror.example/story', content: 'Story text' };
+
+  it('finds a page stored under another URL within max_distance', async () => {
+    await storeFingerprint('https://example.com/story', flipBits(FINGERPRINT, [1, 17, 33]));
+
+    const original = await findNearDuplicate(FINGERPRINT, page, { DB: d1.db });
+
+    expect(original).toMatchObject({ url: 'https://example.com/story', distance: 3, similarity: null });
+  });
+
+  it('ignores earlier versions of the same URL', async () => {
+    await storeFingerprint('https://mirror.example/story', FINGERPRINT);
+
+    expect(await findNearDuplicate(FINGERPRINT, page, { DB: d1.db })).toBeNull();
+  });
+
+  it('caps max_distance at what the band index can find', async () => {
+    CONFIG.storage.dedupe.max_distance = 8;
+
+    // Five bits apart but sharing three bands: found by the index, beyond the cap
+    await storeFingerprint('https://example.com/story', flipBits(FINGERPRINT, [0, 1, 2, 3, 4]));
+
+    expect(await findNearDuplicate(FINGERPRINT, page, { DB: d1.db })).toBeNull();
+  });
+});
+
+describe('ensureFingerprintTable', () => {
+  it('creates the table and band indexes once per isolate', async () => {
+    const indexes = await d1.db.prepare(
+      "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'content_fingerprints' AND name LIKE 'idx_%' ORDER BY name"
+    ).all();
+    expect(indexes.results.map(row => row.name)).toEqual([
+      'idx_content_fingerprints_band0',
+      'idx_content_fingerprints_band1',
+      'idx_content_fingerprints_band2',
+      'idx_content_fingerprints_band3',
+      'idx_content_fingerprints_duplicate_of'
+    ]);
+
+    const statements = [];
+    const db = {
+      prepare: (sql) => {
+        statements.push(sql.trim());
+        return d1.db.prepare(sql);
+      },
+      batch: (batch) => d1.db.batch(batch)
+    };
+
+    await findNearDuplicate(FINGERPRINT, { url: 'https://example.com/story' }, { DB: db });
+    await recordFingerprint(FINGERPRINT, { url: 'https://example.com/story', content: 'text' }, {}, db);
+
+    expect(statements.filter(sql => sql.startsWith('CREATE'))).toEqual([]);
+  });
+});
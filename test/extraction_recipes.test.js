@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { compileRecipe, applyRecipe, findRecipe, saveRecipe, deleteRecipe, listRecipes } from '../src/modules/extraction_recipes.js';
+import { parseDocument } from '../src/utils/html_parser.js';
+import CONFIG from '../config.json';
+import { makeD1 } from './helpers/d1.js';
+import { restoreConfig } from './helpers/config.js';
+
+const PAGE = `
+  <html><body>
+    <article>
+      <h1 class="headline">  Budget passes  </h1>
+      <span class="author">Dana Levi</span>
+      <time datetime="2026-03-01T10:00:00+02:00">Yesterday</time>
+      <div class="body"><p>First paragraph.</p><div class="ad">Buy now</div><p>Second paragraph.</p></div>
+      <div class="body"><p>Third paragraph.</p></div>
+      <a class="tag" href="/tags/budget">Budget</a>
+      <a class="tag" href="/tags/council">Council</a>
+      <img class="lead" src="images/lead.jpg">
+      <a rel="next" href="?page=2">Next</a>
+    </article>
+  </body></html>
+`;
+
+const RECIPE = {
+  name: 'daily',
+  domain: 'daily.example',
+  title: 'h1.headline',
+  author: '.author',
+  published_at: 'time@datetime',
+  content: '.body',
+  next_page: 'a[rel=next]',
+  remove: ['.ad'],
+  fields: {
+    tags: { selector: 'a.tag', all: true },
+    image: 'img.lead@src',
+    section: '.section'
+  }
+};
+
+let d1;
+
+beforeAll(async () => {
+  d1 = await makeD1();
+});
+
+afterAll(() => d1.dispose());
+
+beforeEach(() => {
+  CONFIG.scraper.recipes = [
+    { name: 'config-site', domain: 'daily.example', title: 'h1' },
+    { name: 'config-opinion', domain: 'daily.example', pattern: '/opinion/*', title: 'h2' },
+    { name: 'config-broken', domain: 'daily.example', title: 'h1:hover' }
+  ];
+});
+
+afterEach(() => {
+  restoreConfig();
+});
+
+describe('compileRecipe', () => {
+  it('requires a name, a domain and at least one selector', () => {
+    expect(() => compileRecipe(null)).toThrow('Recipe must be an object');
+    expect(() => compileRecipe({ domain: 'a.example', title: 'h1' })).toThrow('Recipe name is required');
+    expect(() => compileRecipe({ name: 'x', title: 'h1' })).toThrow('Recipe x: domain is required');
+    expect(() => compileRecipe({ name: 'x', domain: 'a.example' })).toThrow('Recipe x: no selectors defined');
+  });
+
+  it('names the field whose selector is invalid', () => {
+    expect(() => compileRecipe({ name: 'x', domain: 'a.example', title: 'h1::before' }))
+      .toThrow(/^Recipe x: title: Invalid selector: h1::before/);
+    expect(() => compileRecipe({ name: 'x', domain: 'a.example', fields: { tags: { all: true } } }))
+      .toThrow('Recipe x: fields.tags: selector is required');
+    expect(() => compileRecipe({ name: 'x', domain: 'a.example', title: 'h1', remove: ['.ad', '>'] }))
+      .toThrow(/^Recipe x: remove: Invalid selector/);
+  });
+
+  it('rejects custom fields that shadow standard ones', () => {
+    expect(() => compileRecipe({ name: 'x', domain: 'a.example', fields: { title: 'h1' } }))
+      .toThrow('Recipe x: custom field title shadows a standard field');
+  });
+
+  it('splits selector@attribute unless the @ is inside an attribute selector', () => {
+    const recipe = compileRecipe({
+      name: 'x',
+      domain: 'A.Example',
+      fields: { image: 'img@SRC', mail: 'a[href^="mailto:desk@a.example"]' }
+    });
+
+    expect(recipe.domain).toBe('a.example');
+    expect(recipe.fields.image.attribute).toBe('src');
+    expect(recipe.fields.mail.attribute).toBeNull();
+  });
+});
+
+describe('applyRecipe', () => {
+  it('reads standard and custom fields, resolving URL attributes', () => {
+    const result = applyRecipe(parseDocument(PAGE), compileRecipe(RECIPE), 'https://daily.example/news/budget');
+
+    expect(result).toEqual({
+      title: 'Budget passes',
+      content: 'First paragraph.\n\nSecond paragraph.\n\nThird paragraph.',
+      author: 'Dana Levi',
+      published_at: '2026-03-01T08:00:00.000Z',
+      next_page: 'https://daily.example/news/budget?page=2',
+      fields: {
+        tags: ['Budget', 'Council'],
+        image: 'https://daily.example/news/images/lead.jpg',
+        section: null
+      },
+      missing: ['section']
+    });
+  });
+
+  it('removes elements from the document itself', () => {
+    const document = parseDocument(PAGE);
+    applyRecipe(document, compileRecipe(RECIPE), 'https://daily.example/');
+
+    expect(JSON.stringify(document, (key, value) => (key === 'parent' ? undefined : value))).not.toContain('Buy now');
+  });
+
+  it('keeps unparseable dates as found and reports missing standard fields', () => {
+    const recipe = compileRecipe({ name: 'x', domain: 'a.example', title: 'h2', published_at: 'time', next_page: '.more' });
+    const result = applyRecipe(parseDocument(PAGE), recipe, 'https://a.example/');
+
+    expect(result).toMatchObject({ title: null, published_at: 'Yesterday', next_page: null, missing: ['title'] });
+  });
+});
+
+describe('findRecipe', () => {
+  it('uses valid config recipes, preferring a matching pattern', async () => {
+    const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect((await findRecipe('https://www.daily.example/news/1', {})).name).toBe('config-site');
+    expect((await findRecipe('https://daily.example/opinion/1', {})).name).toBe('config-opinion');
+    expect(await findRecipe('https://other.example/', {})).toBeNull();
+    expect(errors).toHaveBeenCalledWith('Skipping invalid recipe from config:', expect.stringContaining('config-broken'));
+
+    errors.mockRestore();
+  });
+
+  it('prefers stored recipes, and more specific domains', async () => {
+    const env = { DB: d1.db };
+    await saveRecipe({ ...RECIPE, name: 'config-site' }, env);
+    await saveRecipe({ name: 'sports', domain: 'sports.daily.example', title: 'h3' }, env);
+
+    expect((await findRecipe('https://daily.example/news/1', env)).definition.author).toBe('.author');
+    expect((await findRecipe('https://sports.daily.example/1', env)).name).toBe('sports');
+    expect((await listRecipes(env)).map(recipe => recipe.name)).toEqual(['config-site', 'sports']);
+
+    expect(await deleteRecipe('config-site', env)).toBe(true);
+    expect(await deleteRecipe('config-site', env)).toBe(false);
+    expect((await findRecipe('https://daily.example/news/1', env)).definition.title).toBe('h1');
+  });
+
+  it('refuses to store an invalid recipe', async () => {
+    await expect(saveRecipe({ name: 'bad', domain: 'a.example', title: 'a:hover' }, { DB: d1.db }))
+      .rejects.toThrow(/^Recipe bad: title: Invalid selector/);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  runWithConcurrency, sleep, httpError, contentError, classifyError, retry, parseRetryAfter
+} from '../src/utils/helpers.js';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+describe('runWithConcurrency', () => {
+  it('keeps at most `limit` calls in flight and handles every item', async () => {
+    const done = [];
+    let active = 0;
+    let peak = 0;
+
+    await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+      peak = Math.max(peak, ++active);
+      await sleep(item % 2 ? 5 : 1);
+      done.push(item);
+      active--;
+    });
+
+    expect(peak).toBe(3);
+    expect(done.sort()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  it('picks up items added while workers run', async () => {
+    const items = ['a'];
+    const seen = [];
+
+    await runWithConcurrency(items, 2, async (item) => {
+      seen.push(item);
+      if (item === 'a') items.push('b', 'c');
+    });
+
+    expect(seen).toEqual(['a', 'b', 'c']);
+  });
+
+  it('stops starting items once canStart returns false', async () => {
+    const items = [1, 2, 3, 4, 5];
+    const seen = [];
+
+    await runWithConcurrency(items, 2, async (item) => {
+      seen.push(item);
+    }, () => seen.length < 3);
+
+    expect(seen).toEqual([1, 2, 3]);
+    expect(items).toEqual([4, 5]);
+  });
+
+  it('finishes immediately on an empty list', async () => {
+    let calls = 0;
+    await runWithConcurrency([], 4, async () => { calls++; });
+    expect(calls).toBe(0);
+  });
+});
+
+describe('classifyError', () => {
+  it('retries network errors, timeouts, 408, 429 and 5xx', () => {
+    expect(classifyError(new TypeError('fetch failed'))).toBe('retryable');
+    expect(classifyError(new DOMException('The operation timed out', 'TimeoutError'))).toBe('retryable');
+    for (const status of [408, 429, 500, 502, 503]) {
+      expect(classifyError(httpError(status))).toBe('retryable');
+    }
+  });
+
+  it('treats other 4xx as permanent and keeps an explicit kind', () => {
+    for (const status of [400, 401, 403, 404, 410]) {
+      expect(classifyError(httpError(status))).toBe('permanent');
+    }
+    expect(classifyError(contentError('Unsupported content type: image/png'))).toBe('content');
+  });
+});
+
+describe('retry', () => {
+  const silenceLogs = () => vi.spyOn(console, 'log').mockImplementation(() => {});
+
+  it('retries retryable errors until the call succeeds', async () => {
+    silenceLogs();
+    const fn = vi.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValue('ok');
+
+    expect(await retry(fn, { initialDelay: 1 })).toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry permanent or content errors', async () => {
+    const notFound = vi.fn().mockRejectedValue(httpError(404));
+    const unparsable = vi.fn().mockRejectedValue(contentError('Empty body'));
+
+    await expect(retry(notFound, { initialDelay: 1 })).rejects.toThrow('HTTP 404');
+    await expect(retry(unparsable, { initialDelay: 1 })).rejects.toThrow('Empty body');
+    expect(notFound).toHaveBeenCalledTimes(1);
+    expect(unparsable).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after maxRetries attempts', async () => {
+    silenceLogs();
+    const fn = vi.fn().mockRejectedValue(httpError(500));
+
+    await expect(retry(fn, { maxRetries: 3, initialDelay: 1 })).rejects.toThrow('HTTP 500');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('waits with jittered exponential backoff, at least the Retry-After delay', async () => {
+    silenceLogs();
+    vi.useFakeTimers();
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+    const fn = vi.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(429, 'HTTP 429', 5000))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValue('ok');
+
+    const result = retry(fn, { maxRetries: 4, initialDelay: 100, maxDelay: 300, jitter: 0.5 });
+
+    // 100ms + 50% jitter
+    await vi.advanceTimersByTimeAsync(149);
+    expect(fn).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fn).toHaveBeenCalledTimes(2);
+
+    // Retry-After outweighs the 300ms backoff
+    await vi.advanceTimersByTimeAsync(4999);
+    expect(fn).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fn).toHaveBeenCalledTimes(3);
+
+    // Capped at maxDelay before jitter
+    await vi.advanceTimersByTimeAsync(450);
+    expect(fn).toHaveBeenCalledTimes(4);
+    expect(await result).toBe('ok');
+  });
+
+  it('stops once the next wait would exceed maxElapsed', async () => {
+    silenceLogs();
+    const fn = vi.fn().mockRejectedValue(httpError(429, 'HTTP 429', 60000));
+
+    await expect(retry(fn, { initialDelay: 1, maxElapsed: 30000 })).rejects.toThrow('HTTP 429');
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(console.log).toHaveBeenCalledWith('Retry budget of 30000ms exhausted:', 'HTTP 429');
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-03-01T12:00:00Z'));
+
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter('Sun, 01 Mar 2026 12:01:30 GMT')).toBe(90000);
+    expect(parseRetryAfter('Sun, 01 Mar 2026 11:00:00 GMT')).toBe(0);
+  });
+
+  it('ignores missing and malformed values', () => {
+    expect(parseRetryAfter(null)).toBe(0);
+    expect(parseRetryAfter('')).toBe(0);
+    expect(parseRetryAfter('soon')).toBe(0);
+    expect(parseRetryAfter('-5')).toBe(0);
+  });
+});
@@ -0,0 +1,15 @@
+import CONFIG from '../../config.json';
+
+// config.json as loaded, before any test changed it
+const ORIGINAL = structuredClone(CONFIG);
+
+/**
+ * Undo every change a test made to CONFIG (use in afterEach)
+ * Sections are restored in place, so later changes still reach the modules under test.
+ */
+export function restoreConfig() {
+  for (const key of Object.keys(CONFIG)) {
+    if (!(key in ORIGINAL)) delete CONFIG[key];
+  }
+  Object.assign(CONFIG, structuredClone(ORIGINAL));
+}
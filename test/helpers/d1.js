@@ -0,0 +1,18 @@
+import { Miniflare } from 'miniflare';
+
+/**
+ * Local D1 database backed by Miniflare
+ * @returns {Promise<{db: D1Database, dispose: Function}>}
+ */
+export async function makeD1() {
+  const mf = new Miniflare({
+    modules: true,
+    script: 'export default { fetch() { return new Response(null) } }',
+    d1Databases: ['DB']
+  });
+
+  return {
+    db: await mf.getD1Database('DB'),
+    dispose: () => mf.dispose()
+  };
+}
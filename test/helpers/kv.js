@@ -0,0 +1,26 @@
+/**
+ * In-memory KV namespace with the subset of the API the worker uses
+ */
+export function makeKV() {
+  const store = new Map();
+
+  return {
+    store,
+    get: async (key, options) => {
+      if (!store.has(key)) return null;
+      const value = store.get(key);
+      const type = typeof options === 'string' ? options : options?.type;
+      return type === 'json' ? JSON.parse(value) : value;
+    },
+    put: async (key, value) => {
+      store.set(key, value);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    },
+    list: async ({ prefix = '' } = {}) => ({
+      keys: [...store.keys()].filter(name => name.startsWith(prefix)).map(name => ({ name })),
+      list_complete: true
+    })
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * In-memory R2 bucket with the subset of the API the worker uses
+ */
+export function makeBucket() {
+  const store = new Map();
+
+  const object = (key, { body, options }) => {
+    const bytes = toBytes(body);
+    return {
+      key,
+      size: bytes.byteLength,
+      httpMetadata: options?.httpMetadata || {},
+      customMetadata: options?.customMetadata || {},
+      body: new Blob([bytes]).stream(),
+      arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength),
+      text: async () => new TextDecoder().decode(bytes),
+      json: async () => JSON.parse(new TextDecoder().decode(bytes))
+    };
+  };
+
+  return {
+    store,
+    put: async (key, body, options) => {
+      store.set(key, { body: toBytes(body), options });
+    },
+    get: async (key) => store.has(key) ? object(key, store.get(key)) : null,
+    head: async (key) => store.has(key) ? object(key, store.get(key)) : null,
+    delete: async (keys) => {
+      for (const key of [].concat(keys)) store.delete(key);
+    },
+    // Like R2, every part but the last must be the same size and at least 5 MiB
+    createMultipartUpload: async (key, options) => {
+      const uploaded = new Map();
+      return {
+        uploadPart: async (partNumber, body) => {
+          uploaded.set(partNumber, toBytes(body).slice());
+          return { partNumber, etag: `etag-${partNumber}` };
+        },
+        complete: async (parts) => {
+          const bodies = parts.map(part => uploaded.get(part.partNumber));
+          const sizes = bodies.slice(0, -1).map(body => body.byteLength);
+          if (sizes.some(size => size !== sizes[0] || size < 5 * 1024 * 1024)) {
+            throw new Error(`Invalid part sizes: ${bodies.map(body => body.byteLength).join(', ')}`);
+          }
+
+          const body = new Uint8Array(bodies.reduce((sum, part) => sum + part.byteLength, 0));
+          let offset = 0;
+          for (const part of bodies) {
+            body.set(part, offset);
+            offset += part.byteLength;
+          }
+          store.set(key, { body, options, parts: bodies.length });
+        },
+        abort: async () => {
+          uploaded.clear();
+        }
+      };
+    },
+    list: async ({ prefix = '' } = {}) => ({
+      objects: [...store.keys()].filter(key => key.startsWith(prefix)).map(key => ({ key, size: store.get(key).body.byteLength })),
+      truncated: false
+    })
+  };
+}
+
+function toBytes(body) {
+  if (typeof body === 'string') return new TextEncoder().encode(body);
+  if (body instanceof Uint8Array) return body;
+  return new Uint8Array(body);
+}
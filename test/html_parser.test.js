@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest';
+import {
+  tokenizeHTML, parseDocument, decodeEntities, findAll, findFirst,
+  getElementsByTagName, textContent, innerText, resolveUrl
+} from '../src/utils/html_parser.js';
+
+/**
+ * Compact view of a tree: tag names with their children, text as strings
+ */
+function shape(node) {
+  return node.children.map(child =>
+    child.type === 'text' ? child.text : { [child.tagName]: shape(child) }
+  );
+}
+
+describe('tokenizeHTML', () => {
+  it('reads attributes in every quoting style and keeps the first duplicate', () => {
+    const [tag] = tokenizeHTML(`<A HREF="/a" data-x='1 2' checked title=plain id=one ID=two>`);
+
+    expect(tag).toEqual({
+      type: 'startTag',
+      name: 'a',
+      attrs: { href: '/a', 'data-x': '1 2', checked: '', title: 'plain', id: 'one' },
+      selfClosing: false
+    });
+  });
+
+  it('skips comments, doctypes and processing instructions', () => {
+    const tokens = [...tokenizeHTML('<!DOCTYPE html><?xml version="1.0"?><!-- <p>hidden</p> -->text')];
+    expect(tokens).toEqual([{ type: 'text', text: 'text' }]);
+  });
+
+  it('keeps script and style bodies as raw text', () => {
+    const tokens = [...tokenizeHTML('<script>if (a < b && c) { x("</p>"); }</script><p>after</p>')];
+
+    expect(tokens[1]).toEqual({ type: 'text', text: 'if (a < b && c) { x("</p>"); }' });
+    expect(tokens[2]).toEqual({ type: 'endTag', name: 'script' });
+    expect(tokens[3]).toMatchObject({ type: 'startTag', name: 'p' });
+  });
+
+  it('decodes character references in title but not in script', () => {
+    const tokens = [...tokenizeHTML('<title>Q&amp;A <b></title><script>a &amp;&amp; b</script>')];
+    expect(tokens[1].text).toBe('Q&A <b>');
+    expect(tokens[4].text).toBe('a &amp;&amp; b');
+  });
+
+  it('treats a stray "<" as text', () => {
+    const tokens = [...tokenizeHTML('1 < 2 <3')];
+    expect(tokens.map(token => token.text).join('')).toBe('1 < 2 <3');
+  });
+
+  it('ends cleanly on truncated markup', () => {
+    expect([...tokenizeHTML('<p>open <a href="/x')]).toEqual([
+      { type: 'startTag', name: 'p', attrs: {}, selfClosing: false },
+      { type: 'text', text: 'open ' },
+      { type: 'startTag', name: 'a', attrs: { href: '/x' }, selfClosing: false }
+    ]);
+    expect([...tokenizeHTML('<!-- never closed <p>x</p>')]).toEqual([]);
+    expect([...tokenizeHTML('<script>never closed')]).toEqual([
+      { type: 'startTag', name: 'script', attrs: {}, selfClosing: false },
+      { type: 'text', text: 'never closed' }
+    ]);
+  });
+});
+
+describe('parseDocument', () => {
+  it('closes open paragraphs, list items and table cells implicitly', () => {
+    const document = parseDocument(
+      '<p>one<p>two<div>block</div>' +
+      '<ul><li>a<li>b</ul>' +
+      '<table><tr><td>1<td>2<tr><td>3</table>'
+    );
+
+    expect(shape(document)).toEqual([
+      { p: ['one'] },
+      { p: ['two'] },
+      { div: ['block'] },
+      { ul: [{ li: ['a'] }, { li: ['b'] }] },
+      { table: [{ tr: [{ td: ['1'] }, { td: ['2'] }] }, { tr: [{ td: ['3'] }] }] }
+    ]);
+  });
+
+  it('does not close a list item from a nested list', () => {
+    const document = parseDocument('<ul><li>outer<ul><li>inner</ul><li>next</ul>');
+    expect(shape(document)).toEqual([
+      { ul: [{ li: ['outer', { ul: [{ li: ['inner'] }] }] }, { li: ['next'] }] }
+    ]);
+  });
+
+  it('ignores unmatched end tags and closes misnested ones', () => {
+    expect(shape(parseDocument('</span>a<b>bold<i>both</b>after'))).toEqual([
+      'a',
+      { b: ['bold', { i: ['both'] }] },
+      'after'
+    ]);
+  });
+
+  it('gives void and self-closed elements no children', () => {
+    expect(shape(parseDocument('<p>a<br>b<img src=x.png>c<span/>d</p>'))).toEqual([
+      { p: ['a', { br: [] }, 'b', { img: [] }, 'c', { span: [] }, 'd'] }
+    ]);
+  });
+
+  it('links every node to its parent', () => {
+    const document = parseDocument('<div><span>text</span></div>');
+    const span = findFirst(document, element => element.tagName === 'span');
+
+    expect(span.parent.tagName).toBe('div');
+    expect(span.parent.parent).toBe(document);
+    expect(span.children[0].parent).toBe(span);
+  });
+});
+
+describe('decodeEntities', () => {
+  it('decodes named, decimal and hex references', () => {
+    expect(decodeEntities('&lt;a&gt; &amp; &quot;&apos; &copy; &eacute; &mdash; &#233; &#x1F600; &#X41;'))
+      .toBe('<a> & "\' © é — é 😀 A');
+  });
+
+  it('leaves unknown and unterminated references alone', () => {
+    expect(decodeEntities('&bogus; &amp &AMP; AT&T')).toBe('&bogus; &amp &AMP; AT&T');
+  });
+
+  it('replaces invalid code points', () => {
+    expect(decodeEntities('&#0;&#xD800;&#x110000;')).toBe('���');
+  });
+
+  it('decodes attribute values', () => {
+    const [tag] = tokenizeHTML('<a href="/search?q=1&amp;page=2" title="&quot;Quoted&quot;">');
+    expect(tag.attrs).toEqual({ href: '/search?q=1&page=2', title: '"Quoted"' });
+  });
+});
+
+describe('text helpers', () => {
+  const document = parseDocument(`
+    <html><head><title>Title</title><style>p { color: red }</style></head>
+    <body>
+      <h1>Heading</h1>
+      <p>First   <b>bold</b>
+         line</p>
+      <script>var hidden = 1;</script>
+      <ul><li>One</li><li>Two</li></ul>
+      <noscript>Enable JavaScript</noscript>
+    </body></html>
+  `);
+
+  it('textContent collapses whitespace and skips non-content elements', () => {
+    // Like the DOM's textContent, adjacent elements are not separated
+    expect(textContent(document)).toBe('Heading First bold line OneTwo');
+  });
+
+  it('innerText puts block elements on their own lines', () => {
+    expect(innerText(document)).toBe('Heading\n\nFirst bold line\n\nOne\n\nTwo');
+  });
+
+  it('finds elements in document order', () => {
+    expect(getElementsByTagName(document, 'li').map(textContent)).toEqual(['One', 'Two']);
+    expect(findAll(document, element => element.tagName === 'b')).toHaveLength(1);
+    expect(findFirst(document, element => element.tagName === 'table')).toBeNull();
+  });
+});
+
+describe('resolveUrl', () => {
+  const base = 'https://example.com/news/story.html';
+
+  it('resolves relative, root-relative and protocol-relative links', () => {
+    expect(resolveUrl('other.html', base)).toBe('https://example.com/news/other.html');
+    expect(resolveUrl('../about', base)).toBe('https://example.com/about');
+    expect(resolveUrl('/feed?x=1', base)).toBe('https://example.com/feed?x=1');
+    expect(resolveUrl('//cdn.example.com/a.png', base)).toBe('https://cdn.example.com/a.png');
+    expect(resolveUrl('  https://other.org/  ', base)).toBe('https://other.org/');
+  });
+
+  it('drops fragments, non-http schemes and garbage', () => {
+    expect(resolveUrl('#top', base)).toBeNull();
+    expect(resolveUrl('', base)).toBeNull();
+    expect(resolveUrl('mailto:desk@example.com', base)).toBeNull();
+    expect(resolveUrl('javascript:void(0)', base)).toBeNull();
+    expect(resolveUrl('http://[bad', base)).toBeNull();
+  });
+});
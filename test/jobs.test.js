@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createJob, startJob, finishJob, retryJob, getJob, listJobs, normalizePriority, handleJobs } from '../src/modules/jobs.js';
+import { makeD1 } from './helpers/d1.js';
+
+let d1;
+let db;
+const statements = [];
+
+beforeAll(async () => {
+  d1 = await makeD1();
+
+  // Records every statement so schema setup can be counted
+  db = {
+    prepare: (sql) => {
+      statements.push(sql.trim());
+      return d1.db.prepare(sql);
+    },
+    batch: (batch) => {
+      statements.push(...batch.map(() => 'BATCH'));
+      return d1.db.batch(batch);
+    }
+  };
+});
+
+afterAll(() => d1.dispose());
+
+const job = (jobId) => ({ job_id: jobId, url: 'https://example.com/', mode: 'auto', depth: 2, source: 'rss', priority: 8 });
+
+describe('job lifecycle', () => {
+  it('moves a queued job from pending through running to succeeded', async () => {
+    await createJob(db, job('job_a'));
+    expect((await getJob(db, 'job_a')).status).toBe('pending');
+
+    const started = await startJob(db, job('job_a'));
+    expect(started).toMatchObject({ status: 'running', attempts: 1 });
+
+    await finishJob(db, 'job_a', 'succeeded', { result: { json_key: 'crawls/example-com/a.json' } });
+    const finished = await getJob(db, 'job_a');
+    expect(finished).toMatchObject({ status: 'succeeded', result: { json_key: 'crawls/example-com/a.json' }, pages: [] });
+    expect(finished.duration_ms).toBeGreaterThanOrEqual(0);
+
+    // A redelivered message doesn't restart a finished job
+    expect(await startJob(db, job('job_a'))).toBeNull();
+  });
+
+  it('returns failed jobs to pending until max_attempts is used', async () => {
+    await createJob(db, job('job_b'));
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      await startJob(db, job('job_b'));
+      await finishJob(db, 'job_b', 'failed', { error: 'HTTP 503' });
+      expect(await retryJob(db, 'job_b', 'HTTP 503')).toBe(attempt < 3);
+    }
+
+    expect(await getJob(db, 'job_b')).toMatchObject({ status: 'failed', attempts: 3, error: 'HTTP 503' });
+  });
+
+  it('filters the job list', async () => {
+    const { jobs } = await listJobs(db, { status: 'succeeded', source: 'rss' });
+    expect(jobs.map(row => row.job_id)).toEqual(['job_a']);
+
+    await expect(listJobs(db, { status: 'done' })).rejects.toThrow(/Unknown job status/);
+  });
+
+  it('sets up the job tables once', () => {
+    expect(statements.filter(sql => sql.startsWith('PRAGMA'))).toHaveLength(1);
+  });
+});
+
+describe('normalizePriority', () => {
+  it('accepts integers from 1 to 10 and defaults when missing', () => {
+    expect(normalizePriority(undefined)).toBe(5);
+    expect(normalizePriority('9')).toBe(9);
+    expect(() => normalizePriority(0)).toThrow(/from 1 to 10/);
+    expect(() => normalizePriority(2.5)).toThrow(/from 1 to 10/);
+  });
+});
+
+describe('handleJobs', () => {
+  const get = (path) => handleJobs(new URL(path, 'https://worker.test').pathname, new Request(`https://worker.test${path}`), { DB: db });
+
+  it('answers unknown jobs and endpoints with 404', async () => {
+    expect(await get('/api/jobs/job_missing')).toMatchObject({ success: false, status_code: 404 });
+    expect(await get('/api/jobs/job_a/pages')).toMatchObject({ message: 'Unknown jobs endpoint', status_code: 404 });
+  });
+
+  it.each(['limit=abc', 'limit=0', 'limit=-5', 'limit=2.5', 'offset=-1', 'offset=NaN'])(
+    'rejects %s with 400', async (query) => {
+      expect(await get(`/api/jobs?${query}`)).toMatchObject({ success: false, status_code: 400 });
+    }
+  );
+
+  it('rejects an unknown status filter with 400 and caps the limit', async () => {
+    expect(await get('/api/jobs?status=done')).toMatchObject({ success: false, status_code: 400 });
+    expect(await get('/api/jobs?limit=1000&offset=1')).toMatchObject({ success: true, pagination: { limit: 500, offset: 1 } });
+  });
+});
+
+describe('cancelling through handleJobs', () => {
+  const cancel = (jobId) => handleJobs(`/api/jobs/${jobId}`, new Request(`https://worker.test/api/jobs/${jobId}`, { method: 'DELETE' }), { DB: db });
+
+  it('cancels a pending job', async () => {
+    await createJob(db, job('job_cancel'));
+    expect(await cancel('job_cancel')).toMatchObject({ success: true, status: 'cancelled', previous_status: 'pending' });
+  });
+
+  it('answers 409 for a job that already finished and 404 for an unknown one', async () => {
+    expect(await cancel('job_a')).toEqual({ success: false, error: 'Job job_a already succeeded', status_code: 409 });
+    expect(await cancel('job_cancel')).toMatchObject({ success: false, status_code: 409 });
+    expect(await cancel('job_missing')).toEqual({ success: false, error: 'Job job_missing not found', status_code: 404 });
+  });
+});
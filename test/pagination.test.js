@@ -0,0 +1,186 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { findNextPage, stitchArticlePages, normalizePaginateOptions } from '../src/modules/pagination.js';
+import { scrapeSingleUrl, handleCrawl } from '../src/modules/crawler.js';
+import { parseDocument } from '../src/utils/html_parser.js';
+import CONFIG from '../config.json';
+import { makeKV } from './helpers/kv.js';
+import { restoreConfig } from './helpers/config.js';
+
+const next = (body, url = 'https://example.com/story') => findNextPage(parseDocument(`<html><body>${body}</body></html>`), url);
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  restoreConfig();
+});
+
+describe('normalizePaginateOptions', () => {
+  it('defaults to articles and clamps max_pages to the config limit', () => {
+    expect(normalizePaginateOptions(true)).toEqual({ type: 'article', max_pages: 10 });
+    expect(normalizePaginateOptions({ type: 'listing', max_pages: 3 })).toEqual({ type: 'listing', max_pages: 3 });
+    expect(normalizePaginateOptions({ max_pages: 99 }).max_pages).toBe(10);
+    expect(() => normalizePaginateOptions({ type: 'gallery' }))
+      .toThrow('Unknown pagination type: gallery (expected one of article, listing)');
+  });
+});
+
+describe('findNextPage', () => {
+  it('follows rel="next" links', () => {
+    const document = parseDocument('<html><head><link rel="next" href="/story?page=2"></head><body></body></html>');
+    expect(findNextPage(document, 'https://example.com/story')).toBe('https://example.com/story?page=2');
+    expect(next('<a rel="nofollow next" href="/story/2">More</a>')).toBe('https://example.com/story/2');
+  });
+
+  it('prefers the recipe\'s next page and resolves against the base URL', () => {
+    const document = parseDocument('<html><body><a rel="next" href="p2">2</a></body></html>');
+
+    expect(findNextPage(document, 'https://example.com/story', 'https://example.com/story', '/story?part=2'))
+      .toBe('https://example.com/story?part=2');
+    expect(findNextPage(document, 'https://example.com/story', 'https://example.com/archive/'))
+      .toBe('https://example.com/archive/p2');
+  });
+
+  it('recognizes next controls inside a pagination block or pointing at the next page number', () => {
+    expect(next('<nav class="pagination"><a href="/story/continued">Next »</a></nav>'))
+      .toBe('https://example.com/story/continued');
+    expect(next('<a href="/story?page=2">Weiter</a>')).toBe('https://example.com/story?page=2');
+    expect(next('<div class="nav-links"><a class="next page-numbers" href="/story/more">›</a></div>'))
+      .toBe('https://example.com/story/more');
+  });
+
+  it('ignores next controls outside pagination that lead elsewhere', () => {
+    expect(next('<a href="/another-story">Next</a>')).toBeNull();
+  });
+
+  it('falls back to a link to the following page number', () => {
+    expect(next('<a href="/story?page=1">1</a><a href="/story?page=3">3</a>', 'https://example.com/story?page=2'))
+      .toBe('https://example.com/story?page=3');
+    expect(next('<a href="/news/page/3/">3</a>', 'https://example.com/news/page/2/'))
+      .toBe('https://example.com/news/page/3/');
+  });
+
+  it('skips links to other hosts and to the page itself', () => {
+    expect(next('<a rel="next" href="https://other.example/story?page=2">Next</a>')).toBeNull();
+    expect(next('<a rel="next" href="/story#comments">Next</a>')).toBeNull();
+  });
+});
+
+describe('stitchArticlePages', () => {
+  it('joins the pages\' content and merges links and assets', async () => {
+    const pages = [
+      {
+        url: 'https://example.com/story',
+        title: 'Story',
+        content: 'Part one.',
+        full_text: 'Part one.',
+        links: ['https://example.com/a', 'https://example.com/b'],
+        anchors: [{ url: 'https://example.com/a', text: 'A', rel: [] }],
+        assets: [{ url: 'https://example.com/1.jpg', type: 'image' }],
+        next_page: 'https://example.com/story?page=2',
+        metadata: {}
+      },
+      {
+        url: 'https://example.com/story?page=2',
+        title: 'Story (page 2)',
+        content: 'Part two.',
+        full_text: 'Part two.',
+        links: ['https://example.com/b', 'https://example.com/c'],
+        anchors: [{ url: 'https://example.com/a', text: 'A again', rel: [] }],
+        assets: [{ url: 'https://example.com/1.jpg', type: 'image' }, { url: 'https://example.com/2.jpg', type: 'image' }],
+        next_page: null,
+        metadata: {}
+      }
+    ];
+
+    const data = await stitchArticlePages(pages);
+
+    expect(data).toMatchObject({
+      url: 'https://example.com/story',
+      title: 'Story',
+      content: 'Part one.\n\nPart two.',
+      full_text: 'Part one.\n\nPart two.',
+      links: ['https://example.com/a', 'https://example.com/b', 'https://example.com/c'],
+      anchors: [{ url: 'https://example.com/a', text: 'A', rel: [] }],
+      next_page: null,
+      pagination: { type: 'article', page_count: 2, pages: [pages[0].url, pages[1].url] }
+    });
+    expect(data.assets.map(asset => asset.url)).toEqual(['https://example.com/1.jpg', 'https://example.com/2.jpg']);
+    expect(data.content_md).toContain('### Page 1 of 2\n\n');
+    expect(data.content_md.indexOf('### Page 2 of 2')).toBeGreaterThan(data.content_md.indexOf('Part one.'));
+  });
+});
+
+describe('paginated scrapes', () => {
+  const PAGES = {
+    '/story': '<p>The first part of a long story.</p><a rel="next" href="/story?page=2">Next</a>',
+    '/story?page=2': '<p>The second part of a long story.</p><a rel="next" href="/story?page=3">Next</a>',
+    '/story?page=3': '<p>The last part of a long story.</p><a rel="next" href="/story">Start over</a>',
+    '/archive': '<a href="/posts/1">Post 1</a><a href="/archive?page=2" rel="next">Older</a>',
+    '/archive?page=2': '<a href="/posts/2">Post 2</a>'
+  };
+  let env;
+
+  beforeEach(() => {
+    CONFIG.scraper.delay_between_requests_ms = 0;
+    CONFIG.scraper.respect_robots_txt = false;
+    env = { CACHE: makeKV() };
+
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const { pathname, search } = new URL(url);
+      const body = PAGES[pathname + search];
+      return body
+        ? new Response(`<html><body>${body}</body></html>`, { headers: { 'content-type': 'text/html' } })
+        : new Response('', { status: 404 });
+    }));
+  });
+
+  it('stitch article pages until the next link loops back', async () => {
+    const result = await scrapeSingleUrl('https://example.com/story', env, { paginate: normalizePaginateOptions(true) });
+
+    expect(result.data.pagination).toEqual({
+      type: 'article',
+      page_count: 3,
+      pages: ['https://example.com/story', 'https://example.com/story?page=2', 'https://example.com/story?page=3']
+    });
+    expect(result.data.content).toContain('The last part of a long story.');
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('stop at max_pages', async () => {
+    const result = await scrapeSingleUrl('https://example.com/story', env, {
+      paginate: normalizePaginateOptions({ max_pages: 2 })
+    });
+
+    expect(result.data.pagination.page_count).toBe(2);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('keep the first page alone without the option', async () => {
+    const result = await scrapeSingleUrl('https://example.com/story', env);
+
+    expect(result.data.pagination).toBeUndefined();
+    expect(result.data.next_page).toBe('https://example.com/story?page=2');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('use listing pages for their links only', async () => {
+    const result = await handleCrawl({
+      url: 'https://example.com/archive',
+      mode: 'manual',
+      paginate: { type: 'listing' }
+    }, env, {});
+
+    expect(result.result.data).toMatchObject({
+      type: 'listing',
+      links: ['https://example.com/posts/1', 'https://example.com/archive?page=2', 'https://example.com/posts/2'],
+      pagination: { type: 'listing', page_count: 2 }
+    });
+    expect(result.result.data.content).toBeUndefined();
+  });
+
+  it('reject an unknown pagination type with 400', async () => {
+    const result = await handleCrawl({ url: 'https://example.com/story', mode: 'manual', paginate: { type: 'gallery' } }, env, {});
+
+    expect(result).toMatchObject({ success: false, status_code: 400 });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { HostScheduler, politeFetch } from '../src/modules/politeness.js';
+import CONFIG from '../config.json';
+import { makeD1 } from './helpers/d1.js';
+import { restoreConfig } from './helpers/config.js';
+
+beforeEach(() => {
+  CONFIG.scraper.politeness.backoff_base_ms = 1000;
+  CONFIG.scraper.politeness.backoff_max_ms = 8000;
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  restoreConfig();
+});
+
+describe('HostScheduler without a database', () => {
+  const scheduler = new HostScheduler(null);
+
+  it('spaces requests to a host by the interval', () => {
+    expect(scheduler.tryAcquireLocal('interval.example', 500, 2, 10_000)).toBe(0);
+    expect(scheduler.tryAcquireLocal('interval.example', 500, 2, 10_200)).toBe(300);
+    expect(scheduler.tryAcquireLocal('interval.example', 500, 2, 10_500)).toBe(0);
+    expect(scheduler.tryAcquireLocal('other.example', 500, 2, 10_200)).toBe(0);
+  });
+
+  it('limits concurrent requests until a slot is released or its lease expires', async () => {
+    const now = Date.now();
+    expect(scheduler.tryAcquireLocal('busy.example', 0, 1, now)).toBe(0);
+    expect(scheduler.tryAcquireLocal('busy.example', 0, 1, now + 1)).toBeGreaterThan(0);
+
+    await scheduler.release('busy.example', { status: 200 });
+    expect(scheduler.tryAcquireLocal('busy.example', 0, 1, now + 2)).toBe(0);
+
+    const expired = now + 2 + CONFIG.scraper.politeness.lease_ms;
+    expect(scheduler.tryAcquireLocal('busy.example', 0, 1, expired)).toBe(0);
+  });
+
+  it('backs off exponentially on 429 and 503, then recovers on success', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(0);
+    const host = 'throttled.example';
+    const waitAfter = async (outcome) => {
+      vi.setSystemTime(Date.now() + 60_000);
+      expect(scheduler.tryAcquireLocal(host, 0, 2, Date.now())).toBe(0);
+      await scheduler.release(host, outcome);
+      return scheduler.tryAcquireLocal(host, 0, 2, Date.now());
+    };
+
+    expect(await waitAfter({ status: 429 })).toBe(1000);
+    expect(await waitAfter({ status: 503 })).toBe(2000);
+    // Retry-After pauses the host up to backoff_max_ms without raising the backoff past it
+    expect(await waitAfter({ status: 429, retry_after_ms: 60_000 })).toBe(8000);
+    // Successes halve the backoff that still spaces the requests
+    expect(await waitAfter({ status: 200 })).toBe(4000);
+    expect(await waitAfter({ status: 200 })).toBe(2000);
+    expect(await waitAfter({ status: 200 })).toBe(1000);
+    expect(await waitAfter({ status: 200 })).toBe(0);
+  });
+
+  it('gives up when the host stays unavailable past max_wait_ms', async () => {
+    await scheduler.acquire('slow.example', { interval: 10_000, max_wait_ms: 1000 });
+
+    await expect(scheduler.acquire('slow.example', { interval: 10_000, max_wait_ms: 1000 }))
+      .rejects.toThrow('Host slow.example unavailable for 1000ms (politeness limit)');
+  });
+});
+
+describe('HostScheduler with D1', () => {
+  // The table is created once per isolate, so the tests share one database
+  let d1;
+
+  beforeAll(async () => {
+    d1 = await makeD1();
+  });
+
+  afterAll(async () => {
+    await d1.dispose();
+  });
+
+  it('shares the interval and concurrency limit through the lease row', async () => {
+    const first = new HostScheduler(d1.db);
+    const second = new HostScheduler(d1.db);
+    const now = Date.now();
+
+    expect(await first.tryAcquireD1('shared.example', 500, 1, now)).toBe(0);
+    expect(await second.tryAcquireD1('shared.example', 500, 1, now + 100)).toBe(400);
+    expect(await second.tryAcquireD1('shared.example', 500, 1, now + 600)).toBeGreaterThan(0);
+
+    await first.release('shared.example', { status: 200 });
+    expect(await second.tryAcquireD1('shared.example', 500, 1, now + 600)).toBe(0);
+  });
+
+  it('stores the backoff on the host row', async () => {
+    const scheduler = new HostScheduler(d1.db);
+    await scheduler.tryAcquireD1('backoff.example', 0, 2, Date.now());
+    await scheduler.release('backoff.example', { status: 429, retry_after_ms: 3000 });
+
+    const row = await d1.db.prepare('SELECT * FROM host_politeness WHERE host = ?').bind('backoff.example').first();
+    expect(row).toMatchObject({ active: 0, backoff_ms: 1000 });
+    expect(row.next_allowed_at - Date.now()).toBeGreaterThan(2900);
+  });
+});
+
+describe('politeFetch', () => {
+  it('waits at least the robots Crawl-delay between requests to a host', async () => {
+    CONFIG.scraper.respect_robots_txt = true;
+    CONFIG.scraper.delay_between_requests_ms = 0;
+    CONFIG.scraper.politeness.max_wait_ms = 1000;
+    vi.stubGlobal('fetch', vi.fn(async (url) => String(url).endsWith('/robots.txt')
+      ? new Response('User-agent: *\nCrawl-delay: 5\n')
+      : new Response('ok')));
+
+    expect(await (await politeFetch('https://delayed.example/a')).text()).toBe('ok');
+    await expect(politeFetch('https://delayed.example/b'))
+      .rejects.toThrow('Host delayed.example unavailable for 1000ms (politeness limit)');
+  });
+
+  it('feeds 429 responses and Retry-After into the host backoff', async () => {
+    CONFIG.scraper.respect_robots_txt = false;
+    CONFIG.scraper.delay_between_requests_ms = 0;
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('slow down', {
+      status: 429,
+      headers: { 'retry-after': '4' }
+    })));
+
+    const response = await politeFetch('https://limited.example/');
+    const wait = new HostScheduler(null).tryAcquireLocal('limited.example', 0, 2, Date.now());
+
+    expect(response.status).toBe(429);
+    expect(wait).toBeGreaterThan(3900);
+    expect(wait).toBeLessThanOrEqual(4000);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker from '../src/index.js';
+import CONFIG from '../config.json';
+import { makeKV } from './helpers/kv.js';
+import { restoreConfig } from './helpers/config.js';
+
+let origin;
+
+beforeEach(() => {
+  CONFIG.scraper.delay_between_requests_ms = 0;
+  CONFIG.scraper.respect_robots_txt = false;
+  CONFIG.scraper.retry.initial_delay_ms = 1;
+  CONFIG.scraper.politeness.backoff_base_ms = 1;
+  CONFIG.scraper.politeness.backoff_max_ms = 1;
+  vi.stubGlobal('fetch', vi.fn(async () => origin()));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  restoreConfig();
+});
+
+/**
+ * Deliver one scrape job to the queue consumer
+ * @returns {Promise<object>} The message, with ack and retry spies
+ */
+async function deliver(url) {
+  const message = {
+    body: { id: `job_${url.length}`, url, mode: 'manual' },
+    ack: vi.fn(),
+    retry: vi.fn()
+  };
+  await worker.queue({ messages: [message] }, { CACHE: makeKV() }, {});
+  return message;
+}
+
+describe('queue consumer', () => {
+  it('acks jobs whose page is gone without retrying', async () => {
+    origin = () => new Response('gone', { status: 404 });
+    const message = await deliver('https://gone.example/');
+
+    expect(message.ack).toHaveBeenCalled();
+    expect(message.retry).not.toHaveBeenCalled();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries rate-limited jobs after the origin\'s Retry-After', async () => {
+    origin = () => new Response('slow down', { status: 429, headers: { 'retry-after': '120' } });
+    const message = await deliver('https://limited.example/');
+
+    expect(message.retry).toHaveBeenCalledWith({ delaySeconds: 120 });
+    expect(message.ack).not.toHaveBeenCalled();
+  });
+
+  it('retries server errors with the queue\'s own backoff', async () => {
+    origin = () => new Response('down', { status: 503 });
+    const message = await deliver('https://down.example/');
+
+    expect(message.retry).toHaveBeenCalledWith();
+    expect(fetch).toHaveBeenCalledTimes(CONFIG.scraper.max_retries);
+  });
+
+  it('acks jobs that succeed', async () => {
+    origin = () => new Response('<html><body><p>Hello there, this is the page.</p></body></html>', {
+      headers: { 'content-type': 'text/html' }
+    });
+    const message = await deliver('https://ok.example/');
+
+    expect(message.ack).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getRequestProfile, pickUserAgent, buildRequestHeaders, fetchWithProfile } from '../src/modules/request_profiles.js';
+import CONFIG from '../config.json';
+import { makeKV } from './helpers/kv.js';
+import { restoreConfig } from './helpers/config.js';
+
+beforeEach(() => {
+  CONFIG.scraper.delay_between_requests_ms = 0;
+  CONFIG.scraper.respect_robots_txt = false;
+  CONFIG.scraper.request_profiles.default.headers = { 'Accept-Language': 'en' };
+  CONFIG.scraper.request_profiles.domains = {
+    'news.example': {
+      user_agents: ['NewsBot/1', 'NewsBot/2', 'NewsBot/3'],
+      rotation: 'per_host',
+      headers: { 'Accept-Language': 'de', Referer: 'https://news.example/' },
+      cookies: { consent: 'yes', token: '{env:NEWS_TOKEN}' },
+      cookie_jar: true
+    },
+    'eu.news.example': {
+      rotation: 'first'
+    }
+  };
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+  restoreConfig();
+});
+
+describe('getRequestProfile', () => {
+  it('merges the most specific domain entry over the defaults', () => {
+    expect(getRequestProfile('https://www.news.example/a', { NEWS_TOKEN: 's3cret' })).toEqual({
+      name: 'news.example',
+      user_agents: ['NewsBot/1', 'NewsBot/2', 'NewsBot/3'],
+      rotation: 'per_host',
+      headers: { 'Accept-Language': 'de', Referer: 'https://news.example/' },
+      cookies: { consent: 'yes', token: 's3cret' },
+      cookie_jar: true
+    });
+
+    expect(getRequestProfile('https://eu.news.example/')).toMatchObject({
+      name: 'eu.news.example',
+      user_agents: CONFIG.scraper.user_agents,
+      rotation: 'first',
+      cookie_jar: false
+    });
+    expect(getRequestProfile('https://other.example/').name).toBe('default');
+  });
+
+  it('drops values whose env secret is unset', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(getRequestProfile('https://news.example/').cookies).toEqual({ consent: 'yes' });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('unset env var NEWS_TOKEN'));
+  });
+});
+
+describe('pickUserAgent', () => {
+  const profile = { user_agents: ['A', 'B', 'C'] };
+
+  it('keeps one user agent per host with per_host rotation', () => {
+    const perHost = { ...profile, rotation: 'per_host' };
+    const agent = pickUserAgent(perHost, 'news.example');
+
+    expect(profile.user_agents).toContain(agent);
+    for (let i = 0; i < 5; i++) {
+      expect(pickUserAgent(perHost, 'news.example')).toBe(agent);
+    }
+  });
+
+  it('uses the first entry or a random one', () => {
+    expect(pickUserAgent({ ...profile, rotation: 'first' }, 'news.example')).toBe('A');
+
+    vi.spyOn(Math, 'random').mockReturnValue(0.99);
+    expect(pickUserAgent({ ...profile, rotation: 'random' }, 'news.example')).toBe('C');
+  });
+});
+
+describe('buildRequestHeaders', () => {
+  it('applies the profile over the base headers, with static cookies over the jar', async () => {
+    const env = { CACHE: makeKV(), NEWS_TOKEN: 's3cret' };
+    await env.CACHE.put('cookies:news.example', JSON.stringify([
+      { name: 'consent', value: 'no', path: '/', expires: null, secure: false },
+      { name: 'sid', value: '42', path: '/', expires: null, secure: true },
+      { name: 'old', value: '1', path: '/', expires: Date.now() - 1000, secure: false },
+      { name: 'other', value: '1', path: '/archive', expires: null, secure: false }
+    ]));
+
+    const { headers, cookies } = await buildRequestHeaders('https://news.example/story', env, {
+      'Accept-Language': 'fr',
+      'User-Agent': 'Custom/1'
+    });
+
+    expect(headers.get('User-Agent')).toBe('Custom/1');
+    expect(headers.get('Accept-Language')).toBe('de');
+    expect(headers.get('Referer')).toBe('https://news.example/');
+    expect(cookies).toEqual({ sid: '42', consent: 'yes', token: 's3cret' });
+    expect(headers.get('Cookie')).toBe('consent=yes; sid=42; token=s3cret');
+  });
+
+  it('leaves secure cookies off plain HTTP requests', async () => {
+    const env = { CACHE: makeKV(), NEWS_TOKEN: 's3cret' };
+    await env.CACHE.put('cookies:news.example', JSON.stringify([
+      { name: 'sid', value: '42', path: '/', expires: null, secure: true }
+    ]));
+
+    const { cookies } = await buildRequestHeaders('http://news.example/story', env);
+    expect(cookies).not.toHaveProperty('sid');
+  });
+});
+
+describe('fetchWithProfile', () => {
+  it('stores Set-Cookie from every redirect hop and sends it on', async () => {
+    const env = { CACHE: makeKV(), NEWS_TOKEN: 's3cret' };
+    const sent = [];
+
+    vi.stubGlobal('fetch', vi.fn(async (url, init) => {
+      sent.push([String(url), new Headers(init.headers).get('Cookie'), init.redirect]);
+      if (String(url).endsWith('/story')) {
+        return new Response(null, {
+          status: 302,
+          headers: [['location', '/consent?next=story'], ['set-cookie', 'sid=42; Path=/; Secure; Max-Age=3600']]
+        });
+      }
+      if (String(url).includes('/consent')) {
+        return new Response(null, {
+          status: 303,
+          headers: [['location', 'https://news.example/story?ok=1'], ['set-cookie', 'wall=passed; Path=/']]
+        });
+      }
+      return new Response('article');
+    }));
+
+    const response = await fetchWithProfile('https://news.example/story', {}, env);
+
+    expect(await response.text()).toBe('article');
+    expect(sent).toEqual([
+      ['https://news.example/story', 'consent=yes; token=s3cret', 'manual'],
+      ['https://news.example/consent?next=story', 'sid=42; consent=yes; token=s3cret', 'manual'],
+      ['https://news.example/story?ok=1', 'sid=42; wall=passed; consent=yes; token=s3cret', 'manual']
+    ]);
+
+    const jar = JSON.parse(env.CACHE.store.get('cookies:news.example'));
+    expect(jar.map(cookie => cookie.name)).toEqual(['sid', 'wall']);
+  });
+
+  it('removes cookies the server expires', async () => {
+    const env = { CACHE: makeKV(), NEWS_TOKEN: 's3cret' };
+    await env.CACHE.put('cookies:news.example', JSON.stringify([
+      { name: 'sid', value: '42', path: '/', expires: null, secure: false }
+    ]));
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('bye', {
+      headers: { 'set-cookie': 'sid=; Path=/; Max-Age=0' }
+    })));
+
+    await fetchWithProfile('https://news.example/logout', {}, env);
+    expect(env.CACHE.store.has('cookies:news.example')).toBe(false);
+  });
+
+  it('gives up after too many redirects', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url) => new Response(null, {
+      status: 302,
+      headers: { location: String(url) }
+    })));
+
+    await expect(fetchWithProfile('https://news.example/loop', {}, { CACHE: makeKV(), NEWS_TOKEN: 's3cret' }))
+      .rejects.toThrow('Too many redirects: https://news.example/loop');
+    expect(fetch).toHaveBeenCalledTimes(11);
+  });
+
+  it('lets fetch follow redirects without the cookie jar', async () => {
+    const seen = [];
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('ok')));
+
+    await fetchWithProfile('https://other.example/', {}, {}, {
+      onRequest: (url, headers) => seen.push([url, headers.get('Accept-Language')])
+    });
+
+    expect(fetch.mock.calls[0][1].redirect).toBeUndefined();
+    expect(seen).toEqual([['https://other.example/', 'en']]);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { parseRobotsTxt, patternMatches, checkRobots, getCrawlDelay } from '../src/modules/robots.js';
+import { makeKV } from './helpers/kv.js';
+
+const ROBOTS_TXT = [
+  'User-agent: *',
+  'Disallow: /private',
+  'Allow: /private/open',
+  'Crawl-delay: 5',
+  '',
+  'User-agent: CloudflareScrapingAgent',
+  'User-agent: OtherBot',
+  'Disallow: /*.pdf$',
+  'Disallow: /drafts/',
+  'Crawl-delay: 2',
+  '',
+  'Sitemap: https://example.com/sitemap.xml'
+].join('\n');
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
+
+/**
+ * Serve robots.txt responses in turn (the last one repeats)
+ */
+function stubRobots(...responses) {
+  const fetchMock = vi.fn(async () => {
+    const [body, status] = responses.length > 1 ? responses.shift() : responses[0];
+    return new Response(body, { status });
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+describe('parseRobotsTxt', () => {
+  it('groups consecutive user-agent lines and collects sitemaps', () => {
+    const robots = parseRobotsTxt(ROBOTS_TXT);
+
+    expect(robots.groups.map(group => group.agents)).toEqual([['*'], ['cloudflarescrapingagent', 'otherbot']]);
+    expect(robots.groups[1].crawl_delay).toBe(2);
+    expect(robots.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+  });
+
+  it('ignores comments, empty Disallow lines and rules before any user-agent', () => {
+    const robots = parseRobotsTxt('Disallow: /orphan\r\nUser-agent: * # everyone\r\nDisallow:\r\nDisallow: /tmp # scratch\r\nCrawl-delay: soon');
+
+    expect(robots.groups).toEqual([{ agents: ['*'], rules: [{ type: 'disallow', path: '/tmp' }], crawl_delay: null }]);
+  });
+});
+
+describe('patternMatches', () => {
+  it.each([
+    ['/private', '/private/page', true],
+    ['/*.pdf$', '/files/report.pdf', true],
+    ['/*.pdf$', '/files/report.pdf?download=1', false],
+    ['/a*b', '/a/x/b', true],
+    ['/caf%C3%A9', '/café', true],
+    ['/docs/', '/doc', false]
+  ])('%s against %s is %s', (pattern, path, expected) => {
+    expect(patternMatches(pattern, path)).toBe(expected);
+  });
+});
+
+describe('checkRobots', () => {
+  it('applies the most specific user-agent group, longest rule first', async () => {
+    const fetchMock = stubRobots([ROBOTS_TXT, 200]);
+    const env = { CACHE: makeKV() };
+
+    expect(await checkRobots('https://rules.example/report.pdf', env)).toEqual({
+      allowed: false,
+      rule: 'Disallow: /*.pdf$',
+      crawl_delay: 2
+    });
+    expect((await checkRobots('https://rules.example/private', env)).allowed).toBe(true);
+    expect((await checkRobots('https://rules.example/drafts/one', env)).allowed).toBe(false);
+    expect(await getCrawlDelay('https://rules.example/', env)).toBe(2000);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('allows everything when robots.txt is missing', async () => {
+    stubRobots(['Not found', 404]);
+
+    expect((await checkRobots('https://missing.example/anything', {})).allowed).toBe(true);
+  });
+
+  it('disallows everything while robots.txt fails, and only briefly', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const fetchMock = stubRobots(['Down', 503], [ROBOTS_TXT, 200]);
+    const env = { CACHE: makeKV() };
+
+    expect(await checkRobots('https://flaky.example/page', env)).toMatchObject({ allowed: false, rule: 'Disallow: /' });
+    expect((await checkRobots('https://flaky.example/page', env)).allowed).toBe(false);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    // Past the error TTL the memory entry is dropped; KV would have expired it as well
+    vi.advanceTimersByTime(6 * 60 * 1000);
+    env.CACHE.store.clear();
+
+    expect((await checkRobots('https://flaky.example/page', env)).allowed).toBe(true);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('expires rules kept in memory after a day', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const fetchMock = stubRobots([ROBOTS_TXT, 200], ['', 404]);
+
+    expect((await checkRobots('https://daily.example/report.pdf', {})).allowed).toBe(false);
+
+    vi.advanceTimersByTime(23 * 60 * 60 * 1000);
+    expect((await checkRobots('https://daily.example/report.pdf', {})).allowed).toBe(false);
+
+    vi.advanceTimersByTime(2 * 60 * 60 * 1000);
+    expect((await checkRobots('https://daily.example/report.pdf', {})).allowed).toBe(true);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
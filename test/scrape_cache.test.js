@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  readCachedScrape, writeCachedScrape, refreshCachedScrape, isFresh, conditionalHeaders, parseCacheHeaders
+} from '../src/modules/scrape_cache.js';
+import { scrapeSingleUrl } from '../src/modules/crawler.js';
+import CONFIG from '../config.json';
+import { makeKV } from './helpers/kv.js';
+import { restoreConfig } from './helpers/config.js';
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  restoreConfig();
+});
+
+describe('writeCachedScrape', () => {
+  it('stores the entry under the normalized requested URL', async () => {
+    const cache = makeKV();
+    await writeCachedScrape('https://example.com/post?utm_source=feed', { title: 'Post' }, null, cache);
+
+    const entry = await readCachedScrape('https://example.com/post', cache);
+    expect(entry.data.title).toBe('Post');
+    expect(isFresh(entry)).toBe(true);
+  });
+
+  it('does not let a page overwrite the entry of its declared canonical URL', async () => {
+    const cache = makeKV();
+    await writeCachedScrape('https://example.com/a', { title: 'A' }, null, cache);
+    await writeCachedScrape('https://example.com/b', {
+      title: 'B',
+      canonical_url: 'https://example.com/a'
+    }, null, cache);
+
+    expect((await readCachedScrape('https://example.com/a', cache)).data.title).toBe('A');
+    expect((await readCachedScrape('https://example.com/b', cache)).data.title).toBe('B');
+    expect(cache.store.size).toBe(2);
+  });
+
+  it('skips responses marked no-store', async () => {
+    const cache = makeKV();
+    await writeCachedScrape('https://example.com/a', { title: 'A' }, { max_age: 60, no_store: true }, cache);
+
+    expect(await readCachedScrape('https://example.com/a', cache)).toBeNull();
+  });
+});
+
+describe('readCachedScrape', () => {
+  it('reads entries stored before validators as fresh for a day from scraped_at', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-03-01T12:00:00Z'));
+    const cache = makeKV();
+    await cache.put('scrape:https://example.com/old', JSON.stringify({ title: 'Old', scraped_at: '2026-03-01T00:00:00Z' }));
+
+    const entry = await readCachedScrape('https://example.com/old', cache);
+    expect(entry).toMatchObject({ data: { title: 'Old' }, etag: null, last_modified: null });
+    expect(isFresh(entry)).toBe(true);
+
+    vi.setSystemTime(new Date('2026-03-02T00:00:01Z'));
+    expect(isFresh(entry)).toBe(false);
+  });
+
+  it('returns null without a cache or an entry', async () => {
+    expect(await readCachedScrape('https://example.com/', null)).toBeNull();
+    expect(await readCachedScrape('https://example.com/', makeKV())).toBeNull();
+  });
+});
+
+describe('parseCacheHeaders', () => {
+  const parse = (headers) => parseCacheHeaders(new Headers(headers));
+
+  it('reads max-age, no-cache and no-store', () => {
+    expect(parse({ 'cache-control': 'public, max-age=120', etag: '"v1"' }))
+      .toEqual({ etag: '"v1"', last_modified: null, max_age: 120, no_store: false });
+    expect(parse({ 'cache-control': 'no-cache, max-age=120' }).max_age).toBe(0);
+    expect(parse({ 'cache-control': 'private, no-store' }).no_store).toBe(true);
+  });
+
+  it('uses 10% of the Last-Modified age, capped at the default max age', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-03-01T12:00:00Z'));
+
+    expect(parse({ 'last-modified': 'Sun, 01 Mar 2026 11:00:00 GMT' }).max_age).toBe(360);
+    expect(parse({ 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' }).max_age)
+      .toBe(CONFIG.scraper.cache.default_max_age_seconds);
+  });
+
+  it('falls back to the default max age', () => {
+    expect(parse({}).max_age).toBe(CONFIG.scraper.cache.default_max_age_seconds);
+  });
+});
+
+describe('conditionalHeaders', () => {
+  it('sends the stored validators', () => {
+    expect(conditionalHeaders({ etag: '"v1"', last_modified: 'Sun, 01 Mar 2026 11:00:00 GMT' })).toEqual({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Sun, 01 Mar 2026 11:00:00 GMT'
+    });
+    expect(conditionalHeaders({ etag: null, last_modified: null })).toEqual({});
+    expect(conditionalHeaders(null)).toEqual({});
+  });
+});
+
+describe('refreshCachedScrape', () => {
+  it('keeps the data and old validators, with the new freshness lifetime', async () => {
+    const cache = makeKV();
+    await writeCachedScrape('https://example.com/a', { title: 'A' }, { etag: '"v1"', max_age: 0 }, cache);
+    const entry = await readCachedScrape('https://example.com/a', cache);
+
+    const data = await refreshCachedScrape('https://example.com/a', entry, new Headers({ 'cache-control': 'max-age=600' }), cache);
+
+    const refreshed = await readCachedScrape('https://example.com/a', cache);
+    expect(data).toEqual({ title: 'A' });
+    expect(refreshed).toMatchObject({ data: { title: 'A' }, etag: '"v1"' });
+    expect(isFresh(refreshed)).toBe(true);
+  });
+});
+
+describe('cache modes', () => {
+  const URL = 'https://cached.example/story';
+  const PAGE = '<html><head><title>Live</title></head><body><p>Live copy of the story, fetched from the origin.</p></body></html>';
+  let requests;
+  let env;
+
+  beforeEach(async () => {
+    CONFIG.scraper.delay_between_requests_ms = 0;
+    requests = [];
+    env = { CACHE: makeKV() };
+
+    vi.stubGlobal('fetch', vi.fn(async (url, init = {}) => {
+      if (String(url).endsWith('/robots.txt')) return new Response('', { status: 404 });
+      const headers = new Headers(init.headers);
+      requests.push(headers);
+
+      return headers.get('if-none-match') === '"v1"'
+        ? new Response(null, { status: 304, headers: { 'cache-control': 'max-age=600' } })
+        : new Response(PAGE, { headers: { 'content-type': 'text/html', etag: '"v2"' } });
+    }));
+
+    // A stale entry with an ETag
+    await writeCachedScrape(URL, { url: URL, title: 'Cached' }, { etag: '"v1"', max_age: 0 }, env.CACHE);
+  });
+
+  it('revalidates a stale entry with a conditional request', async () => {
+    const result = await scrapeSingleUrl(URL, env, { cache: 'revalidate' });
+
+    expect(result).toMatchObject({ success: true, cache_status: 'revalidated', data: { title: 'Cached' } });
+    expect(result.attempts).toEqual([expect.objectContaining({ strategy: 'fetch', outcome: 'not_modified' })]);
+    expect(requests[0].get('if-none-match')).toBe('"v1"');
+    expect(isFresh(await readCachedScrape(URL, env.CACHE))).toBe(true);
+  });
+
+  it('serves fresh entries without asking the origin', async () => {
+    await scrapeSingleUrl(URL, env, { cache: 'revalidate' });
+    const result = await scrapeSingleUrl(URL, env, { cache: 'revalidate' });
+
+    expect(result).toMatchObject({ cache_status: 'hit', data: { title: 'Cached' } });
+    expect(requests).toHaveLength(1);
+  });
+
+  it('serves any entry with prefer, and ignores the cache with bypass', async () => {
+    expect(await scrapeSingleUrl(URL, env, { cache: 'prefer' })).toMatchObject({ cache_status: 'hit' });
+    expect(requests).toHaveLength(0);
+
+    const bypassed = await scrapeSingleUrl(URL, env, { cache: 'bypass' });
+    expect(bypassed).toMatchObject({ cache_status: 'bypass', data: { title: 'Live' } });
+    expect(requests[0].has('if-none-match')).toBe(false);
+    expect((await readCachedScrape(URL, env.CACHE)).etag).toBe('"v2"');
+  });
+});
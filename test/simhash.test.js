@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { simhash, hammingDistance, simhashBands, MAX_BANDED_DISTANCE } from '../src/utils/simhash.js';
+
+const STORY = Array.from({ length: 6 }, (_, i) =>
+  `The council met on Tuesday to discuss the new budget, which funds roads, schools and parks (part ${i}).`
+).join('\n\n');
+
+/**
+ * Flip the given bit positions (0 = most significant) of a fingerprint
+ */
+function flipBits(fingerprint, bits) {
+  let value = BigInt(`0x${fingerprint}`);
+  for (const bit of bits) value ^= 1n << BigInt(63 - bit);
+  return value.toString(16).padStart(16, '0');
+}
+
+describe('simhash', () => {
+  it('returns 16 hex digits, or null without words', () => {
+    expect(simhash(STORY)).toMatch(/^[0-9a-f]{16}$/);
+    expect(simhash('')).toBeNull();
+    expect(simhash('—, !')).toBeNull();
+  });
+
+  it('ignores case, punctuation and whitespace', () => {
+    expect(simhash('Hello,   WORLD! How are you?')).toBe(simhash('hello world how are you'));
+  });
+
+  it('keeps near-identical texts close and different texts far apart', () => {
+    const original = simhash(STORY);
+    const edited = simhash(STORY.replace('Tuesday', 'Wednesday') + ' Reporting by the wire service.');
+    const unrelated = simhash('Astronomers watched the planets and stars move across the night sky with new telescopes.');
+
+    expect(hammingDistance(original, original)).toBe(0);
+    expect(hammingDistance(original, edited)).toBeLessThanOrEqual(MAX_BANDED_DISTANCE);
+    expect(hammingDistance(original, unrelated)).toBeGreaterThan(10);
+  });
+});
+
+describe('hammingDistance', () => {
+  it('counts differing bits across both halves', () => {
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+    expect(hammingDistance('8000000000000001', '0000000000000000')).toBe(2);
+  });
+});
+
+describe('simhashBands', () => {
+  it('splits a fingerprint into four 16-bit bands', () => {
+    expect(simhashBands('0001ffff8000abcd')).toEqual([0x0001, 0xffff, 0x8000, 0xabcd]);
+  });
+
+  it('shares a band between fingerprints up to MAX_BANDED_DISTANCE bits apart', () => {
+    const fingerprint = simhash(STORY);
+    const bands = simhashBands(fingerprint);
+    const sharesBand = (other) => simhashBands(other).some((band, i) => band === bands[i]);
+
+    // The worst case spreads the differing bits over separate bands
+    expect(sharesBand(flipBits(fingerprint, [0, 16, 32]))).toBe(true);
+    expect(sharesBand(flipBits(fingerprint, [0, 16, 32, 48]))).toBe(false);
+  });
+});
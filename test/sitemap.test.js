@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { parseSitemap, collectSitemapUrls, discoverSitemaps, validateSitemapFilters } from '../src/modules/sitemap.js';
+import { handleCrawl } from '../src/modules/crawler.js';
+import CONFIG from '../config.json';
+import { makeKV } from './helpers/kv.js';
+import { restoreConfig } from './helpers/config.js';
+
+const urlset = (...urls) =>
+  '<?xml version="1.0" encoding="UTF-8"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+  urls.map(([loc, lastmod]) => `<url><loc>${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`).join('') +
+  '</urlset>';
+
+const sitemapindex = (...locs) =>
+  '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+  locs.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('') +
+  '</sitemapindex>';
+
+async function gzip(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+let env;
+let responses;
+
+beforeEach(() => {
+  CONFIG.scraper.delay_between_requests_ms = 0;
+  env = { CACHE: makeKV() };
+  responses = {};
+
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const body = responses[url];
+    return body === undefined ? new Response('', { status: 404 }) : new Response(body, { status: 200 });
+  }));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  restoreConfig();
+});
+
+describe('parseSitemap', () => {
+  it('reads urlset entries with their lastmod', () => {
+    expect(parseSitemap(urlset(['https://example.com/a', '2026-03-01']))).toEqual({
+      type: 'urlset',
+      entries: [{ url: 'https://example.com/a', lastmod: '2026-03-01' }]
+    });
+  });
+
+  it('reads sitemap indexes', () => {
+    expect(parseSitemap(sitemapindex('https://example.com/news.xml'))).toEqual({
+      type: 'index',
+      entries: [{ url: 'https://example.com/news.xml', lastmod: null }]
+    });
+  });
+
+  it('unwraps CDATA and entities, and skips entries without a loc', () => {
+    const xml = '<urlset>' +
+      '<url><loc><![CDATA[https://example.com/a?x=1&y=2]]></loc></url>' +
+      '<url><loc> https://example.com/b?x=1&amp;y=2 </loc></url>' +
+      '<url><lastmod>2026-03-01</lastmod></url>' +
+      '</urlset>';
+
+    expect(parseSitemap(xml).entries.map(entry => entry.url))
+      .toEqual(['https://example.com/a?x=1&y=2', 'https://example.com/b?x=1&y=2']);
+  });
+});
+
+describe('discoverSitemaps', () => {
+  it('uses robots.txt sitemaps, falling back to /sitemap.xml', async () => {
+    responses['https://robots.example/robots.txt'] = 'User-agent: *\nSitemap: https://robots.example/news-sitemap.xml';
+    expect(await discoverSitemaps('https://robots.example/story', env)).toEqual(['https://robots.example/news-sitemap.xml']);
+
+    expect(await discoverSitemaps('https://plain.example/story', env)).toEqual(['https://plain.example/sitemap.xml']);
+  });
+});
+
+describe('collectSitemapUrls', () => {
+  it('expands indexes and gzipped sitemaps, keeping same-host URLs once', async () => {
+    responses['https://index.example/sitemap.xml'] = sitemapindex('https://index.example/news.xml', 'https://index.example/archive.xml.gz');
+    responses['https://index.example/news.xml'] = urlset(
+      ['https://index.example/new', '2026-03-02'],
+      ['https://index.example/new?utm_source=feed', '2026-03-02'],
+      ['https://elsewhere.org/spam']
+    );
+    responses['https://index.example/archive.xml.gz'] = await gzip(urlset(['https://index.example/old', '2025-01-01']));
+
+    const result = await collectSitemapUrls('https://index.example/', env);
+
+    expect(result.sitemaps).toEqual([
+      'https://index.example/sitemap.xml',
+      'https://index.example/news.xml',
+      'https://index.example/archive.xml.gz'
+    ]);
+    expect(result.total_found).toBe(2);
+    expect(result.entries).toEqual([
+      { url: 'https://index.example/new', lastmod: '2026-03-02' },
+      { url: 'https://index.example/old', lastmod: '2025-01-01' }
+    ]);
+  });
+
+  it('filters by lastmod window and URL pattern', async () => {
+    responses['https://filter.example/feed.xml'] = urlset(
+      ['https://filter.example/news/1', '2026-03-01T08:00:00Z'],
+      ['https://filter.example/news/2', '2026-02-01'],
+      ['https://filter.example/news/3'],
+      ['https://filter.example/about', '2026-03-01']
+    );
+
+    const result = await collectSitemapUrls('https://filter.example/', env, {
+      sitemap_url: 'https://filter.example/feed.xml',
+      lastmod_since: '2026-02-15',
+      url_pattern: '/news/'
+    });
+
+    expect(result.entries.map(entry => entry.url)).toEqual(['https://filter.example/news/1']);
+    expect(result.total_found).toBe(4);
+  });
+
+  it('skips sitemaps that fail to load', async () => {
+    responses['https://broken.example/sitemap.xml'] = sitemapindex('https://broken.example/missing.xml', 'https://broken.example/ok.xml');
+    responses['https://broken.example/ok.xml'] = urlset(['https://broken.example/a']);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await collectSitemapUrls('https://broken.example/', env);
+
+    expect(result.entries).toEqual([{ url: 'https://broken.example/a', lastmod: null }]);
+  });
+});
+
+describe('validateSitemapFilters', () => {
+  it('accepts dates, a regex and missing filters', () => {
+    expect(() => validateSitemapFilters({})).not.toThrow();
+    expect(() => validateSitemapFilters({ lastmod_since: '2026-03-01', lastmod_until: '2026-03-31T23:59:59Z', url_pattern: '^https://[^/]+/news/' }))
+      .not.toThrow();
+  });
+
+  it('rejects unparseable dates and invalid patterns', () => {
+    expect(() => validateSitemapFilters({ lastmod_since: 'last week' })).toThrow('Invalid lastmod_since: last week');
+    expect(() => validateSitemapFilters({ lastmod_until: '2026-13-45' })).toThrow(/^Invalid lastmod_until/);
+    expect(() => validateSitemapFilters({ url_pattern: '/news/(' })).toThrow(/^Invalid url_pattern/);
+  });
+
+  it('makes handleCrawl answer 400 before fetching anything', async () => {
+    const result = await handleCrawl({ url: 'https://example.com/', mode: 'sitemap', url_pattern: '[' }, env, {});
+
+    expect(result).toMatchObject({ success: false, status_code: 400, error: expect.stringMatching(/^Invalid url_pattern/) });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { storeResult } from '../src/modules/storage.js';
+import CONFIG from '../config.json';
+import { makeD1 } from './helpers/d1.js';
+import { restoreConfig } from './helpers/config.js';
+
+let d1;
+
+beforeAll(async () => {
+  d1 = await makeD1();
+});
+
+afterAll(() => d1.dispose());
+
+beforeEach(() => {
+  CONFIG.storage.dedupe.enabled = false;
+});
+
+afterEach(() => {
+  restoreConfig();
+});
+
+/**
+ * D1 binding that records every statement it prepares
+ */
+function recordingDb(db, statements) {
+  return {
+    prepare: (sql) => {
+      statements.push(sql.trim());
+      return db.prepare(sql);
+    },
+    batch: (batch) => db.batch(batch)
+  };
+}
+
+function page(path) {
+  return {
+    url: `https://example.com${path}`,
+    canonical_url: `https://example.com${path}`,
+    title: `Page ${path}`,
+    content: 'Body text',
+    links: ['https://example.com/next'],
+    method: 'fetch',
+    scraped_at: '2026-01-01T00:00:00.000Z',
+    metadata: { author: 'Jane Doe', keywords: ['news', 'policy'], language: 'en' },
+    job_id: 'job_1'
+  };
+}
+
+describe('storeResult', () => {
+  it('sets up scrape_metadata once and stores structured metadata', async () => {
+    const statements = [];
+    const env = { DB: recordingDb(d1.db, statements) };
+
+    await storeResult(page('/one'), env, {});
+    await storeResult(page('/two'), env, {});
+
+    const schema = statements.filter(sql => /^(CREATE|PRAGMA|ALTER)/.test(sql));
+    expect(schema.filter(sql => sql.startsWith('PRAGMA'))).toHaveLength(1);
+    expect(schema.filter(sql => sql.startsWith('CREATE TABLE'))).toHaveLength(1);
+    expect(statements.filter(sql => sql.startsWith('INSERT INTO scrape_metadata'))).toHaveLength(2);
+
+    const rows = await d1.db.prepare('SELECT url, author, keywords, language, job_id FROM scrape_metadata ORDER BY id').all();
+    expect(rows.results).toEqual([
+      { url: 'https://example.com/one', author: 'Jane Doe', keywords: 'news, policy', language: 'en', job_id: 'job_1' },
+      { url: 'https://example.com/two', author: 'Jane Doe', keywords: 'news, policy', language: 'en', job_id: 'job_1' }
+    ]);
+  });
+});
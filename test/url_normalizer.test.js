@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { canonicalizeUrl, resolveCanonicalUrl } from '../src/utils/url_normalizer.js';
+
+describe('canonicalizeUrl', () => {
+  it('lowercases the host, upgrades http and drops default ports and fragments', () => {
+    expect(canonicalizeUrl('http://WWW.Example.COM:80/News/Story#comments'))
+      .toBe('https://www.example.com/News/Story');
+    expect(canonicalizeUrl('https://example.com:443/a')).toBe('https://example.com/a');
+    expect(canonicalizeUrl('https://example.com:8443/a')).toBe('https://example.com:8443/a');
+  });
+
+  it('strips configured tracking parameters, including prefix patterns', () => {
+    expect(canonicalizeUrl('https://example.com/a?utm_source=x&UTM_Medium=y&id=7&fbclid=abc&gclid=1'))
+      .toBe('https://example.com/a?id=7');
+    expect(canonicalizeUrl('https://example.com/a?utm_source=x')).toBe('https://example.com/a');
+    expect(canonicalizeUrl('https://example.com/a?reference=1')).toBe('https://example.com/a?reference=1');
+  });
+
+  it('sorts the remaining parameters by name, then value', () => {
+    expect(canonicalizeUrl('https://example.com/search?q=b&page=2&q=a'))
+      .toBe(canonicalizeUrl('https://example.com/search?page=2&q=a&q=b'));
+    expect(canonicalizeUrl('https://example.com/search?q=b&page=2&q=a'))
+      .toBe('https://example.com/search?page=2&q=a&q=b');
+  });
+
+  it('drops trailing slashes but keeps the root path', () => {
+    expect(canonicalizeUrl('https://example.com/section//')).toBe('https://example.com/section');
+    expect(canonicalizeUrl('https://example.com')).toBe('https://example.com/');
+    expect(canonicalizeUrl('https://example.com/?')).toBe('https://example.com/');
+  });
+
+  it('follows the options it is given', () => {
+    const options = { tracking_params: ['ref'], upgrade_http: false, strip_trailing_slash: false };
+
+    expect(canonicalizeUrl('http://example.com/a/?ref=x&utm_source=y', options))
+      .toBe('http://example.com/a/?utm_source=y');
+  });
+
+  it('returns unparseable input unchanged', () => {
+    expect(canonicalizeUrl('/relative/path')).toBe('/relative/path');
+    expect(canonicalizeUrl('not a url')).toBe('not a url');
+  });
+});
+
+describe('resolveCanonicalUrl', () => {
+  it('prefers the declared canonical URL', () => {
+    expect(resolveCanonicalUrl('https://example.com/a?utm_source=x', 'http://example.com/story/'))
+      .toBe('https://example.com/story');
+    expect(resolveCanonicalUrl('https://example.com/a?utm_source=x', null))
+      .toBe('https://example.com/a');
+  });
+});
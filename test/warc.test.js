@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { buildExchangeRecords, buildWarcinfoRecord, formatCdxj, surtKey } from '../src/utils/warc.js';
+
+// Base32 SHA-1 of an empty payload, as found in any CDX index
+const EMPTY_DIGEST = '3I42H3S6NNFQ2MSVX7XZKYAYSCX5QBYJ';
+
+const decoder = new TextDecoder();
+
+async function gunzip(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return decoder.decode(await new Response(stream).arrayBuffer());
+}
+
+function exchange(overrides = {}) {
+  return {
+    url: 'https://www.example.com/story?b=2&a=1',
+    fetched_at: '2026-03-01T12:34:56.789Z',
+    request: { method: 'GET', headers: [['User-Agent', 'test-agent'], ['Host', 'ignored']] },
+    response: {
+      status: 200,
+      status_text: 'OK',
+      headers: [['Content-Type', 'Text/HTML; charset=utf-8'], ['Content-Encoding', 'gzip'], ['Content-Length', '12']]
+    },
+    body: new TextEncoder().encode('<p>Hello</p>'),
+    metadata: { charset: 'utf-8', outlink: ['https://example.com/a', 'https://example.com/b'] },
+    ...overrides
+  };
+}
+
+describe('surtKey', () => {
+  it('reverses the host, drops www and sorts the query', () => {
+    expect(surtKey('https://www.Example.com/News/Story?b=2&a=1')).toBe('com,example)/news/story?a=1&b=2');
+    expect(surtKey('http://www2.example.co.uk/')).toBe('uk,co,example)/');
+    expect(surtKey('https://example.com:8443/a?')).toBe('com,example:8443)/a');
+  });
+});
+
+describe('formatCdxj', () => {
+  it('sorts lines by key and timestamp and stringifies offsets', () => {
+    const entries = [
+      { urlkey: 'com,example)/b', timestamp: '20260301000000', url: 'https://example.com/b', offset: 10 },
+      { urlkey: 'com,example)/a', timestamp: '20260302000000', url: 'https://example.com/a', offset: 20 },
+      { urlkey: 'com,example)/a', timestamp: '20260301000000', url: 'https://example.com/a', offset: 0 }
+    ];
+
+    expect(formatCdxj(entries, 'job.warc.gz').split('\n')).toEqual([
+      'com,example)/a 20260301000000 {"url":"https://example.com/a","offset":"0","filename":"job.warc.gz"}',
+      'com,example)/a 20260302000000 {"url":"https://example.com/a","offset":"20","filename":"job.warc.gz"}',
+      'com,example)/b 20260301000000 {"url":"https://example.com/b","offset":"10","filename":"job.warc.gz"}',
+      ''
+    ]);
+    expect(formatCdxj([], 'job.warc.gz')).toBe('');
+  });
+});
+
+describe('buildExchangeRecords', () => {
+  it('indexes the response record, whose gzip member is `length` bytes at `offset`', async () => {
+    const { data, index } = await buildExchangeRecords(exchange());
+
+    expect(index).toEqual([{
+      urlkey: 'com,example)/story?a=1&b=2',
+      timestamp: '20260301123456',
+      url: 'https://www.example.com/story?b=2&a=1',
+      mime: 'text/html',
+      status: '200',
+      digest: expect.stringMatching(/^[A-Z2-7]{32}$/),
+      length: expect.any(String),
+      offset: 0
+    }]);
+
+    const response = await gunzip(data.subarray(0, Number(index[0].length)));
+    expect(response).toMatch(/^WARC\/1\.1\r\nWARC-Type: response\r\n/);
+    expect(response).toContain('WARC-Date: 2026-03-01T12:34:56Z\r\n');
+    expect(response).toContain(`WARC-Payload-Digest: sha1:${index[0].digest}\r\n`);
+    expect(response).toMatch(/\r\n\r\nHTTP\/1\.1 200 OK\r\n/);
+    expect(response.endsWith('<p>Hello</p>\r\n\r\n')).toBe(true);
+  });
+
+  it('stores body-encoding headers as X-Archive-Orig-* and sets the stored length', async () => {
+    const { data, index } = await buildExchangeRecords(exchange());
+    const response = await gunzip(data.subarray(0, Number(index[0].length)));
+
+    expect(response).toContain('X-Archive-Orig-Content-Encoding: gzip\r\n');
+    expect(response).toContain('X-Archive-Orig-Content-Length: 12\r\n');
+    expect(response).not.toMatch(/\r\nContent-Encoding:/);
+    expect(response).toContain('\r\nContent-Length: 12\r\n\r\n<p>Hello</p>');
+  });
+
+  it('writes the request and metadata records after the response', async () => {
+    const { data } = await buildExchangeRecords(exchange());
+    const records = (await gunzip(data)).split(/(?=WARC\/1\.1\r\n)/);
+
+    expect(records.map(record => record.match(/WARC-Type: (\w+)/)[1])).toEqual(['response', 'request', 'metadata']);
+
+    const responseId = records[0].match(/WARC-Record-ID: (<urn:uuid:[\w-]+>)/)[1];
+    expect(records[1]).toContain(`WARC-Concurrent-To: ${responseId}`);
+    expect(records[1]).toContain('GET /story?b=2&a=1 HTTP/1.1\r\nHost: www.example.com\r\nUser-Agent: test-agent\r\n');
+    expect(records[1]).not.toContain('ignored');
+    expect(records[2]).toContain('charset: utf-8\r\noutlink: https://example.com/a\r\noutlink: https://example.com/b\r\n');
+  });
+
+  it('indexes the final URL of a redirect and digests the payload', async () => {
+    const { index } = await buildExchangeRecords(exchange({
+      final_url: 'https://example.com/moved',
+      response: { status: 204, headers: [] },
+      body: new Uint8Array(0)
+    }));
+
+    expect(index[0]).toMatchObject({
+      urlkey: 'com,example)/moved',
+      url: 'https://example.com/moved',
+      mime: 'unk',
+      status: '204',
+      digest: EMPTY_DIGEST
+    });
+  });
+
+  it('folds line breaks in header values', async () => {
+    const { data, index } = await buildExchangeRecords(exchange({
+      response: { status: 200, status_text: 'OK', headers: [['X-Note', 'one\r\ntwo']] }
+    }));
+
+    expect(await gunzip(data.subarray(0, Number(index[0].length)))).toContain('X-Note: one two\r\n');
+  });
+});
+
+describe('buildWarcinfoRecord', () => {
+  it('names the file and carries the extra fields', async () => {
+    const record = await gunzip(await buildWarcinfoRecord('job_1.warc.gz', { isPartOf: 'job_1' }));
+
+    expect(record).toMatch(/^WARC\/1\.1\r\nWARC-Type: warcinfo\r\n/);
+    expect(record).toContain('WARC-Filename: job_1.warc.gz\r\n');
+    expect(record).toContain('format: WARC File Format 1.1\r\n');
+    expect(record).toContain('isPartOf: job_1\r\n');
+  });
+});
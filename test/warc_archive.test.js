@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { writeWarcSegment, bundleWarc, handleWarc } from '../src/modules/warc_archive.js';
+import { createJob, claimWarcBundle } from '../src/modules/jobs.js';
+import { makeD1 } from './helpers/d1.js';
+import { makeBucket } from './helpers/r2.js';
+
+const WARC_KEY = (jobId) => `crawls/warc/${jobId}.warc.gz`;
+
+let d1;
+let env;
+
+beforeAll(async () => {
+  d1 = await makeD1();
+});
+
+afterAll(() => d1.dispose());
+
+beforeEach(() => {
+  env = { CRAWL_BUCKET: makeBucket() };
+});
+
+function exchange(url, body) {
+  return {
+    url,
+    fetched_at: '2026-03-01T12:00:00.000Z',
+    request: { method: 'GET', headers: [['User-Agent', 'test']] },
+    response: { status: 200, status_text: 'OK', headers: [['Content-Type', 'text/html; charset=utf-8']] },
+    body: typeof body === 'string' ? new TextEncoder().encode(body) : body,
+    metadata: { charset: 'utf-8' }
+  };
+}
+
+/**
+ * Incompressible bytes, so a segment keeps its size once gzipped
+ */
+function randomBytes(size) {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i += 65536) {
+    crypto.getRandomValues(bytes.subarray(i, i + 65536));
+  }
+  return bytes;
+}
+
+async function gunzip(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * CDXJ entries of a bundle, with the WARC record each one points at
+ */
+async function readCaptures(jobId) {
+  const bundle = env.CRAWL_BUCKET.store.get(WARC_KEY(jobId)).body;
+  const cdxj = new TextDecoder().decode(env.CRAWL_BUCKET.store.get(`crawls/warc/${jobId}.cdxj`).body);
+
+  return await Promise.all(cdxj.trim().split('\n').map(async (line) => {
+    const fields = JSON.parse(line.slice(line.indexOf('{')));
+    const offset = Number(fields.offset);
+    const record = await gunzip(bundle.subarray(offset, offset + Number(fields.length)));
+    return { url: fields.url, head: new TextDecoder().decode(record.subarray(0, 200)) };
+  }));
+}
+
+describe('bundleWarc', () => {
+  it('bundles segments behind a warcinfo record and indexes their responses', async () => {
+    await writeWarcSegment('job_small', [exchange('https://example.com/a', '<p>A</p>')], env);
+    await writeWarcSegment('job_small', [exchange('https://example.com/b', '<p>B</p>')], env);
+
+    const bundle = await bundleWarc('job_small', env);
+
+    expect(bundle).toMatchObject({ warc_key: WARC_KEY('job_small'), captures: 2 });
+    const stored = env.CRAWL_BUCKET.store.get(WARC_KEY('job_small'));
+    expect(bundle.bytes).toBe(stored.body.byteLength);
+    expect(stored.options.customMetadata).toEqual({ job_id: 'job_small', captures: '2' });
+    expect(new TextDecoder().decode(await gunzip(stored.body))).toMatch(/^WARC\/1\.1\r\nWARC-Type: warcinfo/);
+
+    const captures = await readCaptures('job_small');
+    expect(captures.map(capture => capture.url)).toEqual(['https://example.com/a', 'https://example.com/b']);
+    expect(captures.every(capture => capture.head.includes('WARC-Type: response'))).toBe(true);
+
+    // Bundled segments are removed
+    expect([...env.CRAWL_BUCKET.store.keys()].filter(key => key.includes('/segments/'))).toEqual([]);
+  });
+
+  it('streams large crawls in equal multipart parts', async () => {
+    await writeWarcSegment('job_large', [exchange('https://example.com/big', randomBytes(9 * 1024 * 1024))], env);
+    await writeWarcSegment('job_large', [exchange('https://example.com/after', '<p>After</p>')], env);
+
+    const bundle = await bundleWarc('job_large', env);
+
+    expect(env.CRAWL_BUCKET.store.get(WARC_KEY('job_large')).parts).toBe(2);
+    expect(bundle.captures).toBe(2);
+    expect((await readCaptures('job_large')).map(capture => capture.url))
+      .toEqual(['https://example.com/after', 'https://example.com/big']);
+  });
+
+  it('appends to the bundle of a resumed crawl', async () => {
+    await writeWarcSegment('job_resumed', [exchange('https://example.com/a', '<p>A</p>')], env);
+    const first = await bundleWarc('job_resumed', env);
+
+    await writeWarcSegment('job_resumed', [exchange('https://example.com/c', '<p>C</p>')], env);
+    const second = await bundleWarc('job_resumed', env);
+
+    expect(second.captures).toBe(2);
+    expect(second.bytes).toBeGreaterThan(first.bytes);
+    expect((await readCaptures('job_resumed')).map(capture => capture.url))
+      .toEqual(['https://example.com/a', 'https://example.com/c']);
+  });
+
+  it('leaves the segments alone while another worker holds the claim', async () => {
+    env.DB = d1.db;
+    await createJob(d1.db, { job_id: 'job_claimed', url: 'https://example.com/' });
+    await d1.db.prepare(`UPDATE scrape_jobs SET status = 'succeeded' WHERE job_id = 'job_claimed'`).run();
+    await writeWarcSegment('job_claimed', [exchange('https://example.com/a', '<p>A</p>')], env);
+
+    expect(await claimWarcBundle(d1.db, 'job_claimed')).toBe(true);
+    expect(await bundleWarc('job_claimed', env)).toEqual({ bundling: true });
+
+    const response = await handleWarc('/api/warc/job_claimed', new Request('https://worker.test/api/warc/job_claimed'), env);
+    expect(response).toMatchObject({ success: false, error: expect.stringMatching(/being bundled/) });
+    expect(env.CRAWL_BUCKET.store.has(WARC_KEY('job_claimed'))).toBe(false);
+
+    // Once released, the download bundles it
+    await d1.db.prepare(`UPDATE scrape_jobs SET warc_claimed_at = NULL WHERE job_id = 'job_claimed'`).run();
+    const download = await handleWarc('/api/warc/job_claimed', new Request('https://worker.test/api/warc/job_claimed'), env);
+    expect(download).toBeInstanceOf(Response);
+    expect(await claimWarcBundle(d1.db, 'job_claimed')).toBe(true);
+  });
+});
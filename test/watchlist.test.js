@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { handleWatch, checkWatchlists } from '../src/modules/watchlist.js';
+import CONFIG from '../config.json';
+import { makeD1 } from './helpers/d1.js';
+import { makeKV } from './helpers/kv.js';
+import { restoreConfig } from './helpers/config.js';
+
+let d1;
+let env;
+
+beforeAll(async () => {
+  d1 = await makeD1();
+});
+
+afterAll(() => d1.dispose());
+
+beforeEach(async () => {
+  CONFIG.scraper.delay_between_requests_ms = 0;
+  env = { DB: d1.db, CACHE: makeKV() };
+  await handleWatch('/api/watch', new Request('https://worker.test/api/watch'), env);
+  await d1.db.batch([
+    d1.db.prepare('DELETE FROM watch_urls'),
+    d1.db.prepare('DELETE FROM watch_changes'),
+    d1.db.prepare('DELETE FROM watchlists')
+  ]);
+});
+
+afterEach(() => {
+  restoreConfig();
+});
+
+function watchRequest(path, body) {
+  return new Request(`https://worker.test${path}`, {
+    method: 'POST',
+    body: JSON.stringify(body)
+  });
+}
+
+describe('handleWatch', () => {
+  it.each([0, -30, 20.5, 'soon', 5])('rejects interval_minutes %s with a 400', async (interval) => {
+    const result = await handleWatch('/api/watch', watchRequest('/api/watch', {
+      name: 'News',
+      urls: [{ url: 'https://example.com/news', interval_minutes: interval }]
+    }), env);
+
+    expect(result).toMatchObject({ success: false, status_code: 400 });
+    expect(await d1.db.prepare('SELECT COUNT(*) AS n FROM watchlists').first('n')).toBe(0);
+  });
+
+  it('applies the request interval to URLs without their own', async () => {
+    const result = await handleWatch('/api/watch', watchRequest('/api/watch', {
+      name: 'News',
+      interval_minutes: '30',
+      urls: ['https://example.com/a', { url: 'https://example.com/b', interval_minutes: 120 }]
+    }), env);
+
+    expect(result.success).toBe(true);
+    expect(result.urls.map(url => url.check_interval_minutes)).toEqual([30, 120]);
+  });
+});
+
+describe('handleWatch validation', () => {
+  it.each([
+    [{ name: 'News', urls: 'https://example.com/a' }, /^urls must be an array/],
+    [{ name: 'News', urls: { url: 'https://example.com/a' } }, /^urls must be an array/],
+    [{ urls: ['https://example.com/a'] }, /^Watchlist name is required/]
+  ])('rejects an invalid watchlist with a 400 (%#)', async (body, error) => {
+    expect(await handleWatch('/api/watch', watchRequest('/api/watch', body), env))
+      .toMatchObject({ success: false, status_code: 400, error: expect.stringMatching(error) });
+  });
+
+  it('rejects a non-array urls when adding to a watchlist', async () => {
+    const created = await handleWatch('/api/watch', watchRequest('/api/watch', { name: 'News' }), env);
+    const path = `/api/watch/${created.watchlist_id}/urls`;
+
+    expect(await handleWatch(path, watchRequest(path, { urls: 42 }), env))
+      .toMatchObject({ success: false, status_code: 400, error: expect.stringMatching(/^urls must be an array/) });
+  });
+
+  it('creates the tables once per isolate', async () => {
+    const statements = [];
+    const db = {
+      prepare: (sql) => {
+        statements.push(sql.trim());
+        return d1.db.prepare(sql);
+      },
+      batch: (batch) => d1.db.batch(batch)
+    };
+
+    await handleWatch('/api/watch', new Request('https://worker.test/api/watch'), { ...env, DB: db });
+    await checkWatchlists({ ...env, DB: db });
+
+    expect(statements.filter(sql => sql.startsWith('CREATE'))).toEqual([]);
+  });
+});
+
+describe('checkWatchlists', () => {
+  it('checks a due URL once when runs overlap', async () => {
+    const fetches = [];
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      if (String(url).endsWith('/robots.txt')) return new Response('', { status: 404 });
+      fetches.push(String(url));
+      return new Response('<html><head><title>Page</title></head><body><p>Watched text</p></body></html>', {
+        headers: { 'content-type': 'text/html' }
+      });
+    }));
+
+    await handleWatch('/api/watch', watchRequest('/api/watch', {
+      name: 'News',
+      urls: ['https://example.com/news']
+    }), env);
+
+    const [first, second] = await Promise.all([checkWatchlists(env, {}), checkWatchlists(env, {})]);
+
+    expect(first.checked + second.checked).toBe(1);
+    expect(fetches).toEqual(['https://example.com/news']);
+
+    const row = await d1.db.prepare('SELECT next_check_at, last_hash FROM watch_urls').first();
+    expect(row.last_hash).toBeTruthy();
+    expect(Date.parse(row.next_check_at)).toBeGreaterThan(Date.now());
+
+    vi.unstubAllGlobals();
+  });
+});